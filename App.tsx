@@ -1,14 +1,19 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Plus, Book, BookOpen, Layout, Loader2, FileText,
-  ChevronRight, RefreshCw, Download, Upload, Settings, CheckCircle, Info
+  ChevronRight, RefreshCw, Download, Upload, Settings, CheckCircle, Info,
+  Pause, Play, XCircle, BarChart3, Users
 } from 'lucide-react';
 import { LecturePreview } from './components/LecturePreview';
 import { SettingsTab } from './components/SettingsTab';
 import { CorrectionReportModal } from './components/CorrectionReportModal';
 import { MetadataModal } from './components/MetadataModal';
+import { UsagePanel } from './components/UsagePanel';
+import { SpeakerManager, SpeakerUpdate } from './components/SpeakerManager';
+import { OutlineReview } from './components/OutlineReview';
+import { NoteStyleSelect } from './components/NoteStyleSelect';
 import { useSettings } from './hooks/useSettings';
-import { CorrectionStats, FinalSummary } from './types';
+import { CorrectionStats, ReviewableCorrection, FinalSummary, Speaker, NoteStyle } from './types';
 
 // 타입 정의 (서버 응답 맞춤)
 interface LectureSummary {
@@ -21,7 +26,7 @@ interface Chapter {
   id: string;
   chapter_number: number;
   title: string;
-  status: 'pending' | 'processing' | 'completed' | 'error';
+  status: 'pending' | 'processing' | 'completed' | 'error' | 'cancelled';
   startTime: string;
   endTime: string;
   narrative?: string;
@@ -45,11 +50,15 @@ interface LectureDetail {
   overview?: string; 
   chapters: Chapter[];
   correction_stats?: CorrectionStats;
+  corrections?: ReviewableCorrection[] | null;
   author?: string;
   source_url?: string;
   tags?: string[];
   memo?: string;
   finalSummary?: FinalSummary;
+  speakers?: Speaker[];
+  status?: 'outline_ready' | 'processing' | 'paused' | 'cancelled' | 'completed' | null;
+  note_style?: NoteStyle;
 }
 
 const App: React.FC = () => {
@@ -60,15 +69,18 @@ const App: React.FC = () => {
   const [isShowingSettings, setIsShowingSettings] = useState(false);
   const [showCorrectionModal, setShowCorrectionModal] = useState(false);
   const [showMetaModal, setShowMetaModal] = useState(false);
+  const [showUsagePanel, setShowUsagePanel] = useState(false);
+  const [showSpeakerManager, setShowSpeakerManager] = useState(false);
   const [showPdfDropdown, setShowPdfDropdown] = useState(false);
   const [inputText, setInputText] = useState('');
+  const [noteStyle, setNoteStyle] = useState<NoteStyle>('storytelling');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [streamingStatus, setStreamingStatus] = useState<{ message: string, active: boolean }>({ message: '', active: false });
   const fileInputRef = useRef<HTMLInputElement>(null);
   const pdfDropdownRef = useRef<HTMLDivElement>(null);
 
   // AI Settings hook
-  const { settings, hasApiKey } = useSettings();
+  const { settings, needsApiKey } = useSettings();
 
   // Close dropdown on outside click
   useEffect(() => {
@@ -161,6 +173,13 @@ const App: React.FC = () => {
         setStreamingStatus({ message: data.message, active: true });
     });
 
+    eventSource.addEventListener('queue', (e: any) => {
+        const data = JSON.parse(e.data);
+        if (data.position > 0) {
+          setStreamingStatus({ message: `Waiting for API quota (position ${data.position} of ${data.queued})`, active: true });
+        }
+    });
+
     eventSource.addEventListener('chapter_complete', (e: any) => {
         const data = JSON.parse(e.data);
         setStreamingStatus({ message: `Completed: ${data.title}`, active: true });
@@ -179,6 +198,17 @@ const App: React.FC = () => {
         setTimeout(() => setStreamingStatus({ message: '', active: false }), 3000);
     });
 
+    eventSource.addEventListener('paused', (e: any) => {
+        setStreamingStatus({ message: 'Processing paused', active: false });
+        fetchDetail();
+    });
+
+    eventSource.addEventListener('cancelled', (e: any) => {
+        setStreamingStatus({ message: 'Processing cancelled', active: false });
+        fetchDetail();
+        setTimeout(() => setStreamingStatus({ message: '', active: false }), 3000);
+    });
+
     eventSource.addEventListener('complete', (e: any) => {
         setStreamingStatus({ message: 'All analysis finished', active: false });
         fetchDetail();
@@ -213,7 +243,7 @@ const App: React.FC = () => {
     if (!inputText.trim()) return;
 
     // Check for API Key before submission
-    if (!hasApiKey) {
+    if (needsApiKey) {
       alert("API Key is required. Please configure it in Settings.");
       setIsCreating(false);
       setIsShowingSettings(true);
@@ -225,10 +255,18 @@ const App: React.FC = () => {
       // Pass settings to the server for preprocessing
       const requestBody = {
         transcript: inputText,
+        noteStyle,
         settings: {
           apiKey: settings.apiKey,
+          provider: settings.provider,
+          baseUrl: settings.baseUrl,
           model: settings.model,
           llmCorrectionEnabled: settings.llmCorrectionEnabled,
+          disfluencyCleanup: settings.disfluencyCleanup,
+          reviewOutline: settings.reviewOutline,
+          targetLanguage: settings.targetLanguage,
+          bilingualTerms: settings.bilingualTerms,
+          deepDiveConcurrency: settings.deepDiveConcurrency,
           temperature: settings.temperature,
           maxTokens: settings.maxTokens
         }
@@ -270,7 +308,45 @@ const App: React.FC = () => {
     }
   };
 
-  // 5. PDF 내보내기 핸들러
+  // 5. 분석 일시정지 / 재개 / 취소 핸들러
+  const handleLectureControl = async (action: 'pause' | 'resume' | 'cancel') => {
+    if (!selectedId) return;
+    if (action === 'cancel' && !confirm('진행 중인 분석을 취소할까요? 완료되지 않은 챕터는 취소 상태가 됩니다.')) return;
+    try {
+      const res = await fetch(`http://localhost:3000/api/lectures/${selectedId}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKey: settings.apiKey })
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.error || `HTTP ${res.status}`);
+      }
+      const data = await res.json();
+      setLectureData(prev => prev ? { ...prev, status: data.status } : prev);
+      if (action === 'resume') {
+        setStreamingStatus({ message: 'Resuming analysis...', active: true });
+      }
+    } catch (e: any) {
+      alert(`요청 실패: ${e.message}`);
+    }
+  };
+
+  // 5-1. 화자 이름 변경/병합 결과 반영 (인용문 화자 이름 포함)
+  const handleSpeakersUpdated = ({ speakers, nameMap }: SpeakerUpdate) => {
+    setLectureData(prev => prev ? {
+      ...prev,
+      speakers,
+      chapters: prev.chapters.map(ch => ch.quotesWithTimeline ? {
+        ...ch,
+        quotesWithTimeline: ch.quotesWithTimeline.map(q =>
+          q.speaker && nameMap[q.speaker] ? { ...q, speaker: nameMap[q.speaker] } : q
+        )
+      } : ch)
+    } : prev);
+  };
+
+  // 6. PDF 내보내기 핸들러
   const handleExportPDF = async (type: 'full' | 'summary' = 'full') => {
     if (!selectedId) return;
     try {
@@ -343,7 +419,7 @@ const App: React.FC = () => {
           >
             <Settings className="w-4 h-4" />
             Settings
-            {!hasApiKey && (
+            {needsApiKey && (
               <span className="w-2 h-2 bg-amber-500 rounded-full animate-pulse" />
             )}
           </button>
@@ -386,12 +462,17 @@ const App: React.FC = () => {
               </div>
 
               <textarea
-                className="w-full h-64 p-4 border border-gray-200 rounded-xl mb-6 focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none resize-none font-mono text-sm bg-gray-50"
+                className="w-full h-64 p-4 border border-gray-200 rounded-xl mb-4 focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none resize-none font-mono text-sm bg-gray-50"
                 placeholder="WEBVTT..."
                 value={inputText}
                 onChange={(e) => setInputText(e.target.value)}
               />
 
+              <div className="mb-6">
+                <label className="block text-sm font-semibold text-gray-700 mb-2">노트 스타일</label>
+                <NoteStyleSelect value={noteStyle} onChange={setNoteStyle} />
+              </div>
+
               <div className="flex justify-end gap-3">
                 <button
                   onClick={() => setIsCreating(false)}
@@ -476,7 +557,35 @@ const App: React.FC = () => {
               </div>
 
               <div className="flex items-center gap-2 flex-shrink-0">
-                {(lectureData.chapters || []).some(c => c.status === 'error') && (
+                {lectureData.status === 'processing' && (lectureData.chapters || []).some(c => c.status !== 'completed') && (
+                  <button
+                    onClick={() => handleLectureControl('pause')}
+                    className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-100 border border-slate-200 rounded-lg transition-colors"
+                    title="Pause after the current chapter"
+                  >
+                    <Pause className="w-4 h-4" />
+                    <span className="hidden sm:inline">Pause</span>
+                  </button>
+                )}
+                {lectureData.status === 'paused' && (
+                  <button
+                    onClick={() => handleLectureControl('resume')}
+                    className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg transition-colors shadow-sm"
+                  >
+                    <Play className="w-4 h-4" />
+                    <span className="hidden sm:inline">Resume</span>
+                  </button>
+                )}
+                {(lectureData.status === 'processing' || lectureData.status === 'paused') && (
+                  <button
+                    onClick={() => handleLectureControl('cancel')}
+                    className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-red-600 hover:bg-red-50 border border-red-100 rounded-lg transition-colors"
+                  >
+                    <XCircle className="w-4 h-4" />
+                    <span className="hidden sm:inline">Cancel</span>
+                  </button>
+                )}
+                {(lectureData.chapters || []).some(c => c.status === 'error' || c.status === 'cancelled') && (
                   <button
                     onClick={async () => {
                       try {
@@ -506,6 +615,24 @@ const App: React.FC = () => {
                     <span className="hidden sm:inline">Report</span>
                   </button>
                 )}
+                {lectureData.speakers && lectureData.speakers.length > 0 && (
+                  <button
+                    onClick={() => setShowSpeakerManager(true)}
+                    className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-100 border border-slate-200 rounded-lg transition-colors"
+                    title="Speakers"
+                  >
+                    <Users className="w-4 h-4" />
+                    <span className="hidden sm:inline">Speakers</span>
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowUsagePanel(true)}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-100 border border-slate-200 rounded-lg transition-colors"
+                  title="AI Usage & Cost"
+                >
+                  <BarChart3 className="w-4 h-4" />
+                  <span className="hidden sm:inline">Usage</span>
+                </button>
                 <div className="relative" ref={pdfDropdownRef}>
                   <button
                     onClick={() => setShowPdfDropdown(!showPdfDropdown)}
@@ -540,11 +667,38 @@ const App: React.FC = () => {
             {/* Correction Modal */}
             {showCorrectionModal && lectureData.correction_stats && (
               <CorrectionReportModal
+                lectureId={selectedId!}
+                apiKey={settings.apiKey}
                 stats={lectureData.correction_stats}
+                corrections={lectureData.corrections}
+                reviewDisabled={lectureData.status === 'processing'}
+                onUpdated={(corrections) => setLectureData(prev => prev ? { ...prev, corrections } : prev)}
+                onReanalyzeStarted={(chapterIds) => setLectureData(prev => prev ? {
+                  ...prev,
+                  chapters: prev.chapters.map(ch => chapterIds.includes(ch.id) ? { ...ch, status: 'pending' } : ch)
+                } : prev)}
                 onClose={() => setShowCorrectionModal(false)}
               />
             )}
 
+            {/* Usage Panel */}
+            {showUsagePanel && selectedId && (
+              <UsagePanel
+                lectureId={selectedId}
+                onClose={() => setShowUsagePanel(false)}
+              />
+            )}
+
+            {/* Speaker Manager */}
+            {showSpeakerManager && selectedId && lectureData.speakers && (
+              <SpeakerManager
+                lectureId={selectedId}
+                speakers={lectureData.speakers}
+                onUpdated={handleSpeakersUpdated}
+                onClose={() => setShowSpeakerManager(false)}
+              />
+            )}
+
             {/* Metadata Modal */}
             {showMetaModal && (
               <MetadataModal
@@ -569,118 +723,130 @@ const App: React.FC = () => {
 
             {/* Content Area (Using LecturePreview but passing prop) */}
             <div className="flex-1 overflow-auto bg-gray-50/30">
-              {/* LecturePreview Component Integration */}
-              <LecturePreview
-                note={{
-                  title: lectureData.title,
-                  overview: lectureData.overview || "",
-                  author: lectureData.author,
-                  tags: lectureData.tags,
-                  finalSummary: lectureData.finalSummary,
-                  chapters: (lectureData.chapters || []).map(c => ({
-                    ...c,
-                    timeRange: c.startTime && c.endTime ? `${c.startTime} ~ ${c.endTime}` : undefined,
-                    narrative: c.status === 'completed' ? c.narrative : (c.status === 'processing' ? '...\n\nAnalyzing this chapter...' : 'Pending analysis...')
-                  })) as any,
-                  allGlossary: [], 
-                  allActionItems: [],
-                  allWarnings: [],
-                  qualityReport: undefined
-                }}
-                onDownload={handleExportPDF}
-                onDeepDive={async (chapterId) => {
-                  try {
+              {lectureData.status === 'outline_ready' ? (
+                <OutlineReview
+                  lectureId={lectureData.id}
+                  chapters={lectureData.chapters}
+                  apiKey={settings.apiKey}
+                  onSaved={(chapters) => setLectureData(prev => prev ? { ...prev, chapters: chapters as any } : prev)}
+                  onStarted={(chapters) => {
+                    setLectureData(prev => prev ? { ...prev, status: 'processing', ...(chapters && { chapters: chapters as any }) } : prev);
                     setStreamingStatus({ message: 'Deep dive 분석 시작...', active: true });
-                    const res = await fetch(`http://localhost:3000/api/chapters/${chapterId}/regenerate`, {
-                      method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({
-                        feedback: '더 상세하고 깊이 있는 분석을 해주세요. 강사의 인용을 더 많이 포함하고, 각 개념에 대한 해석을 풍부하게 작성해주세요.',
-                        apiKey: settings.apiKey
-                      })
-                    });
-                    if (!res.ok) {
-                      const err = await res.json();
-                      throw new Error(err.error || 'Deep dive 요청 실패');
+                  }}
+                />
+              ) : (
+                <LecturePreview
+                  note={{
+                    title: lectureData.title,
+                    overview: lectureData.overview || "",
+                    author: lectureData.author,
+                    tags: lectureData.tags,
+                    finalSummary: lectureData.finalSummary,
+                    chapters: (lectureData.chapters || []).map(c => ({
+                      ...c,
+                      timeRange: c.startTime && c.endTime ? `${c.startTime} ~ ${c.endTime}` : undefined,
+                      narrative: c.status === 'completed' ? c.narrative : (c.status === 'processing' ? '...\n\nAnalyzing this chapter...' : 'Pending analysis...')
+                    })) as any,
+                    allGlossary: [], 
+                    allActionItems: [],
+                    allWarnings: [],
+                    qualityReport: undefined
+                  }}
+                  onDownload={handleExportPDF}
+                  onDeepDive={async (chapterId) => {
+                    try {
+                      setStreamingStatus({ message: 'Deep dive 분석 시작...', active: true });
+                      const res = await fetch(`http://localhost:3000/api/chapters/${chapterId}/regenerate`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                          feedback: '더 상세하고 깊이 있는 분석을 해주세요. 강사의 인용을 더 많이 포함하고, 각 개념에 대한 해석을 풍부하게 작성해주세요.',
+                          apiKey: settings.apiKey
+                        })
+                      });
+                      if (!res.ok) {
+                        const err = await res.json();
+                        throw new Error(err.error || 'Deep dive 요청 실패');
+                      }
+                      // 상태 갱신을 위해 데이터 다시 로드
+                      setTimeout(() => fetchLectureDetail(selectedId!), 1000);
+                    } catch (e: any) {
+                      alert('Deep dive 실패: ' + e.message);
+                      setStreamingStatus({ message: '', active: false });
                     }
-                    // 상태 갱신을 위해 데이터 다시 로드
-                    setTimeout(() => fetchLectureDetail(selectedId!), 1000);
-                  } catch (e: any) {
-                    alert('Deep dive 실패: ' + e.message);
-                    setStreamingStatus({ message: '', active: false });
-                  }
-                }}
-                onSaveChapter={async (chapterId, updates) => {
-                   try {
-                     await fetch(`http://localhost:3000/api/chapters/${chapterId}`, {
-                       method: 'PUT',
-                       headers: { 'Content-Type': 'application/json' },
-                       body: JSON.stringify(updates)
-                     });
-                     // Optimistic update
-                     setLectureData(prev => {
-                       if (!prev) return null;
-                       return {
-                         ...prev,
-                         chapters: prev.chapters.map(ch => 
-                           ch.id === chapterId ? { ...ch, ...updates } : ch
-                         )
-                       };
-                     });
-                   } catch (e) {
-                     alert("저장 실패");
-                   }
-                }}
-                onRegenerateWithFeedback={async (chId, feedback) => {
-                  try {
-                    const res = await fetch(`http://localhost:3000/api/chapters/${chId}/regenerate`, {
-                      method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({ feedback, apiKey: settings.apiKey })
-                    });
-                    if (!res.ok) {
-                      const err = await res.json();
-                      throw new Error(err.error || '재생성 실패');
+                  }}
+                  onSaveChapter={async (chapterId, updates) => {
+                     try {
+                       await fetch(`http://localhost:3000/api/chapters/${chapterId}`, {
+                         method: 'PUT',
+                         headers: { 'Content-Type': 'application/json' },
+                         body: JSON.stringify(updates)
+                       });
+                       // Optimistic update
+                       setLectureData(prev => {
+                         if (!prev) return null;
+                         return {
+                           ...prev,
+                           chapters: prev.chapters.map(ch => 
+                             ch.id === chapterId ? { ...ch, ...updates } : ch
+                           )
+                         };
+                       });
+                     } catch (e) {
+                       alert("저장 실패");
+                     }
+                  }}
+                  onRegenerateWithFeedback={async (chId, feedback, style) => {
+                    try {
+                      const res = await fetch(`http://localhost:3000/api/chapters/${chId}/regenerate`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ feedback, noteStyle: style, apiKey: settings.apiKey })
+                      });
+                      if (!res.ok) {
+                        const err = await res.json();
+                        throw new Error(err.error || '재생성 실패');
+                      }
+                      setTimeout(() => fetchLectureDetail(selectedId!), 1000);
+                    } catch (e: any) {
+                      alert("재생성 요청 실패: " + e.message);
                     }
-                    setTimeout(() => fetchLectureDetail(selectedId!), 1000);
-                  } catch (e: any) {
-                    alert("재생성 요청 실패: " + e.message);
-                  }
-                }}
-                onGenerateFinalSummary={async () => {
-                  try {
-                    const res = await fetch(`http://localhost:3000/api/lectures/${selectedId}/generate-summary`, {
-                      method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({ apiKey: settings.apiKey })
-                    });
-                    if (!res.ok) {
-                      const err = await res.json();
-                      throw new Error(err.error || 'Generation failed');
+                  }}
+                  onGenerateFinalSummary={async () => {
+                    try {
+                      const res = await fetch(`http://localhost:3000/api/lectures/${selectedId}/generate-summary`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ apiKey: settings.apiKey })
+                      });
+                      if (!res.ok) {
+                        const err = await res.json();
+                        throw new Error(err.error || 'Generation failed');
+                      }
+                      setStreamingStatus({ message: 'Generating Final Summary...', active: true });
+                    } catch (e: any) {
+                      alert("Final Summary 생성 실패: " + e.message);
                     }
-                    setStreamingStatus({ message: 'Generating Final Summary...', active: true });
-                  } catch (e: any) {
-                    alert("Final Summary 생성 실패: " + e.message);
-                  }
-                }}
-                onContinueProcessing={async () => {
-                  try {
-                    const res = await fetch(`http://localhost:3000/api/lectures/${selectedId}/continue-processing`, {
-                      method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({ apiKey: settings.apiKey })
-                    });
-                    if (!res.ok) {
-                      const err = await res.json();
-                      throw new Error(err.error || 'Continue failed');
+                  }}
+                  onContinueProcessing={async () => {
+                    try {
+                      const res = await fetch(`http://localhost:3000/api/lectures/${selectedId}/continue-processing`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ apiKey: settings.apiKey })
+                      });
+                      if (!res.ok) {
+                        const err = await res.json();
+                        throw new Error(err.error || 'Continue failed');
+                      }
+                      const data = await res.json();
+                      setStreamingStatus({ message: `Resuming ${data.pendingCount} chapters...`, active: true });
+                    } catch (e: any) {
+                      alert("이어서 처리 실패: " + e.message);
                     }
-                    const data = await res.json();
-                    setStreamingStatus({ message: `Resuming ${data.pendingCount} chapters...`, active: true });
-                  } catch (e: any) {
-                    alert("이어서 처리 실패: " + e.message);
-                  }
-                }}
-              />
+                  }}
+                />
+              )}
             </div>
           </div>
         )}
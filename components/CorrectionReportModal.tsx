@@ -1,20 +1,87 @@
-
-import React from 'react';
-import { X, CheckCircle, AlertTriangle, FileText, Info } from 'lucide-react';
-import { CorrectionStats, CorrectionDetail } from '../types';
+import React, { useState } from 'react';
+import { X, CheckCircle, AlertTriangle, FileText, Info, Check, Undo2, Loader2, RefreshCw, BookMarked } from 'lucide-react';
+import { CorrectionStats, CorrectionDetail, ReviewableCorrection, AffectedChapter, CorrectionReviewResult, UnresolvedCorrection } from '../types';
 
 interface CorrectionReportModalProps {
+  lectureId: string;
+  apiKey?: string;
   stats: CorrectionStats;
+  corrections?: ReviewableCorrection[] | null; // 없으면 검토 불가 (이전 강의)
+  reviewDisabled?: boolean; // 분석 중에는 대본을 바꾸지 않음
+  onUpdated: (corrections: ReviewableCorrection[]) => void;
+  onReanalyzeStarted: (chapterIds: string[]) => void; // 완료 시 SSE chapter_complete로 갱신
   onClose: () => void;
 }
 
-export const CorrectionReportModal: React.FC<CorrectionReportModalProps> = ({ stats, onClose }) => {
-  // Flatten all corrections
-  const allCorrections = stats.correctionDetails
-    ? stats.correctionDetails.flatMap(d => d.corrections)
+export const CorrectionReportModal: React.FC<CorrectionReportModalProps> = ({
+  lectureId, apiKey, stats, corrections, reviewDisabled = false, onUpdated, onReanalyzeStarted, onClose
+}) => {
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [affected, setAffected] = useState<AffectedChapter[]>([]);
+  const [reanalyzing, setReanalyzing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const reviewable = Array.isArray(corrections);
+
+  // 위치가 기록된 교정이 있으면 그것을, 없으면 세그먼트별 교정 내역을 표시
+  const allCorrections: Array<CorrectionDetail & Partial<ReviewableCorrection>> = reviewable
+    ? corrections!
+    : stats.correctionDetails
+      ? stats.correctionDetails.flatMap(d => d.corrections)
+      : [];
+
+  const unresolved = stats.correctionDetails
+    ? stats.correctionDetails.flatMap(d => d.unresolved || [])
     : [];
 
   const summary = stats.correctionStats;
+  const dictionary = stats.dictionaryStats;
+  const rejectedCount = reviewable ? corrections!.filter(c => c.status === 'rejected').length : 0;
+
+  const review = async (key: string, ids: string[] | undefined, status: ReviewableCorrection['status']) => {
+    setBusyId(key);
+    setError(null);
+    try {
+      const res = await fetch(`http://localhost:3000/api/lectures/${lectureId}/corrections`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids, status })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+      const result = data as CorrectionReviewResult;
+      onUpdated(result.corrections);
+      // 여러 번 검토해도 다시 분석할 챕터는 누적
+      setAffected(prev => [...prev, ...result.affectedChapters.filter(ch => !prev.some(p => p.id === ch.id))]);
+    } catch (e: any) {
+      setError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const reanalyze = async () => {
+    setReanalyzing(true);
+    setError(null);
+    try {
+      const res = await fetch(`http://localhost:3000/api/lectures/${lectureId}/corrections/reanalyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chapterIds: affected.map(ch => ch.id), apiKey })
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setAffected([]);
+      onReanalyzeStarted(affected.map(ch => ch.id));
+    } catch (e: any) {
+      setError(e.message);
+    } finally {
+      setReanalyzing(false);
+    }
+  };
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
@@ -28,7 +95,7 @@ export const CorrectionReportModal: React.FC<CorrectionReportModalProps> = ({ st
             </div>
             <div>
               <h2 className="text-xl font-bold text-gray-900">AI 교정 & 팩트체크 리포트</h2>
-              <p className="text-sm text-gray-500">전처리 과정에서 수정된 내용과 이유를 확인하세요.</p>
+              <p className="text-sm text-gray-500">전처리 과정에서 수정된 내용과 이유를 확인하고, 교정을 하나씩 수락하거나 거절하세요.</p>
             </div>
           </div>
           <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors p-2 rounded-full hover:bg-gray-100">
@@ -74,12 +141,83 @@ export const CorrectionReportModal: React.FC<CorrectionReportModalProps> = ({ st
             </div>
           )}
 
+          {/* Dictionary */}
+          {dictionary && dictionary.totalMatches > 0 && (
+            <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-4 mb-6">
+              <div className="flex items-center gap-2 mb-3">
+                <BookMarked className="w-4 h-4 text-indigo-500" />
+                <h3 className="font-bold text-gray-700">용어 사전 교체 {dictionary.totalMatches}건</h3>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {dictionary.terms.map(t => (
+                  <span
+                    key={t.term}
+                    className="text-xs bg-indigo-50 text-indigo-700 border border-indigo-100 px-2 py-1 rounded"
+                    title={Object.entries(t.variants).map(([variant, count]) => `${variant} ×${count}`).join(', ')}
+                  >
+                    {t.term} <span className="font-bold">{t.count}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Details List */}
           <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
             <div className="p-4 border-b border-gray-100 bg-gray-50 flex items-center gap-2">
               <FileText className="w-4 h-4 text-gray-500" />
               <h3 className="font-bold text-gray-700">상세 수정 내역</h3>
+              {reviewable && allCorrections.length > 0 && (
+                <div className="ml-auto flex items-center gap-2">
+                  <span className="text-xs text-gray-500">
+                    수락 {allCorrections.length - rejectedCount} · 거절 {rejectedCount}
+                  </span>
+                  <button
+                    onClick={() => review('all', undefined, 'accepted')}
+                    disabled={reviewDisabled || busyId !== null || rejectedCount === 0}
+                    className="px-2.5 py-1 text-xs font-medium text-emerald-700 bg-emerald-50 hover:bg-emerald-100 border border-emerald-100 rounded-md disabled:opacity-40"
+                  >
+                    모두 수락
+                  </button>
+                  <button
+                    onClick={() => review('all', undefined, 'rejected')}
+                    disabled={reviewDisabled || busyId !== null || rejectedCount === allCorrections.length}
+                    className="px-2.5 py-1 text-xs font-medium text-red-700 bg-red-50 hover:bg-red-100 border border-red-100 rounded-md disabled:opacity-40"
+                  >
+                    모두 거절
+                  </button>
+                </div>
+              )}
             </div>
+
+            {!reviewable && allCorrections.length > 0 && (
+              <div className="px-4 py-2 text-xs text-gray-500 bg-gray-50 border-b border-gray-100">
+                이 강의는 교정 위치가 기록되지 않아 개별 수락/거절을 할 수 없습니다.
+              </div>
+            )}
+            {reviewable && reviewDisabled && (
+              <div className="px-4 py-2 text-xs text-amber-700 bg-amber-50 border-b border-amber-100">
+                분석이 진행 중인 동안에는 교정을 검토할 수 없습니다.
+              </div>
+            )}
+            {error && (
+              <div className="px-4 py-2 text-xs text-red-700 bg-red-50 border-b border-red-100">{error}</div>
+            )}
+            {affected.length > 0 && (
+              <div className="px-4 py-3 bg-indigo-50 border-b border-indigo-100 flex items-center gap-3">
+                <div className="flex-1 text-xs text-indigo-800">
+                  대본이 바뀐 챕터 {affected.length}개: {affected.map(ch => ch.title).join(', ')}
+                </div>
+                <button
+                  onClick={reanalyze}
+                  disabled={reanalyzing}
+                  className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-md disabled:opacity-50"
+                >
+                  {reanalyzing ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <RefreshCw className="w-3.5 h-3.5" />}
+                  다시 분석
+                </button>
+              </div>
+            )}
             
             {allCorrections.length === 0 ? (
               <div className="p-10 text-center text-gray-400">
@@ -89,7 +227,10 @@ export const CorrectionReportModal: React.FC<CorrectionReportModalProps> = ({ st
             ) : (
               <div className="divide-y divide-gray-100">
                 {allCorrections.map((correction, index) => (
-                  <div key={index} className="p-4 hover:bg-gray-50 transition-colors">
+                  <div
+                    key={correction.id || index}
+                    className={`p-4 hover:bg-gray-50 transition-colors ${correction.status === 'rejected' ? 'opacity-60' : ''}`}
+                  >
                     <div className="flex items-start gap-4">
                       {/* Badge */}
                       <div className="mt-1">
@@ -121,6 +262,33 @@ export const CorrectionReportModal: React.FC<CorrectionReportModalProps> = ({ st
                           </div>
                         </div>
                       </div>
+
+                      {/* Review */}
+                      {correction.id && (
+                        <div className="mt-5 w-20 flex-shrink-0">
+                          {busyId === correction.id ? (
+                            <Loader2 className="w-4 h-4 animate-spin text-gray-400 mx-auto" />
+                          ) : correction.status === 'rejected' ? (
+                            <button
+                              onClick={() => review(correction.id!, [correction.id!], 'accepted')}
+                              disabled={reviewDisabled || busyId !== null}
+                              className="w-full flex items-center justify-center gap-1 px-2 py-1 text-xs font-medium text-gray-600 bg-white hover:bg-gray-100 border border-gray-200 rounded-md disabled:opacity-40"
+                              title="거절됨 - 다시 수락"
+                            >
+                              <Check className="w-3.5 h-3.5" /> 수락
+                            </button>
+                          ) : (
+                            <button
+                              onClick={() => review(correction.id!, [correction.id!], 'rejected')}
+                              disabled={reviewDisabled || busyId !== null}
+                              className="w-full flex items-center justify-center gap-1 px-2 py-1 text-xs font-medium text-red-600 bg-white hover:bg-red-50 border border-red-100 rounded-md disabled:opacity-40"
+                              title="수락됨 - 원문으로 되돌리기"
+                            >
+                              <Undo2 className="w-3.5 h-3.5" /> 거절
+                            </button>
+                          )}
+                        </div>
+                      )}
                     </div>
                     
                     {/* Reason/Context */}
@@ -134,6 +302,33 @@ export const CorrectionReportModal: React.FC<CorrectionReportModalProps> = ({ st
             )}
           </div>
 
+          {/* Unresolved */}
+          {unresolved.length > 0 && (
+            <div className="mt-6 bg-white rounded-xl border border-amber-200 shadow-sm overflow-hidden">
+              <div className="p-4 border-b border-amber-100 bg-amber-50 flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4 text-amber-500" />
+                <h3 className="font-bold text-amber-900">적용하지 못한 교정 ({unresolved.length})</h3>
+              </div>
+              <div className="divide-y divide-gray-100">
+                {unresolved.map((correction: UnresolvedCorrection, index) => (
+                  <div key={index} className="p-4 text-sm flex items-start gap-3">
+                    <span className="bg-amber-100 text-amber-700 text-xs px-2 py-1 rounded font-bold whitespace-nowrap">
+                      {correction.cause === 'overlap' ? '겹침' : '위치 없음'}
+                    </span>
+                    <div className="flex-1">
+                      <div className="text-gray-700">
+                        <span className="text-gray-500">{correction.original}</span>
+                        <span className="mx-2 text-gray-400">→</span>
+                        <span className="font-medium">{correction.corrected}</span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">{correction.reason}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
         </div>
 
         {/* Footer */}
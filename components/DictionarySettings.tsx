@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { BookMarked, Loader2, Pencil, Trash2, Plus, X } from 'lucide-react';
+import { DictionaryEntry } from '../types';
+
+const API = 'http://localhost:3000/api/dictionary';
+
+interface DraftEntry {
+  id: number | null; // null이면 새 용어
+  term: string;
+  variants: string; // 쉼표로 구분
+  note: string;
+}
+
+const EMPTY_DRAFT: DraftEntry = { id: null, term: '', variants: '', note: '' };
+
+export const DictionarySettings: React.FC = () => {
+  const [entries, setEntries] = useState<DictionaryEntry[]>([]);
+  const [draft, setDraft] = useState<DraftEntry>(EMPTY_DRAFT);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = async () => {
+    try {
+      const res = await fetch(API);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setEntries(data.entries);
+    } catch (e: any) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const request = async (url: string, method: string, body?: object) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      await load();
+      return true;
+    } catch (e: any) {
+      setError(e.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    const body = {
+      term: draft.term,
+      variants: draft.variants.split(',').map(v => v.trim()).filter(Boolean),
+      note: draft.note
+    };
+    const saved = draft.id === null
+      ? await request(API, 'POST', body)
+      : await request(`${API}/${draft.id}`, 'PUT', body);
+    if (saved) setDraft(EMPTY_DRAFT);
+  };
+
+  const handleDelete = (entry: DictionaryEntry) => {
+    if (!confirm(`Delete "${entry.term}" from the dictionary?`)) return;
+    request(`${API}/${entry.id}`, 'DELETE');
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-xl border border-gray-100">
+      <label className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+        <BookMarked className="w-4 h-4 text-indigo-500" />
+        Domain Dictionary
+      </label>
+      <p className="text-xs text-gray-600 mt-1 mb-3">
+        Product names and jargon with the spellings speech recognition gets wrong. Known variants are
+        replaced before analysis (even without LLM correction), and the terms are given to the LLM corrector.
+        Applies to lectures created after saving.
+      </p>
+
+      {/* Form */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        <input
+          type="text"
+          value={draft.term}
+          onChange={(e) => setDraft({ ...draft, term: e.target.value })}
+          placeholder="Term (e.g. Kubernetes)"
+          className="p-2 bg-white border border-gray-200 rounded-lg text-sm outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="text"
+          value={draft.variants}
+          onChange={(e) => setDraft({ ...draft, variants: e.target.value })}
+          placeholder="Variants, comma separated (e.g. 쿠버네티즈, 쿠베네티스)"
+          className="p-2 bg-white border border-gray-200 rounded-lg text-sm outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="text"
+          value={draft.note}
+          onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+          placeholder="Note for the corrector (optional)"
+          className="md:col-span-2 p-2 bg-white border border-gray-200 rounded-lg text-sm outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+      <div className="flex items-center justify-end gap-2 mt-2">
+        {draft.id !== null && (
+          <button
+            onClick={() => setDraft(EMPTY_DRAFT)}
+            className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-gray-600 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-3.5 h-3.5" /> Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSubmit}
+          disabled={busy || !draft.term.trim()}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-50"
+        >
+          {busy ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Plus className="w-3.5 h-3.5" />}
+          {draft.id === null ? 'Add Term' : 'Update Term'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-2 text-xs text-red-700 bg-red-50 p-2 rounded-lg">{error}</div>
+      )}
+
+      {/* Entries */}
+      <div className="mt-3 bg-white border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+        {loading ? (
+          <div className="p-4 flex justify-center"><Loader2 className="w-4 h-4 animate-spin text-gray-400" /></div>
+        ) : entries.length === 0 ? (
+          <div className="p-4 text-xs text-gray-400 text-center">No terms yet.</div>
+        ) : entries.map(entry => (
+          <div key={entry.id} className="p-2.5 flex items-start gap-2">
+            <div className="flex-1 min-w-0">
+              <div className="text-sm font-semibold text-gray-900">{entry.term}</div>
+              {entry.variants.length > 0 && (
+                <div className="text-xs text-gray-500 truncate">{entry.variants.join(', ')}</div>
+              )}
+              {entry.note && <div className="text-xs text-gray-400 truncate">{entry.note}</div>}
+            </div>
+            <button
+              onClick={() => setDraft({ id: entry.id, term: entry.term, variants: entry.variants.join(', '), note: entry.note || '' })}
+              className="p-1.5 text-gray-400 hover:text-indigo-600 hover:bg-indigo-50 rounded"
+              title="Edit"
+            >
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={() => handleDelete(entry)}
+              disabled={busy}
+              className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded disabled:opacity-50"
+              title="Delete"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
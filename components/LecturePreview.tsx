@@ -1,12 +1,18 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import MDEditor from '@uiw/react-md-editor';
 import { VisualStructure } from './VisualStructure';
+import { NoteStyleSelect, noteStyleLabel } from './NoteStyleSelect';
 import {
   LectureNote,
   Chapter,
   QuoteWithTimeline,
+  ChapterValidation,
+  ChapterQuality,
+  ChapterProvenance,
+  ChapterGeneration,
   KeyTerm,
-  FinalSummary
+  FinalSummary,
+  NoteStyle
 } from '../types';
 import {
   Clock,
@@ -29,7 +35,8 @@ import {
   MessageSquare,
   Award,
   HelpCircle,
-  ChevronRight
+  ChevronRight,
+  Cpu
 } from 'lucide-react';
 
 interface PreviewProps {
@@ -39,7 +46,7 @@ interface PreviewProps {
   onDeepDive: (chapterId: string) => void;
   onUpdateNote?: (updatedNote: LectureNote) => void;
   onSaveChapter?: (chapterId: string, updates: Partial<Chapter>) => Promise<void>;
-  onRegenerateWithFeedback?: (chapterId: string, feedback: string) => Promise<void>;
+  onRegenerateWithFeedback?: (chapterId: string, feedback: string, noteStyle?: NoteStyle) => Promise<void>;
   onGenerateFinalSummary?: () => Promise<void>;
   onContinueProcessing?: () => Promise<void>;
 }
@@ -216,13 +223,230 @@ const MarkdownContent: React.FC<{ content: string }> = ({ content }) => {
   );
 };
 
+// ========== Chapter Validation Badge ==========
+const FALLBACK_LABELS: Record<string, string> = {
+  no_timestamps: '타임스탬프가 없어 강의 전체를 비율로 나눈 텍스트로 분석했습니다.',
+  short_slice: '챕터 구간의 대본이 너무 짧아 비율로 추정한 텍스트로 분석했습니다.'
+};
+
+const REPAIR_LABELS: Record<string, string> = {
+  start_missing: '시작 시간 없음',
+  start_out_of_range: '시작 시간 범위 밖',
+  end_missing: '종료 시간 없음',
+  end_out_of_range: '종료 시간 범위 밖',
+  inverted: '시작/종료 역전',
+  start_snapped: '시작 시간 자막에 맞춤',
+  end_snapped: '종료 시간 자막에 맞춤',
+  reordered: '챕터 순서 변경',
+  overlap_trimmed: '다음 챕터와 겹침 제거'
+};
+
+const ValidationBadge: React.FC<{ validation?: ChapterValidation }> = ({ validation }) => {
+  if (!validation) return null;
+
+  if (validation.fallback) {
+    return (
+      <span
+        className="inline-flex items-center gap-1 text-xs font-bold bg-amber-400 text-amber-950 px-2 py-0.5 rounded"
+        title={FALLBACK_LABELS[validation.fallback]}
+      >
+        <AlertTriangle className="w-3 h-3" /> 추정 구간
+      </span>
+    );
+  }
+
+  const notes = [
+    ...validation.repairs.map(r => `${REPAIR_LABELS[r.type] || r.type}: ${r.from || '-'} → ${r.to}`),
+    ...validation.flags.map(f => f.type === 'gap_before' ? `앞 챕터와 ${Math.round((f.seconds || 0) / 60)}분 공백` : '구간에 발화 없음')
+  ];
+  if (notes.length === 0) return null;
+
+  return (
+    <span className="text-xs text-blue-100 bg-blue-800/30 px-2 py-0.5 rounded" title={notes.join('\n')}>
+      시간 보정 {notes.length}건
+    </span>
+  );
+};
+
+// ========== Chapter Quality Badge ==========
+const QualityBadge: React.FC<{ quality?: ChapterQuality | null }> = ({ quality }) => {
+  if (!quality || quality.passed) return null;
+
+  const details = [
+    `품질 점수 ${quality.score}/100 (생성 ${quality.attempts}회)`,
+    ...quality.violations.map(v => `- ${v.message}`)
+  ];
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 text-xs font-bold bg-rose-400 text-rose-950 px-2 py-0.5 rounded"
+      title={details.join('\n')}
+    >
+      <AlertTriangle className="w-3 h-3" /> 품질 {quality.score}
+    </span>
+  );
+};
+
+// ========== Quote Provenance Badge ==========
+const ProvenanceBadge: React.FC<{ provenance?: ChapterProvenance | null }> = ({ provenance }) => {
+  if (!provenance || provenance.unmatchedCount === 0) return null;
+
+  const unmatched = provenance.quotes
+    .filter(q => q.status === 'unmatched')
+    .map(q => `- "${q.quote}" ${q.timestamp ? `[${q.timestamp}]` : ''}`);
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 text-xs font-bold bg-orange-300 text-orange-950 px-2 py-0.5 rounded"
+      title={['대본에서 찾지 못한 인용문:', ...unmatched].join('\n')}
+    >
+      <AlertTriangle className="w-3 h-3" /> 인용 미확인 {provenance.unmatchedCount}
+    </span>
+  );
+};
+
+// 기본 모델이 응답하지 못해 대체 모델/축소 입력으로 생성된 노트 표시
+const GenerationBadge: React.FC<{ generation?: ChapterGeneration | null }> = ({ generation }) => {
+  if (!generation?.fallback) return null;
+
+  const calls = generation.calls.map(c =>
+    `- ${c.stage}: ${c.model}${c.inputRatio ? ` (입력 ${Math.round(c.inputRatio * 100)}%)` : ''}${c.fallback ? ' · 대체' : ''}`
+  );
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 text-xs font-bold bg-sky-200 text-sky-950 px-2 py-0.5 rounded"
+      title={['기본 모델 장애로 대체 모델이 작성한 노트:', ...calls].join('\n')}
+    >
+      <Cpu className="w-3 h-3" /> {generation.models[generation.models.length - 1]}
+      {generation.inputRatio ? ` · 입력 ${Math.round(generation.inputRatio * 100)}%` : ''}
+    </span>
+  );
+};
+
+// ========== Styled Note Body (스토리텔링 외 스타일) ==========
+const StyledNoteBody: React.FC<{ chapter: Chapter }> = ({ chapter }) => {
+  switch (chapter.noteStyle) {
+    case 'cornell':
+      return (
+        <div className="rounded-xl border border-slate-200 overflow-hidden">
+          {(chapter.cues || []).map((c, i) => (
+            <div key={i} className="grid grid-cols-3 border-b border-slate-100">
+              <div className="col-span-1 bg-slate-50 p-4 border-r border-slate-100">
+                <p className="font-bold text-slate-800 text-sm">{c.cue}</p>
+                {c.timestamp && <span className="text-[11px] font-mono text-gray-500">{c.timestamp}</span>}
+              </div>
+              <p className="col-span-2 p-4 text-sm text-slate-700 leading-relaxed font-serif-read">{c.notes}</p>
+            </div>
+          ))}
+          {chapter.recap && (
+            <div className="bg-blue-50/50 p-4">
+              <h4 className="text-xs font-bold text-blue-700 uppercase tracking-wider mb-1">Summary</h4>
+              <p className="text-sm text-slate-800 leading-relaxed font-serif-read">{chapter.recap}</p>
+            </div>
+          )}
+        </div>
+      );
+
+    case 'exam_cram':
+      return (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {(chapter.outline || []).map((item, i) => (
+              <div key={i} className="bg-slate-50 rounded-xl p-4 border border-slate-100">
+                <h4 className="font-bold text-slate-800 mb-2">{item.heading}</h4>
+                <ul className="space-y-1">
+                  {(item.points || []).map((p, j) => (
+                    <li key={j} className="text-sm text-slate-700">• {p}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+          {(chapter.mustMemorize || []).length > 0 && (
+            <div className="bg-rose-50/50 rounded-xl border border-rose-100 p-5">
+              <h4 className="font-bold text-rose-900 mb-2">📌 반드시 암기</h4>
+              <ul className="space-y-1">
+                {(chapter.mustMemorize || []).map((m, i) => (
+                  <li key={i} className="text-sm text-slate-800 font-medium">• {m}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {(chapter.likelyQuestions || []).length > 0 && (
+            <div className="bg-indigo-50/50 rounded-xl border border-indigo-100 p-5 space-y-3">
+              <h4 className="font-bold text-indigo-900 flex items-center gap-2">
+                <HelpCircle className="w-4 h-4" /> 예상 문제
+              </h4>
+              {(chapter.likelyQuestions || []).map((q, i) => (
+                <details key={i} className="bg-white rounded-lg border border-indigo-100 p-3">
+                  <summary className="text-sm font-bold text-slate-800 cursor-pointer">Q{i + 1}. {q.question}</summary>
+                  <p className="text-sm text-slate-700 mt-2">{q.answer}</p>
+                </details>
+              ))}
+            </div>
+          )}
+        </div>
+      );
+
+    case 'executive_briefing':
+      return (
+        <div className="space-y-4">
+          {chapter.keyMessage && (
+            <div className="bg-slate-900 text-white rounded-xl p-5">
+              <h4 className="text-xs font-bold uppercase tracking-wider text-slate-400 mb-1">Bottom Line</h4>
+              <p className="text-lg font-bold">{chapter.keyMessage}</p>
+            </div>
+          )}
+          {chapter.situation && (
+            <p className="text-slate-700 leading-relaxed font-serif-read">{chapter.situation}</p>
+          )}
+          {(chapter.implications || []).length > 0 && (
+            <div className="bg-slate-50 rounded-xl border border-slate-100 p-5">
+              <h4 className="font-bold text-slate-800 mb-2">Implications</h4>
+              <ul className="space-y-1">
+                {(chapter.implications || []).map((item, i) => (
+                  <li key={i} className="text-sm text-slate-700">• {item}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      );
+
+    case 'transcript_digest':
+      return (
+        <div className="space-y-6">
+          {(chapter.segments || []).map((seg, i) => (
+            <div key={i}>
+              <div className="flex items-center gap-2 mb-2">
+                <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-[11px] font-bold bg-gray-100 text-gray-600 font-mono">
+                  <Clock className="w-3 h-3" />
+                  {seg.timestamp}
+                </span>
+                <h4 className="font-bold text-slate-800">{seg.heading}</h4>
+              </div>
+              <blockquote className="border-l-4 border-slate-300 pl-4 text-slate-800 font-serif-read whitespace-pre-line">
+                {seg.verbatim}
+              </blockquote>
+              {seg.note && <p className="text-sm text-slate-500 mt-2">{seg.note}</p>}
+            </div>
+          ))}
+        </div>
+      );
+
+    default:
+      return null;
+  }
+};
+
 // ========== Chapter Card ========== 
 const ChapterCard: React.FC<{
   chapter: Chapter;
   chapterNumber: number;
   onDeepDive: () => void;
   onSaveEdit?: (chapterId: string, updatedChapter: Partial<Chapter>) => void;
-  onRegenerateWithFeedback?: (chapterId: string, feedback: string) => Promise<void>;
+  onRegenerateWithFeedback?: (chapterId: string, feedback: string, noteStyle?: NoteStyle) => Promise<void>;
 }> = ({ chapter, chapterNumber, onDeepDive, onSaveEdit, onRegenerateWithFeedback }) => {
   const isCompleted = chapter.status === 'completed';
   const isProcessing = chapter.status === 'processing';
@@ -232,6 +456,10 @@ const ChapterCard: React.FC<{
   const [showFeedback, setShowFeedback] = useState(false);
   const [feedback, setFeedback] = useState('');
   const [isRegenerating, setIsRegenerating] = useState(false);
+  const currentStyle: NoteStyle = chapter.noteStyle || 'storytelling';
+  const isStorytelling = currentStyle === 'storytelling';
+  const [targetStyle, setTargetStyle] = useState<NoteStyle>(currentStyle);
+  const styleChanged = targetStyle !== currentStyle;
 
   const handleSaveEdit = () => {
     if (onSaveEdit) {
@@ -258,11 +486,11 @@ const ChapterCard: React.FC<{
   };
 
   const handleRegenerateWithFeedback = async () => {
-    if (!onRegenerateWithFeedback || !feedback.trim()) return;
+    if (!onRegenerateWithFeedback || (!feedback.trim() && !styleChanged)) return;
 
     setIsRegenerating(true);
     try {
-      await onRegenerateWithFeedback(chapter.id, feedback);
+      await onRegenerateWithFeedback(chapter.id, feedback, styleChanged ? targetStyle : undefined);
       setShowFeedback(false);
       setFeedback('');
     } catch (e) {
@@ -288,6 +516,15 @@ const ChapterCard: React.FC<{
                   {chapter.timeRange}
                 </span>
               )}
+              <ValidationBadge validation={chapter.validation} />
+              <QualityBadge quality={chapter.quality} />
+              <ProvenanceBadge provenance={chapter.provenance} />
+              <GenerationBadge generation={chapter.generation} />
+              {!isStorytelling && (
+                <span className="text-xs text-blue-100 bg-blue-800/30 px-2 py-0.5 rounded">
+                  {noteStyleLabel(currentStyle)}
+                </span>
+              )}
             </div>
             <h2 className="text-2xl font-black tracking-tight">{chapter.title}</h2>
           </div>
@@ -350,16 +587,24 @@ const ChapterCard: React.FC<{
               placeholder="예: 예시를 더 추가해줘, 말투를 바꿔줘..."
               className="w-full h-24 p-3 bg-white border border-orange-200 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent resize-y text-sm mt-2"
             />
+            <div className="flex items-center gap-3">
+              <label className="text-sm font-bold text-orange-900 flex-shrink-0">노트 스타일</label>
+              <NoteStyleSelect
+                value={targetStyle}
+                onChange={setTargetStyle}
+                className="flex-1 p-2 bg-white border border-orange-200 rounded-lg text-sm focus:ring-2 focus:ring-orange-500 outline-none"
+              />
+            </div>
             <div className="flex gap-2 justify-end">
               <button
-                onClick={() => { setShowFeedback(false); setFeedback(''); }}
+                onClick={() => { setShowFeedback(false); setFeedback(''); setTargetStyle(currentStyle); }}
                 className="px-4 py-2 text-sm font-medium text-gray-600 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
               >
                 취소
               </button>
               <button
                 onClick={handleRegenerateWithFeedback}
-                disabled={!feedback.trim() || isRegenerating}
+                disabled={(!feedback.trim() && !styleChanged) || isRegenerating}
                 className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-orange-600 rounded-lg hover:bg-orange-700 transition-colors disabled:opacity-50 shadow-sm"
               >
                 <RefreshCw className={`w-4 h-4 ${isRegenerating ? 'animate-spin' : ''}`} />
@@ -375,8 +620,11 @@ const ChapterCard: React.FC<{
           </div>
         ) : (
           <div className="space-y-8">
+            {/* 📖 스타일별 본문 (코넬, 시험 대비, 브리핑, 원문 발췌) */}
+            {!isStorytelling && <StyledNoteBody chapter={chapter} />}
+
             {/* 📖 핵심 내용 */}
-            {(chapter.narrative || chapter.detailedNote || isEditing) && (
+            {isStorytelling && (chapter.narrative || chapter.detailedNote || isEditing) && (
               <div className="bg-slate-50/50 rounded-xl p-1 border border-slate-100">
                 <div className="flex items-center justify-between px-4 py-3 bg-white rounded-t-xl border-b border-slate-100">
                   <div className="flex items-center gap-2">
@@ -429,6 +677,35 @@ const ChapterCard: React.FC<{
               </div>
             )}
 
+            {/* 🗣️ 화자가 기록된 인용문 */}
+            {(chapter.quotesWithTimeline || []).some((q: QuoteWithTimeline) => q.speaker) && (
+              <div className="bg-white rounded-xl border border-slate-100 overflow-hidden">
+                <div className="px-5 py-3 border-b border-slate-100 flex items-center gap-2">
+                  <MessageSquare className="w-4 h-4 text-slate-600" />
+                  <h3 className="font-bold text-slate-800">Key Quotes</h3>
+                </div>
+                <div className="p-5 space-y-4">
+                  {(chapter.quotesWithTimeline || []).filter((q: QuoteWithTimeline) => q.speaker).map((q: QuoteWithTimeline, i: number) => (
+                    <div key={i} className="flex items-start gap-3">
+                      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-[11px] font-bold bg-gray-100 text-gray-600 font-mono flex-shrink-0 mt-0.5">
+                        <Clock className="w-3 h-3" />
+                        {q.timestamp}
+                      </span>
+                      <div>
+                        <p className="text-gray-900 font-serif-read">"{q.quote}"</p>
+                        <p className="text-xs text-indigo-600 font-semibold mt-1">
+                          — {q.speaker}
+                          {chapter.provenance?.quotes.some(c => c.source === 'timeline' && c.status === 'unmatched' && c.quote === q.quote) && (
+                            <span className="ml-2 text-orange-600">대본 미확인</span>
+                          )}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Visual Structure (구조화된 시각 요소) */}
             {chapter.visualStructure && chapter.visualStructure.items && chapter.visualStructure.items.length > 0 && (
               <div className="my-4">
@@ -899,7 +1176,12 @@ export const LecturePreview: React.FC<PreviewProps> = ({
                   <div className="grid gap-4 sm:grid-cols-2">
                     {note.finalSummary.globalGlossary.map((term, i) => (
                       <div key={i} className="bg-white p-5 rounded-2xl shadow-sm border border-slate-100 hover:shadow-md transition-shadow">
-                        <h4 className="font-bold text-indigo-700 mb-2 text-lg">{term.term}</h4>
+                        <h4 className="font-bold text-indigo-700 mb-2 text-lg">
+                          {term.term}
+                          {term.originalTerm && term.originalTerm !== term.term && (
+                            <span className="ml-2 text-sm font-medium text-slate-400">{term.originalTerm}</span>
+                          )}
+                        </h4>
                         <p className="text-sm text-slate-600 leading-relaxed font-serif-read">{term.definition}</p>
                         {term.context && (
                             <p className="text-xs text-slate-400 mt-3 pt-3 border-t border-slate-50 italic">
@@ -0,0 +1,34 @@
+import React from 'react';
+import { NoteStyle } from '../types';
+
+// 서버 NOTE_STYLES와 같은 순서/이름
+export const NOTE_STYLE_OPTIONS: Array<{ id: NoteStyle; label: string; description: string }> = [
+  { id: 'storytelling', label: '스토리텔링', description: '강사 인용과 해석을 엮은 아티클' },
+  { id: 'cornell', label: '코넬 노트', description: '단서-필기 2단 구성과 하단 요약' },
+  { id: 'exam_cram', label: '시험 대비 요약', description: '불릿 개요, 암기 목록, 예상 문제' },
+  { id: 'executive_briefing', label: '경영진 브리핑', description: '결론, 핵심 발견, 시사점, 권장 조치' },
+  { id: 'transcript_digest', label: '원문 발췌 다이제스트', description: '시간순 원문 발췌와 짧은 설명' }
+];
+
+export const noteStyleLabel = (style?: NoteStyle) =>
+  NOTE_STYLE_OPTIONS.find(option => option.id === (style || 'storytelling'))?.label || style;
+
+interface NoteStyleSelectProps {
+  value: NoteStyle;
+  onChange: (style: NoteStyle) => void;
+  className?: string;
+}
+
+export const NoteStyleSelect: React.FC<NoteStyleSelectProps> = ({ value, onChange, className }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value as NoteStyle)}
+    className={className || 'w-full p-3 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-gray-900'}
+  >
+    {NOTE_STYLE_OPTIONS.map(option => (
+      <option key={option.id} value={option.id}>
+        {option.label} - {option.description}
+      </option>
+    ))}
+  </select>
+);
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { ListChecks, Plus, Trash2, Save, Play, Loader2, Clock } from 'lucide-react';
+import { ChapterValidation } from '../types';
+
+export interface OutlineChapter {
+  id?: string;
+  title: string;
+  startTime?: string;
+  endTime?: string;
+  summary?: string;
+  keyTopics?: string[];
+  duration?: number | null;
+  validation?: ChapterValidation;
+}
+
+interface OutlineReviewProps {
+  lectureId: string;
+  chapters: OutlineChapter[];
+  apiKey: string;
+  onSaved: (chapters: OutlineChapter[]) => void;
+  onStarted: (chapters?: OutlineChapter[]) => void;
+}
+
+interface DraftChapter {
+  title: string;
+  startTime: string;
+  endTime: string;
+  summary: string;
+  keyTopics: string; // 쉼표로 구분
+  duration?: number | null;
+}
+
+const toDraft = (ch: OutlineChapter): DraftChapter => ({
+  title: ch.title || '',
+  startTime: ch.startTime || '',
+  endTime: ch.endTime || '',
+  summary: ch.summary || '',
+  keyTopics: (ch.keyTopics || []).join(', '),
+  duration: ch.duration
+});
+
+const fromDraft = (draft: DraftChapter) => ({
+  title: draft.title,
+  startTime: draft.startTime,
+  endTime: draft.endTime,
+  summary: draft.summary,
+  keyTopics: draft.keyTopics.split(',').map(t => t.trim()).filter(Boolean)
+});
+
+export const OutlineReview: React.FC<OutlineReviewProps> = ({ lectureId, chapters, apiKey, onSaved, onStarted }) => {
+  const [drafts, setDrafts] = useState<DraftChapter[]>(() => chapters.map(toDraft));
+  const [isDirty, setIsDirty] = useState(false);
+  const [busy, setBusy] = useState<'save' | 'start' | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const updateDraft = (idx: number, updates: Partial<DraftChapter>) => {
+    setDrafts(prev => prev.map((d, i) => (i === idx ? { ...d, ...updates } : d)));
+    setIsDirty(true);
+  };
+
+  const addChapter = (afterIdx: number) => {
+    const prev = drafts[afterIdx];
+    const chapter: DraftChapter = { title: '', startTime: prev?.endTime || '', endTime: '', summary: '', keyTopics: '' };
+    setDrafts(d => [...d.slice(0, afterIdx + 1), chapter, ...d.slice(afterIdx + 1)]);
+    setIsDirty(true);
+  };
+
+  const removeChapter = (idx: number) => {
+    setDrafts(d => d.filter((_, i) => i !== idx));
+    setIsDirty(true);
+  };
+
+  const request = async (url: string, method: string, body: object) => {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  };
+
+  const handleSave = async () => {
+    setBusy('save');
+    setError(null);
+    try {
+      const data = await request(`http://localhost:3000/api/lectures/${lectureId}/outline`, 'PUT', {
+        chapters: drafts.map(fromDraft)
+      });
+      setDrafts(data.chapters.map(toDraft));
+      setIsDirty(false);
+      onSaved(data.chapters);
+    } catch (e: any) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleStart = async () => {
+    setBusy('start');
+    setError(null);
+    try {
+      // 수정한 내용이 있으면 함께 보내 저장 후 시작
+      const data = await request(`http://localhost:3000/api/lectures/${lectureId}/start-deep-dive`, 'POST', {
+        apiKey,
+        ...(isDirty && { chapters: drafts.map(fromDraft) })
+      });
+      onStarted(data.chapters);
+    } catch (e: any) {
+      setError(e.message);
+      setBusy(null);
+    }
+  };
+
+  const hasEmptyTitle = drafts.some(d => !d.title.trim());
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 md:p-10">
+      <div className="flex items-start justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-indigo-100 rounded-full flex items-center justify-center text-indigo-600">
+            <ListChecks className="w-5 h-5" />
+          </div>
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">챕터 아웃라인 검토</h2>
+            <p className="text-sm text-gray-500">제목, 시간, 요약을 확인하고 수정한 뒤 상세 분석을 시작하세요.</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || busy !== null || hasEmptyTitle}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-100 border border-slate-200 rounded-lg transition-colors disabled:opacity-40"
+          >
+            {busy === 'save' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            저장
+          </button>
+          <button
+            onClick={handleStart}
+            disabled={busy !== null || drafts.length === 0 || hasEmptyTitle}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg transition-colors shadow-sm disabled:opacity-40"
+          >
+            {busy === 'start' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+            Deep Dive 시작
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {drafts.map((draft, idx) => (
+          <div key={idx} className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+            <div className="flex items-center gap-2 mb-3">
+              <span className="text-xs font-bold text-indigo-600 bg-indigo-50 px-2 py-1 rounded-full flex-shrink-0">
+                {idx + 1}
+              </span>
+              <input
+                value={draft.title}
+                onChange={(e) => updateDraft(idx, { title: e.target.value })}
+                placeholder="챕터 제목"
+                className="flex-1 px-3 py-1.5 text-sm font-semibold border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <button
+                onClick={() => removeChapter(idx)}
+                disabled={drafts.length === 1}
+                className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-30"
+                title="챕터 삭제"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+              <Clock className="w-4 h-4 text-gray-400" />
+              <input
+                value={draft.startTime}
+                onChange={(e) => updateDraft(idx, { startTime: e.target.value })}
+                placeholder="0:00"
+                className="w-24 px-2 py-1 font-mono border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <span className="text-gray-400">~</span>
+              <input
+                value={draft.endTime}
+                onChange={(e) => updateDraft(idx, { endTime: e.target.value })}
+                placeholder="10:00"
+                className="w-24 px-2 py-1 font-mono border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              {draft.duration != null && <span className="text-xs text-gray-500">{draft.duration}분</span>}
+            </div>
+
+            <textarea
+              value={draft.summary}
+              onChange={(e) => updateDraft(idx, { summary: e.target.value })}
+              placeholder="챕터 요약"
+              rows={2}
+              className="w-full px-3 py-2 text-sm text-gray-700 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 resize-y"
+            />
+            <input
+              value={draft.keyTopics}
+              onChange={(e) => updateDraft(idx, { keyTopics: e.target.value })}
+              placeholder="핵심 주제 (쉼표로 구분)"
+              className="w-full mt-2 px-3 py-1.5 text-xs text-gray-600 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+
+            <button
+              onClick={() => addChapter(idx)}
+              className="mt-3 flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800"
+            >
+              <Plus className="w-3 h-3" /> 아래에 챕터 추가
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -2,12 +2,16 @@
  * Settings Tab Component
  *
  * Provides UI for managing AI settings:
- * - Provider selection (Google only for now)
- * - Model selection (flash/pro)
+ * - Provider selection (Google / OpenAI-compatible)
+ * - Base URL for OpenAI-compatible endpoints
+ * - Model selection (preset list, free-form for OpenAI-compatible servers)
  * - API key input (masked)
  * - Temperature slider (0.0-1.0)
  * - Max tokens input
  * - LLM correction toggle
+ * - Domain dictionary (stored on the server)
+ * - Note language and bilingual key terms
+ * - Parallel chapter analysis
  *
  * @module SettingsTab
  */
@@ -26,9 +30,35 @@ import {
   RotateCcw,
   CheckCircle,
   AlertCircle,
-  Info
+  Info,
+  Link,
+  ListChecks,
+  Languages,
+  Layers,
+  Eraser
 } from 'lucide-react';
-import { useSettings, AVAILABLE_MODELS, type AISettings } from '../hooks/useSettings';
+import {
+  useSettings,
+  AVAILABLE_MODELS,
+  AVAILABLE_PROVIDERS,
+  requiresApiKey,
+  type AISettings,
+  type AIProviderId,
+  type TargetLanguage
+} from '../hooks/useSettings';
+import { DictionarySettings } from './DictionarySettings';
+
+// 서버 LANGUAGE와 같은 코드
+const TARGET_LANGUAGE_OPTIONS: Array<{ id: TargetLanguage; label: string }> = [
+  { id: 'ko', label: '한국어' },
+  { id: 'en', label: 'English' },
+  { id: 'ja', label: '日本語' },
+  { id: 'zh', label: '中文' },
+  { id: 'source', label: 'Same as lecture' }
+];
+
+// 서버 DEEP_DIVE_DEFAULT_CONFIG.maxConcurrency까지
+const DEEP_DIVE_CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6];
 
 /**
  * Settings Tab Props
@@ -49,6 +79,7 @@ export const SettingsTab: React.FC<SettingsTabProps> = ({ onSave, onClose }) =>
     updateSettings,
     resetSettings,
     hasApiKey,
+    needsApiKey,
     validateSettings,
     isLoading
   } = useSettings();
@@ -86,9 +117,20 @@ export const SettingsTab: React.FC<SettingsTabProps> = ({ onSave, onClose }) =>
     updateSettings({ apiKey: e.target.value });
   }, [updateSettings]);
 
+  // Handle provider change (switch to the provider's default model)
+  const handleProviderChange = useCallback((provider: AIProviderId) => {
+    if (provider === settings.provider) return;
+    updateSettings({ provider, model: AVAILABLE_PROVIDERS[provider].defaultModel });
+  }, [settings.provider, updateSettings]);
+
+  // Handle base URL change
+  const handleBaseUrlChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    updateSettings({ baseUrl: e.target.value.trim() });
+  }, [updateSettings]);
+
   // Handle model change
-  const handleModelChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
-    updateSettings({ model: e.target.value as AISettings['model'] });
+  const handleModelChange = useCallback((e: React.ChangeEvent<HTMLSelectElement | HTMLInputElement>) => {
+    updateSettings({ model: e.target.value });
   }, [updateSettings]);
 
   // Handle temperature change
@@ -109,6 +151,21 @@ export const SettingsTab: React.FC<SettingsTabProps> = ({ onSave, onClose }) =>
     updateSettings({ llmCorrectionEnabled: !settings.llmCorrectionEnabled });
   }, [settings.llmCorrectionEnabled, updateSettings]);
 
+  // Handle filler/stutter cleanup toggle
+  const handleDisfluencyCleanupToggle = useCallback(() => {
+    updateSettings({ disfluencyCleanup: !settings.disfluencyCleanup });
+  }, [settings.disfluencyCleanup, updateSettings]);
+
+  // Handle outline review toggle
+  const handleReviewOutlineToggle = useCallback(() => {
+    updateSettings({ reviewOutline: !settings.reviewOutline });
+  }, [settings.reviewOutline, updateSettings]);
+
+  // Handle bilingual key terms toggle
+  const handleBilingualTermsToggle = useCallback(() => {
+    updateSettings({ bilingualTerms: !settings.bilingualTerms });
+  }, [settings.bilingualTerms, updateSettings]);
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-full">
@@ -138,46 +195,114 @@ export const SettingsTab: React.FC<SettingsTabProps> = ({ onSave, onClose }) =>
               <Cpu className="w-4 h-4 text-gray-400" />
               AI Provider
             </label>
-            <div className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg border border-gray-200">
-              <div className="w-8 h-8 bg-white rounded-lg flex items-center justify-center shadow-sm">
-                <svg viewBox="0 0 24 24" className="w-5 h-5" fill="none">
-                  <path d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" fill="#4285F4"/>
-                  <path d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" fill="#34A853"/>
-                  <path d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" fill="#FBBC05"/>
-                  <path d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" fill="#EA4335"/>
-                </svg>
-              </div>
-              <div className="flex-1">
-                <p className="font-medium text-gray-900">Google AI</p>
-                <p className="text-xs text-gray-500">Gemini models</p>
-              </div>
-              <span className="px-2 py-1 bg-green-100 text-green-700 text-xs font-medium rounded-full">
-                Active
-              </span>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {(Object.keys(AVAILABLE_PROVIDERS) as AIProviderId[]).map(id => {
+                const provider = AVAILABLE_PROVIDERS[id];
+                const isActive = settings.provider === id;
+                return (
+                  <button
+                    key={id}
+                    type="button"
+                    onClick={() => handleProviderChange(id)}
+                    className={`flex items-center gap-3 p-3 rounded-lg border text-left transition-all ${
+                      isActive ? 'bg-indigo-50 border-indigo-300' : 'bg-gray-50 border-gray-200 hover:border-gray-300'
+                    }`}
+                  >
+                    <div className="w-8 h-8 bg-white rounded-lg flex items-center justify-center shadow-sm">
+                      {id === 'google' ? (
+                        <svg viewBox="0 0 24 24" className="w-5 h-5" fill="none">
+                          <path d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" fill="#4285F4"/>
+                          <path d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" fill="#34A853"/>
+                          <path d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" fill="#FBBC05"/>
+                          <path d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" fill="#EA4335"/>
+                        </svg>
+                      ) : (
+                        <Cpu className="w-5 h-5 text-gray-700" />
+                      )}
+                    </div>
+                    <div className="flex-1">
+                      <p className="font-medium text-gray-900">{provider.name}</p>
+                      <p className="text-xs text-gray-500">{provider.description}</p>
+                    </div>
+                    {isActive && (
+                      <span className="px-2 py-1 bg-green-100 text-green-700 text-xs font-medium rounded-full">
+                        Active
+                      </span>
+                    )}
+                  </button>
+                );
+              })}
             </div>
           </div>
 
+          {/* Base URL (OpenAI-compatible only) */}
+          {settings.provider === 'openai' && (
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                <Link className="w-4 h-4 text-gray-400" />
+                Base URL
+              </label>
+              <input
+                type="url"
+                value={settings.baseUrl}
+                onChange={handleBaseUrlChange}
+                placeholder="https://api.openai.com/v1"
+                className="w-full p-3 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all font-mono text-sm"
+              />
+              <p className="text-xs text-gray-500 flex items-center gap-1">
+                <Info className="w-3 h-3" />
+                Chat completions endpoint root, e.g. http://localhost:8080/v1 for llama.cpp or vLLM
+              </p>
+            </div>
+          )}
+
           {/* Model Selection */}
           <div className="space-y-2">
             <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
               <Sparkles className="w-4 h-4 text-gray-400" />
               Model
             </label>
-            <select
-              value={settings.model}
-              onChange={handleModelChange}
-              className="w-full p-3 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-gray-900"
-            >
-              {Object.entries(AVAILABLE_MODELS).map(([key, model]) => (
-                <option key={key} value={key}>
-                  {model.name} - {model.description}
-                </option>
-              ))}
-            </select>
-            <p className="text-xs text-gray-500 flex items-center gap-1">
-              <Info className="w-3 h-3" />
-              Flash is faster and cheaper, Pro is more capable for complex tasks
-            </p>
+            {settings.provider === 'openai' ? (
+              <>
+                <input
+                  type="text"
+                  list="openai-models"
+                  value={settings.model}
+                  onChange={handleModelChange}
+                  placeholder="gpt-4o-mini"
+                  className="w-full p-3 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-gray-900"
+                />
+                <datalist id="openai-models">
+                  {Object.entries(AVAILABLE_MODELS.openai).map(([key, model]) => (
+                    <option key={key} value={key}>
+                      {model.name} - {model.description}
+                    </option>
+                  ))}
+                </datalist>
+                <p className="text-xs text-gray-500 flex items-center gap-1">
+                  <Info className="w-3 h-3" />
+                  Local servers accept the model name they were started with
+                </p>
+              </>
+            ) : (
+              <>
+                <select
+                  value={settings.model}
+                  onChange={handleModelChange}
+                  className="w-full p-3 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-gray-900"
+                >
+                  {Object.entries(AVAILABLE_MODELS.google).map(([key, model]) => (
+                    <option key={key} value={key}>
+                      {model.name} - {model.description}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 flex items-center gap-1">
+                  <Info className="w-3 h-3" />
+                  Flash is faster and cheaper, Pro is more capable for complex tasks
+                </p>
+              </>
+            )}
           </div>
 
           {/* API Key */}
@@ -196,7 +321,7 @@ export const SettingsTab: React.FC<SettingsTabProps> = ({ onSave, onClose }) =>
                 type={showApiKey ? 'text' : 'password'}
                 value={settings.apiKey}
                 onChange={handleApiKeyChange}
-                placeholder="Enter your Google AI API key"
+                placeholder={settings.provider === 'openai' ? 'Enter your OpenAI API key' : 'Enter your Google AI API key'}
                 className="w-full p-3 pr-12 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all font-mono text-sm"
               />
               <button
@@ -207,17 +332,25 @@ export const SettingsTab: React.FC<SettingsTabProps> = ({ onSave, onClose }) =>
                 {showApiKey ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
               </button>
             </div>
-            <p className="text-xs text-gray-500">
-              Get your API key from{' '}
-              <a
-                href="https://aistudio.google.com/app/apikey"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-indigo-600 hover:underline"
-              >
-                Google AI Studio
-              </a>
-            </p>
+            {settings.provider === 'openai' ? (
+              <p className="text-xs text-gray-500">
+                {requiresApiKey(settings)
+                  ? 'Required for the OpenAI API'
+                  : 'Optional for local servers that do not check keys'}
+              </p>
+            ) : (
+              <p className="text-xs text-gray-500">
+                Get your API key from{' '}
+                <a
+                  href="https://aistudio.google.com/app/apikey"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-indigo-600 hover:underline"
+                >
+                  Google AI Studio
+                </a>
+              </p>
+            )}
           </div>
 
           {/* Temperature */}
@@ -292,13 +425,151 @@ export const SettingsTab: React.FC<SettingsTabProps> = ({ onSave, onClose }) =>
                 />
               </button>
             </div>
-            {settings.llmCorrectionEnabled && !hasApiKey && (
+            {settings.llmCorrectionEnabled && needsApiKey && (
               <div className="mt-3 flex items-center gap-2 text-amber-700 text-xs bg-amber-50 p-2 rounded-lg">
                 <AlertCircle className="w-4 h-4" />
                 API key required for LLM correction
               </div>
             )}
           </div>
+
+          {/* Filler Cleanup Toggle */}
+          <div className="p-4 bg-gray-50 rounded-xl border border-gray-100">
+            <div className="flex items-start gap-4">
+              <div className="flex-1">
+                <label className="flex items-center gap-2 text-sm font-semibold text-gray-900 cursor-pointer">
+                  <Eraser className="w-4 h-4 text-indigo-500" />
+                  Filler Word Cleanup
+                </label>
+                <p className="text-xs text-gray-600 mt-1">
+                  Remove fillers (음, 어, um, uh) and stuttered words before analysis, using the
+                  detected lecture language. Rule-based, so it works without LLM correction.
+                </p>
+              </div>
+              <button
+                type="button"
+                role="switch"
+                aria-checked={settings.disfluencyCleanup}
+                onClick={handleDisfluencyCleanupToggle}
+                className={`relative inline-flex h-6 w-11 flex-shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 ${
+                  settings.disfluencyCleanup ? 'bg-indigo-600' : 'bg-gray-200'
+                }`}
+              >
+                <span
+                  className={`pointer-events-none inline-block h-5 w-5 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out ${
+                    settings.disfluencyCleanup ? 'translate-x-5' : 'translate-x-0'
+                  }`}
+                />
+              </button>
+            </div>
+          </div>
+
+          {/* Domain Dictionary */}
+          <DictionarySettings />
+
+          {/* Outline Review Toggle */}
+          <div className="p-4 bg-gray-50 rounded-xl border border-gray-100">
+            <div className="flex items-start gap-4">
+              <div className="flex-1">
+                <label className="flex items-center gap-2 text-sm font-semibold text-gray-900 cursor-pointer">
+                  <ListChecks className="w-4 h-4 text-indigo-500" />
+                  Review Outline Before Deep Dive
+                </label>
+                <p className="text-xs text-gray-600 mt-1">
+                  Stop after chapter extraction so you can edit chapter titles, times and summaries
+                  before the detailed analysis starts.
+                </p>
+              </div>
+              <button
+                type="button"
+                role="switch"
+                aria-checked={settings.reviewOutline}
+                onClick={handleReviewOutlineToggle}
+                className={`relative inline-flex h-6 w-11 flex-shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 ${
+                  settings.reviewOutline ? 'bg-indigo-600' : 'bg-gray-200'
+                }`}
+              >
+                <span
+                  className={`pointer-events-none inline-block h-5 w-5 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out ${
+                    settings.reviewOutline ? 'translate-x-5' : 'translate-x-0'
+                  }`}
+                />
+              </button>
+            </div>
+          </div>
+
+          {/* Parallel Chapter Analysis */}
+          <div className="p-4 bg-gray-50 rounded-xl border border-gray-100">
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+              <Layers className="w-4 h-4 text-indigo-500" />
+              Chapters Analyzed at Once
+            </label>
+            <p className="text-xs text-gray-600 mt-1 mb-2">
+              With 1, chapters are analyzed in order and each one builds on the previous chapter's note.
+              Higher values analyze several chapters at the same time from the lecture outline and a shared
+              term list: much faster for long lectures, but more requests run at once.
+            </p>
+            <select
+              value={settings.deepDiveConcurrency}
+              onChange={(e) => updateSettings({ deepDiveConcurrency: Number(e.target.value) })}
+              className="w-full p-3 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-gray-900"
+            >
+              {DEEP_DIVE_CONCURRENCY_OPTIONS.map(value => (
+                <option key={value} value={value}>
+                  {value === 1 ? '1 (in order)' : `${value} (parallel)`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Note Language */}
+          <div className="p-4 bg-gray-50 rounded-xl border border-gray-100 space-y-4">
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+                <Languages className="w-4 h-4 text-indigo-500" />
+                Note Language
+              </label>
+              <p className="text-xs text-gray-600 mt-1 mb-2">
+                Language the chapters, notes and summary are written in. The lecture language is
+                detected automatically; quotes always stay in the original wording.
+              </p>
+              <select
+                value={settings.targetLanguage}
+                onChange={(e) => updateSettings({ targetLanguage: e.target.value as TargetLanguage })}
+                className="w-full p-3 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition-all text-gray-900"
+              >
+                {TARGET_LANGUAGE_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-start gap-4">
+              <div className="flex-1">
+                <label className="text-sm font-semibold text-gray-900 cursor-pointer">
+                  Bilingual Key Terms
+                </label>
+                <p className="text-xs text-gray-600 mt-1">
+                  When notes are translated, keep each key term in the lecture's language next to
+                  the translation, in chapters and in the glossary.
+                </p>
+              </div>
+              <button
+                type="button"
+                role="switch"
+                aria-checked={settings.bilingualTerms}
+                onClick={handleBilingualTermsToggle}
+                className={`relative inline-flex h-6 w-11 flex-shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 ${
+                  settings.bilingualTerms ? 'bg-indigo-600' : 'bg-gray-200'
+                }`}
+              >
+                <span
+                  className={`pointer-events-none inline-block h-5 w-5 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out ${
+                    settings.bilingualTerms ? 'translate-x-5' : 'translate-x-0'
+                  }`}
+                />
+              </button>
+            </div>
+          </div>
         </div>
 
         {/* Action Buttons */}
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { X, Users, Loader2, Check, GitMerge } from 'lucide-react';
+import { Speaker } from '../types';
+
+export interface SpeakerUpdate {
+  speakers: Speaker[];
+  nameMap: Record<string, string>; // 이전 이름 → 새 이름
+}
+
+interface SpeakerManagerProps {
+  lectureId: string;
+  speakers: Speaker[];
+  onUpdated: (update: SpeakerUpdate) => void;
+  onClose: () => void;
+}
+
+const SOURCE_LABELS: Record<Speaker['source'], string> = {
+  voice: 'VTT 태그',
+  prefix: '이름: 접두어'
+};
+
+export const SpeakerManager: React.FC<SpeakerManagerProps> = ({ lectureId, speakers, onUpdated, onClose }) => {
+  const [names, setNames] = useState<Record<string, string>>(
+    () => Object.fromEntries(speakers.map(s => [s.id, s.name]))
+  );
+  const [mergeTargets, setMergeTargets] = useState<Record<string, string>>({});
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const request = async (speakerId: string, url: string, method: string, body: object) => {
+    setBusyId(speakerId);
+    setError(null);
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+      setNames(Object.fromEntries(data.speakers.map((s: Speaker) => [s.id, s.name])));
+      setMergeTargets({});
+      onUpdated({ speakers: data.speakers, nameMap: data.nameMap || {} });
+    } catch (e: any) {
+      setError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRename = (speaker: Speaker) => request(
+    speaker.id,
+    `http://localhost:3000/api/lectures/${lectureId}/speakers/${speaker.id}`,
+    'PUT',
+    { name: names[speaker.id] }
+  );
+
+  const handleMerge = (speaker: Speaker) => request(
+    speaker.id,
+    `http://localhost:3000/api/lectures/${lectureId}/speakers/merge`,
+    'POST',
+    { sourceIds: [speaker.id], targetId: mergeTargets[speaker.id] }
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-100 bg-gray-50/50">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-indigo-100 rounded-full flex items-center justify-center text-indigo-600">
+              <Users className="w-5 h-5" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">화자 관리</h2>
+              <p className="text-sm text-gray-500">대본에서 감지된 화자의 이름을 바꾸거나 같은 사람을 하나로 합칩니다.</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors p-2 rounded-full hover:bg-gray-100">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-6 bg-gray-50/30 space-y-3">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {speakers.map(speaker => {
+            const others = speakers.filter(s => s.id !== speaker.id);
+            const isBusy = busyId === speaker.id;
+            const nameChanged = (names[speaker.id] || '').trim() !== speaker.name;
+
+            return (
+              <div key={speaker.id} className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                <div className="flex items-center gap-2 mb-3">
+                  <input
+                    value={names[speaker.id] ?? ''}
+                    onChange={(e) => setNames(prev => ({ ...prev, [speaker.id]: e.target.value }))}
+                    className="flex-1 px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <button
+                    onClick={() => handleRename(speaker)}
+                    disabled={isBusy || !nameChanged || !(names[speaker.id] || '').trim()}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg transition-colors disabled:opacity-40"
+                  >
+                    {isBusy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                    이름 변경
+                  </button>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                  <span className="px-2 py-0.5 bg-gray-100 rounded">{SOURCE_LABELS[speaker.source]}</span>
+                  <span>발화 {speaker.cueCount}회</span>
+                  {speaker.aliases.length > 1 && <span>대본 표기: {speaker.aliases.join(', ')}</span>}
+
+                  {others.length > 0 && (
+                    <div className="ml-auto flex items-center gap-2">
+                      <select
+                        value={mergeTargets[speaker.id] || ''}
+                        onChange={(e) => setMergeTargets(prev => ({ ...prev, [speaker.id]: e.target.value }))}
+                        className="px-2 py-1 border border-gray-200 rounded-lg bg-white text-gray-700"
+                      >
+                        <option value="">합칠 화자 선택</option>
+                        {others.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                      </select>
+                      <button
+                        onClick={() => handleMerge(speaker)}
+                        disabled={isBusy || !mergeTargets[speaker.id]}
+                        className="flex items-center gap-1 px-2 py-1 font-medium text-slate-700 border border-slate-200 hover:bg-slate-100 rounded-lg transition-colors disabled:opacity-40"
+                      >
+                        <GitMerge className="w-3 h-3" />
+                        합치기
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { X, BarChart3, Loader2, AlertTriangle, DatabaseZap } from 'lucide-react';
+import { LectureUsage, UsageBucket } from '../types';
+
+interface UsagePanelProps {
+  lectureId: string;
+  onClose: () => void;
+}
+
+const STAGE_LABELS: Record<string, string> = {
+  correction: '텍스트 교정',
+  segmentation: '챕터 분할',
+  lecture_meta: '제목/메타데이터',
+  deep_dive: '챕터 딥다이브',
+  deep_dive_repair: '딥다이브 품질 재생성',
+  regeneration: '챕터 재생성',
+  final_summary: '최종 요약'
+};
+
+const formatTokens = (value: number) => value.toLocaleString();
+
+const formatCost = (bucket: UsageBucket) => {
+  const cost = `$${bucket.costUsd.toFixed(4)}`;
+  return bucket.unpricedCalls > 0 ? `${cost}+` : cost;
+};
+
+export const UsagePanel: React.FC<UsagePanelProps> = ({ lectureId, onClose }) => {
+  const [usage, setUsage] = useState<LectureUsage | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchUsage = async () => {
+      try {
+        const res = await fetch(`http://localhost:3000/api/lectures/${lectureId}/usage`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data: LectureUsage = await res.json();
+        if (!cancelled) setUsage(data);
+      } catch (e: any) {
+        if (!cancelled) setError(e.message);
+      }
+    };
+
+    fetchUsage();
+    return () => { cancelled = true; };
+  }, [lectureId]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-100 bg-gray-50/50">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-indigo-100 rounded-full flex items-center justify-center text-indigo-600">
+              <BarChart3 className="w-5 h-5" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">AI 사용량 & 비용</h2>
+              <p className="text-sm text-gray-500">이 강의를 분석하는 데 사용된 토큰과 추정 비용입니다.</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors p-2 rounded-full hover:bg-gray-100">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-6 bg-gray-50/30">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">
+              사용량을 불러오지 못했습니다: {error}
+            </div>
+          )}
+
+          {!error && !usage && (
+            <div className="flex items-center justify-center py-12 text-gray-400">
+              <Loader2 className="w-6 h-6 animate-spin" />
+            </div>
+          )}
+
+          {usage && usage.totals.calls + usage.totals.cacheHits === 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-6 text-center">
+              <AlertTriangle className="w-8 h-8 text-amber-500 mx-auto mb-3" />
+              <h3 className="font-bold text-amber-900 mb-1">기록된 사용량이 없습니다</h3>
+              <p className="text-amber-800 text-sm">사용량 기록 기능 도입 이전에 분석된 강의일 수 있습니다.</p>
+            </div>
+          )}
+
+          {usage && usage.totals.calls + usage.totals.cacheHits > 0 && (
+            <>
+              {/* Totals */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+                <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                  <div className="text-sm text-gray-500 mb-1">AI 호출</div>
+                  <div className="text-2xl font-bold text-gray-800">{usage.totals.calls}회</div>
+                </div>
+                <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                  <div className="text-sm text-gray-500 mb-1">입력 토큰</div>
+                  <div className="text-2xl font-bold text-gray-800">{formatTokens(usage.totals.promptTokens)}</div>
+                </div>
+                <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                  <div className="text-sm text-gray-500 mb-1">출력 토큰</div>
+                  <div className="text-2xl font-bold text-gray-800">{formatTokens(usage.totals.outputTokens)}</div>
+                </div>
+                <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                  <div className="text-sm text-gray-500 mb-1">추정 비용</div>
+                  <div className="text-2xl font-black text-indigo-600">{formatCost(usage.totals)}</div>
+                </div>
+              </div>
+
+              {/* Response Cache */}
+              {usage.totals.cacheHits + usage.totals.cacheMisses > 0 && (
+                <div className="flex items-center gap-3 bg-emerald-50 border border-emerald-200 rounded-xl px-4 py-3 mb-6 text-sm text-emerald-900">
+                  <DatabaseZap className="w-5 h-5 text-emerald-600 shrink-0" />
+                  <span>
+                    응답 캐시 히트 <b>{usage.totals.cacheHits}</b>회 · 미스 {usage.totals.cacheMisses}회
+                    {usage.totals.savedCostUsd > 0 && <> · 절약한 비용 약 <b>${usage.totals.savedCostUsd.toFixed(4)}</b></>}
+                  </span>
+                </div>
+              )}
+
+              {/* By Stage */}
+              <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden mb-6">
+                <div className="p-4 border-b border-gray-100 bg-gray-50 font-bold text-gray-700">단계별 사용량</div>
+                <table className="w-full text-sm">
+                  <thead className="text-gray-500 text-left">
+                    <tr>
+                      <th className="px-4 py-2 font-medium">단계</th>
+                      <th className="px-4 py-2 font-medium text-right">호출</th>
+                      <th className="px-4 py-2 font-medium text-right">캐시</th>
+                      <th className="px-4 py-2 font-medium text-right">입력</th>
+                      <th className="px-4 py-2 font-medium text-right">출력</th>
+                      <th className="px-4 py-2 font-medium text-right">비용</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {usage.stages.map(stage => (
+                      <tr key={stage.stage}>
+                        <td className="px-4 py-2 text-gray-800">{STAGE_LABELS[stage.stage] || stage.stage}</td>
+                        <td className="px-4 py-2 text-right text-gray-600">{stage.calls}</td>
+                        <td className="px-4 py-2 text-right text-emerald-600">{stage.cacheHits || '-'}</td>
+                        <td className="px-4 py-2 text-right text-gray-600">{formatTokens(stage.promptTokens)}</td>
+                        <td className="px-4 py-2 text-right text-gray-600">{formatTokens(stage.outputTokens)}</td>
+                        <td className="px-4 py-2 text-right font-medium text-gray-800">{formatCost(stage)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* By Model */}
+              <div className="flex flex-wrap gap-2 text-xs text-gray-500">
+                {usage.models.map(model => (
+                  <span key={model.model} className="px-2 py-1 bg-white border border-gray-200 rounded-lg">
+                    {model.model}: {model.calls}회 · {formatCost(model)}
+                  </span>
+                ))}
+              </div>
+
+              {usage.totals.unpricedCalls > 0 && (
+                <p className="mt-4 text-xs text-gray-400">
+                  가격 정보가 없는 모델 호출 {usage.totals.unpricedCalls}건은 비용에 포함되지 않았습니다.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -2,10 +2,13 @@
  * Settings State Management Hook
  *
  * Provides React hook for managing AI settings:
- * - Provider and model selection
+ * - Provider (Gemini / OpenAI-compatible), base URL and model selection
  * - API key management with encryption
  * - Temperature and token configuration
  * - LLM correction toggle
+ * - Outline review toggle (approve chapters before the deep dive)
+ * - Note language and bilingual key terms
+ * - Parallel chapter analysis (chapters analyzed at once)
  * - Persistent storage in localStorage
  *
  * @module useSettings
@@ -13,14 +16,26 @@
 
 import { useState, useEffect, useCallback } from 'react';
 
+/**
+ * Supported AI providers
+ */
+export type AIProviderId = 'google' | 'openai';
+
+/**
+ * Note output language (`source` writes notes in the lecture's own language)
+ */
+export type TargetLanguage = 'ko' | 'en' | 'ja' | 'zh' | 'source';
+
 /**
  * AI Settings interface
  */
 export interface AISettings {
-  /** AI provider (currently only 'google' supported) */
-  provider: 'google';
-  /** Model identifier */
-  model: 'gemini-2.5-flash' | 'gemini-2.5-pro';
+  /** AI provider */
+  provider: AIProviderId;
+  /** Model identifier (any name is allowed for OpenAI-compatible servers) */
+  model: string;
+  /** Chat completions base URL (OpenAI-compatible provider only) */
+  baseUrl: string;
   /** API key (stored encrypted) */
   apiKey: string;
   /** Generation temperature (0.0-1.0) */
@@ -29,6 +44,16 @@ export interface AISettings {
   maxTokens: number;
   /** Whether LLM correction is enabled */
   llmCorrectionEnabled: boolean;
+  /** Whether filler words and stutters are removed before analysis */
+  disfluencyCleanup: boolean;
+  /** Whether to stop after chapter extraction for outline review */
+  reviewOutline: boolean;
+  /** Language the notes are written in */
+  targetLanguage: TargetLanguage;
+  /** Keep the original-language term next to translated key terms */
+  bilingualTerms: boolean;
+  /** Chapters analyzed at once (1 = in order, with the previous chapter as context) */
+  deepDiveConcurrency: number;
 }
 
 /**
@@ -43,6 +68,8 @@ export interface UseSettingsReturn {
   resetSettings: () => void;
   /** Check if API key is configured */
   hasApiKey: boolean;
+  /** Whether an API key is required but missing (keyless local servers never need one) */
+  needsApiKey: boolean;
   /** Validate current settings */
   validateSettings: () => ValidationResult;
   /** Loading state */
@@ -60,33 +87,85 @@ export interface ValidationResult {
 }
 
 /**
- * Available models configuration
+ * Default base URL of the OpenAI API
+ */
+export const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Available providers configuration
+ */
+export const AVAILABLE_PROVIDERS = {
+  google: {
+    name: 'Google AI',
+    description: 'Gemini models',
+    defaultModel: 'gemini-2.5-flash'
+  },
+  openai: {
+    name: 'OpenAI Compatible',
+    description: 'OpenAI API or local servers (llama.cpp, vLLM)',
+    defaultModel: 'gpt-4o-mini'
+  }
+} as const;
+
+/**
+ * Available models configuration (by provider)
  */
 export const AVAILABLE_MODELS = {
-  'gemini-2.5-flash': {
-    name: 'Gemini 2.5 Flash',
-    description: '빠르고 효율적인 일반 용도 모델',
-    maxTokens: 8192,
-    costTier: 'low' as const
+  google: {
+    'gemini-2.5-flash': {
+      name: 'Gemini 2.5 Flash',
+      description: '빠르고 효율적인 일반 용도 모델',
+      maxTokens: 8192,
+      costTier: 'low' as const
+    },
+    'gemini-2.5-pro': {
+      name: 'Gemini 2.5 Pro',
+      description: '복잡한 추론을 위한 고급 모델',
+      maxTokens: 8192,
+      costTier: 'medium' as const
+    }
   },
-  'gemini-2.5-pro': {
-    name: 'Gemini 2.5 Pro',
-    description: '복잡한 추론을 위한 고급 모델',
-    maxTokens: 8192,
-    costTier: 'medium' as const
+  openai: {
+    'gpt-4o-mini': {
+      name: 'GPT-4o mini',
+      description: '빠르고 저렴한 일반 용도 모델',
+      maxTokens: 16384,
+      costTier: 'low' as const
+    },
+    'gpt-4o': {
+      name: 'GPT-4o',
+      description: '고품질 범용 모델',
+      maxTokens: 16384,
+      costTier: 'medium' as const
+    }
   }
 } as const;
 
+/**
+ * Whether the provider needs an API key
+ * OpenAI-compatible local servers (custom base URL) usually run without one.
+ */
+export function requiresApiKey(settings: Pick<AISettings, 'provider' | 'baseUrl'>): boolean {
+  if (settings.provider !== 'openai') return true;
+  return !settings.baseUrl || settings.baseUrl === OPENAI_DEFAULT_BASE_URL;
+}
+
 /**
  * Default settings
  */
 const DEFAULT_SETTINGS: AISettings = {
   provider: 'google',
   model: 'gemini-2.5-flash',
+  baseUrl: OPENAI_DEFAULT_BASE_URL,
   apiKey: '',
   temperature: 0.7,
   maxTokens: 8192,
-  llmCorrectionEnabled: true
+  llmCorrectionEnabled: true,
+  disfluencyCleanup: false,
+  reviewOutline: false,
+  targetLanguage: 'ko',
+  bilingualTerms: false,
+  deepDiveConcurrency: 1
 };
 
 /**
@@ -198,6 +277,10 @@ function validateSettingsData(settings: AISettings): ValidationResult {
     errors.push('Model is required');
   }
 
+  if (settings.provider === 'openai' && !/^https?:\/\/\S+$/i.test(settings.baseUrl || '')) {
+    errors.push('Base URL must be an http(s) URL');
+  }
+
   if (settings.temperature < 0 || settings.temperature > 1) {
     errors.push('Temperature must be between 0 and 1');
   }
@@ -207,7 +290,7 @@ function validateSettingsData(settings: AISettings): ValidationResult {
   }
 
   // API key validation (if LLM correction is enabled)
-  if (settings.llmCorrectionEnabled && !settings.apiKey) {
+  if (settings.llmCorrectionEnabled && !settings.apiKey && requiresApiKey(settings)) {
     errors.push('API key is required when LLM correction is enabled');
   }
 
@@ -280,12 +363,14 @@ export function useSettings(): UseSettingsReturn {
 
   // Check if API key is configured
   const hasApiKey = Boolean(settings.apiKey && settings.apiKey.length > 0);
+  const needsApiKey = !hasApiKey && requiresApiKey(settings);
 
   return {
     settings,
     updateSettings,
     resetSettings,
     hasApiKey,
+    needsApiKey,
     validateSettings,
     isLoading,
     error
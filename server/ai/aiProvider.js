@@ -4,6 +4,8 @@
  * Provides a unified interface for AI providers with:
  * - Abstract AIProvider base class
  * - GeminiProvider implementation
+ * - OpenAIProvider for OpenAI-compatible chat completions endpoints
+ * - MockProvider (offline) and record/replay support (see mockProvider.js)
  * - Factory function for provider creation
  * - Response validation and error handling
  *
@@ -11,17 +13,23 @@
  */
 
 import { GoogleGenAI, Type } from "@google/genai";
+import { AIProvider } from './baseProvider.js';
+import { toJsonSchema } from './jsonSchema.js';
+import { MockProvider, RecordingProvider } from './mockProvider.js';
 
 /**
  * AI Provider configuration
  * @typedef {Object} AIProviderConfig
- * @property {string} provider - Provider name ('google')
+ * @property {string} provider - Provider name ('google' | 'openai' | 'mock')
  * @property {string} model - Model identifier
  * @property {string} apiKey - API key for authentication
+ * @property {string} [baseUrl] - API base URL (OpenAI-compatible providers only)
  * @property {number} [temperature=0.7] - Generation temperature (0.0-1.0)
  * @property {number} [maxTokens=8192] - Maximum output tokens
  * @property {number} [timeout=60000] - Request timeout in ms
  * @property {number} [maxRetries=3] - Maximum retry attempts
+ * @property {string} [fixturesDir] - Fixture directory (mock provider only)
+ * @property {string} [recordDir] - Record successful responses to this directory
  */
 
 /**
@@ -32,6 +40,13 @@ import { GoogleGenAI, Type } from "@google/genai";
  * @property {number} [temperature] - Override default temperature
  * @property {number} [maxTokens] - Override default max tokens
  * @property {string} [systemPrompt] - System instruction
+ * @property {AbortSignal} [signal] - Aborts the request (aborted requests are not retried)
+ * @property {string} [stage] - Pipeline stage that issued the request (for logging and usage accounting)
+ * @property {function(function(): Promise<Object>, AIProvider=, GenerationConfig=): Promise<Object>} [scheduler] - Runs
+ *   each request attempt, including retries, with the provider and request that issue it (set by RateLimitedProvider)
+ * @property {function(number): string} [shrink] - Builds the prompt for a smaller input slice
+ *   (ratio 0-1), used by fallback steps with an input ratio (see FallbackProvider)
+ * @property {boolean} [bypassCache] - Skip the response cache lookup (see CachingProvider)
  */
 
 /**
@@ -40,21 +55,24 @@ import { GoogleGenAI, Type } from "@google/genai";
  * @property {boolean} success - Whether generation succeeded
  * @property {*} data - Parsed response data
  * @property {string} [rawText] - Raw response text
- * @property {Object} [usage] - Token usage information
+ * @property {TokenUsage} [usage] - Token usage information
  * @property {string} [error] - Error message if failed
  * @property {number} [retryCount] - Number of retries attempted
  */
 
 /**
- * Default provider configuration
- * @type {Partial<AIProviderConfig>}
+ * Token usage of a generation
+ * @typedef {Object} TokenUsage
+ * @property {string} [model] - Model that served the request
+ * @property {number} promptTokens - Input tokens
+ * @property {number} outputTokens - Output tokens (including reasoning tokens)
  */
-const DEFAULT_CONFIG = {
-    temperature: 0.7,
-    maxTokens: 8192,
-    timeout: 60000,
-    maxRetries: 3
-};
+
+/**
+ * Default base URL of the OpenAI API
+ * @type {string}
+ */
+export const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
 
 /**
  * Available models by provider
@@ -74,301 +92,257 @@ export const AVAILABLE_MODELS = {
             maxTokens: 8192,
             costTier: 'medium'
         }
+    },
+    openai: {
+        'gpt-4o-mini': {
+            name: 'GPT-4o mini',
+            description: 'Fast and affordable model for most tasks',
+            maxTokens: 16384,
+            costTier: 'low'
+        },
+        'gpt-4o': {
+            name: 'GPT-4o',
+            description: 'High-quality general purpose model',
+            maxTokens: 16384,
+            costTier: 'medium'
+        }
+    },
+    mock: {
+        'mock': {
+            name: 'Mock',
+            description: 'Deterministic offline responses for development and tests',
+            maxTokens: 8192,
+            costTier: 'free'
+        }
     }
 };
 
 /**
- * Abstract base class for AI providers
- * @abstract
+ * Google Gemini AI Provider implementation
+ * @extends AIProvider
  */
-export class AIProvider {
+export class GeminiProvider extends AIProvider {
     /**
      * @param {AIProviderConfig} config - Provider configuration
      */
     constructor(config) {
-        if (new.target === AIProvider) {
-            throw new Error('AIProvider is an abstract class and cannot be instantiated directly');
+        super({ ...config, provider: 'google' });
+
+        if (!config.apiKey) {
+            throw new Error('API key is required for Gemini provider');
         }
 
-        this.config = { ...DEFAULT_CONFIG, ...config };
-        this.provider = config.provider;
-        this.model = config.model;
+        this.client = new GoogleGenAI({ apiKey: config.apiKey });
+        this.model = config.model || 'gemini-2.5-flash';
+        this.displayName = 'Gemini';
     }
 
     /**
-     * Generate content using the AI model
-     * @abstract
+     * Perform a single Gemini generateContent request
      * @param {GenerationConfig} request - Generation request
-     * @returns {Promise<GenerationResponse>} Generation response
+     * @returns {Promise<{text: string, usage: TokenUsage}>}
      */
-    async generateContent(request) {
-        throw new Error('generateContent must be implemented by subclass');
-    }
+    async complete(request) {
+        const { prompt, schema, temperature, maxTokens, systemPrompt, signal } = request;
 
-    /**
-     * Validate a response against expected schema or criteria
-     * @param {*} response - Response to validate
-     * @param {Object} [schema] - Expected schema
-     * @returns {Object} Validation result with isValid and errors
-     */
-    validateResponse(response, schema) {
-        const errors = [];
+        const contents = [
+            { role: "user", parts: [{ text: prompt }] }
+        ];
+
+        const generationConfig = {
+            temperature: temperature ?? this.config.temperature,
+            maxOutputTokens: maxTokens ?? this.config.maxTokens
+        };
 
-        if (response === null || response === undefined) {
-            errors.push('Response is null or undefined');
-            return { isValid: false, errors };
+        // Add structured output config if schema provided
+        if (schema) {
+            generationConfig.responseMimeType = "application/json";
+            generationConfig.responseSchema = schema;
         }
 
-        if (schema && schema.required) {
-            for (const field of schema.required) {
-                if (!(field in response)) {
-                    errors.push(`Missing required field: ${field}`);
-                }
-            }
+        // Add system instruction if provided
+        if (systemPrompt) {
+            generationConfig.systemInstruction = systemPrompt;
         }
 
-        return {
-            isValid: errors.length === 0,
-            errors
-        };
-    }
+        if (signal) {
+            generationConfig.abortSignal = signal;
+        }
 
-    /**
-     * Check if the provider is properly configured
-     * @returns {boolean} Whether provider is ready
-     */
-    isReady() {
-        return Boolean(this.config.apiKey);
-    }
+        const response = await this.client.models.generateContent({
+            model: this.model,
+            contents,
+            config: generationConfig
+        });
 
-    /**
-     * Get provider information
-     * @returns {Object} Provider metadata
-     */
-    getInfo() {
+        // Thinking tokens are billed as output tokens
+        const metadata = response.usageMetadata || {};
         return {
-            provider: this.provider,
-            model: this.model,
-            isReady: this.isReady()
+            text: response.text,
+            usage: {
+                promptTokens: metadata.promptTokenCount || 0,
+                outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0)
+            }
         };
     }
 }
 
 /**
- * Google Gemini AI Provider implementation
+ * OpenAI-compatible chat completions provider
+ *
+ * Works with the OpenAI API and with local servers exposing the same
+ * endpoint (llama.cpp, vLLM, ...). Gemini `Type` schemas are converted to
+ * JSON Schema and sent as `response_format`.
  * @extends AIProvider
  */
-export class GeminiProvider extends AIProvider {
+export class OpenAIProvider extends AIProvider {
     /**
      * @param {AIProviderConfig} config - Provider configuration
      */
     constructor(config) {
-        super({ ...config, provider: 'google' });
+        super({ ...config, provider: 'openai' });
 
-        if (!config.apiKey) {
-            throw new Error('API key is required for Gemini provider');
-        }
+        this.baseUrl = (config.baseUrl || OPENAI_DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.model = config.model || 'gpt-4o-mini';
+        this.displayName = 'OpenAI';
 
-        this.client = new GoogleGenAI({ apiKey: config.apiKey });
-        this.model = config.model || 'gemini-2.5-flash';
+        // Local servers usually accept requests without a key
+        if (!config.apiKey && this.baseUrl === OPENAI_DEFAULT_BASE_URL) {
+            throw new Error('API key is required for the OpenAI API');
+        }
     }
 
     /**
-     * Generate content using Gemini API
+     * Build the chat completions request body
      * @param {GenerationConfig} request - Generation request
-     * @returns {Promise<GenerationResponse>} Generation response
+     * @returns {Object} Request body
      */
-    async generateContent(request) {
+    buildRequestBody(request) {
         const { prompt, schema, temperature, maxTokens, systemPrompt } = request;
 
-        let retryCount = 0;
-        const maxRetries = this.config.maxRetries;
-
-        while (retryCount <= maxRetries) {
-            try {
-                const contents = [
-                    { role: "user", parts: [{ text: prompt }] }
-                ];
-
-                const generationConfig = {
-                    temperature: temperature ?? this.config.temperature,
-                    maxOutputTokens: maxTokens ?? this.config.maxTokens
-                };
-
-                // Add structured output config if schema provided
-                if (schema) {
-                    generationConfig.responseMimeType = "application/json";
-                    generationConfig.responseSchema = schema;
-                }
-
-                const requestOptions = {
-                    model: this.model,
-                    contents,
-                    config: generationConfig
-                };
-
-                // Add system instruction if provided
-                if (systemPrompt) {
-                    requestOptions.systemInstruction = systemPrompt;
-                }
-
-                const response = await this.client.models.generateContent(requestOptions);
-
-                if (!response.text) {
-                    throw new Error('Empty response from Gemini API');
-                }
-
-                const rawText = response.text;
-                let data;
-
-                // Parse JSON response if schema was provided
-                if (schema) {
-                    try {
-                        let cleanText = rawText.replace(/```json/g, '').replace(/```/g, '').trim();
-                        // Find the first '{' and last '}' to handle extra text
-                        const firstBrace = cleanText.indexOf('{');
-                        const lastBrace = cleanText.lastIndexOf('}');
-                        
-                        if (firstBrace !== -1 && lastBrace !== -1) {
-                            cleanText = cleanText.substring(firstBrace, lastBrace + 1);
-                        }
-                        
-                        data = JSON.parse(cleanText);
-                    } catch (e) {
-                        console.warn('JSON Parse Error:', e.message);
-                        console.warn('Raw Text Preview:', rawText.substring(0, 200) + '...');
-                        throw new Error(`Failed to parse JSON response: ${e.message}`);
-                    }
-                } else {
-                    data = rawText;
-                }
+        const messages = [];
+        if (systemPrompt) {
+            messages.push({ role: 'system', content: systemPrompt });
+        }
+        messages.push({ role: 'user', content: prompt });
 
-                // Validate response if schema provided
-                if (schema) {
-                    const validation = this.validateResponse(data, schema);
-                    if (!validation.isValid) {
-                        console.warn('Response validation warnings:', validation.errors);
-                    }
-                }
+        const body = {
+            model: this.model,
+            messages,
+            temperature: temperature ?? this.config.temperature,
+            max_tokens: maxTokens ?? this.config.maxTokens
+        };
 
-                return {
-                    success: true,
-                    data,
-                    rawText,
-                    retryCount,
-                    usage: {
-                        // Note: Gemini API may provide usage info in response metadata
-                        model: this.model
-                    }
-                };
-
-            } catch (error) {
-                retryCount++;
-
-                const isRetryable = this.isRetryableError(error);
-
-                if (retryCount > maxRetries || !isRetryable) {
-                    console.error(`Gemini API error (attempt ${retryCount}):`, error.message);
-                    return {
-                        success: false,
-                        data: null,
-                        error: error.message,
-                        retryCount
-                    };
+        if (schema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: {
+                    name: 'response',
+                    schema: toJsonSchema(schema),
+                    strict: false
                 }
-
-                // Exponential backoff
-                const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 10000);
-                console.log(`Retrying in ${delay}ms (attempt ${retryCount + 1}/${maxRetries + 1})`);
-                await this.sleep(delay);
-            }
+            };
         }
 
-        return {
-            success: false,
-            data: null,
-            error: 'Max retries exceeded',
-            retryCount
-        };
+        return body;
     }
 
     /**
-     * Check if an error is retryable
-     * @param {Error} error - The error to check
-     * @returns {boolean} Whether error is retryable
+     * Perform a single chat completions request
+     * @param {GenerationConfig} request - Generation request
+     * @returns {Promise<{text: string, usage: TokenUsage}>}
      */
-    isRetryableError(error) {
-        const retryablePatterns = [
-            'rate limit',
-            'quota exceeded',
-            'timeout',
-            'network',
-            'ECONNRESET',
-            'ETIMEDOUT',
-            '503',
-            '429',
-            'overloaded'
-        ];
+    async complete(request) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers.Authorization = `Bearer ${this.config.apiKey}`;
+        }
 
-        const message = error.message.toLowerCase();
-        return retryablePatterns.some(pattern => message.includes(pattern.toLowerCase()));
-    }
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(this.buildRequestBody(request)),
+            signal: request.signal
+        });
 
-    /**
-     * Sleep helper function
-     * @param {number} ms - Milliseconds to sleep
-     * @returns {Promise<void>}
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`OpenAI API error ${response.status}: ${detail.substring(0, 500)}`);
+            error.status = response.status;
+            const retryAfterMs = parseRetryAfterHeaders(response.headers);
+            if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs;
+            throw error;
+        }
 
-    /**
-     * Generate content with structured output schema
-     * Convenience method for common use case
-     * @param {string} prompt - The prompt text
-     * @param {Object} schema - JSON schema for output
-     * @param {Object} [options] - Additional options
-     * @returns {Promise<GenerationResponse>}
-     */
-    async generateStructured(prompt, schema, options = {}) {
-        return this.generateContent({
-            prompt,
-            schema,
-            ...options
-        });
+        const json = await response.json();
+        return {
+            text: json.choices?.[0]?.message?.content || '',
+            usage: {
+                promptTokens: json.usage?.prompt_tokens || 0,
+                outputTokens: json.usage?.completion_tokens || 0
+            }
+        };
     }
 
     /**
-     * Simple text generation without structured output
-     * @param {string} prompt - The prompt text
-     * @param {Object} [options] - Additional options
-     * @returns {Promise<GenerationResponse>}
+     * Keyless local endpoints are ready without an API key
+     * @returns {boolean} Whether provider is ready
      */
-    async generateText(prompt, options = {}) {
-        return this.generateContent({
-            prompt,
-            ...options
-        });
+    isReady() {
+        return Boolean(this.config.apiKey) || this.baseUrl !== OPENAI_DEFAULT_BASE_URL;
     }
 }
 
+/**
+ * Read the retry delay a rate-limited response asks for
+ * Supports `retry-after-ms`, and `retry-after` in seconds or as an HTTP date.
+ * @param {Headers} [headers] - Response headers
+ * @returns {number|null} Delay in milliseconds, or null without a hint
+ */
+function parseRetryAfterHeaders(headers) {
+    const ms = Number(headers?.get?.('retry-after-ms'));
+    if (Number.isFinite(ms) && ms > 0) return ms;
+
+    const value = headers?.get?.('retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Factory function to create AI provider instances
+ * When `recordDir` is set, the provider is wrapped so that every successful
+ * response is saved as a fixture for later replay with the mock provider.
  * @param {AIProviderConfig} config - Provider configuration
  * @returns {AIProvider} Configured AI provider instance
  * @throws {Error} If provider is not supported
  */
 export function createAIProvider(config) {
+    const instance = createProviderInstance(config);
+    return config.recordDir ? new RecordingProvider(instance, config.recordDir) : instance;
+}
+
+/**
+ * Instantiate the provider class for a configuration
+ * @param {AIProviderConfig} config - Provider configuration
+ * @returns {AIProvider}
+ */
+function createProviderInstance(config) {
     const { provider } = config;
 
     switch (provider) {
         case 'google':
             return new GeminiProvider(config);
 
+        case 'openai':
+            return new OpenAIProvider(config);
+
+        case 'mock':
+            return new MockProvider(config);
+
         // Future providers can be added here
-        // case 'openai':
-        //     return new OpenAIProvider(config);
         // case 'anthropic':
         //     return new AnthropicProvider(config);
 
@@ -389,6 +363,19 @@ export function getDefaultConfig(provider) {
             model: 'gemini-2.5-flash',
             temperature: 0.7,
             maxTokens: 8192
+        },
+        openai: {
+            provider: 'openai',
+            model: 'gpt-4o-mini',
+            baseUrl: OPENAI_DEFAULT_BASE_URL,
+            temperature: 0.7,
+            maxTokens: 8192
+        },
+        mock: {
+            provider: 'mock',
+            model: 'mock',
+            temperature: 0,
+            maxTokens: 8192
         }
     };
 
@@ -407,7 +394,11 @@ export function validateConfig(config) {
         errors.push('Provider is required');
     }
 
-    if (!config.apiKey) {
+    // OpenAI-compatible local servers (custom baseUrl) may not need a key
+    const isCustomEndpoint = config.provider === 'openai'
+        && Boolean(config.baseUrl) && config.baseUrl !== OPENAI_DEFAULT_BASE_URL;
+
+    if (!config.apiKey && !isCustomEndpoint && config.provider !== 'mock') {
         errors.push('API key is required');
     }
 
@@ -417,11 +408,16 @@ export function validateConfig(config) {
 
     if (config.provider && config.model) {
         const providerModels = AVAILABLE_MODELS[config.provider];
-        if (providerModels && !providerModels[config.model]) {
+        // Custom endpoints serve arbitrary model names
+        if (providerModels && !providerModels[config.model] && !isCustomEndpoint) {
             errors.push(`Unknown model for ${config.provider}: ${config.model}`);
         }
     }
 
+    if (config.baseUrl && !/^https?:\/\/\S+$/i.test(config.baseUrl)) {
+        errors.push('Base URL must be an http(s) URL');
+    }
+
     if (config.temperature !== undefined) {
         if (config.temperature < 0 || config.temperature > 1) {
             errors.push('Temperature must be between 0 and 1');
@@ -440,5 +436,8 @@ export function validateConfig(config) {
     };
 }
 
+// Re-export the base class so providers can be used from a single module
+export { AIProvider };
+
 // Export Type for schema definitions (re-export from @google/genai)
 export { Type };
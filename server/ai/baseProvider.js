@@ -0,0 +1,269 @@
+/**
+ * AI Provider Base Class
+ *
+ * Shared contract and generation flow for every AI provider:
+ * - Retries with exponential backoff for transient errors
+ * - Optional per-attempt scheduler (process-wide rate limiting)
+ * - JSON extraction and response validation
+ * - Convenience helpers (generateStructured, generateText)
+ *
+ * Kept separate from the concrete providers so that providers living in
+ * their own modules (e.g. the mock provider) can extend it without a
+ * circular import.
+ *
+ * @module baseProvider
+ */
+
+/**
+ * Default provider configuration
+ * @type {Partial<import('./aiProvider.js').AIProviderConfig>}
+ */
+export const DEFAULT_CONFIG = {
+    temperature: 0.7,
+    maxTokens: 8192,
+    timeout: 60000,
+    maxRetries: 3
+};
+
+/**
+ * Abstract base class for AI providers
+ *
+ * Implements the shared generation flow (retries with exponential backoff,
+ * JSON extraction, response validation). Subclasses only implement
+ * `complete()`, which performs a single request and returns the raw text.
+ * @abstract
+ */
+export class AIProvider {
+    /**
+     * @param {import('./aiProvider.js').AIProviderConfig} config - Provider configuration
+     */
+    constructor(config) {
+        if (new.target === AIProvider) {
+            throw new Error('AIProvider is an abstract class and cannot be instantiated directly');
+        }
+
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.provider = config.provider;
+        this.model = config.model;
+        this.displayName = 'AI';
+    }
+
+    /**
+     * Perform a single completion request
+     * @abstract
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<{text: string, usage?: Object}>} Raw response text and usage
+     */
+    async complete(request) {
+        throw new Error('complete must be implemented by subclass');
+    }
+
+    /**
+     * Generate content using the AI model
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>} Generation response
+     */
+    async generateContent(request) {
+        const { schema, signal } = request;
+
+        let retryCount = 0;
+        const maxRetries = this.config.maxRetries;
+
+        while (retryCount <= maxRetries) {
+            try {
+                // Every attempt goes through the scheduler (rate limiting) when one is given
+                const { text: rawText, usage } = request.scheduler
+                    ? await request.scheduler(() => this.complete(request), this, request)
+                    : await this.complete(request);
+
+                if (!rawText) {
+                    throw new Error(`Empty response from ${this.displayName} API`);
+                }
+
+                // Parse JSON response if schema was provided
+                const data = schema ? this.parseJsonText(rawText) : rawText;
+
+                // Validate response if schema provided
+                if (schema) {
+                    const validation = this.validateResponse(data, schema);
+                    if (!validation.isValid) {
+                        console.warn('Response validation warnings:', validation.errors);
+                    }
+                }
+
+                return {
+                    success: true,
+                    data,
+                    rawText,
+                    retryCount,
+                    usage: {
+                        model: this.model,
+                        ...usage
+                    }
+                };
+
+            } catch (error) {
+                retryCount++;
+
+                const isRetryable = !signal?.aborted && this.isRetryableError(error);
+
+                if (retryCount > maxRetries || !isRetryable) {
+                    console.error(`${this.displayName} API error (attempt ${retryCount}):`, error.message);
+                    return {
+                        success: false,
+                        data: null,
+                        error: error.message,
+                        retryCount
+                    };
+                }
+
+                // Exponential backoff
+                const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 10000);
+                console.log(`Retrying in ${delay}ms (attempt ${retryCount + 1}/${maxRetries + 1})`);
+                await this.sleep(delay);
+            }
+        }
+
+        return {
+            success: false,
+            data: null,
+            error: 'Max retries exceeded',
+            retryCount
+        };
+    }
+
+    /**
+     * Extract and parse the JSON object from a model response
+     * Strips markdown code fences and any text around the outermost braces.
+     * @param {string} rawText - Raw response text
+     * @returns {*} Parsed JSON
+     * @throws {Error} If the text does not contain valid JSON
+     */
+    parseJsonText(rawText) {
+        try {
+            let cleanText = rawText.replace(/```json/g, '').replace(/```/g, '').trim();
+            // Find the first '{' and last '}' to handle extra text
+            const firstBrace = cleanText.indexOf('{');
+            const lastBrace = cleanText.lastIndexOf('}');
+
+            if (firstBrace !== -1 && lastBrace !== -1) {
+                cleanText = cleanText.substring(firstBrace, lastBrace + 1);
+            }
+
+            return JSON.parse(cleanText);
+        } catch (e) {
+            console.warn('JSON Parse Error:', e.message);
+            console.warn('Raw Text Preview:', rawText.substring(0, 200) + '...');
+            throw new Error(`Failed to parse JSON response: ${e.message}`);
+        }
+    }
+
+    /**
+     * Validate a response against expected schema or criteria
+     * @param {*} response - Response to validate
+     * @param {Object} [schema] - Expected schema
+     * @returns {Object} Validation result with isValid and errors
+     */
+    validateResponse(response, schema) {
+        const errors = [];
+
+        if (response === null || response === undefined) {
+            errors.push('Response is null or undefined');
+            return { isValid: false, errors };
+        }
+
+        if (schema && schema.required) {
+            for (const field of schema.required) {
+                if (!(field in response)) {
+                    errors.push(`Missing required field: ${field}`);
+                }
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Check if an error is retryable
+     * @param {Error} error - The error to check
+     * @returns {boolean} Whether error is retryable
+     */
+    isRetryableError(error) {
+        const retryablePatterns = [
+            'rate limit',
+            'quota exceeded',
+            'timeout',
+            'network',
+            'fetch failed',
+            'ECONNRESET',
+            'ETIMEDOUT',
+            '503',
+            '429',
+            'overloaded'
+        ];
+
+        const message = error.message.toLowerCase();
+        return retryablePatterns.some(pattern => message.includes(pattern.toLowerCase()));
+    }
+
+    /**
+     * Sleep helper function
+     * @param {number} ms - Milliseconds to sleep
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Generate content with structured output schema
+     * Convenience method for common use case
+     * @param {string} prompt - The prompt text
+     * @param {Object} schema - JSON schema for output
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateStructured(prompt, schema, options = {}) {
+        return this.generateContent({
+            prompt,
+            schema,
+            ...options
+        });
+    }
+
+    /**
+     * Simple text generation without structured output
+     * @param {string} prompt - The prompt text
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateText(prompt, options = {}) {
+        return this.generateContent({
+            prompt,
+            ...options
+        });
+    }
+
+    /**
+     * Check if the provider is properly configured
+     * @returns {boolean} Whether provider is ready
+     */
+    isReady() {
+        return Boolean(this.config.apiKey);
+    }
+
+    /**
+     * Get provider information
+     * @returns {Object} Provider metadata
+     */
+    getInfo() {
+        return {
+            provider: this.provider,
+            model: this.model,
+            isReady: this.isReady()
+        };
+    }
+}
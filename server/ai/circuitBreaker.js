@@ -0,0 +1,136 @@
+/**
+ * Model Circuit Breaker
+ *
+ * Tracks the availability of each model across all lectures so failing
+ * models are not called again and again:
+ * - Closed: requests go through; consecutive availability failures are counted
+ * - Open: after `failureThreshold` failures the model is skipped for `cooldownMs`
+ * - Half-open: after the cool-down one trial request decides between closed and open
+ *
+ * Only availability failures (overload, 5xx, rate limits, timeouts) count.
+ * A model that answers with an unusable response is reachable and keeps
+ * its circuit closed.
+ *
+ * @module circuitBreaker
+ */
+
+/**
+ * Circuit states
+ * @type {Object<string, string>}
+ */
+export const CIRCUIT_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Default circuit breaker configuration
+ * @type {Object}
+ */
+export const CIRCUIT_DEFAULT_CONFIG = {
+    failureThreshold: 3, // 연속 실패 횟수 (이후 차단)
+    cooldownMs: 60000 // 차단 유지 시간 (이후 시험 요청 1건 허용)
+};
+
+/**
+ * Whether a failed generation means the model is unavailable
+ * @param {string} message - Error message of the failed generation
+ * @returns {boolean}
+ */
+export function isAvailabilityError(message) {
+    return /overloaded|unavailable|\b50[0234]\b|\b429\b|rate limit|quota|resource_exhausted|timeout|timed out|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|internal error/i
+        .test(String(message || ''));
+}
+
+/**
+ * Per-model circuit breaker shared by every provider in the process
+ */
+export class CircuitBreaker {
+    /**
+     * @param {Object} [config] - Overrides for CIRCUIT_DEFAULT_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...CIRCUIT_DEFAULT_CONFIG, ...config };
+        /** @type {Map<string, {state: string, failures: number, openedAt: number, trialInFlight: boolean, trialStartedAt: number}>} */
+        this.circuits = new Map();
+    }
+
+    /**
+     * Circuit key of a provider's model (provider, endpoint and model)
+     * @param {import('./baseProvider.js').AIProvider} provider - Provider
+     * @returns {string}
+     */
+    keyFor(provider) {
+        return [provider.provider, provider.baseUrl || provider.config?.baseUrl || '', provider.model].join('|');
+    }
+
+    /**
+     * Whether a request to the model may be sent now
+     * An open circuit past its cool-down lets exactly one trial request through.
+     * @param {string} key - Circuit key
+     * @returns {boolean}
+     */
+    allow(key) {
+        const circuit = this.circuits.get(key);
+        if (!circuit || circuit.state === CIRCUIT_STATE.CLOSED) return true;
+
+        const now = Date.now();
+        if (circuit.state === CIRCUIT_STATE.OPEN && now - circuit.openedAt >= this.config.cooldownMs) {
+            circuit.state = CIRCUIT_STATE.HALF_OPEN;
+            circuit.trialInFlight = false;
+        }
+
+        // 시험 요청이 결과 없이 끝난 경우(중단 등)를 대비해 쿨다운이 지나면 다시 허용
+        if (circuit.state === CIRCUIT_STATE.HALF_OPEN
+            && (!circuit.trialInFlight || now - circuit.trialStartedAt >= this.config.cooldownMs)) {
+            circuit.trialInFlight = true;
+            circuit.trialStartedAt = now;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record a request that reached the model
+     * @param {string} key - Circuit key
+     */
+    recordSuccess(key) {
+        this.circuits.delete(key);
+    }
+
+    /**
+     * Record an availability failure
+     * @param {string} key - Circuit key
+     */
+    recordFailure(key) {
+        const circuit = this.circuits.get(key) || { state: CIRCUIT_STATE.CLOSED, failures: 0, openedAt: 0, trialInFlight: false, trialStartedAt: 0 };
+        circuit.failures++;
+
+        if (circuit.state === CIRCUIT_STATE.HALF_OPEN || circuit.failures >= this.config.failureThreshold) {
+            if (circuit.state !== CIRCUIT_STATE.OPEN) {
+                console.warn(`[CircuitBreaker] ${key} opened after ${circuit.failures} failure(s)`);
+            }
+            circuit.state = CIRCUIT_STATE.OPEN;
+            circuit.openedAt = Date.now();
+            circuit.trialInFlight = false;
+        }
+        this.circuits.set(key, circuit);
+    }
+
+    /**
+     * State of every circuit that is not closed or has failures
+     * @returns {Array<{key: string, state: string, failures: number, retryInMs: number}>}
+     */
+    status() {
+        const now = Date.now();
+        return [...this.circuits.entries()].map(([key, circuit]) => ({
+            key,
+            state: circuit.state,
+            failures: circuit.failures,
+            retryInMs: circuit.state === CIRCUIT_STATE.OPEN
+                ? Math.max(0, circuit.openedAt + this.config.cooldownMs - now)
+                : 0
+        }));
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * Model Fallback Chains
+ *
+ * Provider decorator that retries a failed generation on other models:
+ * - Per-stage chains of fallback steps (model, optional smaller input slice)
+ * - Steps whose model circuit is open are skipped (see CircuitBreaker)
+ * - Steps with an input ratio rebuild the prompt through `request.shrink`
+ *   and are skipped for requests that cannot be shrunk
+ * - Successful responses report the model and step that served them
+ *
+ * The configured model is always the first step. Each step is a full
+ * provider call, so the provider's own retries run before the chain moves on.
+ *
+ * @module fallbackProvider
+ */
+
+import { isAvailabilityError } from './circuitBreaker.js';
+
+/**
+ * Fallback step
+ * @typedef {Object} FallbackStep
+ * @property {string} model - Model identifier
+ * @property {number} [inputRatio] - Share of the input slice sent to the model (0-1)
+ */
+
+/**
+ * Fallback details of a successful generation
+ * @typedef {Object} FallbackInfo
+ * @property {boolean} used - Whether a step other than the configured model served the request
+ * @property {string} model - Model that served the request
+ * @property {number|null} inputRatio - Input ratio of the serving step (null for the full input)
+ * @property {Array<{model: string, inputRatio: number|null, error: string}>} attempts - Failed steps before it
+ */
+
+/**
+ * Provider decorator that walks a per-stage fallback chain
+ */
+export class FallbackProvider {
+    /**
+     * @param {import('./baseProvider.js').AIProvider} primary - Provider of the configured model
+     * @param {Object} options
+     * @param {function(string): import('./baseProvider.js').AIProvider} options.createProvider - Creates
+     *   the provider for a fallback model
+     * @param {Object<string, FallbackStep[]>} [options.chains] - Steps after the configured model, by
+     *   stage (`default` for stages without their own chain)
+     * @param {import('./circuitBreaker.js').CircuitBreaker} [options.breaker] - Shared circuit breaker
+     */
+    constructor(primary, { createProvider, chains = {}, breaker = null }) {
+        this.inner = primary;
+        this.createProvider = createProvider;
+        this.chains = chains;
+        this.breaker = breaker;
+        this.provider = primary.provider;
+        this.model = primary.model;
+        this.config = primary.config;
+        /** @type {Map<string, import('./baseProvider.js').AIProvider>} */
+        this.providers = new Map([[primary.model, primary]]);
+    }
+
+    /**
+     * Steps tried for a stage, starting with the configured model
+     * @param {string} [stage] - Pipeline stage
+     * @returns {FallbackStep[]} Steps without duplicates
+     */
+    stepsFor(stage) {
+        const chain = this.chains[stage] || this.chains.default || [];
+        const seen = new Set();
+        return [{ model: this.model }, ...chain].filter(step => {
+            const key = `${step.model}@${step.inputRatio || 1}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Provider for a model, created on first use
+     * @param {string} model - Model identifier
+     * @returns {import('./baseProvider.js').AIProvider}
+     */
+    providerFor(model) {
+        if (!this.providers.has(model)) {
+            this.providers.set(model, this.createProvider(model));
+        }
+        return this.providers.get(model);
+    }
+
+    /**
+     * Generate content with the first step that succeeds
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse & {fallback?: FallbackInfo}>}
+     */
+    async generateContent(request) {
+        const attempts = [];
+
+        for (const step of this.stepsFor(request.stage)) {
+            if (step.inputRatio && typeof request.shrink !== 'function') continue;
+
+            const provider = this.providerFor(step.model);
+            const inputRatio = step.inputRatio || null;
+            const key = this.breaker?.keyFor(provider);
+
+            if (this.breaker && !this.breaker.allow(key)) {
+                attempts.push({ model: step.model, inputRatio, error: 'circuit open' });
+                continue;
+            }
+
+            const result = await provider.generateContent(
+                inputRatio ? { ...request, prompt: request.shrink(inputRatio) } : request
+            );
+
+            if (result.success) {
+                this.breaker?.recordSuccess(key);
+                return {
+                    ...result,
+                    fallback: { used: attempts.length > 0, model: step.model, inputRatio, attempts }
+                };
+            }
+
+            // 응답은 왔지만 쓸 수 없는 경우(JSON 오류 등)는 모델 장애로 보지 않음
+            if (this.breaker) {
+                if (isAvailabilityError(result.error)) this.breaker.recordFailure(key);
+                else this.breaker.recordSuccess(key);
+            }
+            if (request.signal?.aborted) return result;
+
+            attempts.push({ model: step.model, inputRatio, error: result.error || 'unknown error' });
+            console.warn(`[Fallback] ${request.stage || 'request'} failed on ${step.model}${inputRatio ? ` (input ${inputRatio})` : ''}: ${result.error}`);
+        }
+
+        return {
+            success: false,
+            data: null,
+            error: attempts.length > 0
+                ? attempts.map(a => `${a.model}${a.inputRatio ? `@${a.inputRatio}` : ''}: ${a.error}`).join('; ')
+                : 'No model available'
+        };
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} schema - JSON schema for output
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateStructured(prompt, schema, options = {}) {
+        return this.generateContent({ prompt, schema, ...options });
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateText(prompt, options = {}) {
+        return this.generateContent({ prompt, ...options });
+    }
+
+    /**
+     * @returns {boolean} Whether the configured provider is ready
+     */
+    isReady() {
+        return this.inner.isReady();
+    }
+
+    /**
+     * @returns {Object} Provider metadata
+     */
+    getInfo() {
+        return this.inner.getInfo();
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Gemini Schema to JSON Schema Conversion
+ *
+ * Maps the `Type`-based response schemas used across the pipeline
+ * (e.g. CHAPTER_DEEP_DIVE_SCHEMA, CORRECTION_SCHEMA) to standard JSON Schema
+ * for providers that accept JSON-schema structured output:
+ * - Type enum values (OBJECT, STRING, ...) to lowercase JSON types
+ * - nullable to a ["type", "null"] union
+ * - properties, items, required, enum, description, format and bounds
+ *
+ * @module jsonSchema
+ */
+
+/**
+ * Gemini Type value to JSON Schema type
+ * @type {Object<string, string>}
+ */
+const TYPE_MAP = {
+    OBJECT: 'object',
+    ARRAY: 'array',
+    STRING: 'string',
+    NUMBER: 'number',
+    INTEGER: 'integer',
+    BOOLEAN: 'boolean',
+    NULL: 'null'
+};
+
+/**
+ * Keywords copied verbatim when present
+ * @type {string[]}
+ */
+const PASSTHROUGH_KEYS = ['description', 'enum', 'format', 'minimum', 'maximum', 'minItems', 'maxItems', 'pattern', 'title'];
+
+/**
+ * Convert a Gemini `Type`-based schema to standard JSON Schema
+ * @param {Object} schema - Gemini response schema
+ * @returns {Object} JSON Schema
+ */
+export function toJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return {};
+    }
+
+    const result = {};
+
+    if (schema.type) {
+        const type = TYPE_MAP[String(schema.type).toUpperCase()] || String(schema.type).toLowerCase();
+        result.type = schema.nullable ? [type, 'null'] : type;
+    }
+
+    for (const key of PASSTHROUGH_KEYS) {
+        if (schema[key] !== undefined) {
+            result[key] = schema[key];
+        }
+    }
+
+    if (schema.properties) {
+        result.properties = {};
+        for (const [name, property] of Object.entries(schema.properties)) {
+            result.properties[name] = toJsonSchema(property);
+        }
+    }
+
+    if (Array.isArray(schema.required) && schema.required.length > 0) {
+        result.required = [...schema.required];
+    }
+
+    if (schema.items) {
+        result.items = toJsonSchema(schema.items);
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+        result.anyOf = schema.anyOf.map(toJsonSchema);
+    }
+
+    return result;
+}
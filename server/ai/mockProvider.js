@@ -0,0 +1,287 @@
+/**
+ * Mock and Recording AI Providers
+ *
+ * Offline providers for development and tests:
+ * - MockProvider: deterministic, schema-conforming responses from fixtures
+ *   (keyed by prompt hash or stage name), built-in stage responders or a
+ *   placeholder generated from the response schema
+ * - RecordingProvider: wraps a real provider and captures every successful
+ *   response to disk in the fixture format MockProvider replays
+ *
+ * @module mockProvider
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { AIProvider } from './baseProvider.js';
+
+/**
+ * Hash a prompt to a stable fixture key
+ * @param {string} prompt - Prompt text
+ * @returns {string} 16-character hex hash
+ */
+export function hashPrompt(prompt) {
+    return createHash('sha256').update(String(prompt ?? '')).digest('hex').substring(0, 16);
+}
+
+/**
+ * Rough token estimate (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text ?? '').length / 4);
+}
+
+/**
+ * Normalize a schema type to its upper-case Gemini `Type` name
+ * @param {Object} schema - Schema node
+ * @returns {string}
+ */
+function schemaType(schema) {
+    return String(schema?.type || '').toUpperCase();
+}
+
+/**
+ * Build a deterministic value that conforms to a `Type`-based schema
+ * @param {Object} schema - Response schema
+ * @param {string} [name='value'] - Property name (used in placeholder strings)
+ * @returns {*} Sample value
+ */
+export function buildSampleFromSchema(schema, name = 'value') {
+    if (!schema) return null;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum[0];
+    }
+
+    switch (schemaType(schema)) {
+        case 'OBJECT': {
+            const result = {};
+            for (const [key, property] of Object.entries(schema.properties || {})) {
+                result[key] = buildSampleFromSchema(property, key);
+            }
+            return result;
+        }
+        case 'ARRAY':
+            return [buildSampleFromSchema(schema.items, name)];
+        case 'NUMBER':
+        case 'INTEGER':
+            return 1;
+        case 'BOOLEAN':
+            return false;
+        case 'STRING':
+            return `mock ${name}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Built-in responders for stages whose placeholder output must be usable
+ * downstream (e.g. chapter times are parsed by the pipeline)
+ * @type {Object<string, function(Object): *>}
+ */
+export const MOCK_STAGE_RESPONDERS = {
+    // Placeholder corrections would never match the transcript
+    correction: () => ({ corrections: [] }),
+
+    segmentation: (request) => {
+        const match = request.prompt.match(/\((\d{1,2}:\d{2}(?::\d{2})?) ~ (\d{1,2}:\d{2}(?::\d{2})?)\)/);
+        const startTime = match ? match[1] : '';
+        const endTime = match ? match[2] : '';
+        return {
+            chapters: [{
+                title: match ? `Mock chapter ${startTime}` : `Mock chapter ${hashPrompt(request.prompt).substring(0, 6)}`,
+                startTime,
+                endTime,
+                summary: 'mock summary',
+                keyTopics: ['mock topic']
+            }]
+        };
+    }
+};
+
+/**
+ * Deterministic offline provider
+ * @extends AIProvider
+ */
+export class MockProvider extends AIProvider {
+    /**
+     * @param {Object} config - Provider configuration
+     * @param {Object<string, *>} [config.fixtures] - Responses keyed by prompt hash or stage;
+     *   values may be functions receiving the request
+     * @param {string} [config.fixturesDir] - Directory with `<hash>.json` / `<stage>.json` fixtures
+     * @param {boolean} [config.strict=false] - Fail instead of generating a placeholder when no fixture matches
+     */
+    constructor(config = {}) {
+        super({ maxRetries: 0, ...config, provider: 'mock' });
+
+        this.model = config.model || 'mock';
+        this.displayName = 'Mock';
+        this.fixtures = config.fixtures || {};
+        this.fixturesDir = config.fixturesDir || null;
+        this.strict = Boolean(config.strict);
+        this.calls = [];
+    }
+
+    /**
+     * Read a fixture file, returning undefined when it does not exist
+     * @param {string} key - Prompt hash or stage name
+     * @returns {Promise<*>} Fixture data
+     */
+    async readFixtureFile(key) {
+        if (!this.fixturesDir) return undefined;
+        try {
+            const content = await fs.readFile(path.join(this.fixturesDir, `${key}.json`), 'utf8');
+            const fixture = JSON.parse(content);
+            return 'data' in fixture ? fixture.data : fixture;
+        } catch (e) {
+            if (e.code === 'ENOENT') return undefined;
+            throw new Error(`Invalid mock fixture ${key}.json: ${e.message}`);
+        }
+    }
+
+    /**
+     * Resolve the response for a request
+     * Lookup order: prompt hash, stage (in-memory, then on disk), built-in
+     * stage responder, schema placeholder.
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<*>} Response data
+     */
+    async resolveResponse(request) {
+        const keys = [hashPrompt(request.prompt), request.stage].filter(Boolean);
+
+        for (const key of keys) {
+            if (key in this.fixtures) {
+                const fixture = this.fixtures[key];
+                return typeof fixture === 'function' ? fixture(request) : fixture;
+            }
+            const fromDisk = await this.readFixtureFile(key);
+            if (fromDisk !== undefined) return fromDisk;
+        }
+
+        if (this.strict) {
+            throw new Error(`No mock fixture for stage "${request.stage || 'unknown'}" (prompt ${keys[0]})`);
+        }
+
+        const responder = MOCK_STAGE_RESPONDERS[request.stage];
+        if (responder) return responder(request);
+
+        return request.schema ? buildSampleFromSchema(request.schema) : 'mock response';
+    }
+
+    /**
+     * Return the fixture response as raw text
+     * Token counts are estimated so usage accounting can be exercised offline.
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<{text: string, usage: import('./aiProvider.js').TokenUsage}>}
+     */
+    async complete(request) {
+        if (request.signal?.aborted) {
+            throw new Error('Request aborted');
+        }
+
+        this.calls.push({ stage: request.stage, promptHash: hashPrompt(request.prompt) });
+        const data = await this.resolveResponse(request);
+        const text = typeof data === 'string' ? data : JSON.stringify(data);
+        return {
+            text,
+            usage: {
+                promptTokens: estimateTokens(request.prompt),
+                outputTokens: estimateTokens(text)
+            }
+        };
+    }
+
+    /**
+     * The mock provider never needs an API key
+     * @returns {boolean}
+     */
+    isReady() {
+        return true;
+    }
+}
+
+/**
+ * Provider decorator that records successful responses as fixtures
+ */
+export class RecordingProvider {
+    /**
+     * @param {AIProvider} inner - Provider that performs the real requests
+     * @param {string} recordDir - Directory the fixtures are written to
+     */
+    constructor(inner, recordDir) {
+        this.inner = inner;
+        this.recordDir = recordDir;
+        this.provider = inner.provider;
+        this.model = inner.model;
+        this.config = inner.config;
+    }
+
+    /**
+     * Generate content with the inner provider and record the response
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateContent(request) {
+        const result = await this.inner.generateContent(request);
+
+        if (result.success) {
+            const promptHash = hashPrompt(request.prompt);
+            const fixture = {
+                stage: request.stage || null,
+                promptHash,
+                provider: this.provider,
+                model: this.model,
+                data: result.data
+            };
+            try {
+                await fs.mkdir(this.recordDir, { recursive: true });
+                await fs.writeFile(
+                    path.join(this.recordDir, `${promptHash}.json`),
+                    JSON.stringify(fixture, null, 2),
+                    'utf8'
+                );
+            } catch (e) {
+                // A failed write must not break the real request
+                console.warn(`[RecordingProvider] Failed to record ${promptHash}:`, e.message);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} schema - JSON schema for output
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateStructured(prompt, schema, options = {}) {
+        return this.generateContent({ prompt, schema, ...options });
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateText(prompt, options = {}) {
+        return this.generateContent({ prompt, ...options });
+    }
+
+    /**
+     * @returns {boolean} Whether the inner provider is ready
+     */
+    isReady() {
+        return this.inner.isReady();
+    }
+
+    /**
+     * @returns {Object} Provider metadata
+     */
+    getInfo() {
+        return { ...this.inner.getInfo(), recording: true };
+    }
+}
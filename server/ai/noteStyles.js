@@ -0,0 +1,201 @@
+/**
+ * Note Style Presets
+ *
+ * Chapter note styles a lecture can be written in:
+ * - storytelling: narrative article with quotes (quality-gated)
+ * - cornell: cue/notes columns with a bottom recap
+ * - exam_cram: bullet outline, must-memorize list and likely questions
+ * - executive_briefing: bottom line, findings, implications and actions
+ * - transcript_digest: verbatim excerpts in lecture order
+ *
+ * Each style names its prompt template and response schema. Every schema
+ * keeps keyMessage, keyTerms and quotesWithTimeline, so chapter context,
+ * quote verification and the final summary work the same for all styles.
+ *
+ * @module noteStyles
+ */
+
+import { PROMPT_TEMPLATE } from './promptTemplates.js';
+import {
+    CHAPTER_DEEP_DIVE_SCHEMA,
+    CORNELL_NOTE_SCHEMA,
+    EXAM_CRAM_SCHEMA,
+    EXECUTIVE_BRIEFING_SCHEMA,
+    TRANSCRIPT_DIGEST_SCHEMA
+} from './schemas.js';
+
+/**
+ * Note style identifiers
+ * @type {Object<string, string>}
+ */
+export const NOTE_STYLE = {
+    STORYTELLING: 'storytelling',
+    CORNELL: 'cornell',
+    EXAM_CRAM: 'exam_cram',
+    EXECUTIVE_BRIEFING: 'executive_briefing',
+    TRANSCRIPT_DIGEST: 'transcript_digest'
+};
+
+/**
+ * Style used when a lecture or chapter has none (notes written before styles existed)
+ * @type {string}
+ */
+export const DEFAULT_NOTE_STYLE = NOTE_STYLE.STORYTELLING;
+
+/**
+ * Note style preset
+ * @typedef {Object} NoteStyleDefinition
+ * @property {string} id - One of NOTE_STYLE
+ * @property {string} label - Display name
+ * @property {string} description - What the notes look like
+ * @property {string} template - Deep dive prompt template (PROMPT_TEMPLATE)
+ * @property {string} regenerationTemplate - Prompt template for feedback regeneration
+ * @property {Object} schema - Response schema
+ * @property {boolean} qualityGate - Checked (and repaired) by the narrative quality gate
+ */
+
+/**
+ * Style presets
+ * @type {Object<string, NoteStyleDefinition>}
+ */
+export const NOTE_STYLES = {
+    [NOTE_STYLE.STORYTELLING]: {
+        id: NOTE_STYLE.STORYTELLING,
+        label: '스토리텔링',
+        description: '강사 인용과 해석을 엮은 아티클',
+        template: PROMPT_TEMPLATE.DEEP_DIVE,
+        regenerationTemplate: PROMPT_TEMPLATE.REGENERATION,
+        schema: CHAPTER_DEEP_DIVE_SCHEMA,
+        qualityGate: true
+    },
+    [NOTE_STYLE.CORNELL]: {
+        id: NOTE_STYLE.CORNELL,
+        label: '코넬 노트',
+        description: '단서-필기 2단 구성과 하단 요약',
+        template: PROMPT_TEMPLATE.DEEP_DIVE_CORNELL,
+        regenerationTemplate: PROMPT_TEMPLATE.DEEP_DIVE_CORNELL,
+        schema: CORNELL_NOTE_SCHEMA,
+        qualityGate: false
+    },
+    [NOTE_STYLE.EXAM_CRAM]: {
+        id: NOTE_STYLE.EXAM_CRAM,
+        label: '시험 대비 요약',
+        description: '불릿 개요, 암기 목록, 예상 문제',
+        template: PROMPT_TEMPLATE.DEEP_DIVE_EXAM_CRAM,
+        regenerationTemplate: PROMPT_TEMPLATE.DEEP_DIVE_EXAM_CRAM,
+        schema: EXAM_CRAM_SCHEMA,
+        qualityGate: false
+    },
+    [NOTE_STYLE.EXECUTIVE_BRIEFING]: {
+        id: NOTE_STYLE.EXECUTIVE_BRIEFING,
+        label: '경영진 브리핑',
+        description: '결론, 핵심 발견, 시사점, 권장 조치',
+        template: PROMPT_TEMPLATE.DEEP_DIVE_EXECUTIVE,
+        regenerationTemplate: PROMPT_TEMPLATE.DEEP_DIVE_EXECUTIVE,
+        schema: EXECUTIVE_BRIEFING_SCHEMA,
+        qualityGate: false
+    },
+    [NOTE_STYLE.TRANSCRIPT_DIGEST]: {
+        id: NOTE_STYLE.TRANSCRIPT_DIGEST,
+        label: '원문 발췌 다이제스트',
+        description: '시간순 원문 발췌와 짧은 설명',
+        template: PROMPT_TEMPLATE.DEEP_DIVE_DIGEST,
+        regenerationTemplate: PROMPT_TEMPLATE.DEEP_DIVE_DIGEST,
+        schema: TRANSCRIPT_DIGEST_SCHEMA,
+        qualityGate: false
+    }
+};
+
+/**
+ * Validate a requested note style
+ * @param {*} value - Requested style (missing values select the default)
+ * @returns {{style?: string, error?: string}}
+ */
+export function resolveNoteStyle(value) {
+    if (value === undefined || value === null || value === '') return { style: DEFAULT_NOTE_STYLE };
+    if (!NOTE_STYLES[value]) {
+        return { error: `noteStyle must be one of: ${Object.keys(NOTE_STYLES).join(', ')}` };
+    }
+    return { style: value };
+}
+
+/**
+ * Style preset of a stored lecture or note
+ * @param {string|null|undefined} style - Stored style (unknown values fall back to the default)
+ * @returns {NoteStyleDefinition}
+ */
+export function getNoteStyle(style) {
+    return NOTE_STYLES[style] || NOTE_STYLES[DEFAULT_NOTE_STYLE];
+}
+
+const list = (items) => (Array.isArray(items) ? items.filter(Boolean) : []);
+const timestampLabel = (timestamp) => (timestamp ? ` [${timestamp}]` : '');
+
+/**
+ * Markdown body of a chapter note in its style
+ * Storytelling notes (and notes without a style) return the narrative; the
+ * other styles render their structured fields. Quotes, takeaways and
+ * actions shared by every style are left to the caller.
+ * @param {Object} note - Chapter note data (`noteStyle` selects the layout)
+ * @returns {string} Markdown (empty when the note has no body)
+ */
+export function renderNoteBody(note) {
+    switch (getNoteStyle(note?.noteStyle).id) {
+        case NOTE_STYLE.CORNELL: {
+            const cues = list(note.cues);
+            if (cues.length === 0 && !note.recap) return '';
+            let md = '| 단서 | 필기 |\n| --- | --- |\n';
+            cues.forEach(c => {
+                const notes = String(c.notes || '').replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+                md += `| **${String(c.cue || '').replace(/\|/g, '\\|')}**${timestampLabel(c.timestamp)} | ${notes} |\n`;
+            });
+            if (note.recap) md += `\n**요약**: ${note.recap}\n`;
+            return md;
+        }
+
+        case NOTE_STYLE.EXAM_CRAM: {
+            let md = '';
+            list(note.outline).forEach(item => {
+                md += `#### ${item.heading}\n`;
+                list(item.points).forEach(p => md += `- ${p}\n`);
+                md += `\n`;
+            });
+            const memorize = list(note.mustMemorize);
+            if (memorize.length > 0) {
+                md += `#### 📌 반드시 암기\n`;
+                memorize.forEach(m => md += `- ${m}\n`);
+                md += `\n`;
+            }
+            const questions = list(note.likelyQuestions);
+            if (questions.length > 0) {
+                md += `#### ❓ 예상 문제\n`;
+                questions.forEach((q, i) => md += `${i + 1}. **${q.question}**\n   - ${q.answer}\n`);
+                md += `\n`;
+            }
+            return md.trim();
+        }
+
+        case NOTE_STYLE.EXECUTIVE_BRIEFING: {
+            let md = '';
+            if (note.keyMessage) md += `> **결론**: ${note.keyMessage}\n\n`;
+            if (note.situation) md += `**상황**: ${note.situation}\n\n`;
+            const implications = list(note.implications);
+            if (implications.length > 0) {
+                md += `#### 시사점\n`;
+                implications.forEach(i => md += `- ${i}\n`);
+            }
+            return md.trim();
+        }
+
+        case NOTE_STYLE.TRANSCRIPT_DIGEST:
+            return list(note.segments).map(seg => {
+                let md = `#### ${seg.heading}${timestampLabel(seg.timestamp)}\n\n`;
+                md += String(seg.verbatim || '').split('\n').map(line => `> ${line}`).join('\n');
+                if (seg.note) md += `\n\n${seg.note}`;
+                return md;
+            }).join('\n\n');
+
+        default:
+            return note?.narrative || '';
+    }
+}
@@ -0,0 +1,491 @@
+/**
+ * Lecture Pipeline AI Stages
+ *
+ * Single provider-backed call path for every AI stage of lecture analysis:
+ * - Provider creation from the user's AI settings
+ * - Stage runner that turns failed generations into errors
+ * - One function per stage (segmentation, title, deep dive, regeneration, final summary)
+ * - Quality-gated deep dive that re-prompts with the violations it found
+ * - Note style dispatch (template/schema per style, gate for storytelling only)
+ * - Deep dive concurrency setting (sequential or parallel chapter analysis)
+ * - Per-stage model fallback chains behind a shared circuit breaker, with the
+ *   model that served each stage recorded in an optional trace
+ *
+ * Retries, backoff and JSON extraction are handled by the provider, so stage
+ * functions only build the prompt and pick the schema. Stage functions accept
+ * the prompt template version to render (built-in template by default) and
+ * the lecture's output language settings (Korean by default).
+ *
+ * Environment overrides for offline development:
+ * - AI_PROVIDER: force a provider for every stage (e.g. `mock`)
+ * - AI_FIXTURES_DIR: fixture directory replayed by the mock provider
+ * - AI_FIXTURES_STRICT=1: fail on prompts without a recorded fixture
+ * - AI_RECORD_DIR: record real responses as fixtures
+ *
+ * @module pipeline
+ */
+
+import { createAIProvider, getDefaultConfig, OPENAI_DEFAULT_BASE_URL } from './aiProvider.js';
+import {
+    SEGMENT_CHAPTER_SCHEMA,
+    LECTURE_META_SCHEMA,
+    CHAPTER_DEEP_DIVE_SCHEMA,
+    FINAL_SUMMARY_SCHEMA
+} from './schemas.js';
+import {
+    buildSegmentChapterPrompt,
+    buildLectureMetaPrompt,
+    buildDeepDivePrompt,
+    buildRegenerationPrompt,
+    buildFinalSummaryPrompt,
+    withLanguageSection
+} from './prompts.js';
+import { getNoteStyle } from './noteStyles.js';
+import { FallbackProvider } from './fallbackProvider.js';
+import { evaluateDeepDive, QUALITY_DEFAULT_CONFIG } from '../utils/noteQuality.js';
+import { shrinkSlice } from '../utils/transcriptSegmenter.js';
+
+/**
+ * Pipeline stage identifiers
+ * @type {Object<string, string>}
+ */
+export const PIPELINE_STAGE = {
+    CORRECTION: 'correction',
+    SEGMENTATION: 'segmentation',
+    LECTURE_META: 'lecture_meta',
+    DEEP_DIVE: 'deep_dive',
+    DEEP_DIVE_REPAIR: 'deep_dive_repair',
+    REGENERATION: 'regeneration',
+    FINAL_SUMMARY: 'final_summary'
+};
+
+/**
+ * Settings keys that are safe to persist with a lecture (no API key)
+ * @type {string[]}
+ */
+const PERSISTED_SETTING_KEYS = ['provider', 'model', 'baseUrl', 'temperature', 'maxTokens', 'deepDiveConcurrency'];
+
+/**
+ * Default chapter deep dive scheduling
+ * @type {Object}
+ */
+export const DEEP_DIVE_DEFAULT_CONFIG = {
+    concurrency: 1, // 1이면 챕터 순서대로 (이전 챕터 노트를 다음 챕터 문맥으로 사용)
+    maxConcurrency: 6 // 동시에 분석할 수 있는 최대 챕터 수
+};
+
+/**
+ * Fallback steps tried after the configured model, by provider and stage
+ * Chapter notes end with a smaller transcript slice so an overloaded model
+ * can still answer; stages without their own chain use `default`.
+ * @type {Object<string, Object<string, import('./fallbackProvider.js').FallbackStep[]>>}
+ */
+export const MODEL_FALLBACK_CHAINS = {
+    google: {
+        default: [{ model: 'gemini-2.5-flash' }],
+        [PIPELINE_STAGE.DEEP_DIVE]: [{ model: 'gemini-2.5-flash' }, { model: 'gemini-2.5-flash', inputRatio: 0.6 }],
+        [PIPELINE_STAGE.DEEP_DIVE_REPAIR]: [{ model: 'gemini-2.5-flash' }, { model: 'gemini-2.5-flash', inputRatio: 0.6 }],
+        [PIPELINE_STAGE.REGENERATION]: [{ model: 'gemini-2.5-flash' }, { model: 'gemini-2.5-flash', inputRatio: 0.6 }]
+    },
+    openai: {
+        default: [{ model: 'gpt-4o-mini' }],
+        [PIPELINE_STAGE.DEEP_DIVE]: [{ model: 'gpt-4o-mini' }, { model: 'gpt-4o-mini', inputRatio: 0.6 }],
+        [PIPELINE_STAGE.DEEP_DIVE_REPAIR]: [{ model: 'gpt-4o-mini' }, { model: 'gpt-4o-mini', inputRatio: 0.6 }],
+        [PIPELINE_STAGE.REGENERATION]: [{ model: 'gpt-4o-mini' }, { model: 'gpt-4o-mini', inputRatio: 0.6 }]
+    }
+};
+
+/**
+ * Model call made for a stage, collected in a stage trace
+ * @typedef {Object} StageCall
+ * @property {string} stage - One of PIPELINE_STAGE
+ * @property {string} model - Model that served the call
+ * @property {number|null} inputRatio - Share of the input slice that was sent (null for all of it)
+ * @property {boolean} fallback - Whether a fallback step served the call
+ */
+
+/**
+ * Pick the AI settings that should be stored with a lecture
+ * @param {Object} [settings] - Settings sent by the client
+ * @returns {Object} Settings without credentials
+ */
+export function pickPipelineSettings(settings) {
+    const picked = {};
+    for (const key of PERSISTED_SETTING_KEYS) {
+        if (settings?.[key] !== undefined && settings[key] !== null) {
+            picked[key] = settings[key];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Number of chapters analyzed at once for a lecture
+ * Values above 1 select the parallel mode, where every chapter receives the
+ * lecture outline and shared terms instead of the previous chapter's note.
+ * @param {Object} [settings] - Lecture AI settings (`deepDiveConcurrency`)
+ * @returns {number} Integer between 1 and DEEP_DIVE_DEFAULT_CONFIG.maxConcurrency
+ */
+export function resolveDeepDiveConcurrency(settings) {
+    const value = Math.floor(Number(settings?.deepDiveConcurrency));
+    if (!Number.isFinite(value) || value < 1) return DEEP_DIVE_DEFAULT_CONFIG.concurrency;
+    return Math.min(value, DEEP_DIVE_DEFAULT_CONFIG.maxConcurrency);
+}
+
+/**
+ * Whether the configured provider needs an API key
+ * OpenAI-compatible local servers (custom base URL) usually run without one.
+ * @param {Object} [settings] - User AI settings
+ * @returns {boolean}
+ */
+export function requiresApiKey(settings) {
+    const provider = process.env.AI_PROVIDER || settings?.provider;
+    if (provider === 'mock') return false;
+    if (provider !== 'openai') return true;
+    return !settings?.baseUrl || settings.baseUrl === OPENAI_DEFAULT_BASE_URL;
+}
+
+/**
+ * Resolve the API key for a provider: client key first, then server environment
+ * @param {Object} [settings] - User AI settings
+ * @param {string} [apiKey] - Key sent by the client
+ * @returns {string} API key (empty when none is configured)
+ */
+export function resolveApiKey(settings, apiKey) {
+    if (apiKey) return apiKey;
+    if (settings?.provider === 'openai') {
+        return process.env.OPENAI_API_KEY || '';
+    }
+    return process.env.GEMINI_API_KEY || process.env.API_KEY || '';
+}
+
+/**
+ * Resolve the provider configuration for pipeline stages
+ * @param {Object} [settings] - User AI settings (provider, model, baseUrl, temperature, maxTokens)
+ * @param {string} apiKey - API key
+ * @returns {import('./aiProvider.js').AIProviderConfig}
+ */
+export function resolvePipelineConfig(settings, apiKey) {
+    const forcedProvider = process.env.AI_PROVIDER;
+    const provider = forcedProvider || settings?.provider || 'google';
+    // A forced provider ignores model settings meant for another provider
+    const userSettings = forcedProvider && forcedProvider !== settings?.provider
+        ? {}
+        : pickPipelineSettings(settings);
+
+    const config = {
+        ...getDefaultConfig(provider),
+        ...userSettings,
+        provider,
+        apiKey
+    };
+
+    if (provider === 'mock') {
+        if (process.env.AI_FIXTURES_DIR) config.fixturesDir = process.env.AI_FIXTURES_DIR;
+        if (process.env.AI_FIXTURES_STRICT === '1') config.strict = true;
+    } else if (process.env.AI_RECORD_DIR) {
+        config.recordDir = process.env.AI_RECORD_DIR;
+    }
+
+    return config;
+}
+
+/**
+ * Fallback chains for a provider configuration
+ * Custom OpenAI-compatible endpoints serve arbitrary model names, so their
+ * chains keep the configured model and only shrink the input.
+ * @param {import('./aiProvider.js').AIProviderConfig} config - Provider configuration
+ * @returns {Object<string, import('./fallbackProvider.js').FallbackStep[]>|null} Chains, or null without fallback
+ */
+export function resolveFallbackChains(config) {
+    const chains = MODEL_FALLBACK_CHAINS[config.provider];
+    if (!chains) return null;
+
+    const customEndpoint = config.provider === 'openai' && config.baseUrl && config.baseUrl !== OPENAI_DEFAULT_BASE_URL;
+    if (!customEndpoint) return chains;
+
+    return Object.fromEntries(Object.entries(chains).map(([stage, steps]) => [
+        stage,
+        steps.map(step => ({ ...step, model: config.model }))
+    ]));
+}
+
+/**
+ * Create the provider used by all pipeline stages
+ * @param {Object} [settings] - User AI settings
+ * @param {string} apiKey - API key
+ * @param {Object} [options]
+ * @param {import('./circuitBreaker.js').CircuitBreaker} [options.circuitBreaker] - Shared circuit breaker
+ * @returns {import('./aiProvider.js').AIProvider}
+ */
+export function createPipelineProvider(settings, apiKey, { circuitBreaker } = {}) {
+    const config = resolvePipelineConfig(settings, apiKey);
+    const primary = createAIProvider(config);
+    const chains = resolveFallbackChains(config);
+    if (!chains) return primary;
+
+    return new FallbackProvider(primary, {
+        createProvider: (model) => createAIProvider({ ...config, model }),
+        chains,
+        breaker: circuitBreaker
+    });
+}
+
+/**
+ * Models that produced a chapter note, stored with the chapter
+ * @typedef {Object} GenerationRecord
+ * @property {string[]} models - Models that served the calls, in call order without duplicates
+ * @property {boolean} fallback - Whether any call was served by a fallback step
+ * @property {number|null} inputRatio - Smallest input ratio sent (null when every call got the full slice)
+ * @property {StageCall[]} calls - Every successful call
+ */
+
+/**
+ * Summarize the stage calls of one chapter note
+ * @param {StageCall[]} trace - Calls collected by the stage functions
+ * @returns {GenerationRecord|null} Record, or null without calls
+ */
+export function summarizeGeneration(trace) {
+    if (!Array.isArray(trace) || trace.length === 0) return null;
+    const ratios = trace.map(call => call.inputRatio).filter(ratio => ratio !== null);
+    return {
+        models: [...new Set(trace.map(call => call.model))],
+        fallback: trace.some(call => call.fallback),
+        inputRatio: ratios.length > 0 ? Math.min(...ratios) : null,
+        calls: trace
+    };
+}
+
+/**
+ * Parse a stored generation record
+ * @param {string|null} json - `chapters.generation` column
+ * @returns {GenerationRecord|null} Record, or null for chapters generated before it was recorded
+ */
+export function parseGeneration(json) {
+    if (!json) return null;
+    try {
+        const parsed = JSON.parse(json);
+        return parsed && Array.isArray(parsed.models) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Run a single generation for a stage
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {string} stage - One of PIPELINE_STAGE
+ * @param {import('./aiProvider.js').GenerationConfig & {trace?: StageCall[]}} request - Generation
+ *   request; a successful call is appended to `trace` when given
+ * @returns {Promise<*>} Parsed response data
+ * @throws {Error} If the provider could not produce a response
+ */
+export async function runStage(provider, stage, { trace, ...request }) {
+    const result = await provider.generateContent({ ...request, stage });
+
+    if (!result.success) {
+        const error = new Error(`AI ${stage} stage failed: ${result.error || 'unknown error'}`);
+        error.stage = stage;
+        throw error;
+    }
+
+    trace?.push({
+        stage,
+        model: result.fallback?.model || result.usage?.model || provider.model,
+        inputRatio: result.fallback?.inputRatio ?? null,
+        fallback: Boolean(result.fallback?.used)
+    });
+    return result.data;
+}
+
+/**
+ * Extract chapters from one transcript segment
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {{text: string, startTime?: string, endTime?: string}} segment - Segment to analyze
+ * @param {number} index - Zero-based segment index
+ * @param {number} total - Total number of segments
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {import('./promptTemplates.js').PromptTemplate} [options.template] - Prompt template version
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [options.language] - Output language settings
+ * @returns {Promise<Array<Object>>} Extracted chapters
+ */
+export async function extractSegmentChapters(provider, segment, index, total, { signal, template, language } = {}) {
+    const data = await runStage(provider, PIPELINE_STAGE.SEGMENTATION, {
+        prompt: withLanguageSection(buildSegmentChapterPrompt(segment, index, total, template), language),
+        schema: SEGMENT_CHAPTER_SCHEMA,
+        signal
+    });
+    return Array.isArray(data?.chapters) ? data.chapters : [];
+}
+
+/**
+ * Generate lecture title, overview, author and tags
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {string} introText - Opening part of the transcript
+ * @param {Array<{title: string}>} chapters - Extracted chapters
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {import('./promptTemplates.js').PromptTemplate} [options.template] - Prompt template version
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [options.language] - Output language settings
+ * @returns {Promise<{title: string, overview: string, author: string, tags: string[]}>}
+ */
+export async function generateLectureMeta(provider, introText, chapters, { signal, template, language } = {}) {
+    const data = await runStage(provider, PIPELINE_STAGE.LECTURE_META, {
+        prompt: withLanguageSection(buildLectureMetaPrompt(introText, chapters, template), language),
+        schema: LECTURE_META_SCHEMA,
+        signal
+    });
+    return {
+        title: data?.title || '',
+        overview: data?.overview || '',
+        author: data?.author || '',
+        tags: Array.isArray(data?.tags) ? data.tags : []
+    };
+}
+
+/**
+ * Prompt and shrink callback for a prompt built around a transcript slice
+ * @param {function(Object): string} build - Builds the prompt from parameters with `text`
+ * @param {Object} params - Prompt parameters
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [language] - Output language settings
+ * @returns {{prompt: string, shrink: function(number): string}}
+ */
+function slicePrompt(build, params, language) {
+    const render = (p) => withLanguageSection(build(p), language);
+    return {
+        prompt: render(params),
+        shrink: (ratio) => render({ ...params, text: shrinkSlice(params.text, ratio) })
+    };
+}
+
+/**
+ * Generate the deep dive note for a chapter
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {Object} params - Prompt parameters (see buildDeepDivePrompt)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {import('./promptTemplates.js').PromptTemplate} [options.template] - Prompt template version
+ * @param {Object} [options.schema] - Response schema (default: storytelling deep dive)
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [options.language] - Output language settings
+ * @param {StageCall[]} [options.trace] - Collects the model calls
+ * @returns {Promise<Object>} Chapter deep dive data
+ */
+export async function generateChapterDeepDive(provider, params, { signal, template, schema = CHAPTER_DEEP_DIVE_SCHEMA, language, trace } = {}) {
+    return runStage(provider, PIPELINE_STAGE.DEEP_DIVE, {
+        ...slicePrompt(p => buildDeepDivePrompt(p, template), params, language),
+        schema,
+        signal,
+        trace
+    });
+}
+
+/**
+ * Generate the deep dive note and re-prompt while it fails the quality gate
+ * Each repair attempt lists the violations of the previous response. The
+ * best-scoring response is kept; a failed repair call keeps the best response
+ * so far instead of losing the chapter.
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {Object} params - Prompt parameters (see buildDeepDivePrompt)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {Object} [options.quality] - Overrides for QUALITY_DEFAULT_CONFIG (e.g. maxRepairs)
+ * @param {import('./promptTemplates.js').PromptTemplate} [options.template] - Prompt template version
+ *   (repair attempts use the same version)
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [options.language] - Output language settings
+ * @param {StageCall[]} [options.trace] - Collects the model calls
+ * @returns {Promise<{data: Object, quality: import('../utils/noteQuality.js').QualityReport}>}
+ */
+export async function generateCheckedDeepDive(provider, params, { signal, quality: qualityConfig = {}, template, language, trace } = {}) {
+    const maxRepairs = qualityConfig.maxRepairs ?? QUALITY_DEFAULT_CONFIG.maxRepairs;
+
+    let data = await generateChapterDeepDive(provider, params, { signal, template, language, trace });
+    let report = evaluateDeepDive(data, qualityConfig);
+    let best = { data, report };
+    let attempts = 1;
+
+    while (!report.passed && attempts <= maxRepairs) {
+        try {
+            data = await runStage(provider, PIPELINE_STAGE.DEEP_DIVE_REPAIR, {
+                ...slicePrompt(p => buildDeepDivePrompt(p, template), { ...params, violations: report.violations }, language),
+                schema: CHAPTER_DEEP_DIVE_SCHEMA,
+                signal,
+                trace
+            });
+        } catch (e) {
+            if (signal?.aborted) throw e;
+            break;
+        }
+        attempts++;
+        report = evaluateDeepDive(data, qualityConfig);
+        if (report.score >= best.report.score) best = { data, report };
+    }
+
+    return { data: best.data, quality: { ...best.report, attempts } };
+}
+
+/**
+ * Generate a chapter note in a note style
+ * Styles with a quality gate go through generateCheckedDeepDive; the other
+ * styles are generated once and have no quality report.
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {Object} params - Prompt parameters (see buildDeepDivePrompt)
+ * @param {Object} [options]
+ * @param {string} [options.style] - One of NOTE_STYLE (default: storytelling)
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {Object} [options.quality] - Overrides for QUALITY_DEFAULT_CONFIG
+ * @param {import('./promptTemplates.js').PromptTemplate} [options.template] - The style's
+ *   prompt template version
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [options.language] - Output language settings
+ * @param {StageCall[]} [options.trace] - Collects the model calls
+ * @returns {Promise<{data: Object, quality: import('../utils/noteQuality.js').QualityReport|null}>}
+ */
+export async function generateStyledDeepDive(provider, params, { style, signal, quality, template, language, trace } = {}) {
+    const noteStyle = getNoteStyle(style);
+    if (noteStyle.qualityGate) {
+        return generateCheckedDeepDive(provider, params, { signal, quality, template, language, trace });
+    }
+
+    const data = await generateChapterDeepDive(provider, params, { signal, template, schema: noteStyle.schema, language, trace });
+    return { data, quality: null };
+}
+
+/**
+ * Rewrite a chapter note according to user feedback
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {Object} params - Prompt parameters (see buildRegenerationPrompt)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {import('./promptTemplates.js').PromptTemplate} [options.template] - Prompt template version
+ *   (the style template for notes other than storytelling)
+ * @param {Object} [options.schema] - Response schema (default: storytelling deep dive)
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [options.language] - Output language settings
+ * @param {StageCall[]} [options.trace] - Collects the model calls
+ * @returns {Promise<Object>} Chapter note data
+ */
+export async function regenerateChapterNote(provider, params, { signal, template, schema = CHAPTER_DEEP_DIVE_SCHEMA, language, trace } = {}) {
+    return runStage(provider, PIPELINE_STAGE.REGENERATION, {
+        ...slicePrompt(p => buildRegenerationPrompt(p, template), params, language),
+        schema,
+        signal,
+        trace
+    });
+}
+
+/**
+ * Generate the lecture-wide summary, insights and study material
+ * @param {import('./aiProvider.js').AIProvider} provider - AI provider
+ * @param {string} context - Chapter summaries and key terms
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {import('./promptTemplates.js').PromptTemplate} [options.template] - Prompt template version
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [options.language] - Output language settings
+ * @returns {Promise<Object>} Final summary data
+ */
+export async function generateFinalSummaryInsights(provider, context, { signal, template, language } = {}) {
+    return runStage(provider, PIPELINE_STAGE.FINAL_SUMMARY, {
+        prompt: withLanguageSection(buildFinalSummaryPrompt(context, template), language),
+        schema: FINAL_SUMMARY_SCHEMA,
+        signal
+    });
+}
@@ -0,0 +1,188 @@
+/**
+ * Prompt Template Registry
+ *
+ * Keeps every version of every prompt template in the `prompt_templates`
+ * table:
+ * - Built-in templates are stored as their own versions on load
+ * - Editing a template adds a new version, which becomes the active one
+ * - The latest version of each template is cached for synchronous lookup
+ *   while building prompts
+ *
+ * @module promptRegistry
+ */
+
+import {
+    DEFAULT_PROMPT_TEMPLATES,
+    renderTemplate,
+    validateTemplateBody
+} from './promptTemplates.js';
+
+/**
+ * Stored template version
+ * @typedef {Object} TemplateVersion
+ * @property {number} version - Version number
+ * @property {string} body - Template text
+ * @property {string|null} note - Change note
+ * @property {'builtin'|'custom'} source - Shipped with the app or edited by a user
+ * @property {string|null} createdAt - Creation time
+ */
+
+/**
+ * Sample values used to preview templates
+ * @type {Object<string, string|number>}
+ */
+const PREVIEW_VARIABLES = {
+    segmentHeader: '이 세그먼트(00:00:00 ~ 00:30:00)에서 챕터를 추출하세요.',
+    timeRule: '- 타임스탬프는 세그먼트 내 실제 시간 기준으로 정확히',
+    overlapRule: '',
+    startTime: '00:00:00',
+    endTime: '00:30:00',
+    segmentNumber: 1,
+    segmentCount: 2,
+    introText: '[00:00:00] 안녕하세요, 오늘은 캐시 설계에 대해 이야기하겠습니다.',
+    chapterList: '1. 캐시가 필요한 이유\n2. 무효화 전략',
+    title: '캐시가 필요한 이유',
+    previousContextSection: '',
+    speakerSection: '',
+    qualityRepairSection: '',
+    feedbackSection: '',
+    feedback: '예시를 더 구체적으로 써 주세요.',
+    context: 'Chapter 1: 캐시가 필요한 이유\n핵심: 응답 시간을 줄이기 위해 캐시를 둔다.',
+    text: '[00:00:00] 안녕하세요, 오늘은 캐시 설계에 대해 이야기하겠습니다.'
+};
+
+/**
+ * Versioned prompt templates backed by the database
+ */
+export class PromptRegistry {
+    /**
+     * @param {{run: Function, all: Function}} db - Promise-based database helpers
+     */
+    constructor(db) {
+        this.db = db;
+        /** @type {Map<string, TemplateVersion[]>} name -> versions (ascending) */
+        this.versions = new Map();
+    }
+
+    /**
+     * Store the built-in templates and load every version into the cache
+     * @returns {Promise<void>}
+     */
+    async load() {
+        for (const template of Object.values(DEFAULT_PROMPT_TEMPLATES)) {
+            await this.db.run(
+                `INSERT OR IGNORE INTO prompt_templates (name, version, body, note, source) VALUES (?, ?, ?, ?, 'builtin')`,
+                [template.name, template.version, template.body, 'Built-in template']
+            );
+        }
+
+        const rows = await this.db.all(`SELECT * FROM prompt_templates ORDER BY name, version`);
+        this.versions.clear();
+        for (const row of rows) {
+            if (!DEFAULT_PROMPT_TEMPLATES[row.name]) continue;
+            if (!this.versions.has(row.name)) this.versions.set(row.name, []);
+            this.versions.get(row.name).push(toVersion(row));
+        }
+    }
+
+    /**
+     * Active (latest) version of a template
+     * Falls back to the built-in template before load() has run.
+     * @param {string} name - One of PROMPT_TEMPLATE
+     * @returns {import('./promptTemplates.js').PromptTemplate}
+     */
+    get(name) {
+        const template = DEFAULT_PROMPT_TEMPLATES[name];
+        if (!template) throw new Error(`Unknown prompt template: ${name}`);
+
+        const versions = this.versions.get(name);
+        const latest = versions?.[versions.length - 1];
+        return latest ? { ...template, version: latest.version, body: latest.body } : template;
+    }
+
+    /**
+     * Every template with its active version and version history (without bodies)
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Object.keys(DEFAULT_PROMPT_TEMPLATES).map(name => {
+            const { description, variables, required, version } = this.get(name);
+            return {
+                name,
+                description,
+                variables,
+                required,
+                activeVersion: version,
+                versions: (this.versions.get(name) || []).map(({ body, ...meta }) => meta)
+            };
+        });
+    }
+
+    /**
+     * Every stored version of a template
+     * @param {string} name - Template name
+     * @returns {TemplateVersion[]|null} Versions, or null for unknown templates
+     */
+    history(name) {
+        if (!DEFAULT_PROMPT_TEMPLATES[name]) return null;
+        return this.versions.get(name) || [];
+    }
+
+    /**
+     * Store an edited template as a new active version
+     * @param {string} name - Template name
+     * @param {string} body - New template text
+     * @param {string} [note] - Change note
+     * @returns {Promise<{template?: import('./promptTemplates.js').PromptTemplate, errors?: string[]}>}
+     */
+    async save(name, body, note) {
+        const errors = validateTemplateBody(name, body);
+        if (errors.length > 0) return { errors };
+
+        const current = this.get(name);
+        if (current.body === body) return { template: current };
+
+        const version = current.version + 1;
+        await this.db.run(
+            `INSERT INTO prompt_templates (name, version, body, note, source) VALUES (?, ?, ?, ?, 'custom')`,
+            [name, version, body, note || null]
+        );
+
+        if (!this.versions.has(name)) this.versions.set(name, []);
+        this.versions.get(name).push({ version, body, note: note || null, source: 'custom', createdAt: new Date().toISOString() });
+        return { template: this.get(name) };
+    }
+
+    /**
+     * Render a template with sample values
+     * @param {string} name - Template name
+     * @param {Object} [options]
+     * @param {string} [options.body] - Unsaved template text (default: active version)
+     * @param {Object<string, *>} [options.variables] - Values overriding the samples
+     * @returns {{prompt?: string, errors?: string[]}}
+     */
+    preview(name, { body, variables = {} } = {}) {
+        if (!DEFAULT_PROMPT_TEMPLATES[name]) return { errors: [`Unknown prompt template: ${name}`] };
+
+        const template = body === undefined ? this.get(name) : { ...this.get(name), body };
+        const errors = validateTemplateBody(name, template.body);
+        if (errors.length > 0) return { errors };
+
+        return { prompt: renderTemplate(template, { ...PREVIEW_VARIABLES, ...variables }) };
+    }
+}
+
+/**
+ * Map a `prompt_templates` row to a version entry
+ * @param {Object} row - Database row
+ * @returns {TemplateVersion}
+ */
+function toVersion(row) {
+    return {
+        version: row.version,
+        body: row.body,
+        note: row.note ?? null,
+        source: row.source,
+        createdAt: row.created_at ?? null
+    };
+}
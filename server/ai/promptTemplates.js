@@ -0,0 +1,474 @@
+/**
+ * Prompt Templates
+ *
+ * Built-in, versioned templates for every prompt of the lecture pipeline.
+ * Templates use `{{variable}}` placeholders; the prompt builders in
+ * `prompts.js` compute the variables (including optional sections such as
+ * the speaker roster) and render the active template.
+ *
+ * Edited versions are stored by PromptRegistry; the versions here are the
+ * defaults every installation starts from.
+ *
+ * @module promptTemplates
+ */
+
+/**
+ * Template names
+ * @type {Object<string, string>}
+ */
+export const PROMPT_TEMPLATE = {
+    SEGMENT_CHAPTERS: 'segment_chapters',
+    LECTURE_META: 'lecture_meta',
+    DEEP_DIVE: 'deep_dive',
+    DEEP_DIVE_CORNELL: 'deep_dive_cornell',
+    DEEP_DIVE_EXAM_CRAM: 'deep_dive_exam_cram',
+    DEEP_DIVE_EXECUTIVE: 'deep_dive_executive',
+    DEEP_DIVE_DIGEST: 'deep_dive_digest',
+    REGENERATION: 'regeneration',
+    FINAL_SUMMARY: 'final_summary'
+};
+
+/**
+ * Prompt template
+ * @typedef {Object} PromptTemplate
+ * @property {string} name - One of PROMPT_TEMPLATE
+ * @property {number} version - Version number (built-in templates start at 1)
+ * @property {string} description - What the prompt is for
+ * @property {Object<string, string>} variables - Variables the template may use, with descriptions
+ * @property {string[]} required - Variables every version must use
+ * @property {string} body - Template text
+ */
+
+/**
+ * Variables of the note style templates (first generation and regeneration
+ * use the same template; feedbackSection is empty on the first generation)
+ * @type {Object<string, string>}
+ */
+const STYLE_TEMPLATE_VARIABLES = {
+    title: '챕터 제목',
+    startTime: '챕터 시작 시간 (없으면 N/A)',
+    endTime: '챕터 종료 시간 (없으면 N/A)',
+    previousContextSection: '이전 챕터 문맥 섹션 (첫 챕터와 재생성은 빈 값)',
+    speakerSection: '화자 정보 섹션 (화자가 없으면 빈 값)',
+    feedbackSection: '사용자 피드백 섹션 (재생성 시에만)',
+    text: '챕터 대본'
+};
+
+/**
+ * Built-in templates
+ * @type {Object<string, PromptTemplate>}
+ */
+export const DEFAULT_PROMPT_TEMPLATES = {
+    [PROMPT_TEMPLATE.SEGMENT_CHAPTERS]: {
+        name: PROMPT_TEMPLATE.SEGMENT_CHAPTERS,
+        version: 1,
+        description: '세그먼트별 챕터 추출',
+        variables: {
+            segmentHeader: '세그먼트 안내 문장 (시간 범위 또는 순번)',
+            timeRule: '타임스탬프 규칙',
+            overlapRule: '다음 세그먼트와 겹치는 구간 규칙 (겹침이 없으면 빈 값)',
+            startTime: '세그먼트 시작 시간',
+            endTime: '세그먼트 종료 시간',
+            segmentNumber: '세그먼트 순번 (1부터)',
+            segmentCount: '전체 세그먼트 수',
+            text: '세그먼트 텍스트'
+        },
+        required: ['text'],
+        body: `
+{{segmentHeader}}
+
+## 규칙
+- 챕터당 10-15분 분량 (8-20분 유동 가능)
+- 주제 전환 지점에서 분할
+- 구체적인 제목 사용 (예: "REF GPT 설정 방법")
+{{timeRule}}{{overlapRule}}
+
+## 세그먼트 텍스트:
+{{text}}
+`
+    },
+
+    [PROMPT_TEMPLATE.LECTURE_META]: {
+        name: PROMPT_TEMPLATE.LECTURE_META,
+        version: 1,
+        description: '강의 제목/요약/강사/태그 생성',
+        variables: {
+            introText: '강의 앞부분 내용',
+            chapterList: '번호를 붙인 챕터 제목 목록'
+        },
+        required: ['introText', 'chapterList'],
+        body: `
+다음 강의의 전체 제목, 요약, 그리고 메타데이터를 추출하세요.
+
+## 강의 앞부분 내용:
+{{introText}}
+
+## 챕터 목록:
+{{chapterList}}
+
+## 요청사항
+1. **Title**: 강의 내용을 포괄하는 매력적인 제목
+2. **Overview**: 전체 내용을 3문장 내외로 요약
+3. **Author**: 강사 이름 (없으면 빈칸)
+4. **Tags**: 핵심 주제 태그 3-5개 (배열)
+
+JSON 형식으로 출력하세요.
+`
+    },
+
+    [PROMPT_TEMPLATE.DEEP_DIVE]: {
+        name: PROMPT_TEMPLATE.DEEP_DIVE,
+        version: 1,
+        description: '챕터 Deep Dive 노트 작성',
+        variables: {
+            title: '챕터 제목',
+            startTime: '챕터 시작 시간 (없으면 N/A)',
+            endTime: '챕터 종료 시간 (없으면 N/A)',
+            previousContextSection: '이전 챕터 문맥 섹션 (첫 챕터는 빈 값)',
+            speakerSection: '화자 정보 섹션 (화자가 없으면 빈 값)',
+            qualityRepairSection: '품질 검사 위반 사항 섹션 (재생성 시에만)',
+            text: '챕터 대본'
+        },
+        required: ['text'],
+        body: `
+당신은 IT/기술 분야의 전문 테크니컬 라이터입니다.
+독자가 이 글만 읽어도 강의의 깊은 통찰을 얻을 수 있도록 완성도 높은 아티클을 작성하세요.
+
+## 챕터 정보
+- 제목: {{title}}
+- 시간: {{startTime}} ~ {{endTime}}
+
+{{previousContextSection}}
+{{speakerSection}}
+---
+## 🚨 문체 규칙 (최우선 준수사항)
+
+**반드시 평서형 종결어미만 사용하세요:**
+- ✅ 올바른 예: "~한다", "~이다", "~했다", "~된다", "~있다"
+- ❌ 금지: "~합니다", "~입니다", "~됩니다", "~있습니다"
+
+이 규칙을 어기면 전체 결과물이 무효 처리됩니다.
+모든 문장의 종결어미를 작성 후 반드시 검토하세요.
+---
+
+## 📝 narrative 구조 (필수 형식)
+
+### 도입부 (첫 문단)
+- "이 챕터에서는..." 으로 시작하지 마세요
+- 바로 본론으로 진입: "강사는 [주제]로 강의를 시작했다" 또는 "[핵심 개념]에 대한 논의가 이어졌다" 형태로 시작
+
+### 본문 구조 (반드시 ## 소제목 사용)
+- 반드시 2~4개의 ## 소제목으로 섹션을 나눌 것
+- ### 소제목은 사용하지 마세요 (## 만 사용)
+- 각 섹션에 최소 1개의 인용문 포함
+
+### 인용 형식
+> "강사의 실제 발언" [MM:SS]
+
+인용 후 반드시 해석을 덧붙인다. 이것이 의미하는 바는...
+
+### 예시 구조:
+---
+## 첫 번째 주제
+
+강사는 [주제]를 설명하며 핵심을 짚었다.
+
+> "실제 발언 인용" [00:05:30]
+
+이 발언은 [해석]. 특히 **핵심 개념**이 중요한데...
+
+## 두 번째 주제
+
+이어서 [다음 주제]로 논의가 전환되었다.
+
+> "또 다른 발언" [00:12:45]
+
+실제로 이것이 의미하는 바는...
+
+- 포인트 1
+- 포인트 2
+---
+
+## ⚠️ 작성 시 주의사항
+
+1. **강사 인용 필수**: 각 ## 섹션에 최소 1개의 인용문과 타임스탬프
+2. **구어체 보존**: 강사가 실제로 말한 표현을 살려서 인용
+3. **맥락 연결**: 인용 후에는 왜 이 말이 중요한지 해석
+4. **스토리 흐름**: 시간순으로 자연스럽게 서술
+5. **일반론 금지**: "온라인 강의의 성공은..." 같은 뻔한 서술 금지
+6. **마무리 검증**: 모든 문장이 평서형 종결어미(~한다/~이다)로 끝나는지 확인
+{{qualityRepairSection}}
+## 분석할 텍스트:
+{{text}}
+`
+    },
+
+    [PROMPT_TEMPLATE.DEEP_DIVE_CORNELL]: {
+        name: PROMPT_TEMPLATE.DEEP_DIVE_CORNELL,
+        version: 1,
+        description: '챕터 코넬 노트 작성',
+        variables: STYLE_TEMPLATE_VARIABLES,
+        required: ['text'],
+        body: `
+당신은 학습 노트를 정리하는 전문 튜터입니다.
+아래 강의 챕터를 코넬 노트(Cornell Notes) 형식으로 정리하세요.
+
+## 챕터 정보
+- 제목: {{title}}
+- 시간: {{startTime}} ~ {{endTime}}
+
+{{previousContextSection}}
+{{speakerSection}}{{feedbackSection}}
+## 코넬 노트 형식
+- **cues (단서 칸)**: 복습할 때 스스로에게 던질 질문 또는 키워드 (5-8개, 강의 순서대로)
+- **notes (필기 칸)**: 각 단서에 대한 설명을 2-5문장으로, 강의 내용에 근거해 작성
+- **timestamp**: 단서와 관련된 발언 시점 [MM:SS]
+- **recap (요약 칸)**: 챕터 전체를 3-5문장으로 요약
+
+## 작성 규칙
+1. 필기와 요약은 평서형 종결어미(~한다/~이다)로 작성
+2. 단서는 질문형("왜 캐시를 무효화해야 하는가?") 또는 핵심 키워드로 작성
+3. quotesWithTimeline에는 대본에 실제로 있는 발언만 그대로 인용
+4. 일반론 금지: 이 강의에서 다룬 내용만 정리
+
+## 분석할 텍스트:
+{{text}}
+`
+    },
+
+    [PROMPT_TEMPLATE.DEEP_DIVE_EXAM_CRAM]: {
+        name: PROMPT_TEMPLATE.DEEP_DIVE_EXAM_CRAM,
+        version: 1,
+        description: '챕터 시험 대비 요약 노트 작성',
+        variables: STYLE_TEMPLATE_VARIABLES,
+        required: ['text'],
+        body: `
+당신은 시험 대비 요약 노트를 만드는 강사입니다.
+아래 강의 챕터를 시험 직전에 빠르게 훑어볼 수 있는 불릿 개요로 정리하세요.
+
+## 챕터 정보
+- 제목: {{title}}
+- 시간: {{startTime}} ~ {{endTime}}
+
+{{previousContextSection}}
+{{speakerSection}}{{feedbackSection}}
+## 작성 형식
+- **outline**: 강의 순서대로 3-6개 항목, 항목마다 짧은 명사형 불릿 (각 40자 이내)
+- **mustMemorize**: 반드시 외워야 할 정의, 수치, 공식, 순서 (5-10개)
+- **likelyQuestions**: 출제 가능성이 높은 문제와 모범 답안 (3-5개)
+
+## 작성 규칙
+1. 서술형 문단 금지: 모든 내용은 짧은 불릿으로
+2. 강사가 "중요하다", "꼭 기억하라"고 강조한 부분을 우선 포함
+3. quotesWithTimeline에는 대본에 실제로 있는 발언만 그대로 인용
+4. 강의에서 다루지 않은 내용은 추가하지 말 것
+
+## 분석할 텍스트:
+{{text}}
+`
+    },
+
+    [PROMPT_TEMPLATE.DEEP_DIVE_EXECUTIVE]: {
+        name: PROMPT_TEMPLATE.DEEP_DIVE_EXECUTIVE,
+        version: 1,
+        description: '챕터 경영진 브리핑 작성',
+        variables: STYLE_TEMPLATE_VARIABLES,
+        required: ['text'],
+        body: `
+당신은 바쁜 의사결정자를 위한 브리핑 문서를 작성하는 컨설턴트입니다.
+아래 강의 챕터를 2분 안에 읽을 수 있는 경영진 브리핑으로 정리하세요.
+
+## 챕터 정보
+- 제목: {{title}}
+- 시간: {{startTime}} ~ {{endTime}}
+
+{{previousContextSection}}
+{{speakerSection}}{{feedbackSection}}
+## 브리핑 형식
+- **keyMessage**: 결론부터 한 문장으로 (Bottom line up front)
+- **situation**: 배경과 문제 상황 (2-4문장)
+- **keyTakeaways**: 핵심 발견 사항 (3-5개, 강의에서 제시한 근거 포함)
+- **implications**: 의사결정에 주는 시사점 (2-4개)
+- **actionableItems**: 권장 조치 (명령형, 3-5개)
+
+## 작성 규칙
+1. 평서형 종결어미(~한다/~이다)로 간결하게 작성
+2. 기술 세부 사항보다 결정에 필요한 정보를 우선
+3. quotesWithTimeline에는 대본에 실제로 있는 발언만 그대로 인용
+4. 강의에서 다루지 않은 주장은 추가하지 말 것
+
+## 분석할 텍스트:
+{{text}}
+`
+    },
+
+    [PROMPT_TEMPLATE.DEEP_DIVE_DIGEST]: {
+        name: PROMPT_TEMPLATE.DEEP_DIVE_DIGEST,
+        version: 1,
+        description: '챕터 원문 발췌 다이제스트 작성',
+        variables: STYLE_TEMPLATE_VARIABLES,
+        required: ['text'],
+        body: `
+당신은 강의 대본을 편집하는 기록 담당자입니다.
+아래 강의 챕터에서 중요한 구간을 원문 그대로 발췌하여 시간순 다이제스트를 만드세요.
+
+## 챕터 정보
+- 제목: {{title}}
+- 시간: {{startTime}} ~ {{endTime}}
+
+{{previousContextSection}}
+{{speakerSection}}{{feedbackSection}}
+## 다이제스트 형식
+- **segments**: 강의 순서대로 5-10개 구간
+  - timestamp: 발췌 시작 시점 [MM:SS]
+  - heading: 구간 제목
+  - verbatim: 대본 원문 발췌 (2-6문장, 단어를 바꾸거나 요약하지 말 것)
+  - note: 발췌에 대한 짧은 설명 (1-2문장)
+
+## 작성 규칙
+1. verbatim은 대본에 있는 문장을 그대로 옮길 것 (군더더기 말만 생략 가능)
+2. 발췌 구간이 챕터 전체 흐름을 따라가도록 고르게 선택
+3. quotesWithTimeline에는 대본에 실제로 있는 발언만 그대로 인용
+4. note는 평서형 종결어미(~한다/~이다)로 작성
+
+## 분석할 텍스트:
+{{text}}
+`
+    },
+
+    [PROMPT_TEMPLATE.REGENERATION]: {
+        name: PROMPT_TEMPLATE.REGENERATION,
+        version: 1,
+        description: '사용자 피드백을 반영한 챕터 노트 재작성',
+        variables: {
+            title: '챕터 제목',
+            startTime: '챕터 시작 시간',
+            endTime: '챕터 종료 시간',
+            feedback: '사용자 피드백',
+            speakerSection: '화자 정보 섹션 (화자가 없으면 빈 값)',
+            text: '챕터 대본'
+        },
+        required: ['feedback', 'text'],
+        body: `
+당신은 강의 내용을 생생하게 전달하는 전문 에디터입니다.
+사용자 피드백을 반영하여, 마치 강의를 직접 듣는 것처럼 생동감 있는 학습 노트를 재작성하세요.
+
+## 챕터 정보
+- 제목: {{title}}
+- 시간: {{startTime}} ~ {{endTime}}
+
+## 사용자 피드백 (반드시 반영)
+{{feedback}}
+{{speakerSection}}
+## 핵심 작성 원칙
+
+### ⚠️ 반드시 지켜야 할 것
+1. **강사 인용을 본문에 직접 통합**: 각 섹션에 최소 1-2개의 강사 발언을 인용하고, 해당 타임스탬프를 표시
+2. **구어체 보존**: 강사가 실제로 말한 표현을 살려서 인용 (예: "이게 핵심이에요", "여러분이 해보셔야 해요")
+3. **맥락 연결**: 인용 후에는 왜 이 말이 중요한지, 어떤 의미인지 해석 추가
+4. **스토리 흐름**: 강의가 어떻게 전개되었는지 시간순으로 자연스럽게 서술
+
+### ❌ 하지 말 것
+- "~합니다", "~입니다"로 끝나는 딱딱한 문체 (대신: "~한다", "~이다", "~했다" 등 사용)
+- 일반론적 서술 금지
+- 강사 인용 없이 진행하는 것
+- 교과서처럼 무미건조하게 정보만 나열
+
+### 📝 narrative 작성 형식 (필수)
+
+## 소제목
+
+강사는 [주제]에 대해 이야기하며 강조했다.
+
+> "강사의 실제 발언 인용" [MM:SS]
+
+이 발언의 의미는... [해석과 맥락 설명]. **핵심 키워드**는 특히 중요한데...
+
+### quotesWithTimeline
+- narrative에 포함된 인용들을 여기에도 별도로 정리 (최소 6개)
+
+## 분석할 텍스트:
+{{text}}
+`
+    },
+
+    [PROMPT_TEMPLATE.FINAL_SUMMARY]: {
+        name: PROMPT_TEMPLATE.FINAL_SUMMARY,
+        version: 1,
+        description: '강의 전체 종합 요약과 학습 자료 생성',
+        variables: {
+            context: '챕터별 요약과 핵심 용어'
+        },
+        required: ['context'],
+        body: `
+다음은 강의의 챕터별 요약입니다. 이를 바탕으로 전체 강의를 관통하는 종합 요약과 학습 자료를 생성하세요.
+
+## 강의 내용:
+{{context}}
+
+## 요청사항 (JSON 형식)
+1. **oneSentenceSummary**: 강의 전체를 한 문장으로 요약 (명언처럼 강렬하게)
+2. **coreInsights**: 전체를 관통하는 핵심 통찰 3-5가지
+3. **actionChecklist**: 수강생이 실천해야 할 행동 지침 (체크리스트)
+4. **practiceAssignments**: 실습 과제 3가지 (난이도, 소요시간 포함)
+5. **reviewQuestions**: 복습용 질문 5가지
+6. **furtherLearning**: 더 공부하면 좋은 관련 주제/키워드
+
+JSON 포맷으로 출력하세요.
+`
+    }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Variables used by a template body
+ * @param {string} body - Template text
+ * @returns {string[]} Variable names in order of first use
+ */
+export function templateVariables(body) {
+    return [...new Set([...String(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Render a template
+ * @param {{body: string}} template - Template to render
+ * @param {Object<string, *>} variables - Variable values (missing values render as empty text)
+ * @returns {string} Prompt text
+ */
+export function renderTemplate(template, variables) {
+    return template.body.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Check an edited template body
+ * @param {string} name - Template name
+ * @param {string} body - Edited template text
+ * @returns {string[]} Errors (empty when the body is usable)
+ */
+export function validateTemplateBody(name, body) {
+    const template = DEFAULT_PROMPT_TEMPLATES[name];
+    if (!template) return [`Unknown prompt template: ${name}`];
+    if (typeof body !== 'string' || !body.trim()) return ['body must be a non-empty string'];
+
+    const used = templateVariables(body);
+    const errors = used
+        .filter(variable => !(variable in template.variables))
+        .map(variable => `Unknown variable {{${variable}}}`);
+    for (const variable of template.required) {
+        if (!used.includes(variable)) errors.push(`Missing required variable {{${variable}}}`);
+    }
+    return errors;
+}
+
+/**
+ * Reference to the template version that produced a result
+ * @param {{name: string, version: number}} template - Template used
+ * @returns {{name: string, version: number}}
+ */
+export function templateRef(template) {
+    return { name: template.name, version: template.version };
+}
@@ -0,0 +1,228 @@
+/**
+ * Prompt Builders for the Lecture Pipeline
+ *
+ * Builds the user prompt for every AI stage by computing the template
+ * variables and rendering a versioned template (built-in by default, or the
+ * active version from PromptRegistry):
+ * - Segment chapter extraction
+ * - Lecture title/metadata generation
+ * - Chapter deep dive (in every note style) and feedback-driven regeneration
+ * - Final summary
+ *
+ * The output language section is appended after rendering, so every
+ * template version (including edited ones) follows the lecture's language
+ * settings.
+ *
+ * @module prompts
+ */
+
+import { DEFAULT_PROMPT_TEMPLATES, PROMPT_TEMPLATE, renderTemplate } from './promptTemplates.js';
+import { LANGUAGE_NAMES, LANGUAGE_DEFAULT_CONFIG } from '../utils/languageDetector.js';
+
+/**
+ * Build the chapter extraction prompt for one transcript segment
+ * @param {{text: string, startTime?: string, endTime?: string, overlapStartTime?: string}} segment - Segment to analyze
+ * @param {number} index - Zero-based segment index
+ * @param {number} total - Total number of segments
+ * @param {import('./promptTemplates.js').PromptTemplate} [template] - Template to render
+ * @returns {string} Prompt text
+ */
+export function buildSegmentChapterPrompt(segment, index, total, template = DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.SEGMENT_CHAPTERS]) {
+    const hasTimestamp = segment.startTime && segment.endTime;
+    const segmentHeader = hasTimestamp
+        ? `이 세그먼트(${segment.startTime} ~ ${segment.endTime})에서 챕터를 추출하세요.`
+        : `세그먼트 ${index + 1}/${total}에서 챕터를 추출하세요.`;
+
+    const timeRule = hasTimestamp
+        ? `- 타임스탬프는 세그먼트 내 실제 시간 기준으로 정확히`
+        : `- 타임스탬프가 없으므로 startTime/endTime은 빈 문자열("")로 반환`;
+
+    // 다음 세그먼트와 겹치는 뒷부분: 새 챕터는 다음 세그먼트에서 추출
+    const overlapRule = hasTimestamp && segment.overlapStartTime
+        ? `\n- ${segment.overlapStartTime} 이후는 다음 세그먼트와 겹치는 구간입니다. 이 구간에서 새로 시작하는 주제는 추출하지 말고, 그 전에 시작한 주제는 실제로 끝나는 시간을 endTime으로 지정하세요`
+        : '';
+
+    return renderTemplate(template, {
+        segmentHeader,
+        timeRule,
+        overlapRule,
+        startTime: segment.startTime || '',
+        endTime: segment.endTime || '',
+        segmentNumber: index + 1,
+        segmentCount: total,
+        text: segment.text
+    });
+}
+
+/**
+ * Build the lecture title/overview/author/tags prompt
+ * @param {string} introText - Opening part of the transcript
+ * @param {Array<{title: string}>} chapters - Extracted chapters
+ * @param {import('./promptTemplates.js').PromptTemplate} [template] - Template to render
+ * @returns {string} Prompt text
+ */
+export function buildLectureMetaPrompt(introText, chapters, template = DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.LECTURE_META]) {
+    return renderTemplate(template, {
+        introText,
+        chapterList: chapters.map((ch, i) => `${i + 1}. ${ch.title}`).join('\n')
+    });
+}
+
+/**
+ * Build the speaker section shared by the deep dive and regeneration prompts
+ * @param {Array<{name: string, aliases?: string[]}>} [speakers] - Lecture speakers
+ * @returns {string} Prompt section (empty without speakers)
+ */
+function buildSpeakerSection(speakers) {
+    if (!Array.isArray(speakers) || speakers.length === 0) return '';
+
+    const roster = speakers.map(speaker => {
+        const labels = (speaker.aliases || []).filter(label => label !== speaker.name);
+        return labels.length > 0 ? `- ${speaker.name} (대본 표기: ${labels.join(', ')})` : `- ${speaker.name}`;
+    }).join('\n');
+
+    return `
+## 화자 정보
+대본에서 "이름: 발언" 형태로 표기된 발화자입니다.
+${roster}
+- 인용문은 실제 발화자의 발언으로 귀속하세요. 질문자 등 강사가 아닌 화자의 발언을 강사의 말로 인용하지 마세요.
+- quotesWithTimeline의 speaker에는 위 목록의 이름을 그대로 기재하세요.
+`;
+}
+
+/**
+ * Build the section listing quality gate violations of the previous attempt
+ * @param {Array<{message: string}>} [violations] - Violations found by the quality gate
+ * @returns {string} Prompt section (empty on the first attempt)
+ */
+function buildQualityRepairSection(violations) {
+    if (!Array.isArray(violations) || violations.length === 0) return '';
+
+    return `
+## 🔁 이전 응답의 품질 검사 결과 (반드시 수정)
+이전에 작성한 결과가 아래 규칙을 지키지 않아 거부되었습니다.
+${violations.map(v => `- ${v.message}`).join('\n')}
+위 문제를 모두 고쳐 처음부터 다시 작성하세요. 나머지 규칙도 그대로 지켜야 합니다.
+`;
+}
+
+/**
+ * Build the user feedback section of the note style templates
+ * @param {string} [feedback] - User feedback to apply
+ * @returns {string} Prompt section (empty without feedback)
+ */
+function buildFeedbackSection(feedback) {
+    if (!feedback || !String(feedback).trim()) return '';
+
+    return `
+## 사용자 피드백 (반드시 반영)
+${String(feedback).trim()}
+`;
+}
+
+/**
+ * Build the deep dive prompt for a chapter (storytelling by default; note
+ * style templates render the same variables)
+ * @param {Object} params
+ * @param {string} params.title - Chapter title
+ * @param {string} [params.startTime] - Chapter start time
+ * @param {string} [params.endTime] - Chapter end time
+ * @param {string} [params.previousContext] - Key message/terms of the previous chapter
+ * @param {Array<{name: string, aliases?: string[]}>} [params.speakers] - Lecture speakers
+ * @param {Array<{message: string}>} [params.violations] - Quality gate violations to fix (repair attempts)
+ * @param {string} params.text - Transcript slice to analyze
+ * @param {import('./promptTemplates.js').PromptTemplate} [template] - Template to render
+ * @returns {string} Prompt text
+ */
+export function buildDeepDivePrompt({ title, startTime, endTime, previousContext, speakers, violations, text }, template = DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.DEEP_DIVE]) {
+    return renderTemplate(template, {
+        title,
+        startTime: startTime || 'N/A',
+        endTime: endTime || 'N/A',
+        previousContextSection: previousContext
+            ? `## 이전 챕터 문맥 (참고용)\n${previousContext}\n(위 내용을 참고하여 문맥을 자연스럽게 연결하고, 용어를 일관되게 사용하세요)`
+            : '',
+        speakerSection: buildSpeakerSection(speakers),
+        qualityRepairSection: buildQualityRepairSection(violations),
+        text
+    });
+}
+
+/**
+ * Build the prompt that rewrites a chapter note according to user feedback
+ * Renders the regeneration template for storytelling notes, or the note
+ * style template (with a feedback section) for the other styles.
+ * @param {Object} params
+ * @param {string} params.title - Chapter title
+ * @param {string} params.startTime - Chapter start time
+ * @param {string} params.endTime - Chapter end time
+ * @param {string} params.feedback - User feedback to apply
+ * @param {Array<{name: string, aliases?: string[]}>} [params.speakers] - Lecture speakers
+ * @param {string} params.text - Transcript slice to analyze
+ * @param {import('./promptTemplates.js').PromptTemplate} [template] - Template to render
+ * @returns {string} Prompt text
+ */
+export function buildRegenerationPrompt({ title, startTime, endTime, feedback, speakers, text }, template = DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.REGENERATION]) {
+    return renderTemplate(template, {
+        title,
+        startTime,
+        endTime,
+        feedback,
+        feedbackSection: buildFeedbackSection(feedback),
+        speakerSection: buildSpeakerSection(speakers),
+        text
+    });
+}
+
+/**
+ * Build the final summary prompt from per-chapter context
+ * @param {string} context - Chapter summaries and key terms
+ * @param {import('./promptTemplates.js').PromptTemplate} [template] - Template to render
+ * @returns {string} Prompt text
+ */
+export function buildFinalSummaryPrompt(context, template = DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.FINAL_SUMMARY]) {
+    return renderTemplate(template, { context });
+}
+
+/**
+ * Build the output language section
+ * Korean notes from a Korean (or undetected) lecture need no section, so
+ * those prompts stay as the templates render them.
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [language] - Lecture language settings
+ * @returns {string} Prompt section (empty for the default)
+ */
+export function buildLanguageSection(language) {
+    const target = language?.target || LANGUAGE_DEFAULT_CONFIG.defaultTarget;
+    const source = language?.source || null;
+    const translated = source !== null && source !== target;
+    const bilingual = Boolean(language?.bilingual) && translated;
+    const rules = [];
+
+    if (target !== LANGUAGE_DEFAULT_CONFIG.defaultTarget) {
+        rules.push(`- 모든 결과(제목, 요약, 본문, 용어 정의, 질문 등)를 ${LANGUAGE_NAMES[target]}로 작성하세요. 위 지시문이 한국어여도 결과는 ${LANGUAGE_NAMES[target]}로 작성합니다.`);
+        rules.push(`- 한국어 종결어미 규칙(~한다/~이다)은 ${LANGUAGE_NAMES[target]}의 평서문 문체로 대신 지키세요.`);
+    }
+    if (translated) {
+        rules.push(`- 강의 원어는 ${LANGUAGE_NAMES[source]}입니다. 인용문(quote, 원문 발췌)은 번역하지 말고 대본의 원문 그대로 적으세요.`);
+    }
+    if (bilingual) {
+        rules.push(`- keyTerms의 term은 ${LANGUAGE_NAMES[target]}로, originalTerm에는 강의에서 쓰인 ${LANGUAGE_NAMES[source]} 원어 표기를 적으세요.`);
+    }
+    if (rules.length === 0) return '';
+
+    return `
+## 🌐 출력 언어 (최우선 준수사항)
+${rules.join('\n')}
+`;
+}
+
+/**
+ * Append the output language section to a rendered prompt
+ * @param {string} prompt - Rendered prompt
+ * @param {import('../utils/languageDetector.js').LectureLanguage} [language] - Lecture language settings
+ * @returns {string} Prompt text (unchanged for the default language settings)
+ */
+export function withLanguageSection(prompt, language) {
+    const section = buildLanguageSection(language);
+    return section ? `${prompt}${section}` : prompt;
+}
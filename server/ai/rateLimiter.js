@@ -0,0 +1,447 @@
+/**
+ * Process-wide AI Rate Limiter
+ *
+ * Schedules the AI requests of every lecture through one queue per API key
+ * and model:
+ * - Requests-per-minute and tokens-per-minute budgets over a sliding window
+ * - Round-robin between lectures, so one long upload cannot starve another
+ * - Retry-after hints (response header or error text) pause the whole queue
+ * - Queue position callbacks for progress reporting
+ *
+ * Providers run every attempt through the scheduler (see
+ * `GenerationConfig.scheduler`), so retries use the same budget as first
+ * attempts. Token budgets reserve an estimate from the prompt length and
+ * are corrected with the usage the provider reports.
+ *
+ * @module rateLimiter
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Budgets per model (free tier for Gemini, tier 1 for OpenAI)
+ * Override with RateLimiter config (AI_RATE_LIMIT_RPM / AI_RATE_LIMIT_TPM on the server).
+ * @type {Object<string, {requestsPerMinute: number, tokensPerMinute: number}>}
+ */
+export const MODEL_RATE_LIMITS = {
+    'gemini-2.5-flash': { requestsPerMinute: 10, tokensPerMinute: 250000 },
+    'gemini-2.5-pro': { requestsPerMinute: 5, tokensPerMinute: 250000 },
+    'gpt-4o-mini': { requestsPerMinute: 500, tokensPerMinute: 200000 },
+    'gpt-4o': { requestsPerMinute: 500, tokensPerMinute: 30000 },
+    'mock': { requestsPerMinute: Infinity, tokensPerMinute: Infinity }
+};
+
+/**
+ * Default rate limiter configuration
+ * @type {Object}
+ */
+export const RATE_LIMIT_DEFAULT_CONFIG = {
+    windowMs: 60000, // 예산을 계산하는 구간 (1분)
+    defaultLimits: { requestsPerMinute: 60, tokensPerMinute: Infinity }, // 표에 없는 모델 (로컬 서버 등)
+    requestsPerMinute: null, // 모든 모델에 적용할 RPM (null이면 모델 표)
+    tokensPerMinute: null, // 모든 모델에 적용할 TPM (null이면 모델 표)
+    charsPerToken: 3, // 프롬프트 토큰 추정치 (응답 후 실제 사용량으로 보정)
+    rateLimitCooldownMs: 15000, // retry-after 없이 429를 받았을 때 대기 시간
+    maxRetryAfterMs: 120000 // retry-after 상한
+};
+
+/**
+ * Queue status reported while a request waits
+ * @typedef {Object} QueueStatus
+ * @property {number} position - 1-based position in the queue (0 once the request starts)
+ * @property {number} queued - Requests waiting in the same queue
+ * @property {string} stage - Pipeline stage of the request
+ * @property {string} model - Model of the queue
+ */
+
+/**
+ * Parse a retry-after hint from a rate limit error
+ * Reads `error.retryAfterMs` (set from response headers) or the delay in
+ * the error text (`"retryDelay": "27s"`, `retry in 27.5s`, `try again in 500ms`).
+ * @param {Error} error - Error thrown by a provider
+ * @returns {number|null} Delay in milliseconds, or null without a hint
+ */
+export function parseRetryAfter(error) {
+    if (Number.isFinite(error?.retryAfterMs)) return Math.max(0, error.retryAfterMs);
+
+    const match = String(error?.message || '').match(/(?:retryDelay"?\s*:\s*"|retry in |try again in )(\d+(?:\.\d+)?)\s*(ms|s)\b/i);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return Math.ceil(match[2].toLowerCase() === 'ms' ? value : value * 1000);
+}
+
+/**
+ * Whether an error means the provider rejected the request for rate or quota reasons
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+    if (error?.status === 429) return true;
+    return /\b429\b|rate limit|quota|resource_exhausted/i.test(String(error?.message || ''));
+}
+
+/**
+ * Queue and sliding-window budget of one API key and model
+ */
+class Bucket {
+    /**
+     * @param {string} model - Model identifier
+     * @param {{requestsPerMinute: number, tokensPerMinute: number}} limits - Budgets
+     */
+    constructor(model, limits) {
+        this.model = model;
+        this.limits = limits;
+        this.log = []; // 구간 내 시작한 요청 { at, tokens }
+        this.queues = new Map(); // lectureId -> 대기 요청
+        this.order = []; // 라운드 로빈 순서 (대기 요청이 있는 강의)
+        this.blockedUntil = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Waiting requests in the order they will start
+     * @returns {Array<Object>}
+     */
+    waiting() {
+        const queues = this.order.map(id => [...this.queues.get(id)]);
+        const ordered = [];
+        while (queues.some(queue => queue.length > 0)) {
+            queues.forEach(queue => { if (queue.length > 0) ordered.push(queue.shift()); });
+        }
+        return ordered;
+    }
+}
+
+/**
+ * Provider decorator that runs every request attempt through the rate limiter
+ */
+export class RateLimitedProvider {
+    /**
+     * @param {import('./baseProvider.js').AIProvider} inner - Provider that performs the requests
+     * @param {RateLimiter} limiter - Shared rate limiter
+     * @param {Object} [options]
+     * @param {string} [options.lectureId] - Lecture the calls belong to (fairness key)
+     * @param {function(QueueStatus): void} [options.onQueue] - Queue position callback
+     */
+    constructor(inner, limiter, { lectureId = null, onQueue } = {}) {
+        this.inner = inner;
+        this.limiter = limiter;
+        this.lectureId = lectureId;
+        this.onQueue = onQueue;
+        this.provider = inner.provider;
+        this.model = inner.model;
+        this.config = inner.config;
+    }
+
+    /**
+     * Generate content with the inner provider, scheduling each attempt
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateContent(request) {
+        return this.inner.generateContent({
+            ...request,
+            // 대체 모델로 넘어가면 실제로 호출하는 provider/요청 기준으로 예산을 적용
+            scheduler: (attempt, provider = this.inner, sent = request) => this.limiter.schedule(provider, sent, attempt, {
+                lectureId: this.lectureId,
+                onQueue: this.onQueue
+            })
+        });
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} schema - JSON schema for output
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateStructured(prompt, schema, options = {}) {
+        return this.generateContent({ prompt, schema, ...options });
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateText(prompt, options = {}) {
+        return this.generateContent({ prompt, ...options });
+    }
+
+    /**
+     * @returns {boolean} Whether the inner provider is ready
+     */
+    isReady() {
+        return this.inner.isReady();
+    }
+
+    /**
+     * @returns {Object} Provider metadata
+     */
+    getInfo() {
+        return this.inner.getInfo();
+    }
+}
+
+/**
+ * Schedules AI requests against per-key, per-model budgets
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} [config] - Overrides for RATE_LIMIT_DEFAULT_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...RATE_LIMIT_DEFAULT_CONFIG, ...config };
+        /** @type {Map<string, Bucket>} */
+        this.buckets = new Map();
+    }
+
+    /**
+     * Wrap a provider so that its calls are scheduled for a lecture
+     * @param {import('./baseProvider.js').AIProvider} provider - Provider to wrap
+     * @param {string} lectureId - Lecture the calls belong to
+     * @param {Object} [options]
+     * @param {function(QueueStatus): void} [options.onQueue] - Queue position callback
+     * @returns {RateLimitedProvider}
+     */
+    track(provider, lectureId, { onQueue } = {}) {
+        return new RateLimitedProvider(provider, this, { lectureId, onQueue });
+    }
+
+    /**
+     * Budgets of a model
+     * @param {string} model - Model identifier
+     * @returns {{requestsPerMinute: number, tokensPerMinute: number}}
+     */
+    limitsFor(model) {
+        const limits = { ...this.config.defaultLimits, ...MODEL_RATE_LIMITS[model] };
+        if (this.config.requestsPerMinute) limits.requestsPerMinute = this.config.requestsPerMinute;
+        if (this.config.tokensPerMinute) limits.tokensPerMinute = this.config.tokensPerMinute;
+        return limits;
+    }
+
+    /**
+     * Run one request attempt when the budget of its key and model allows
+     * @param {import('./baseProvider.js').AIProvider} provider - Provider performing the attempt
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @param {function(): Promise<{text: string, usage?: Object}>} attempt - Performs the request
+     * @param {Object} [options]
+     * @param {string} [options.lectureId] - Lecture the call belongs to
+     * @param {function(QueueStatus): void} [options.onQueue] - Queue position callback
+     * @returns {Promise<{text: string, usage?: Object}>} Result of the attempt
+     * @throws {Error} Errors of the attempt, or the abort reason when the request is aborted while queued
+     */
+    async schedule(provider, request, attempt, { lectureId = null, onQueue } = {}) {
+        const bucket = this.getBucket(provider);
+        const entry = await this.acquire(bucket, {
+            lectureId,
+            tokens: this.estimateTokens(request),
+            signal: request.signal,
+            stage: request.stage || 'unknown',
+            onQueue
+        });
+
+        try {
+            const result = await attempt();
+            const usage = result?.usage;
+            if (usage && (usage.promptTokens || usage.outputTokens)) {
+                entry.tokens = (usage.promptTokens || 0) + (usage.outputTokens || 0);
+            }
+            return result;
+        } catch (error) {
+            if (isRateLimitError(error)) {
+                const retryAfter = parseRetryAfter(error) ?? this.config.rateLimitCooldownMs;
+                this.block(bucket, Math.min(retryAfter, this.config.maxRetryAfterMs));
+            }
+            throw error;
+        } finally {
+            this.drain(bucket);
+        }
+    }
+
+    /**
+     * Queue status of every bucket
+     * @returns {Array<{model: string, limits: Object, inWindow: number, queued: number, blockedForMs: number}>}
+     */
+    status() {
+        const now = Date.now();
+        return [...this.buckets.values()].map(bucket => {
+            this.prune(bucket, now);
+            return {
+                model: bucket.model,
+                limits: bucket.limits,
+                inWindow: bucket.log.length,
+                queued: bucket.waiting().length,
+                blockedForMs: Math.max(0, bucket.blockedUntil - now)
+            };
+        });
+    }
+
+    /**
+     * Bucket of a provider's API key and model
+     * @param {import('./baseProvider.js').AIProvider} provider - Provider
+     * @returns {Bucket}
+     */
+    getBucket(provider) {
+        const apiKey = provider.config?.apiKey || '';
+        const keyHash = apiKey ? createHash('sha256').update(apiKey).digest('hex').slice(0, 16) : 'keyless';
+        const key = [provider.provider, provider.baseUrl || provider.config?.baseUrl || '', keyHash, provider.model].join('|');
+
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new Bucket(provider.model, this.limitsFor(provider.model)));
+        }
+        return this.buckets.get(key);
+    }
+
+    /**
+     * Estimate the prompt tokens of a request
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {number}
+     */
+    estimateTokens(request) {
+        const length = String(request.prompt || '').length + String(request.systemPrompt || '').length;
+        return Math.ceil(length / this.config.charsPerToken);
+    }
+
+    /**
+     * Pause a bucket (provider asked to retry later)
+     * @param {Bucket} bucket - Bucket
+     * @param {number} ms - Pause length
+     */
+    block(bucket, ms) {
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Wait for a slot in a bucket
+     * @param {Bucket} bucket - Bucket
+     * @param {Object} waiter - lectureId, tokens, signal, stage, onQueue
+     * @returns {Promise<{at: number, tokens: number}>} Window entry of the started request
+     */
+    acquire(bucket, waiter) {
+        if (waiter.signal?.aborted) {
+            return Promise.reject(waiter.signal.reason || new Error('Request aborted'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = waiter.lectureId ?? '';
+            const queued = { ...waiter, position: 0, resolve, reject };
+
+            if (waiter.signal) {
+                queued.onAbort = () => {
+                    this.remove(bucket, id, queued);
+                    reject(waiter.signal.reason || new Error('Request aborted'));
+                    this.drain(bucket);
+                };
+                waiter.signal.addEventListener('abort', queued.onAbort, { once: true });
+            }
+
+            if (!bucket.queues.has(id)) bucket.queues.set(id, []);
+            if (bucket.queues.get(id).length === 0) bucket.order.push(id);
+            bucket.queues.get(id).push(queued);
+            this.drain(bucket);
+        });
+    }
+
+    /**
+     * Remove a waiting request from its lecture queue
+     * @param {Bucket} bucket - Bucket
+     * @param {string} id - Lecture key
+     * @param {Object} queued - Waiting request
+     */
+    remove(bucket, id, queued) {
+        const queue = bucket.queues.get(id) || [];
+        const index = queue.indexOf(queued);
+        if (index !== -1) queue.splice(index, 1);
+        if (queue.length === 0) bucket.order = bucket.order.filter(other => other !== id);
+    }
+
+    /**
+     * Drop window entries older than the window
+     * @param {Bucket} bucket - Bucket
+     * @param {number} now - Current time
+     */
+    prune(bucket, now) {
+        while (bucket.log.length > 0 && bucket.log[0].at <= now - this.config.windowMs) {
+            bucket.log.shift();
+        }
+    }
+
+    /**
+     * Start waiting requests while the budget allows, then report queue
+     * positions and set a timer for the next free slot
+     * @param {Bucket} bucket - Bucket
+     */
+    drain(bucket) {
+        const now = Date.now();
+        this.prune(bucket, now);
+
+        while (bucket.order.length > 0 && now >= bucket.blockedUntil) {
+            const id = bucket.order[0];
+            const next = bucket.queues.get(id)[0];
+            if (!this.fits(bucket, next)) break;
+
+            // 다음 강의 차례로 넘김
+            this.remove(bucket, id, next);
+            if (bucket.queues.get(id).length > 0) bucket.order.push(bucket.order.shift());
+
+            const entry = { at: now, tokens: next.tokens };
+            bucket.log.push(entry);
+            if (next.onAbort) next.signal.removeEventListener('abort', next.onAbort);
+            if (next.position > 0) this.report(bucket, next, 0, 0);
+            next.resolve(entry);
+        }
+
+        const waiting = bucket.waiting();
+        waiting.forEach((queued, index) => {
+            if (queued.position !== index + 1) this.report(bucket, queued, index + 1, waiting.length);
+        });
+
+        if (bucket.timer) {
+            clearTimeout(bucket.timer);
+            bucket.timer = null;
+        }
+        if (waiting.length > 0) {
+            // 예산이 부족하면 가장 오래된 요청이 구간을 벗어날 때 다시 확인
+            const windowFreesAt = this.fits(bucket, waiting[0]) ? now : bucket.log[0].at + this.config.windowMs;
+            const delay = Math.max(bucket.blockedUntil, windowFreesAt) - now;
+            bucket.timer = setTimeout(() => {
+                bucket.timer = null;
+                this.drain(bucket);
+            }, Math.max(delay, 1));
+            bucket.timer.unref?.();
+        }
+    }
+
+    /**
+     * Whether a waiting request fits the remaining budget of the window
+     * A request larger than the whole token budget still starts once the window is empty.
+     * @param {Bucket} bucket - Bucket (pruned)
+     * @param {Object} queued - Waiting request
+     * @returns {boolean}
+     */
+    fits(bucket, queued) {
+        if (bucket.log.length === 0) return true;
+        if (bucket.log.length >= bucket.limits.requestsPerMinute) return false;
+        const usedTokens = bucket.log.reduce((sum, entry) => sum + entry.tokens, 0);
+        return usedTokens + queued.tokens <= bucket.limits.tokensPerMinute;
+    }
+
+    /**
+     * Report a queue position change
+     * @param {Bucket} bucket - Bucket
+     * @param {Object} queued - Waiting request
+     * @param {number} position - New position (0 = started)
+     * @param {number} total - Requests waiting
+     */
+    report(bucket, queued, position, total) {
+        queued.position = position;
+        if (!queued.onQueue) return;
+        try {
+            queued.onQueue({ position, queued: total, stage: queued.stage, model: bucket.model });
+        } catch (e) {
+            // Progress reporting must not break scheduling
+            console.warn('[RateLimiter] Queue callback failed:', e.message);
+        }
+    }
+}
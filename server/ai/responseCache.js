@@ -0,0 +1,288 @@
+/**
+ * LLM Response Cache
+ *
+ * Content-addressed cache of successful generations in the `ai_cache` table,
+ * so retries and reprocessing do not pay for identical calls again:
+ * - Key: hash of provider, endpoint, model, prompt, schema and generation
+ *   parameters (temperature, max tokens, system prompt)
+ * - Entries expire after `ttlMs`; the least recently used entries are
+ *   evicted beyond `maxEntries` or `maxBytes`
+ * - CachingProvider decorator with per-request (`bypassCache`) and
+ *   per-provider bypass; bypassed calls still refresh the stored entry
+ * - Every response is tagged with its cache status (hit, miss, bypass) for
+ *   the lecture usage stats
+ *
+ * Failed generations and responses served by a fallback model are never
+ * cached. Providers listed in `skipProviders` (the mock provider by default)
+ * are not wrapped.
+ *
+ * @module responseCache
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Cache status of a generation
+ * @type {Object<string, string>}
+ */
+export const CACHE_STATUS = {
+    HIT: 'hit',
+    MISS: 'miss',
+    BYPASS: 'bypass'
+};
+
+/**
+ * Default response cache configuration
+ * @type {Object}
+ */
+export const RESPONSE_CACHE_DEFAULT_CONFIG = {
+    ttlMs: 7 * 24 * 60 * 60 * 1000, // 7일 (0이면 캐시 사용 안 함)
+    maxEntries: 5000, // 최대 항목 수
+    maxBytes: 50 * 1024 * 1024, // 저장된 응답의 최대 총 크기
+    skipProviders: ['mock'] // fixture 재생 provider는 캐시하지 않음
+};
+
+/**
+ * Cache key of a generation request
+ * @param {import('./baseProvider.js').AIProvider} provider - Provider that would serve the request
+ * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+ * @returns {string} SHA-256 hex digest
+ */
+export function cacheKey(provider, request) {
+    const config = provider.config || {};
+    const material = JSON.stringify([
+        provider.provider,
+        config.baseUrl || '',
+        provider.model,
+        request.prompt,
+        request.schema || null,
+        request.systemPrompt || null,
+        request.temperature ?? config.temperature ?? null,
+        request.maxTokens ?? config.maxTokens ?? null
+    ]);
+    return createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Provider decorator that serves repeated requests from the cache
+ */
+export class CachingProvider {
+    /**
+     * @param {import('./baseProvider.js').AIProvider} inner - Provider that performs the requests
+     * @param {ResponseCache} cache - Shared response cache
+     * @param {Object} [options]
+     * @param {boolean} [options.bypass=false] - Skip cache lookups for every request
+     */
+    constructor(inner, cache, { bypass = false } = {}) {
+        this.inner = inner;
+        this.cache = cache;
+        this.bypass = bypass;
+        this.provider = inner.provider;
+        this.model = inner.model;
+        this.config = inner.config;
+    }
+
+    /**
+     * Generate content from the cache or the inner provider
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse & {cacheStatus: string}>}
+     */
+    async generateContent(request) {
+        const key = cacheKey(this, request);
+        const bypass = this.bypass || Boolean(request.bypassCache);
+
+        if (!bypass) {
+            const cached = await this.safely(() => this.cache.lookup(key), null);
+            if (cached) {
+                return { ...cached, success: true, retryCount: 0, cacheStatus: CACHE_STATUS.HIT };
+            }
+        }
+
+        const result = await this.inner.generateContent(request);
+        // 대체 모델이 작성한 응답은 일시적인 장애의 결과이므로 저장하지 않음
+        if (result.success && !result.fallback?.used) {
+            await this.safely(() => this.cache.store(key, {
+                provider: this.provider,
+                model: this.model,
+                stage: request.stage || null,
+                response: {
+                    data: result.data,
+                    rawText: result.rawText,
+                    usage: result.usage,
+                    fallback: result.fallback
+                }
+            }));
+        }
+
+        return { ...result, cacheStatus: bypass ? CACHE_STATUS.BYPASS : CACHE_STATUS.MISS };
+    }
+
+    /**
+     * Run a cache operation without letting storage errors break the request
+     * @param {function(): Promise<*>} operation - Cache operation
+     * @param {*} [fallbackValue] - Value returned when it fails
+     * @returns {Promise<*>}
+     */
+    async safely(operation, fallbackValue) {
+        try {
+            return await operation();
+        } catch (e) {
+            console.warn('[ResponseCache] Cache unavailable:', e.message);
+            return fallbackValue;
+        }
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} schema - JSON schema for output
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateStructured(prompt, schema, options = {}) {
+        return this.generateContent({ prompt, schema, ...options });
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateText(prompt, options = {}) {
+        return this.generateContent({ prompt, ...options });
+    }
+
+    /**
+     * @returns {boolean} Whether the inner provider is ready
+     */
+    isReady() {
+        return this.inner.isReady();
+    }
+
+    /**
+     * @returns {Object} Provider metadata
+     */
+    getInfo() {
+        return this.inner.getInfo();
+    }
+}
+
+/**
+ * Response cache backed by the `ai_cache` table
+ */
+export class ResponseCache {
+    /**
+     * @param {{run: Function, get: Function}} db - Promise-based database helpers
+     * @param {Object} [config] - Overrides for RESPONSE_CACHE_DEFAULT_CONFIG
+     */
+    constructor(db, config = {}) {
+        this.db = db;
+        this.config = { ...RESPONSE_CACHE_DEFAULT_CONFIG, ...config };
+    }
+
+    /**
+     * Whether the cache is enabled
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.config.ttlMs > 0 && this.config.maxEntries > 0;
+    }
+
+    /**
+     * Wrap a provider so that repeated requests are served from the cache
+     * @param {import('./baseProvider.js').AIProvider} provider - Provider to wrap
+     * @param {Object} [options]
+     * @param {boolean} [options.bypass=false] - Skip lookups (responses are still stored)
+     * @returns {import('./baseProvider.js').AIProvider} Wrapped provider, or the provider itself
+     *   when the cache is disabled for it
+     */
+    track(provider, { bypass = false } = {}) {
+        if (!this.enabled || this.config.skipProviders.includes(provider.provider)) return provider;
+        return new CachingProvider(provider, this, { bypass });
+    }
+
+    /**
+     * Stored response for a key
+     * @param {string} key - Cache key
+     * @returns {Promise<{data: *, rawText?: string, usage?: Object, fallback?: Object}|null>} Response,
+     *   or null when missing or expired
+     */
+    async lookup(key) {
+        const now = Date.now();
+        const row = await this.db.get(
+            `SELECT response FROM ai_cache WHERE key = ? AND created_at > ?`,
+            [key, now - this.config.ttlMs]
+        );
+        if (!row) return null;
+
+        await this.db.run(`UPDATE ai_cache SET last_used_at = ?, hits = hits + 1 WHERE key = ?`, [now, key]);
+        try {
+            return JSON.parse(row.response);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a response and evict entries over the limits
+     * @param {string} key - Cache key
+     * @param {{provider: string, model: string, stage: string|null, response: Object}} entry - Response to store
+     * @returns {Promise<void>}
+     */
+    async store(key, { provider, model, stage, response }) {
+        const now = Date.now();
+        const json = JSON.stringify(response);
+        const size = Buffer.byteLength(json);
+        if (size > this.config.maxBytes) return;
+
+        await this.db.run(
+            `INSERT OR REPLACE INTO ai_cache (key, provider, model, stage, response, size, created_at, last_used_at, hits) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+            [key, provider, model, stage, json, size, now, now]
+        );
+        await this.prune();
+    }
+
+    /**
+     * Delete expired entries and the least recently used entries over the limits
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        await this.db.run(`DELETE FROM ai_cache WHERE created_at <= ?`, [Date.now() - this.config.ttlMs]);
+        await this.db.run(
+            `DELETE FROM ai_cache WHERE key IN (SELECT key FROM ai_cache ORDER BY last_used_at DESC LIMIT -1 OFFSET ?)`,
+            [this.config.maxEntries]
+        );
+        // 최근 사용 순 누적 크기가 한도를 넘는 항목 제거
+        await this.db.run(
+            `DELETE FROM ai_cache WHERE key IN (
+                SELECT key FROM (SELECT key, SUM(size) OVER (ORDER BY last_used_at DESC, key) AS total FROM ai_cache)
+                WHERE total > ?)`,
+            [this.config.maxBytes]
+        );
+    }
+
+    /**
+     * Entry count, total size and limits
+     * @returns {Promise<{enabled: boolean, entries: number, bytes: number, hits: number, ttlMs: number, maxEntries: number, maxBytes: number}>}
+     */
+    async status() {
+        const row = await this.db.get(`SELECT COUNT(*) AS entries, SUM(size) AS bytes, SUM(hits) AS hits FROM ai_cache`);
+        return {
+            enabled: this.enabled,
+            entries: row?.entries || 0,
+            bytes: row?.bytes || 0,
+            hits: row?.hits || 0,
+            ttlMs: this.config.ttlMs,
+            maxEntries: this.config.maxEntries,
+            maxBytes: this.config.maxBytes
+        };
+    }
+
+    /**
+     * Delete every cached response
+     * @returns {Promise<number>} Number of deleted entries
+     */
+    async clear() {
+        const result = await this.db.run(`DELETE FROM ai_cache`);
+        return result?.changes || 0;
+    }
+}
@@ -0,0 +1,420 @@
+/**
+ * Structured Output Schemas for the Lecture Pipeline
+ *
+ * Response schemas (Gemini `Type` format) for every AI stage:
+ * - Segment chapter extraction
+ * - Lecture title/metadata generation
+ * - Chapter deep dive (also used for regeneration)
+ * - Chapter notes in the other note styles (Cornell, exam cram,
+ *   executive briefing, transcript digest)
+ * - Final summary
+ *
+ * @module schemas
+ */
+
+import { Type } from "@google/genai";
+
+/**
+ * Initial full-lecture scan (legacy single-pass structure)
+ * @type {Object}
+ */
+export const INITIAL_SCAN_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        title: { type: Type.STRING, description: "강의 전체 제목" },
+        overview: { type: Type.STRING, description: "강의 전체 요약 (3-5문장)" },
+        totalDuration: { type: Type.NUMBER, description: "전체 강의 시간 (분)" },
+        chapters: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    id: { type: Type.STRING, description: "고유 ID (ch1, ch2...)" },
+                    title: { type: Type.STRING, description: "챕터 제목" },
+                    startTime: { type: Type.STRING, description: "시작 시간 (MM:SS)" },
+                    endTime: { type: Type.STRING, description: "종료 시간 (MM:SS)" },
+                    duration: { type: Type.NUMBER, description: "길이 (분)" },
+                    summary: { type: Type.STRING, description: "내용 요약" },
+                    keyTopics: { type: Type.ARRAY, items: { type: Type.STRING } },
+                },
+                required: ["id", "title", "startTime", "endTime"]
+            },
+        },
+    },
+    required: ["title", "overview", "chapters"],
+};
+
+/**
+ * Chapter extraction for a single transcript segment
+ * @type {Object}
+ */
+export const SEGMENT_CHAPTER_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        chapters: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    title: { type: Type.STRING, description: "챕터 제목 (구체적으로)" },
+                    startTime: { type: Type.STRING, description: "시작 시간 (MM:SS 또는 HH:MM:SS)" },
+                    endTime: { type: Type.STRING, description: "종료 시간 (MM:SS 또는 HH:MM:SS)" },
+                    summary: { type: Type.STRING, description: "챕터 요약 (2-3문장)" },
+                    keyTopics: { type: Type.ARRAY, items: { type: Type.STRING }, description: "핵심 주제 3-5개" }
+                },
+                required: ["title", "startTime", "endTime", "summary"]
+            }
+        }
+    },
+    required: ["chapters"]
+};
+
+/**
+ * Lecture title, overview and metadata
+ * @type {Object}
+ */
+export const LECTURE_META_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        title: { type: Type.STRING },
+        overview: { type: Type.STRING },
+        author: { type: Type.STRING },
+        tags: { type: Type.ARRAY, items: { type: Type.STRING } }
+    },
+    required: ["title", "overview"]
+};
+
+/**
+ * Timestamped lecturer quotes (shared by every note style)
+ * @type {Object}
+ */
+const QUOTES_WITH_TIMELINE_PROPERTY = {
+    type: Type.ARRAY,
+    items: {
+        type: Type.OBJECT,
+        properties: {
+            timestamp: { type: Type.STRING },
+            quote: { type: Type.STRING },
+            context: { type: Type.STRING },
+            speaker: { type: Type.STRING, description: "발화자 이름 (화자 정보가 없으면 \"강사\")" }
+        },
+        required: ["timestamp", "quote", "context"]
+    },
+    description: "강사의 페르소나가 느껴지는 핵심 인용구 (6-10개)"
+};
+
+/**
+ * Key terms with contextual definitions (shared by every note style)
+ * @type {Object}
+ */
+const KEY_TERMS_PROPERTY = {
+    type: Type.ARRAY,
+    items: {
+        type: Type.OBJECT,
+        properties: {
+            term: { type: Type.STRING },
+            originalTerm: { type: Type.STRING, description: "강의 원어 표기 (이중 언어 모드에서만, 번역된 term의 원문)" },
+            definition: { type: Type.STRING },
+            context: { type: Type.STRING, description: "이 강의에서 해당 용어가 사용된 구체적 맥락" },
+            example: { type: Type.STRING }
+        },
+        required: ["term", "definition", "context"]
+    },
+    description: "핵심 용어 및 개념 (Contextual Definition 포함)"
+};
+
+/**
+ * Chapter deep dive note
+ * @type {Object}
+ */
+export const CHAPTER_DEEP_DIVE_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        keyMessage: { type: Type.STRING, description: "이 챕터의 핵심 메시지 (1-2문장, 강사의 의도를 담아)" },
+        narrative: {
+            type: Type.STRING,
+            description: `🚨 핵심 필드 - 반드시 아래 조건을 모두 충족해야 합니다:
+
+**📏 분량 요구사항 (필수)**
+- 최소 1500자 이상, 권장 2000-3000자
+- 150자 미만의 짧은 요약은 실패로 처리됨
+
+**📋 구조 요구사항 (필수)**
+- 반드시 2~4개의 ## 소제목으로 섹션 구분
+- 각 ## 섹션에 최소 1개의 인용문 + 타임스탬프 포함
+- ### 소제목 사용 금지 (## 만 사용)
+
+**✍️ 인용 형식 (필수)**
+> "강사의 실제 발언" [MM:SS]
+
+인용 후 반드시 해석을 덧붙인다.
+
+**❌ 금지 사항**
+- 요약 형태의 짧은 글 (예: "이 챕터에서는 X를 다룬다")
+- 인용 없는 섹션
+- "~합니다/~입니다" 체 (평서형 "~한다/~이다" 사용)
+
+**✅ 예시 구조:**
+## 첫 번째 주제
+강사는 [주제]를 설명하며 핵심을 짚었다.
+> "실제 발언 인용" [00:05:30]
+이 발언은 [해석]...
+
+## 두 번째 주제
+이어서 [다음 주제]로 논의가 전환되었다...`
+        },
+        quotesWithTimeline: QUOTES_WITH_TIMELINE_PROPERTY,
+        keyTerms: KEY_TERMS_PROPERTY,
+        keyTakeaways: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "Narrative에서 도출된 명제 형태의 핵심 결론 (5-8개)"
+        },
+        actionableItems: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "청중이 당장 실천해야 할 구체적 행동 지침 (명령형)"
+        },
+        visualStructure: {
+            type: Type.OBJECT,
+            properties: {
+                type: {
+                    type: Type.STRING,
+                    description: "시각화 유형: 'process' (단계별 절차), 'comparison' (비교), 'hierarchy' (계층/분류), 'timeline' (시간순 이벤트)"
+                },
+                title: { type: Type.STRING, description: "다이어그램 제목" },
+                items: {
+                    type: Type.ARRAY,
+                    items: {
+                        type: Type.OBJECT,
+                        properties: {
+                            label: { type: Type.STRING, description: "항목 제목/이름" },
+                            description: { type: Type.STRING, description: "설명 (1-2문장)" },
+                            subItems: {
+                                type: Type.ARRAY,
+                                items: { type: Type.STRING },
+                                description: "하위 항목들 (hierarchy 타입에서 사용)"
+                            }
+                        },
+                        required: ["label"]
+                    },
+                    description: "시각화할 항목들 (3-6개 권장)"
+                }
+            },
+            required: ["type", "title", "items"],
+            description: `챕터 내용을 시각적으로 요약하는 구조화된 데이터.
+
+**타입 선택 가이드:**
+- process: 설치 과정, 작업 순서, 단계별 절차가 있을 때
+- comparison: A vs B, 장단점, 옵션 비교가 있을 때
+- hierarchy: 카테고리 분류, 구성 요소, 개념 체계가 있을 때
+- timeline: 시간순 이벤트, 발전 과정, 역사적 흐름이 있을 때
+
+**예시 (process):**
+{ "type": "process", "title": "서버 설정 과정", "items": [
+  { "label": "1. 환경 준비", "description": "Node.js 설치 확인" },
+  { "label": "2. 의존성 설치", "description": "npm install 실행" },
+  { "label": "3. 서버 실행", "description": "npm start로 구동" }
+]}`
+        }
+    },
+    required: ["narrative", "quotesWithTimeline", "keyTakeaways", "keyTerms", "actionableItems", "keyMessage"]
+};
+
+/**
+ * Cornell note (cue column, notes column, bottom recap)
+ * @type {Object}
+ */
+export const CORNELL_NOTE_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        keyMessage: { type: Type.STRING, description: "이 챕터의 핵심 메시지 (1-2문장)" },
+        cues: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    cue: { type: Type.STRING, description: "왼쪽 단서 칸: 핵심 질문 또는 키워드" },
+                    notes: { type: Type.STRING, description: "오른쪽 필기 칸: 단서에 대한 설명 (2-5문장, 평서형)" },
+                    timestamp: { type: Type.STRING, description: "관련 발언 시점 [MM:SS]" }
+                },
+                required: ["cue", "notes"]
+            },
+            description: "단서-필기 쌍 (5-8개, 강의 순서대로)"
+        },
+        recap: { type: Type.STRING, description: "하단 요약 칸: 챕터 전체를 3-5문장으로 요약" },
+        quotesWithTimeline: QUOTES_WITH_TIMELINE_PROPERTY,
+        keyTerms: KEY_TERMS_PROPERTY,
+        keyTakeaways: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "명제 형태의 핵심 결론 (3-5개)"
+        }
+    },
+    required: ["keyMessage", "cues", "recap", "quotesWithTimeline", "keyTerms", "keyTakeaways"]
+};
+
+/**
+ * Exam-cram note (bullet outline, must-memorize list, likely questions)
+ * @type {Object}
+ */
+export const EXAM_CRAM_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        keyMessage: { type: Type.STRING, description: "이 챕터에서 시험에 나올 핵심 한 줄" },
+        outline: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    heading: { type: Type.STRING, description: "개요 항목 제목" },
+                    points: {
+                        type: Type.ARRAY,
+                        items: { type: Type.STRING },
+                        description: "짧은 명사형 불릿 (각 40자 이내)"
+                    }
+                },
+                required: ["heading", "points"]
+            },
+            description: "강의 순서대로 정리한 불릿 개요 (3-6개 항목)"
+        },
+        mustMemorize: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "반드시 암기할 정의, 수치, 공식, 순서 (5-10개)"
+        },
+        likelyQuestions: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    question: { type: Type.STRING },
+                    answer: { type: Type.STRING, description: "모범 답안 (1-3문장)" }
+                },
+                required: ["question", "answer"]
+            },
+            description: "출제 가능성이 높은 문제와 답 (3-5개)"
+        },
+        quotesWithTimeline: QUOTES_WITH_TIMELINE_PROPERTY,
+        keyTerms: KEY_TERMS_PROPERTY,
+        keyTakeaways: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "핵심 결론 (3-5개)"
+        }
+    },
+    required: ["keyMessage", "outline", "mustMemorize", "likelyQuestions", "quotesWithTimeline", "keyTerms", "keyTakeaways"]
+};
+
+/**
+ * Executive briefing (bottom line, findings, implications, actions)
+ * @type {Object}
+ */
+export const EXECUTIVE_BRIEFING_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        keyMessage: { type: Type.STRING, description: "결론 한 문장 (Bottom line up front)" },
+        situation: { type: Type.STRING, description: "배경과 문제 상황 (2-4문장)" },
+        keyTakeaways: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "핵심 발견 사항 (3-5개, 근거 포함)"
+        },
+        implications: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "의사결정에 주는 시사점 (2-4개)"
+        },
+        actionableItems: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "권장 조치 (명령형, 3-5개)"
+        },
+        quotesWithTimeline: QUOTES_WITH_TIMELINE_PROPERTY,
+        keyTerms: KEY_TERMS_PROPERTY
+    },
+    required: ["keyMessage", "situation", "keyTakeaways", "implications", "actionableItems", "quotesWithTimeline", "keyTerms"]
+};
+
+/**
+ * Transcript digest (verbatim excerpts with short notes, in lecture order)
+ * @type {Object}
+ */
+export const TRANSCRIPT_DIGEST_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        keyMessage: { type: Type.STRING, description: "이 챕터의 핵심 메시지 (1-2문장)" },
+        segments: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    timestamp: { type: Type.STRING, description: "발췌 시작 시점 [MM:SS]" },
+                    heading: { type: Type.STRING, description: "발췌 구간 제목" },
+                    verbatim: { type: Type.STRING, description: "대본 원문 발췌 (고치지 않고 그대로, 2-6문장)" },
+                    note: { type: Type.STRING, description: "발췌에 대한 짧은 설명 (1-2문장)" }
+                },
+                required: ["timestamp", "heading", "verbatim"]
+            },
+            description: "강의 순서대로 고른 원문 발췌 (5-10개)"
+        },
+        quotesWithTimeline: QUOTES_WITH_TIMELINE_PROPERTY,
+        keyTerms: KEY_TERMS_PROPERTY,
+        keyTakeaways: {
+            type: Type.ARRAY,
+            items: { type: Type.STRING },
+            description: "핵심 결론 (3-5개)"
+        }
+    },
+    required: ["keyMessage", "segments", "quotesWithTimeline", "keyTerms", "keyTakeaways"]
+};
+
+/**
+ * Final summary across all completed chapters
+ * @type {Object}
+ */
+export const FINAL_SUMMARY_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        oneSentenceSummary: { type: Type.STRING, description: "강의 전체를 한 문장으로 요약" },
+        coreInsights: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    insight: { type: Type.STRING },
+                    relatedChapters: { type: Type.STRING }
+                },
+                required: ["insight"]
+            }
+        },
+        actionChecklist: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    action: { type: Type.STRING },
+                    priority: { type: Type.STRING, description: "높음/보통/낮음" },
+                    timeline: { type: Type.STRING }
+                },
+                required: ["action"]
+            }
+        },
+        practiceAssignments: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    title: { type: Type.STRING },
+                    description: { type: Type.STRING },
+                    difficulty: { type: Type.STRING },
+                    estimatedTime: { type: Type.STRING }
+                },
+                required: ["title", "description"]
+            }
+        },
+        reviewQuestions: { type: Type.ARRAY, items: { type: Type.STRING } },
+        furtherLearning: { type: Type.ARRAY, items: { type: Type.STRING } }
+    },
+    required: ["oneSentenceSummary", "coreInsights", "actionChecklist", "reviewQuestions"]
+};
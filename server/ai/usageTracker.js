@@ -0,0 +1,242 @@
+/**
+ * Token Usage and Cost Accounting
+ *
+ * Captures prompt/output token counts reported by providers and stores them
+ * per lecture and pipeline stage:
+ * - Per-model price table and cost estimation
+ * - UsageTrackingProvider decorator that reports usage of every call
+ * - UsageTracker persisting records to the `ai_usage` table
+ * - Aggregation by stage and model for the usage API
+ * - Response cache hits and misses (hits count as saved cost, not as calls)
+ *
+ * @module usageTracker
+ */
+
+/**
+ * Model prices in USD per 1M tokens
+ * Prices change over time; costs are estimates stored at recording time.
+ * @type {Object<string, {input: number, output: number}>}
+ */
+export const MODEL_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Token usage of a single call
+ * @typedef {Object} UsageRecord
+ * @property {string} stage - Pipeline stage that issued the call
+ * @property {string} provider - Provider name
+ * @property {string} model - Model identifier
+ * @property {number} promptTokens - Input tokens
+ * @property {number} outputTokens - Output tokens (including reasoning tokens)
+ * @property {number|null} costUsd - Estimated cost, null when the model has no price
+ * @property {string|null} [cacheStatus] - Response cache status (see CACHE_STATUS), null without cache
+ */
+
+/**
+ * Estimate the cost of a call
+ * @param {string} model - Model identifier
+ * @param {number} promptTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @param {Object<string, {input: number, output: number}>} [pricing=MODEL_PRICING] - Price table
+ * @returns {number|null} Cost in USD, or null for models without a price
+ */
+export function estimateCost(model, promptTokens, outputTokens, pricing = MODEL_PRICING) {
+    const price = pricing[model];
+    if (!price) return null;
+    return ((promptTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1_000_000;
+}
+
+/**
+ * Provider decorator that reports the usage of every successful call
+ */
+export class UsageTrackingProvider {
+    /**
+     * @param {import('./baseProvider.js').AIProvider} inner - Provider that performs the requests
+     * @param {function(UsageRecord): (void|Promise<void>)} onUsage - Usage callback
+     */
+    constructor(inner, onUsage) {
+        this.inner = inner;
+        this.onUsage = onUsage;
+        this.provider = inner.provider;
+        this.model = inner.model;
+        this.config = inner.config;
+    }
+
+    /**
+     * Generate content with the inner provider and report its usage
+     * @param {import('./aiProvider.js').GenerationConfig} request - Generation request
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateContent(request) {
+        const result = await this.inner.generateContent(request);
+
+        if (result.success && result.usage) {
+            const model = result.usage.model || this.model;
+            const promptTokens = result.usage.promptTokens || 0;
+            const outputTokens = result.usage.outputTokens || 0;
+            try {
+                await this.onUsage({
+                    stage: request.stage || 'unknown',
+                    provider: this.provider,
+                    model,
+                    promptTokens,
+                    outputTokens,
+                    costUsd: estimateCost(model, promptTokens, outputTokens),
+                    cacheStatus: result.cacheStatus || null
+                });
+            } catch (e) {
+                // Accounting must not break the real request
+                console.warn('[UsageTracker] Failed to record usage:', e.message);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} schema - JSON schema for output
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateStructured(prompt, schema, options = {}) {
+        return this.generateContent({ prompt, schema, ...options });
+    }
+
+    /**
+     * @param {string} prompt - The prompt text
+     * @param {Object} [options] - Additional options
+     * @returns {Promise<import('./aiProvider.js').GenerationResponse>}
+     */
+    async generateText(prompt, options = {}) {
+        return this.generateContent({ prompt, ...options });
+    }
+
+    /**
+     * @returns {boolean} Whether the inner provider is ready
+     */
+    isReady() {
+        return this.inner.isReady();
+    }
+
+    /**
+     * @returns {Object} Provider metadata
+     */
+    getInfo() {
+        return this.inner.getInfo();
+    }
+}
+
+/**
+ * Aggregate usage rows by stage and model
+ * @param {Array<{stage: string, model: string, calls: number, prompt_tokens: number, output_tokens: number, cost_usd: number|null, unpriced_calls: number, cache_hits?: number, cache_misses?: number, saved_cost_usd?: number|null}>} rows
+ *   Rows grouped by stage and model (calls, tokens and cost exclude cache hits)
+ * @returns {{totals: Object, stages: Array<Object>, models: Array<Object>}}
+ */
+export function summarizeUsage(rows) {
+    const emptyBucket = () => ({
+        calls: 0, promptTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0,
+        cacheHits: 0, cacheMisses: 0, savedCostUsd: 0
+    });
+    const totals = emptyBucket();
+    const stages = new Map();
+    const models = new Map();
+
+    for (const row of rows) {
+        const stageBucket = stages.get(row.stage) || { stage: row.stage, ...emptyBucket() };
+        const modelBucket = models.get(row.model) || { model: row.model, ...emptyBucket() };
+        stages.set(row.stage, stageBucket);
+        models.set(row.model, modelBucket);
+
+        for (const bucket of [totals, stageBucket, modelBucket]) {
+            bucket.calls += row.calls || 0;
+            bucket.promptTokens += row.prompt_tokens || 0;
+            bucket.outputTokens += row.output_tokens || 0;
+            bucket.costUsd += row.cost_usd || 0;
+            bucket.unpricedCalls += row.unpriced_calls || 0;
+            bucket.cacheHits += row.cache_hits || 0;
+            bucket.cacheMisses += row.cache_misses || 0;
+            bucket.savedCostUsd += row.saved_cost_usd || 0;
+        }
+    }
+
+    return {
+        totals,
+        stages: [...stages.values()],
+        models: [...models.values()]
+    };
+}
+
+// 캐시 히트 행 조건 (cache_status가 NULL인 기존 행은 실제 호출)
+const CACHE_HIT = `IFNULL(cache_status, '') = 'hit'`;
+
+/**
+ * Persists token usage to the `ai_usage` table
+ */
+export class UsageTracker {
+    /**
+     * @param {{run: Function, all: Function}} db - Promise-based database helpers
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store the usage of one call
+     * @param {string} lectureId - Lecture the call belongs to
+     * @param {UsageRecord} usage - Usage record
+     * @returns {Promise<void>}
+     */
+    async record(lectureId, usage) {
+        await this.db.run(
+            `INSERT INTO ai_usage (lecture_id, stage, provider, model, prompt_tokens, output_tokens, cost_usd, cache_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [lectureId, usage.stage, usage.provider, usage.model, usage.promptTokens, usage.outputTokens, usage.costUsd, usage.cacheStatus || null]
+        );
+    }
+
+    /**
+     * Wrap a provider so that its calls are recorded for a lecture
+     * @param {import('./baseProvider.js').AIProvider} provider - Provider to wrap
+     * @param {string} lectureId - Lecture the calls belong to
+     * @returns {UsageTrackingProvider}
+     */
+    track(provider, lectureId) {
+        return new UsageTrackingProvider(provider, usage => this.record(lectureId, usage));
+    }
+
+    /**
+     * Usage of a lecture aggregated by stage and model
+     * @param {string} lectureId - Lecture ID
+     * @returns {Promise<{lectureId: string, totals: Object, stages: Array<Object>, models: Array<Object>}>}
+     */
+    async getLectureUsage(lectureId) {
+        const rows = await this.db.all(
+            `SELECT stage, model,
+                    SUM(CASE WHEN ${CACHE_HIT} THEN 0 ELSE 1 END) AS calls,
+                    SUM(CASE WHEN ${CACHE_HIT} THEN 0 ELSE prompt_tokens END) AS prompt_tokens,
+                    SUM(CASE WHEN ${CACHE_HIT} THEN 0 ELSE output_tokens END) AS output_tokens,
+                    SUM(CASE WHEN ${CACHE_HIT} THEN NULL ELSE cost_usd END) AS cost_usd,
+                    SUM(CASE WHEN NOT ${CACHE_HIT} AND cost_usd IS NULL THEN 1 ELSE 0 END) AS unpriced_calls,
+                    SUM(CASE WHEN ${CACHE_HIT} THEN 1 ELSE 0 END) AS cache_hits,
+                    SUM(CASE WHEN cache_status = 'miss' THEN 1 ELSE 0 END) AS cache_misses,
+                    SUM(CASE WHEN ${CACHE_HIT} THEN cost_usd ELSE NULL END) AS saved_cost_usd
+             FROM ai_usage WHERE lecture_id = ? GROUP BY stage, model ORDER BY MIN(id)`,
+            [lectureId]
+        );
+        return { lectureId, ...summarizeUsage(rows) };
+    }
+
+    /**
+     * Delete the usage records of a lecture
+     * @param {string} lectureId - Lecture ID
+     * @returns {Promise<void>}
+     */
+    async deleteLectureUsage(lectureId) {
+        await this.db.run(`DELETE FROM ai_usage WHERE lecture_id = ?`, [lectureId]);
+    }
+}
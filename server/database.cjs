@@ -13,13 +13,21 @@ function initDB() {
         id TEXT PRIMARY KEY,
         title TEXT,
         raw_text TEXT,
-        original_text TEXT,
+        original_text TEXT, -- 업로드 원문
+        normalized_text TEXT, -- 교정 전 정규화 대본 (교정 위치의 기준)
         correction_stats TEXT,
+        corrections TEXT, -- JSON: 검토 가능한 교정 [{id, start, end, original, corrected, reason, status}] (normalized_text 기준 위치)
         author TEXT,
         source_url TEXT,
         tags TEXT, -- JSON string array
         memo TEXT,
         final_summary TEXT, -- JSON string
+        status TEXT, -- outline_ready, processing, paused, cancelled, completed
+        settings TEXT, -- JSON: AI 설정 (model, temperature, maxTokens; API 키 제외)
+        speakers TEXT, -- JSON: 화자 목록 [{id, name, aliases, cueCount, source}]
+        prompt_templates TEXT, -- JSON: 챕터 추출/메타데이터에 사용한 템플릿 버전 {name: version}
+        note_style TEXT, -- storytelling, cornell, exam_cram, executive_briefing, transcript_digest
+        language TEXT, -- JSON: 대본 언어와 노트 언어 {source, target, bilingual}
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`);
 
@@ -32,27 +40,105 @@ function initDB() {
         start_time TEXT,
         end_time TEXT,
         summary TEXT,
+        key_topics TEXT, -- JSON array (아웃라인 핵심 주제)
         narrative TEXT,
         threeline_note TEXT,
         detailed_note TEXT,
         quiz TEXT,
-        status TEXT DEFAULT 'pending', -- pending, processing, completed, error
+        status TEXT DEFAULT 'pending', -- pending, processing, completed, error, cancelled
+        validation TEXT, -- JSON: 시간 보정/경고/fallback 사용 기록
+        quality TEXT, -- JSON: Deep Dive 품질 검사 결과 (점수, 위반 규칙, 생성 횟수)
+        provenance TEXT, -- JSON: 인용문 대본 대조 결과 (일치 여부, 보정된 타임스탬프)
+        generation TEXT, -- JSON: 노트를 생성한 모델 (대체 모델/축소 입력 사용 여부)
         FOREIGN KEY(lecture_id) REFERENCES lectures(id)
       )`);
 
+            // 프롬프트 템플릿 버전 (내장 템플릿 + 사용자 수정본)
+            db.run(`CREATE TABLE IF NOT EXISTS prompt_templates (
+        name TEXT NOT NULL, -- segment_chapters, lecture_meta, deep_dive(_<style>), regeneration, final_summary
+        version INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        note TEXT,
+        source TEXT DEFAULT 'custom', -- builtin, custom
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (name, version)
+      )`);
+
+            // 용어 사전 (정식 표기 + 음성 인식이 잘못 적는 변형, 전처리/교정 프롬프트에 사용)
+            db.run(`CREATE TABLE IF NOT EXISTS dictionary_terms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        term TEXT NOT NULL UNIQUE,
+        variants TEXT, -- JSON string array
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+            // 작업 큐 테이블 (재시작 후에도 유지되는 백그라운드 작업)
+            db.run(`CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL, -- process_lecture, generate_summary, regenerate_chapter
+        lecture_id TEXT,
+        chapter_id TEXT,
+        payload TEXT, -- JSON
+        status TEXT DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        last_error TEXT,
+        lease_owner TEXT,
+        lease_expires_at INTEGER, -- epoch ms
+        run_after INTEGER DEFAULT 0, -- epoch ms
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_after)`);
+
+            // AI 토큰 사용량 테이블 (호출 1건당 1행, 강의/단계별 집계용)
+            db.run(`CREATE TABLE IF NOT EXISTS ai_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lecture_id TEXT,
+        stage TEXT, -- correction, segmentation, lecture_meta, deep_dive, deep_dive_repair, regeneration, final_summary
+        provider TEXT,
+        model TEXT,
+        prompt_tokens INTEGER DEFAULT 0,
+        output_tokens INTEGER DEFAULT 0,
+        cost_usd REAL, -- 추정 비용 (가격 정보 없는 모델은 NULL)
+        cache_status TEXT, -- hit, miss, bypass (캐시를 거치지 않은 호출은 NULL)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_ai_usage_lecture ON ai_usage(lecture_id)`);
+
+            // AI 응답 캐시 (모델/프롬프트/스키마/생성 파라미터 해시 → 응답)
+            db.run(`CREATE TABLE IF NOT EXISTS ai_cache (
+        key TEXT PRIMARY KEY, -- SHA-256
+        provider TEXT,
+        model TEXT,
+        stage TEXT,
+        response TEXT, -- JSON: data, rawText, usage
+        size INTEGER, -- response 바이트 수
+        created_at INTEGER, -- epoch ms (TTL 기준)
+        last_used_at INTEGER, -- epoch ms (용량 초과 시 오래된 것부터 삭제)
+        hits INTEGER DEFAULT 0
+      )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_ai_cache_last_used ON ai_cache(last_used_at)`);
+
             // 마이그레이션: 기존 테이블에 컬럼 추가
-            const columnsToAdd = ['original_text', 'correction_stats', 'author', 'source_url', 'tags', 'memo', 'final_summary', 'overview'];
+            const columnsToAdd = ['original_text', 'correction_stats', 'author', 'source_url', 'tags', 'memo', 'final_summary', 'overview', 'status', 'settings', 'speakers', 'prompt_templates', 'note_style', 'language', 'corrections', 'normalized_text'];
             columnsToAdd.forEach(col => {
                 db.run(`ALTER TABLE lectures ADD COLUMN ${col} TEXT`, (err) => { /* ignore */ });
             });
 
             // 챕터 테이블 마이그레이션
-            const chapColumnsToAdd = ['start_time', 'end_time'];
+            const chapColumnsToAdd = ['start_time', 'end_time', 'validation', 'key_topics', 'quality', 'provenance', 'generation'];
             chapColumnsToAdd.forEach(col => {
                 db.run(`ALTER TABLE chapters ADD COLUMN ${col} TEXT`, (err) => { /* ignore */ });
             });
 
+            // 사용량 테이블 마이그레이션
+            db.run(`ALTER TABLE ai_usage ADD COLUMN cache_status TEXT`, (err) => { /* ignore */ });
+
             // 서버 재시작 시 processing 상태로 멈춘 챕터들을 pending으로 복구
+            // (실제 재개는 작업 큐가 중단된 job을 다시 실행하면서 이루어짐)
             db.run(`UPDATE chapters SET status = 'pending' WHERE status = 'processing'`, function(err) {
                 if (!err && this.changes > 0) {
                     console.log(`[Recovery] ${this.changes} stuck chapter(s) reset to pending`);
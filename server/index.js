@@ -1,7 +1,6 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { GoogleGenAI, Type } from "@google/genai";
 import fs from 'fs';
 import path from 'path';
 import puppeteer from 'puppeteer';
@@ -10,8 +9,46 @@ import { createRequire } from 'module';
 
 // Import preprocessing modules
 import { normalizeText } from './utils/textNormalizer.js';
+import { extractSlice, splitIntoSegments } from './utils/transcriptSegmenter.js';
+import { reconcileChapters } from './utils/chapterReconciler.js';
+import { validateChapters, parseValidation, createValidation, FALLBACK_REASON } from './utils/chapterValidator.js';
+import { parseCues } from './utils/cueParser.js';
+import { normalizeOutline, outlineFieldsFromRow } from './utils/outlineEditor.js';
+import { splitChapter, mergeChapters, retimeChapter, reorderChapters, nextChapterId } from './utils/chapterEditor.js';
+import { evaluateDeepDive, parseQualityReport } from './utils/noteQuality.js';
+import { verifyQuotes, parseProvenance } from './utils/quoteVerifier.js';
+import { detectLanguage, resolveOutputLanguage } from './utils/languageDetector.js';
+import { buildLectureContext, formatChapterContext, formatPreviousChapterContext } from './utils/chapterContext.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { detectTranscriptSpeakers, renameSpeaker, mergeSpeakers, applySpeakerNameMap } from './utils/speakerDetector.js';
 import { createAIProvider } from './ai/aiProvider.js';
-import { correctSegmentsBatch, applyCorrections, getCorrectionStats } from './utils/llmCorrector.js';
+import {
+    createPipelineProvider,
+    resolvePipelineConfig,
+    pickPipelineSettings,
+    resolveApiKey,
+    requiresApiKey,
+    resolveDeepDiveConcurrency,
+    extractSegmentChapters,
+    generateLectureMeta,
+    generateStyledDeepDive,
+    regenerateChapterNote,
+    generateFinalSummaryInsights,
+    summarizeGeneration,
+    parseGeneration
+} from './ai/pipeline.js';
+import { correctSegmentsBatch, getCorrectionStats } from './utils/llmCorrector.js';
+import { anchorCorrections, buildCorrectedText, dictionaryCorrections, rebaseCorrections, reviewCorrections, findAffectedChapters, parseCorrections } from './utils/correctionReview.js';
+import { DomainDictionary, applyDictionary } from './utils/domainDictionary.js';
+import { UsageTracker } from './ai/usageTracker.js';
+import { RateLimiter } from './ai/rateLimiter.js';
+import { CircuitBreaker } from './ai/circuitBreaker.js';
+import { ResponseCache } from './ai/responseCache.js';
+import { PromptRegistry } from './ai/promptRegistry.js';
+import { PROMPT_TEMPLATE, templateRef } from './ai/promptTemplates.js';
+import { resolveNoteStyle, getNoteStyle, renderNoteBody } from './ai/noteStyles.js';
+import { JobQueue } from './jobs/jobQueue.js';
+import { RunRegistry, STOP_REASON, isStopRequested } from './jobs/runControl.js';
 // mermaidValidator removed - now using visualStructure
 
 const require = createRequire(import.meta.url);
@@ -33,8 +70,72 @@ const PORT = 3000;
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
+// ==================== JOB QUEUE ====================
+// 분석 작업은 DB에 기록된 job으로 실행되어 서버 재시작/크래시 후에도 자동으로 재개된다.
+// 클라이언트가 보낸 API 키는 DB에 저장하지 않고 프로세스 메모리에만 보관한다 (secrets).
+// 재시작 후 재개된 작업은 서버 env의 키로 진행하고, 키가 없으면 사용자가 키와 함께 다시 요청해야 한다.
+const jobQueue = new JobQueue({ run, get, all });
+
+// 현재 프로세스에서 실행 중인 분석 작업 (일시정지/취소 제어용)
+const runRegistry = new RunRegistry();
+
+// 강의/단계별 AI 토큰 사용량 및 추정 비용 기록
+const usageTracker = new UsageTracker({ run, all });
+
+// 버전 관리되는 프롬프트 템플릿 (수정하면 새 버전이 추가되고 활성화됨)
+const promptRegistry = new PromptRegistry({ run, all });
+
+// 사용자 용어 사전 (전처리에서 변형 표기를 정식 표기로 교체, 교정 프롬프트에 포함)
+const domainDictionary = new DomainDictionary({ run, all });
+
+// 모든 강의의 AI 호출을 API 키/모델별 RPM·TPM 예산으로 스케줄링 (강의 간 라운드 로빈)
+const rateLimiter = new RateLimiter({
+    requestsPerMinute: Number(process.env.AI_RATE_LIMIT_RPM) || null,
+    tokensPerMinute: Number(process.env.AI_RATE_LIMIT_TPM) || null
+});
+
+// 장애가 반복되는 모델은 일정 시간 호출하지 않고 단계별 대체 모델로 진행 (모든 강의 공용)
+const circuitBreaker = new CircuitBreaker();
+
+// 같은 모델/프롬프트/스키마/파라미터의 AI 응답 재사용 (재시도·재처리 시 비용 절감)
+const responseCache = new ResponseCache({ run, get }, {
+    ...(process.env.AI_CACHE_TTL_HOURS !== undefined && { ttlMs: Number(process.env.AI_CACHE_TTL_HOURS) * 60 * 60 * 1000 }),
+    ...(process.env.AI_CACHE_MAX_MB && { maxBytes: Number(process.env.AI_CACHE_MAX_MB) * 1024 * 1024 })
+});
+
+// 재시작 후 재개된 작업은 apiKey 없이 실행되므로 각 핸들러가 서버 env 키로 다시 결정한다
+const API_KEY_REQUIRED_ON_RESUME = 'API Key required: the server restarted, please retry with your API key';
+
+jobQueue.register('process_lecture', ({ lectureId, apiKey }) => processLectureBackground(lectureId, apiKey));
+jobQueue.register('generate_summary', async ({ lectureId, apiKey, bypassCache }) => {
+    const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(lectureId, apiKey);
+    if (missing) {
+        sendEvent(lectureId, 'error', { message: API_KEY_REQUIRED_ON_RESUME });
+        return;
+    }
+    return generateFinalSummary(lectureId, finalApiKey, undefined, { bypassCache });
+});
+jobQueue.register('regenerate_chapter', async ({ chapterId, feedback, apiKey, noteStyle }, job) => {
+    const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(job.lecture_id, apiKey);
+    if (missing) {
+        // 재생성하지 못하면 기존 노트를 유지
+        await run("UPDATE chapters SET status = 'completed' WHERE id = ? AND status = 'processing'", [chapterId]);
+        sendEvent(job.lecture_id, 'chapter_error', { chapterId, message: API_KEY_REQUIRED_ON_RESUME });
+        return;
+    }
+    return regenerateChapter(chapterId, feedback, finalApiKey, noteStyle);
+});
+
 // Init DB
-initDB().then(() => console.log('SQLite DB initialized')).catch(err => console.error(err));
+initDB()
+    .then(async () => {
+        console.log('SQLite DB initialized');
+        await promptRegistry.load();
+        await domainDictionary.load();
+        await jobQueue.recover();
+        jobQueue.start();
+    })
+    .catch(err => console.error(err));
 
 // ==================== SSE SETUP ====================
 const clients = new Map(); // lectureId -> Set<Response>
@@ -85,14 +186,17 @@ app.get('/api/lectures/:id/events', (req, res) => {
 
 /**
  * Preprocess transcript text before analysis
- * Applies normalization and optional LLM correction
+ * Applies normalization, the domain dictionary and optional LLM correction
  *
  * @param {string} transcript - Raw transcript text
  * @param {Object} options - Preprocessing options
  * @param {boolean} options.llmCorrectionEnabled - Whether to use LLM for correction
+ * @param {boolean} [options.disfluencyCleanup=false] - Remove fillers and stutters while normalizing
+ * @param {string|null} [options.language] - Detected transcript language (selects the filler lexicon)
  * @param {string} options.apiKey - API key for LLM correction
- * @param {string} options.model - Model to use for LLM correction
- * @returns {Promise<Object>} Preprocessed result with text and stats
+ * @param {Object} [options.settings] - AI settings (provider, model, baseUrl) for LLM correction
+ * @param {string} [options.lectureId] - Lecture to record correction token usage for
+ * @returns {Promise<Object>} Preprocessed result with text, normalized text, reviewable corrections and stats
  */
 async function preprocessTranscript(transcript, options = {}) {
     const startTime = Date.now();
@@ -101,6 +205,7 @@ async function preprocessTranscript(transcript, options = {}) {
         normalizedLength: 0,
         correctedLength: 0,
         normalizationChanges: {},
+        dictionaryStats: null,
         correctionStats: null,
         correctionDetails: null,
         processingTimeMs: 0
@@ -115,36 +220,52 @@ async function preprocessTranscript(transcript, options = {}) {
         removeBOM: true,
         trimLines: true,
         collapseBlankLines: true,
-        maxBlankLines: 2
+        maxBlankLines: 2,
+        // 필러/말더듬 정리 (강의별 설정, 감지된 언어의 사전만 사용)
+        removeFillers: Boolean(options.disfluencyCleanup),
+        collapseRepeatedWords: Boolean(options.disfluencyCleanup),
+        fillerLanguages: options.language ? [options.language] : []
     });
 
-    let processedText = normResult.text;
-    stats.normalizedLength = processedText.length;
     stats.normalizationChanges = normResult.changeLog;
 
-    console.log(`[Preprocess] Normalization complete: ${stats.originalLength} -> ${stats.normalizedLength} chars`);
+    // Step 1-1: 용어 사전 (LLM 교정 여부와 무관하게 항상 적용, 교체마다 검토 가능한 교정으로 기록)
+    const dictionary = domainDictionary.list();
+    const dictResult = applyDictionary(normResult.text, dictionary);
+    stats.dictionaryStats = dictResult.stats;
+
+    // normalizedText: 교정 위치의 기준 (사전 적용 전), processedText: LLM이 읽는 사전 적용 텍스트
+    const normalizedText = normResult.text;
+    let processedText = dictResult.text;
+    let reviewable = dictResult.replacements.length > 0 ? dictionaryCorrections(dictResult.replacements) : null;
+    stats.normalizedLength = processedText.length;
+
+    console.log(`[Preprocess] Normalization complete: ${stats.originalLength} -> ${stats.normalizedLength} chars (${normResult.changeLog.fillersRemoved} fillers, ${normResult.changeLog.repeatedWordsCollapsed} repeats, ${dictResult.stats.totalMatches} dictionary matches)`);
 
     // Step 2: LLM-based correction (optional)
-    if (options.llmCorrectionEnabled && options.apiKey) {
+    if (options.llmCorrectionEnabled && (options.apiKey || !requiresApiKey(options.settings))) {
         console.log('[Preprocess] Starting LLM correction...');
 
         try {
             // Create AI provider for correction
-            const aiProvider = createAIProvider({
-                provider: 'google',
-                model: options.model || 'gemini-2.5-flash',
-                apiKey: options.apiKey,
+            let aiProvider = createAIProvider({
+                ...resolvePipelineConfig(options.settings, options.apiKey),
                 temperature: 0.3
             });
+            if (options.lectureId) {
+                aiProvider = trackProvider(aiProvider, options.lectureId);
+            }
 
             // Split text into manageable segments for correction
+            // offset: 사전 적용 텍스트에서의 세그먼트 시작 위치 (교정 위치 기록용)
             const segmentSize = 2000;
             const segments = [];
             let remaining = processedText;
+            let offset = 0;
 
             while (remaining.length > 0) {
                 if (remaining.length <= segmentSize) {
-                    segments.push({ text: remaining });
+                    segments.push({ text: remaining, offset });
                     break;
                 }
 
@@ -160,8 +281,10 @@ async function preprocessTranscript(transcript, options = {}) {
                     breakPoint = segmentSize;
                 }
 
-                segments.push({ text: remaining.substring(0, breakPoint) });
-                remaining = remaining.substring(breakPoint).trim();
+                segments.push({ text: remaining.substring(0, breakPoint), offset });
+                const rest = remaining.substring(breakPoint);
+                remaining = rest.trim();
+                offset += breakPoint + (rest.length - rest.trimStart().length);
             }
 
             console.log(`[Preprocess] Correcting ${segments.length} segments...`);
@@ -172,16 +295,18 @@ async function preprocessTranscript(transcript, options = {}) {
                 preserveTimestamps: true,
                 correctTechnicalTerms: true,
                 correctMishearings: true,
-                semanticFactCheck: true
+                semanticFactCheck: true,
+                dictionary
             });
 
-            // Apply corrections and get stats
-            const correctedSegments = applyCorrections(segments, corrections);
+            // Anchor corrections to the dictionary-applied text, move them to the normalized text and get stats
+            const anchored = rebaseCorrections(anchorCorrections(segments, corrections), dictResult.replacements);
+            reviewable = [...(reviewable || []), ...anchored].sort((a, b) => a.start - b.start);
             stats.correctionStats = getCorrectionStats(corrections);
             stats.correctionDetails = corrections;
 
-            // Rejoin segments
-            processedText = correctedSegments.map(s => s.text || s).join('\n\n');
+            // 정규화 텍스트 + 수락된 교정 = 분석에 쓰는 텍스트 (검토 후 같은 방식으로 다시 만듦)
+            processedText = buildCorrectedText(normalizedText, reviewable);
             stats.correctedLength = processedText.length;
 
             console.log(`[Preprocess] LLM correction complete: ${stats.correctionStats.totalCorrectionsApplied} corrections applied`);
@@ -200,420 +325,63 @@ async function preprocessTranscript(transcript, options = {}) {
 
     return {
         text: processedText,
+        normalizedText,
+        corrections: reviewable,
         stats
     };
 }
 
-// ==================== SCHEMAS ====================
-const INITIAL_SCAN_SCHEMA = {
-    type: Type.OBJECT,
-    properties: {
-        title: { type: Type.STRING, description: "강의 전체 제목" },
-        overview: { type: Type.STRING, description: "강의 전체 요약 (3-5문장)" },
-        totalDuration: { type: Type.NUMBER, description: "전체 강의 시간 (분)" },
-        chapters: {
-            type: Type.ARRAY,
-            items: {
-                type: Type.OBJECT,
-                properties: {
-                    id: { type: Type.STRING, description: "고유 ID (ch1, ch2...)" },
-                    title: { type: Type.STRING, description: "챕터 제목" },
-                    startTime: { type: Type.STRING, description: "시작 시간 (MM:SS)" },
-                    endTime: { type: Type.STRING, description: "종료 시간 (MM:SS)" },
-                    duration: { type: Type.NUMBER, description: "길이 (분)" },
-                    summary: { type: Type.STRING, description: "내용 요약" },
-                    keyTopics: { type: Type.ARRAY, items: { type: Type.STRING } },
-                },
-                required: ["id", "title", "startTime", "endTime"]
-            },
-        },
-    },
-    required: ["title", "overview", "chapters"],
-};
-
-const CHAPTER_DEEP_DIVE_SCHEMA = {
-    type: Type.OBJECT,
-    properties: {
-        keyMessage: { type: Type.STRING, description: "이 챕터의 핵심 메시지 (1-2문장, 강사의 의도를 담아)" },
-        narrative: {
-            type: Type.STRING,
-            description: `🚨 핵심 필드 - 반드시 아래 조건을 모두 충족해야 합니다:
-
-**📏 분량 요구사항 (필수)**
-- 최소 1500자 이상, 권장 2000-3000자
-- 150자 미만의 짧은 요약은 실패로 처리됨
-
-**📋 구조 요구사항 (필수)**
-- 반드시 2~4개의 ## 소제목으로 섹션 구분
-- 각 ## 섹션에 최소 1개의 인용문 + 타임스탬프 포함
-- ### 소제목 사용 금지 (## 만 사용)
-
-**✍️ 인용 형식 (필수)**
-> "강사의 실제 발언" [MM:SS]
-
-인용 후 반드시 해석을 덧붙인다.
-
-**❌ 금지 사항**
-- 요약 형태의 짧은 글 (예: "이 챕터에서는 X를 다룬다")
-- 인용 없는 섹션
-- "~합니다/~입니다" 체 (평서형 "~한다/~이다" 사용)
-
-**✅ 예시 구조:**
-## 첫 번째 주제
-강사는 [주제]를 설명하며 핵심을 짚었다.
-> "실제 발언 인용" [00:05:30]
-이 발언은 [해석]...
-
-## 두 번째 주제
-이어서 [다음 주제]로 논의가 전환되었다...`
-        },
-        quotesWithTimeline: {
-            type: Type.ARRAY,
-            items: {
-                type: Type.OBJECT,
-                properties: {
-                    timestamp: { type: Type.STRING },
-                    quote: { type: Type.STRING },
-                    context: { type: Type.STRING }
-                },
-                required: ["timestamp", "quote", "context"]
-            },
-            description: "강사의 페르소나가 느껴지는 핵심 인용구 (6-10개)"
-        },
-        keyTerms: {
-            type: Type.ARRAY,
-            items: {
-                type: Type.OBJECT,
-                properties: {
-                    term: { type: Type.STRING },
-                    definition: { type: Type.STRING },
-                    context: { type: Type.STRING, description: "이 강의에서 해당 용어가 사용된 구체적 맥락" },
-                    example: { type: Type.STRING }
-                },
-                required: ["term", "definition", "context"]
-            },
-            description: "핵심 용어 및 개념 (Contextual Definition 포함)"
-        },
-        keyTakeaways: {
-            type: Type.ARRAY,
-            items: { type: Type.STRING },
-            description: "Narrative에서 도출된 명제 형태의 핵심 결론 (5-8개)"
-        },
-        actionableItems: {
-            type: Type.ARRAY,
-            items: { type: Type.STRING },
-            description: "청중이 당장 실천해야 할 구체적 행동 지침 (명령형)"
-        },
-        visualStructure: {
-            type: Type.OBJECT,
-            properties: {
-                type: {
-                    type: Type.STRING,
-                    description: "시각화 유형: 'process' (단계별 절차), 'comparison' (비교), 'hierarchy' (계층/분류), 'timeline' (시간순 이벤트)"
-                },
-                title: { type: Type.STRING, description: "다이어그램 제목" },
-                items: {
-                    type: Type.ARRAY,
-                    items: {
-                        type: Type.OBJECT,
-                        properties: {
-                            label: { type: Type.STRING, description: "항목 제목/이름" },
-                            description: { type: Type.STRING, description: "설명 (1-2문장)" },
-                            subItems: {
-                                type: Type.ARRAY,
-                                items: { type: Type.STRING },
-                                description: "하위 항목들 (hierarchy 타입에서 사용)"
-                            }
-                        },
-                        required: ["label"]
-                    },
-                    description: "시각화할 항목들 (3-6개 권장)"
-                }
-            },
-            required: ["type", "title", "items"],
-            description: `챕터 내용을 시각적으로 요약하는 구조화된 데이터.
-
-**타입 선택 가이드:**
-- process: 설치 과정, 작업 순서, 단계별 절차가 있을 때
-- comparison: A vs B, 장단점, 옵션 비교가 있을 때
-- hierarchy: 카테고리 분류, 구성 요소, 개념 체계가 있을 때
-- timeline: 시간순 이벤트, 발전 과정, 역사적 흐름이 있을 때
-
-**예시 (process):**
-{ "type": "process", "title": "서버 설정 과정", "items": [
-  { "label": "1. 환경 준비", "description": "Node.js 설치 확인" },
-  { "label": "2. 의존성 설치", "description": "npm install 실행" },
-  { "label": "3. 서버 실행", "description": "npm start로 구동" }
-]}`
-        }
-    },
-    required: ["narrative", "quotesWithTimeline", "keyTakeaways", "keyTerms", "actionableItems", "keyMessage"]
-};
-
 // ==================== UTILS ====================
 function generateId() {
     return 'lec_' + Math.random().toString(36).substr(2, 9);
 }
 
-function parseTime(timeStr) {
-    if (!timeStr) return 0;
-    const parts = timeStr.split(':').map(Number);
-    if (parts.length === 3) return parts[0] * 3600 + parts[1] * 60 + parts[2];
-    if (parts.length === 2) return parts[0] * 60 + parts[1];
-    return 0;
-}
-
-// VTT 텍스트에서 특정 시간대 추출 (Robust Version)
-function extractSlice(text, startStr, endStr) {
-    const startSec = parseTime(startStr);
-    const endSec = parseTime(endStr);
-    
-    // 0. 전처리: 라인별 타임스탬프 파싱
-    const lines = text.split('\n');
-    const timePattern = /(?:\[)?(\d{1,2}:\d{2}(?::\d{2})?)(?:\])?/;
-    const timestamps = []; // { time: number, index: number }
-
-    for (let i = 0; i < lines.length; i++) {
-        const match = lines[i].match(timePattern);
-        if (match) {
-            timestamps.push({
-                time: parseTime(match[1]),
-                index: i
-            });
-        }
-    }
-
-    if (timestamps.length === 0) {
-        // 타임스탬프가 하나도 없으면 전체 반환 (혹은 상위 로직에서 처리)
-        return text;
-    }
-
-    // 1. 시작 라인 찾기
-    // startSec보다 작거나 같은 것 중 가장 뒤에 있는 것, 없으면 첫 번째 타임스탬프
-    let startLineIndex = 0;
-    const startPoint = timestamps.filter(t => t.time <= startSec).pop();
-    
-    if (startPoint) {
-        startLineIndex = Math.max(0, startPoint.index - 2); // 약간의 문맥(2줄) 포함
-    } else {
-        // startSec보다 이른 타임스탬프가 없다면?
-        // 만약 startSec가 0이면 처음부터.
-        // startSec가 큰데 이른게 없다면 -> 아마 텍스트 앞부분에 타임스탬프가 없는 경우일 듯.
-        // 가장 첫 타임스탬프가 startSec보다 크더라도, 그 전 내용일 수 있으니 일단 0부터 시작?
-        // 아니면 startSec와 가장 가까운 타임스탬프 찾기
-        const firstTs = timestamps[0];
-        if (firstTs && firstTs.time > startSec) {
-             // 요청시간(예: 0분) < 첫 타임스탬프(예: 5분) -> 0분부터 5분까지 내용일 수 있음
-             startLineIndex = 0;
-        } else {
-            // 그 외의 경우 (타임스탬프 구조가 이상함)
-            startLineIndex = 0;
-        }
-    }
-
-    // 2. 종료 라인 찾기
-    // endSec보다 크거나 같은 것 중 가장 앞에 있는 것
-    let endLineIndex = lines.length - 1;
-    if (endSec > 0) {
-        const endPoint = timestamps.find(t => t.time >= endSec);
-        if (endPoint) {
-            endLineIndex = endPoint.index;
-        } else {
-            // endSec보다 큰 타임스탬프가 없다 -> 끝까지
-            endLineIndex = lines.length - 1;
-        }
-    }
-
-    // 3. 추출
-    // 유효성 검사
-    if (startLineIndex > endLineIndex) {
-        // 뭔가 꼬임 -> 그냥 start부터 일정량(예: 50줄) 혹은 끝까지
-        return lines.slice(startLineIndex, startLineIndex + 100).join('\n');
-    }
-
-    return lines.slice(startLineIndex, endLineIndex + 1).join('\n');
-}
-
-// 시간(초)을 MM:SS 또는 HH:MM:SS 형식으로 변환
-function formatTime(totalSeconds) {
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = Math.floor(totalSeconds % 60);
-
-    if (hours > 0) {
-        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-    }
-    return `${minutes}:${String(seconds).padStart(2, '0')}`;
-}
-
-// 텍스트를 타임스탬프 기반으로 세그먼트로 분할 (30분 단위)
-
-// 문자 수 기준 세그먼트 분할 (타임스탬프 없는 텍스트용)
-function splitByCharCount(transcript, charsPerSegment = 10000) {
-    const paragraphs = transcript.split(/\n\s*\n/); // 빈 줄 기준 문단 분리
-    const segments = [];
-    let currentText = '';
-    let segmentIndex = 0;
-
-    for (const para of paragraphs) {
-        const trimmedPara = para.trim();
-        if (!trimmedPara) continue;
-
-        // 현재 세그먼트에 추가했을 때 제한 초과하면 새 세그먼트 시작
-        if (currentText.length > 0 && (currentText.length + trimmedPara.length + 2) > charsPerSegment) {
-            segments.push({
-                segmentIndex: segmentIndex++,
-                startTime: "",
-                endTime: "",
-                startSeconds: 0,
-                endSeconds: 0,
-                text: currentText.trim()
-            });
-            currentText = '';
-        }
-
-        currentText += (currentText ? '\n\n' : '') + trimmedPara;
-    }
-
-    // 마지막 세그먼트 추가
-    if (currentText.trim()) {
-        segments.push({
-            segmentIndex: segmentIndex,
-            startTime: "",
-            endTime: "",
-            startSeconds: 0,
-            endSeconds: 0,
-            text: currentText.trim()
-        });
-    }
-
-    // 세그먼트가 없으면 전체를 하나로
-    if (segments.length === 0) {
-        return [{
-            segmentIndex: 0,
-            startTime: "",
-            endTime: "",
-            startSeconds: 0,
-            endSeconds: 0,
-            text: transcript
-        }];
-    }
-
-    return segments;
-}
-
-function splitIntoSegments(transcript, segmentMinutes = 30, charsPerSegment = 10000) {
-    const segmentSeconds = segmentMinutes * 60;
-    const lines = transcript.split('\n');
-    const timePattern = /(?:\[)?(\d{1,2}:\d{2}(?::\d{2})?)(?:\])?/;
-
-    // 모든 타임스탬프와 위치 추출
-    let timestamps = [];
-    let lastTime = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-        const match = lines[i].match(timePattern);
-        if (match) {
-            const timeSec = parseTime(match[1]);
-            timestamps.push({ lineIndex: i, time: timeSec, timeStr: match[1] });
-            lastTime = Math.max(lastTime, timeSec);
-        }
-    }
-
-    if (timestamps.length === 0) {
-        // 타임스탬프가 없으면 문자 수 기준으로 분할
-        return splitByCharCount(transcript, charsPerSegment);
-    }
-
-    // 세그먼트 분할 (시간 기준)
-    const segments = [];
-    const totalDuration = lastTime;
-    const numSegments = Math.ceil(totalDuration / segmentSeconds);
-
-    for (let seg = 0; seg < numSegments; seg++) {
-        const segStartSec = seg * segmentSeconds;
-        const segEndSec = Math.min((seg + 1) * segmentSeconds, totalDuration + 60); // 약간의 버퍼
-
-        // 해당 시간대의 라인 찾기
-        let startLineIdx = 0;
-        let endLineIdx = lines.length - 1;
-
-        for (const ts of timestamps) {
-            if (ts.time >= segStartSec && startLineIdx === 0) {
-                startLineIdx = Math.max(0, ts.lineIndex - 2); // 약간 앞에서 시작
-            }
-            if (ts.time > segEndSec) {
-                endLineIdx = ts.lineIndex;
-                break;
-            }
-        }
-
-        const segmentText = lines.slice(startLineIdx, endLineIdx + 1).join('\n');
-
-        if (segmentText.trim().length > 0) {
-            segments.push({
-                segmentIndex: seg,
-                startTime: formatTime(segStartSec),
-                endTime: formatTime(segEndSec),
-                startSeconds: segStartSec,
-                endSeconds: segEndSec,
-                text: segmentText
-            });
-        }
-    }
-
-    return segments;
-}
-
-// 세그먼트별 챕터 추출 스키마
-const SEGMENT_CHAPTER_SCHEMA = {
-    type: Type.OBJECT,
-    properties: {
-        chapters: {
-            type: Type.ARRAY,
-            items: {
-                type: Type.OBJECT,
-                properties: {
-                    title: { type: Type.STRING, description: "챕터 제목 (구체적으로)" },
-                    startTime: { type: Type.STRING, description: "시작 시간 (MM:SS 또는 HH:MM:SS)" },
-                    endTime: { type: Type.STRING, description: "종료 시간 (MM:SS 또는 HH:MM:SS)" },
-                    summary: { type: Type.STRING, description: "챕터 요약 (2-3문장)" },
-                    keyTopics: { type: Type.ARRAY, items: { type: Type.STRING }, description: "핵심 주제 3-5개" }
-                },
-                required: ["title", "startTime", "endTime", "summary"]
-            }
-        }
-    },
-    required: ["chapters"]
-};
-
 // ==================== ROUTES ====================
 
 // 1. 강의 생성 및 자동 분석 시작 (세그먼트 기반 병렬 처리)
 app.post('/api/lectures', async (req, res) => {
     try {
-        const { transcript, settings } = req.body;
+        const { transcript, settings, noteStyle: requestedStyle } = req.body;
         if (!transcript) return res.status(400).json({ error: "Transcript required" });
 
+        const { style: noteStyle, error: styleError } = resolveNoteStyle(requestedStyle);
+        if (styleError) return res.status(400).json({ error: styleError });
+
+        // 대본 언어 감지 → 노트 언어 결정 (기본: 한국어)
+        const detectedLanguage = detectLanguage(transcript);
+        const { language, error: languageError } = resolveOutputLanguage({
+            targetLanguage: settings?.targetLanguage,
+            bilingual: settings?.bilingualTerms
+        }, detectedLanguage.language);
+        if (languageError) return res.status(400).json({ error: languageError });
+
         const lectureId = generateId();
-        const apiKey = settings?.apiKey || process.env.GEMINI_API_KEY || process.env.API_KEY;
+        const apiKey = resolveApiKey(settings, settings?.apiKey);
 
-        if (!apiKey) {
+        if (!apiKey && requiresApiKey(settings)) {
             return res.status(400).json({ 
                 error: "API Key is required. Please set it in the application settings (top-left gear icon) or in the .env file." 
             });
         }
 
-        const ai = new GoogleGenAI({ apiKey });
+        // 강의 행이 생기기 전(교정/세그먼트/메타데이터) 호출도 lectureId로 사용량 기록
+        const provider = trackProvider(createPipelineProvider(settings, apiKey, { circuitBreaker }), lectureId);
 
         console.log(`[${lectureId}] Starting lecture processing...`);
         console.log(`[${lectureId}] Settings received:`, JSON.stringify(settings, null, 2));
+        console.log(`[${lectureId}] Language: ${language.source || 'unknown'} (confidence ${detectedLanguage.confidence}) → ${language.target}${language.bilingual ? ' (bilingual)' : ''}`);
 
         // ========== Step 0: Preprocessing ==========
+        // 아웃라인 검토 모드: 챕터 추출 후 outline_ready에서 멈추고 승인 후 Deep Dive
+        const reviewOutline = settings?.reviewOutline ?? false;
+
         const preprocessOptions = {
             llmCorrectionEnabled: settings?.llmCorrectionEnabled ?? false, // Use nullish coalescing
+            disfluencyCleanup: settings?.disfluencyCleanup ?? false,
+            language: detectedLanguage.language,
             apiKey: apiKey,
-            model: settings?.model || 'gemini-2.5-flash'
+            settings: pickPipelineSettings(settings),
+            lectureId
         };
 
         console.log(`[${lectureId}] Preprocessing transcript (LLM correction: ${preprocessOptions.llmCorrectionEnabled})...`);
@@ -630,60 +398,29 @@ app.post('/api/lectures', async (req, res) => {
         console.log(`[${lectureId}] Starting segmented analysis...`);
 
         // ========== Step 1: 세그먼트 분할 (로컬) ==========
-        const segments = splitIntoSegments(processedTranscript, 30); // 30분 단위
+        const segments = splitIntoSegments(processedTranscript, 30, 10000, { overlapMinutes: 5 }); // 30분 단위 + 5분 겹침
         console.log(`[${lectureId}] Split into ${segments.length} segments`);
 
         // ========== Step 2: 세그먼트별 챕터 추출 (배치 처리) ==========
         const BATCH_SIZE = 3; // 한 번에 3개씩 처리
+        // 강의 하나는 같은 버전의 템플릿으로 생성 (도중에 템플릿이 수정되어도 유지)
+        const segmentTemplate = promptRegistry.get(PROMPT_TEMPLATE.SEGMENT_CHAPTERS);
+        const metaTemplate = promptRegistry.get(PROMPT_TEMPLATE.LECTURE_META);
         const segmentResults = [];
 
         // 세그먼트 처리 함수
         const processSegment = async (segment, idx) => {
-            const hasTimestamp = segment.startTime && segment.endTime;
-            const segmentHeader = hasTimestamp
-                ? `이 세그먼트(${segment.startTime} ~ ${segment.endTime})에서 챕터를 추출하세요.`
-                : `세그먼트 ${idx + 1}/${segments.length}에서 챕터를 추출하세요.`;
-
-            const timeRule = hasTimestamp
-                ? `- 타임스탬프는 세그먼트 내 실제 시간 기준으로 정확히`
-                : `- 타임스탬프가 없으므로 startTime/endTime은 빈 문자열("")로 반환`;
-
-            const prompt = `
-${segmentHeader}
-
-## 규칙
-- 챕터당 10-15분 분량 (8-20분 유동 가능)
-- 주제 전환 지점에서 분할
-- 구체적인 제목 사용 (예: "REF GPT 설정 방법")
-${timeRule}
-
-## 세그먼트 텍스트:
-${segment.text}
-            `;
-
             try {
-                const resp = await ai.models.generateContent({
-                    model: "gemini-2.5-flash",
-                    contents: [{ role: "user", parts: [{ text: prompt }] }],
-                    config: {
-                        responseMimeType: "application/json",
-                        responseSchema: SEGMENT_CHAPTER_SCHEMA,
-                    },
-                });
-
-                if (!resp.text) return { segmentIndex: idx, chapters: [] };
-
-                const cleanText = resp.text.replace(/```json/g, '').replace(/```/g, '').trim();
-                const result = JSON.parse(cleanText);
-                console.log(`[${lectureId}] Segment ${idx}: ${result.chapters?.length || 0} chapters found`);
-                return { segmentIndex: idx, chapters: result.chapters || [] };
+                const chapters = await extractSegmentChapters(provider, segment, idx, segments.length, { template: segmentTemplate, language });
+                console.log(`[${lectureId}] Segment ${idx}: ${chapters.length} chapters found`);
+                return { segmentIndex: idx, chapters };
             } catch (err) {
                 console.error(`[${lectureId}] Segment ${idx} error:`, err.message);
                 return { segmentIndex: idx, chapters: [] };
             }
         };
 
-        // 배치 처리: 3개씩 묶어서 순차 실행
+        // 배치 처리: 3개씩 묶어서 순차 실행 (호출 간격은 rate limiter가 조절)
         for (let i = 0; i < segments.length; i += BATCH_SIZE) {
             const batch = segments.slice(i, i + BATCH_SIZE);
             const batchNum = Math.floor(i / BATCH_SIZE) + 1;
@@ -694,39 +431,22 @@ ${segment.text}
                 batch.map((segment, batchIdx) => processSegment(segment, i + batchIdx))
             );
             segmentResults.push(...batchResults);
-
-            // 배치 사이 짧은 딜레이 (rate limit 방지)
-            if (i + BATCH_SIZE < segments.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
         }
 
         // ========== Step 3: 챕터 병합 ==========
-        let allChapters = [];
+        // 겹치는 구간 중복 제거, 경계에 걸친 같은 주제 병합, 종료 시간 연속화
         const hasTimestamps = segments.some(s => s.startTime && s.endTime);
+        const reconciled = reconcileChapters(segmentResults, {
+            hasTimestamps,
+            lectureEndSeconds: hasTimestamps ? Math.max(...segments.map(s => s.endSeconds)) : undefined
+        });
+        console.log(`[${lectureId}] Reconciled chapters: ${reconciled.mergedCount} merged, ${reconciled.repairedEndTimes} end times repaired`);
 
-        for (const result of segmentResults.sort((a, b) => a.segmentIndex - b.segmentIndex)) {
-            for (const ch of result.chapters) {
-                if (hasTimestamps) {
-                    // 타임스탬프 있음: 시간 기준 중복 체크 (±2분 내 유사 챕터 스킵)
-                    const chStartSec = parseTime(ch.startTime);
-                    const isDuplicate = allChapters.some(existing => {
-                        const existingStart = parseTime(existing.startTime);
-                        return Math.abs(existingStart - chStartSec) < 120;
-                    });
-                    if (!isDuplicate) {
-                        allChapters.push(ch);
-                    }
-                } else {
-                    // 타임스탬프 없음: 모든 챕터 포함 (세그먼트 순서대로)
-                    allChapters.push(ch);
-                }
-            }
-        }
-
-        // 시간순 정렬 (타임스탬프 있을 때만)
-        if (hasTimestamps) {
-            allChapters.sort((a, b) => parseTime(a.startTime) - parseTime(b.startTime));
+        // 챕터 시간 검증: 실제 cue에 맞추고 역전/겹침 수정, 빈 구간 표시
+        const validated = validateChapters(reconciled.chapters, parseCues(processedTranscript).cues);
+        let allChapters = validated.chapters;
+        if (validated.repairedCount > 0 || validated.flaggedCount > 0) {
+            console.log(`[${lectureId}] Chapter validation: ${validated.repairedCount} repaired, ${validated.flaggedCount} flagged`);
         }
 
         // ID 부여
@@ -740,24 +460,6 @@ ${segment.text}
         // ========== Step 4: 강의 제목 및 메타데이터 생성 ==========
         // 첫 세그먼트(앞부분) 텍스트를 함께 제공하여 강사/메타데이터 추출
         const introText = processedTranscript.substring(0, 5000);
-        
-        const titlePrompt = `
-다음 강의의 전체 제목, 요약, 그리고 메타데이터를 추출하세요.
-
-## 강의 앞부분 내용:
-${introText}
-
-## 챕터 목록:
-${allChapters.map((ch, i) => `${i + 1}. ${ch.title}`).join('\n')}
-
-## 요청사항
-1. **Title**: 강의 내용을 포괄하는 매력적인 제목
-2. **Overview**: 전체 내용을 3문장 내외로 요약
-3. **Author**: 강사 이름 (없으면 빈칸)
-4. **Tags**: 핵심 주제 태그 3-5개 (배열)
-
-JSON 형식으로 출력하세요.
-        `;
 
         let lectureTitle = "강의";
         let lectureOverview = "";
@@ -765,45 +467,34 @@ JSON 형식으로 출력하세요.
         let lectureTags = [];
 
         try {
-            const titleResp = await ai.models.generateContent({
-                model: "gemini-2.5-flash",
-                contents: [{ role: "user", parts: [{ text: titlePrompt }] }],
-                config: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: Type.OBJECT,
-                        properties: {
-                            title: { type: Type.STRING },
-                            overview: { type: Type.STRING },
-                            author: { type: Type.STRING },
-                            tags: { type: Type.ARRAY, items: { type: Type.STRING } }
-                        },
-                        required: ["title", "overview"]
-                    }
-                }
-            });
-            if (titleResp.text) {
-                const titleJson = JSON.parse(titleResp.text.replace(/```json/g, '').replace(/```/g, '').trim());
-                lectureTitle = titleJson.title || "강의";
-                lectureOverview = titleJson.overview || "";
-                lectureAuthor = titleJson.author || "";
-                lectureTags = titleJson.tags || [];
-            }
+            const meta = await generateLectureMeta(provider, introText, allChapters, { template: metaTemplate, language });
+            lectureTitle = meta.title || "강의";
+            lectureOverview = meta.overview;
+            lectureAuthor = meta.author;
+            lectureTags = meta.tags;
         } catch (e) {
             console.error(`[${lectureId}] Title generation error:`, e.message);
         }
 
         // ========== Step 5: DB 저장 ==========
-        await run(`INSERT INTO lectures (id, title, raw_text, original_text, correction_stats, author, tags, overview) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [lectureId, lectureTitle, processedTranscript, transcript, JSON.stringify(preprocessResult.stats), lectureAuthor, JSON.stringify(lectureTags), lectureOverview]);
-
-        let chapterOrder = 0;
-        for (const ch of allChapters) {
-            const chId = `${lectureId}_${++chapterOrder}`;
-            await run(`INSERT INTO chapters (id, lecture_id, chapter_number, title, start_time, end_time, status) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [chId, lectureId, chapterOrder, ch.title, ch.startTime || "", ch.endTime || "", 'pending']);
+        // 화자 목록 (VTT <v> 태그, 반복되는 "이름:" 접두어)
+        const speakers = detectTranscriptSpeakers(processedTranscript);
+        if (speakers.length > 0) {
+            console.log(`[${lectureId}] Speakers detected: ${speakers.map(s => s.name).join(', ')}`);
         }
 
+        // 챕터 추출/메타데이터에 사용한 템플릿 버전 ({ 템플릿 이름: 버전 })
+        const promptTemplates = {
+            [segmentTemplate.name]: segmentTemplate.version,
+            [metaTemplate.name]: metaTemplate.version
+        };
+
+        // original_text: 업로드 원문, normalized_text: 교정 전 정규화 텍스트 (교정 위치의 기준)
+        await run(`INSERT INTO lectures (id, title, raw_text, original_text, normalized_text, correction_stats, corrections, author, tags, overview, status, settings, speakers, prompt_templates, note_style, language) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [lectureId, lectureTitle, processedTranscript, transcript, preprocessResult.normalizedText, JSON.stringify(preprocessResult.stats), preprocessResult.corrections && JSON.stringify(preprocessResult.corrections), lectureAuthor, JSON.stringify(lectureTags), lectureOverview, reviewOutline ? 'outline_ready' : 'processing', JSON.stringify(pickPipelineSettings(settings)), JSON.stringify(speakers), JSON.stringify(promptTemplates), noteStyle, JSON.stringify(language)]);
+
+        await insertLectureChapters(lectureId, allChapters);
+
         // ========== Step 6: 응답 ==========
         const scanJson = {
             title: lectureTitle,
@@ -811,12 +502,15 @@ JSON 형식으로 출력하세요.
             chapters: allChapters
         };
 
-        res.json({ id: lectureId, title: lectureTitle, totalChapters: allChapters.length });
+        // ========== Step 7: 백그라운드 Deep Dive (작업 큐) ==========
+        // 검토 모드에서는 start-deep-dive 호출 시 등록
+        if (reviewOutline) {
+            console.log(`[${lectureId}] Outline ready for review.`);
+            return res.json({ id: lectureId, title: lectureTitle, totalChapters: allChapters.length, status: 'outline_ready', noteStyle, language });
+        }
+        await jobQueue.enqueue('process_lecture', { lectureId, payload: { lectureId }, secrets: { apiKey } });
 
-        // ========== Step 7: 백그라운드 Deep Dive ==========
-        // scanJson은 이제 DB에서 로드할 수 있으므로 필수가 아니지만, 호환성을 위해 유지
-        // apiKey 전달
-        processLectureBackground(lectureId, apiKey).catch(console.error);
+        res.json({ id: lectureId, title: lectureTitle, totalChapters: allChapters.length, status: 'processing', noteStyle, language });
 
     } catch (error) {
         console.error("Error creating lecture:", error);
@@ -845,9 +539,14 @@ app.get('/api/lectures/:id', async (req, res) => {
         // JSON 파싱 (저장된 상세 데이터)
         const parsedChapters = chapters.map(ch => ({
             ...ch,
+            ...outlineFieldsFromRow(ch), // startTime, endTime, summary, keyTopics, duration
             // detailed_note 등의 JSON 문자열 필드를 객체로 파싱하지 않음. 
             // 클라이언트에서 사용하기 편하게 일부 필드는 파싱해서 내려줌
-            content: ch.detailed_note ? JSON.parse(ch.detailed_note) : null
+            content: ch.detailed_note ? JSON.parse(ch.detailed_note) : null,
+            validation: parseValidation(ch.validation),
+            quality: parseQualityReport(ch.quality),
+            provenance: parseProvenance(ch.provenance),
+            generation: parseGeneration(ch.generation)
         }));
         
         // correction_stats 파싱
@@ -883,8 +582,13 @@ app.get('/api/lectures/:id', async (req, res) => {
         res.json({ 
             ...lecture, 
             correction_stats: correctionStats, 
+            corrections: parseCorrections(lecture.corrections),
             tags, 
             finalSummary, 
+            speakers: parseLectureSpeakers(lecture),
+            prompt_templates: parsePromptTemplates(lecture),
+            note_style: getNoteStyle(lecture.note_style).id,
+            language: parseLectureLanguage(lecture),
             chapters: parsedChapters 
         });
     } catch (e) {
@@ -895,89 +599,28 @@ app.get('/api/lectures/:id', async (req, res) => {
 // 5. 챕터 재생성 (피드백 반영)
 app.post('/api/chapters/:id/regenerate', async (req, res) => {
     try {
-        const { feedback, apiKey: clientApiKey } = req.body;
+        const { feedback, apiKey: clientApiKey, noteStyle } = req.body;
         const chapter = await get('SELECT * FROM chapters WHERE id = ?', [req.params.id]);
         if (!chapter) return res.status(404).json({ error: "Chapter not found" });
         if (!chapter.detailed_note) return res.status(400).json({ error: "Chapter not ready - run analysis first" });
 
-        const meta = JSON.parse(chapter.detailed_note);
-        const lecture = await get('SELECT raw_text FROM lectures WHERE id = ?', [chapter.lecture_id]);
+        // noteStyle 생략 시 챕터의 현재 스타일 유지
+        const styleError = noteStyle === undefined ? null : resolveNoteStyle(noteStyle).error;
+        if (styleError) return res.status(400).json({ error: styleError });
 
-        const slice = extractSlice(lecture.raw_text, meta.startTime, meta.endTime);
-        const apiKey = clientApiKey || process.env.GEMINI_API_KEY || process.env.API_KEY;
-        if (!apiKey) return res.status(400).json({ error: "API Key required" });
-        const ai = new GoogleGenAI({ apiKey });
+        const { apiKey, missing } = await resolveLectureApiKey(chapter.lecture_id, clientApiKey);
+        if (missing) return res.status(400).json({ error: "API Key required" });
 
         await run("UPDATE chapters SET status = 'processing' WHERE id = ?", [req.params.id]);
 
-        // Background regeneration
-        (async () => {
-            try {
-                const prompt = `
-당신은 강의 내용을 생생하게 전달하는 전문 에디터입니다.
-사용자 피드백을 반영하여, 마치 강의를 직접 듣는 것처럼 생동감 있는 학습 노트를 재작성하세요.
-
-## 챕터 정보
-- 제목: ${chapter.title}
-- 시간: ${meta.startTime} ~ ${meta.endTime}
-
-## 사용자 피드백 (반드시 반영)
-${feedback}
-
-## 핵심 작성 원칙
-
-### ⚠️ 반드시 지켜야 할 것
-1. **강사 인용을 본문에 직접 통합**: 각 섹션에 최소 1-2개의 강사 발언을 인용하고, 해당 타임스탬프를 표시
-2. **구어체 보존**: 강사가 실제로 말한 표현을 살려서 인용 (예: "이게 핵심이에요", "여러분이 해보셔야 해요")
-3. **맥락 연결**: 인용 후에는 왜 이 말이 중요한지, 어떤 의미인지 해석 추가
-4. **스토리 흐름**: 강의가 어떻게 전개되었는지 시간순으로 자연스럽게 서술
-
-### ❌ 하지 말 것
-- "~합니다", "~입니다"로 끝나는 딱딱한 문체 (대신: "~한다", "~이다", "~했다" 등 사용)
-- 일반론적 서술 금지
-- 강사 인용 없이 진행하는 것
-- 교과서처럼 무미건조하게 정보만 나열
-
-### 📝 narrative 작성 형식 (필수)
-
-## 소제목
-
-강사는 [주제]에 대해 이야기하며 강조했다.
-
-> "강사의 실제 발언 인용" [MM:SS]
-
-이 발언의 의미는... [해석과 맥락 설명]. **핵심 키워드**는 특히 중요한데...
-
-### quotesWithTimeline
-- narrative에 포함된 인용들을 여기에도 별도로 정리 (최소 6개)
-
-## 분석할 텍스트:
-${slice}
-                `;
-
-                const resp = await ai.models.generateContent({
-                    model: "gemini-2.5-flash",
-                    contents: [{ role: "user", parts: [{ text: prompt }] }],
-                    config: { responseMimeType: "application/json", responseSchema: CHAPTER_DEEP_DIVE_SCHEMA }
-                });
-
-                if (!resp.text) {
-                    throw new Error('Gemini API returned empty response');
-                }
-                const resultText = resp.text.replace(/```json/g, '').replace(/```/g, '').trim();
-                const resultJson = JSON.parse(resultText);
-
-                const fullData = { ...meta, ...resultJson };
-
-                await run(`UPDATE chapters SET narrative = ?, detailed_note = ?, status = 'completed' WHERE id = ?`,
-                    [resultJson.narrative, JSON.stringify(fullData), req.params.id]);
-            } catch (e) {
-                console.error("Regen failed:", e.message);
-                await run("UPDATE chapters SET status = 'error' WHERE id = ?", [req.params.id]);
-            }
-        })();
+        const job = await jobQueue.enqueue('regenerate_chapter', {
+            lectureId: chapter.lecture_id,
+            chapterId: chapter.id,
+            payload: { chapterId: chapter.id, feedback, noteStyle },
+            secrets: { apiKey }
+        });
 
-        res.json({ status: 'processing', message: 'Regeneration started' });
+        res.json({ status: 'processing', message: 'Regeneration queued', jobId: job.id });
 
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -992,7 +635,7 @@ app.put('/api/chapters/:id', async (req, res) => {
         // 1. narrative 컬럼 업데이트
         // 2. detailed_note JSON 내의 narrative 필드 등도 업데이트
         
-        const chapter = await get('SELECT detailed_note FROM chapters WHERE id = ?', [req.params.id]);
+        const chapter = await get('SELECT detailed_note, quality FROM chapters WHERE id = ?', [req.params.id]);
         if (!chapter) return res.status(404).json({ error: "Chapter not found" });
 
         let detailedNote = {};
@@ -1005,8 +648,13 @@ app.put('/api/chapters/:id', async (req, res) => {
         const updatedNote = { ...detailedNote, ...content };
         if (narrative) updatedNote.narrative = narrative;
 
-        await run(`UPDATE chapters SET narrative = ?, detailed_note = ? WHERE id = ?`,
-            [updatedNote.narrative, JSON.stringify(updatedNote), req.params.id]);
+        // 사용자가 고친 내용으로 품질 검사 다시 수행 (생성 횟수는 유지, 스토리텔링 노트만)
+        const quality = getNoteStyle(updatedNote.noteStyle).qualityGate
+            ? { ...evaluateDeepDive(updatedNote), attempts: parseQualityReport(chapter.quality)?.attempts ?? 0 }
+            : null;
+
+        await run(`UPDATE chapters SET narrative = ?, detailed_note = ?, quality = ? WHERE id = ?`,
+            [renderNoteBody(updatedNote), JSON.stringify(updatedNote), quality && JSON.stringify(quality), req.params.id]);
 
         res.json({ success: true });
     } catch (e) {
@@ -1082,6 +730,11 @@ app.get('/api/lectures/:id/pdf', async (req, res) => {
 app.delete('/api/lectures/:id', async (req, res) => {
     try {
         const lectureId = req.params.id;
+        // 진행 중인 분석을 먼저 중단 (삭제된 챕터에 계속 쓰지 않도록)
+        await jobQueue.cancelLectureJobs(lectureId);
+        runRegistry.requestStop(lectureId, STOP_REASON.CANCEL);
+        await jobQueue.removeLectureJobs(lectureId);
+        await usageTracker.deleteLectureUsage(lectureId);
         await run(`DELETE FROM chapters WHERE lecture_id = ?`, [lectureId]);
         await run(`DELETE FROM lectures WHERE id = ?`, [lectureId]);
         res.json({ message: "Lecture deleted successfully" });
@@ -1095,21 +748,23 @@ app.post('/api/lectures/:id/retry', async (req, res) => {
     try {
         const lectureId = req.params.id;
         const { apiKey } = req.body;
-        
-        if (!apiKey) {
-            // 서버 env가 없으면 클라이언트에서 받아야 함
-            if (!process.env.GEMINI_API_KEY && !process.env.API_KEY) {
-                return res.status(400).json({ error: "API Key required for retry" });
-            }
+
+        // 서버 env가 없으면 클라이언트에서 받아야 함
+        const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(lectureId, apiKey);
+        if (missing) {
+            return res.status(400).json({ error: "API Key required for retry" });
+        }
+
+        if (await isAwaitingOutlineReview(lectureId)) {
+            return res.status(409).json({ error: "Outline not approved yet. Start the deep dive first." });
         }
-        
-        const finalApiKey = apiKey || process.env.GEMINI_API_KEY || process.env.API_KEY;
 
-        // 백그라운드 프로세스 다시 시작
+        // 취소/일시정지 상태 해제 후 작업 큐에 다시 등록
         // (processLectureBackground 내에서 'completed'는 스킵하도록 되어 있음)
-        processLectureBackground(lectureId, finalApiKey).catch(console.error);
+        await resetLectureForProcessing(lectureId);
+        const job = await jobQueue.enqueue('process_lecture', { lectureId, payload: { lectureId }, secrets: { apiKey: finalApiKey } });
 
-        res.json({ message: "Retry started in background" });
+        res.json({ message: "Retry queued", jobId: job.id });
 
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1122,11 +777,15 @@ app.post('/api/lectures/:id/continue-processing', async (req, res) => {
         const lectureId = req.params.id;
         const { apiKey } = req.body;
 
-        const finalApiKey = apiKey || process.env.GEMINI_API_KEY || process.env.API_KEY;
-        if (!finalApiKey) {
+        const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(lectureId, apiKey);
+        if (missing) {
             return res.status(400).json({ error: "API Key required" });
         }
 
+        if (await isAwaitingOutlineReview(lectureId)) {
+            return res.status(409).json({ error: "Outline not approved yet. Start the deep dive first." });
+        }
+
         // 미완료 챕터가 있는지 확인
         const pendingChapters = await all(
             `SELECT id FROM chapters WHERE lecture_id = ? AND status != 'completed'`,
@@ -1137,12 +796,14 @@ app.post('/api/lectures/:id/continue-processing', async (req, res) => {
             return res.status(400).json({ error: "All chapters are already completed" });
         }
 
-        // 백그라운드로 처리 시작 (기존 함수 재사용 - 이미 완료된 챕터는 스킵됨)
-        processLectureBackground(lectureId, finalApiKey);
+        // 작업 큐로 처리 (이미 완료된 챕터는 스킵됨)
+        await resetLectureForProcessing(lectureId);
+        const job = await jobQueue.enqueue('process_lecture', { lectureId, payload: { lectureId }, secrets: { apiKey: finalApiKey } });
 
         res.json({
-            message: "Continue processing started",
-            pendingCount: pendingChapters.length
+            message: "Continue processing queued",
+            pendingCount: pendingChapters.length,
+            jobId: job.id
         });
 
     } catch (e) {
@@ -1155,10 +816,10 @@ app.post('/api/lectures/:id/continue-processing', async (req, res) => {
 app.post('/api/lectures/:id/generate-summary', async (req, res) => {
     try {
         const lectureId = req.params.id;
-        const { apiKey } = req.body;
+        const { apiKey, bypassCache } = req.body;
 
-        const finalApiKey = apiKey || process.env.GEMINI_API_KEY || process.env.API_KEY;
-        if (!finalApiKey) {
+        const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(lectureId, apiKey);
+        if (missing) {
             return res.status(400).json({ error: "API Key required" });
         }
 
@@ -1168,313 +829,905 @@ app.post('/api/lectures/:id/generate-summary', async (req, res) => {
             return res.status(400).json({ error: "No completed chapters to summarize" });
         }
 
-        // 비동기로 Final Summary 생성
-        generateFinalSummary(lectureId, finalApiKey).catch(console.error);
+        // 작업 큐로 Final Summary 생성
+        // bypassCache: 캐시된 응답 대신 새로 생성 (사용자가 요약을 다시 만들 때)
+        const job = await jobQueue.enqueue('generate_summary', { lectureId, payload: { lectureId, bypassCache: Boolean(bypassCache) }, secrets: { apiKey: finalApiKey } });
 
-        res.json({ message: "Final summary generation started" });
+        res.json({ message: "Final summary generation queued", jobId: job.id });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// 8. 강의 메타데이터 업데이트
-app.put('/api/lectures/:id', async (req, res) => {
+// 7.6. 분석 취소 (진행 중인 요청 중단, 남은 챕터는 cancelled)
+app.post('/api/lectures/:id/cancel', async (req, res) => {
     try {
-        const { title, author, source_url, tags, memo } = req.body;
         const lectureId = req.params.id;
+        const lecture = await get(`SELECT id, status FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
 
-        await run(`UPDATE lectures SET 
-            title = ?, 
-            author = ?, 
-            source_url = ?, 
-            tags = ?, 
-            memo = ? 
-            WHERE id = ?`,
-            [title, author, source_url, JSON.stringify(tags || []), memo, lectureId]);
+        await run(`UPDATE lectures SET status = 'cancelled' WHERE id = ?`, [lectureId]);
+        const cancelledJobs = await jobQueue.cancelLectureJobs(lectureId);
 
-        res.json({ success: true });
+        // 챕터 루프가 실행 중이면 루프가 요청을 중단하고 취소 처리를 마무리함
+        const loopRunning = runRegistry.isRunning(lectureId, 'lecture');
+        runRegistry.requestStop(lectureId, STOP_REASON.CANCEL);
+        if (!loopRunning) {
+            await markLectureCancelled(lectureId);
+        }
+
+        res.json({ status: 'cancelled', cancelledJobs });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-// ==================== FINAL SUMMARY GENERATOR ====================
-async function generateFinalSummary(lectureId, apiKey) {
-    console.log(`[${lectureId}] Generating Final Summary...`);
-    sendEvent(lectureId, 'progress', { message: 'Generating Final Summary & Global Glossary...' });
-
+// 7.7. 분석 일시정지 (현재 챕터 완료 후 정지)
+app.post('/api/lectures/:id/pause', async (req, res) => {
     try {
-        const chapters = await all(`SELECT * FROM chapters WHERE lecture_id = ? ORDER BY chapter_number`, [lectureId]);
-        const completedChapters = chapters.filter(c => c.status === 'completed');
+        const lectureId = req.params.id;
+        const lecture = await get(`SELECT id, status FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+        if (lecture.status === 'cancelled') {
+            return res.status(400).json({ error: "Lecture processing was cancelled" });
+        }
 
-        if (completedChapters.length === 0) return;
+        await run(`UPDATE lectures SET status = 'paused' WHERE id = ?`, [lectureId]);
+        await jobQueue.cancelLectureJobs(lectureId, ['process_lecture']);
 
-        // 1. Collect Context
-        const context = completedChapters.map(ch => {
-            try {
-                const data = JSON.parse(ch.detailed_note);
-                return `Chapter ${ch.chapter_number}: ${ch.title}\nSummary: ${ch.summary || data.keyMessage}\nKey Terms: ${(data.keyTerms || []).map(t => t.term).join(', ')}`;
-            } catch (e) { return ''; }
-        }).join('\n\n');
+        if (runRegistry.isRunning(lectureId, 'lecture')) {
+            runRegistry.requestStop(lectureId, STOP_REASON.PAUSE);
+        } else {
+            await markLecturePaused(lectureId);
+        }
 
-        // 2. Aggregate Glossary (Deduplication)
-        const globalGlossaryMap = new Map();
-        completedChapters.forEach(ch => {
-            try {
-                const data = JSON.parse(ch.detailed_note);
-                if (data.keyTerms) {
-                    data.keyTerms.forEach(t => {
-                        // 간단한 중복 제거: 소문자 기준
-                        const key = t.term.toLowerCase();
-                        if (!globalGlossaryMap.has(key)) {
-                            globalGlossaryMap.set(key, t);
-                        } else {
-                            // 이미 있으면 정의가 더 긴 것을 유지하거나, 병합? (일단 유지)
-                        }
-                    });
-                }
-            } catch (e) {}
-        });
-        const globalGlossary = Array.from(globalGlossaryMap.values());
+        res.json({ status: 'paused' });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-        // 3. LLM Generation for Insights
-        const ai = new GoogleGenAI({ apiKey });
-        const prompt = `
-다음은 강의의 챕터별 요약입니다. 이를 바탕으로 전체 강의를 관통하는 종합 요약과 학습 자료를 생성하세요.
-
-## 강의 내용:
-${context}
-
-## 요청사항 (JSON 형식)
-1. **oneSentenceSummary**: 강의 전체를 한 문장으로 요약 (명언처럼 강렬하게)
-2. **coreInsights**: 전체를 관통하는 핵심 통찰 3-5가지
-3. **actionChecklist**: 수강생이 실천해야 할 행동 지침 (체크리스트)
-4. **practiceAssignments**: 실습 과제 3가지 (난이도, 소요시간 포함)
-5. **reviewQuestions**: 복습용 질문 5가지
-6. **furtherLearning**: 더 공부하면 좋은 관련 주제/키워드
-
-JSON 포맷으로 출력하세요.
-        `;
-
-        const resp = await ai.models.generateContent({
-            model: "gemini-2.5-flash",
-            contents: [{ role: "user", parts: [{ text: prompt }] }],
-            config: { responseMimeType: "application/json" }
-        });
+// 7.8. 일시정지된 분석 재개
+app.post('/api/lectures/:id/resume', async (req, res) => {
+    try {
+        const lectureId = req.params.id;
+        const { apiKey } = req.body || {};
 
-        if (resp.text) {
-            const resultJson = JSON.parse(resp.text.replace(/```json/g, '').replace(/```/g, '').trim());
-            
-            // Add Glossary to result (though not part of LLM generation to avoid token limit, we aggregated it manually)
-            // But wait, the FinalSummary interface doesn't have glossary field yet. 
-            // We should add it to the final JSON structure we save.
-            
-            const finalData = {
-                ...resultJson,
-                globalGlossary // Add aggregated glossary
-            };
-
-            // Rich Overview 생성
-            let richOverview = finalData.oneSentenceSummary || "";
-            if (finalData.coreInsights && finalData.coreInsights.length > 0) {
-                // Handle both formats: string or {insight: string}
-                richOverview += "\n\n**핵심 인사이트:**\n" + finalData.coreInsights.map(i => {
-                    const text = typeof i === 'string' ? i : i.insight;
-                    return `- ${text}`;
-                }).join('\n');
-            }
+        const lecture = await get(`SELECT id, status FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+        if (lecture.status !== 'paused') {
+            return res.status(400).json({ error: "Lecture is not paused" });
+        }
 
-            await run(`UPDATE lectures SET final_summary = ?, overview = ? WHERE id = ?`, 
-                [JSON.stringify(finalData), richOverview, lectureId]);
-            
-            sendEvent(lectureId, 'final_summary_complete', finalData);
+        const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(lectureId, apiKey);
+        if (missing) {
+            return res.status(400).json({ error: "API Key required" });
         }
 
+        await resetLectureForProcessing(lectureId);
+        const job = await jobQueue.enqueue('process_lecture', { lectureId, payload: { lectureId }, secrets: { apiKey: finalApiKey } });
+        sendEvent(lectureId, 'status', { message: 'Processing resumed', status: 'resumed' });
+
+        res.json({ status: 'processing', jobId: job.id });
     } catch (e) {
-        console.error(`[${lectureId}] Final Summary Error:`, e);
-        sendEvent(lectureId, 'error', { message: "Final summary generation failed" });
+        res.status(500).json({ error: e.message });
     }
-}
+});
 
-// ==================== BACKGROUND PROCESS ====================
-async function processLectureBackground(lectureId, apiKey) {
-    console.log(`[${lectureId}] Background analysis started.`);
-    sendEvent(lectureId, 'status', { message: 'Background analysis started', status: 'started' });
+// 7.9. 작업 큐 상태 조회
+app.get('/api/lectures/:id/jobs', async (req, res) => {
+    try {
+        const jobs = await jobQueue.listJobs(req.params.id);
+        res.json(jobs);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
+// 7.10. AI 토큰 사용량 및 추정 비용 조회 (단계별/모델별)
+app.get('/api/lectures/:id/usage', async (req, res) => {
     try {
-        // Lecture 정보(transcript) 로드
-        const lecture = await get(`SELECT raw_text FROM lectures WHERE id = ?`, [lectureId]);
-        if (!lecture || !lecture.raw_text) {
-            console.error(`[${lectureId}] Lecture not found or no transcript.`);
-            sendEvent(lectureId, 'error', { message: 'Lecture data not found' });
-            return;
-        }
-        const transcript = lecture.raw_text;
+        const lecture = await get(`SELECT id FROM lectures WHERE id = ?`, [req.params.id]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
 
-        // DB에서 챕터 목록 조회 (처리되지 않은 것들만 우선 처리하도록 개선 가능하나, 여기서는 전체 순회)
-        // Retry 시에는 'completed'가 아닌 것만 처리하는 로직이 필요할 수 있음. 
-        // 일단 기본 프로세스는 전체를 훑되, status check를 할 수 있음.
-        const chapters = await all(`SELECT * FROM chapters WHERE lecture_id = ? ORDER BY chapter_number`, [lectureId]);
-        
-        // API Key fallback
-        const finalApiKey = apiKey || process.env.GEMINI_API_KEY || process.env.API_KEY;
-        if (!finalApiKey) {
-             console.error(`[${lectureId}] No API Key available for background process.`);
-             // 에러 상태 업데이트
-             await run(`UPDATE chapters SET status = 'error' WHERE lecture_id = ? AND status != 'completed'`, [lectureId]);
-             sendEvent(lectureId, 'error', { message: 'API Key missing for background process' });
-             return;
-        }
+        const usage = await usageTracker.getLectureUsage(req.params.id);
+        res.json(usage);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-        const ai = new GoogleGenAI({ apiKey: finalApiKey });
+// 7.11. AI 호출 대기열 상태 (API 키/모델별 예산, 구간 내 요청 수, 대기 수)
+app.get('/api/ai/rate-limits', (req, res) => {
+    res.json(rateLimiter.status());
+});
 
-        // Context Passing: 이전 챕터의 핵심 내용을 저장하여 다음 챕터 분석 시 제공
-        let previousContext = "";
+// 7.12. 모델 circuit 상태 (장애로 차단된 모델과 재시도까지 남은 시간)
+app.get('/api/ai/circuits', (req, res) => {
+    res.json(circuitBreaker.status());
+});
 
-        for (let i = 0; i < chapters.length; i++) {
-            const dbChapter = chapters[i];
-            
-            // 이미 완료된 챕터는 스킵 (Retry 지원을 위해)
-            // 단, Context는 로드해서 다음 챕터에 넘겨줘야 함
-            if (dbChapter.status === 'completed') {
-                try {
-                    const existingData = JSON.parse(dbChapter.detailed_note);
-                    const keyTerms = existingData.keyTerms ? existingData.keyTerms.map(t => t.term).join(', ') : '';
-                    previousContext = `이전 챕터(${dbChapter.title}) 핵심: ${existingData.keyMessage || ''}\n주요 용어: ${keyTerms}`;
-                } catch (e) { /* ignore */ }
-                continue;
+// 7.13. AI 응답 캐시 상태 (항목 수, 크기, 히트 수, 한도)
+app.get('/api/ai/cache', async (req, res) => {
+    try {
+        res.json(await responseCache.status());
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 7.14. AI 응답 캐시 비우기
+app.delete('/api/ai/cache', async (req, res) => {
+    try {
+        const deleted = await responseCache.clear();
+        res.json({ message: "Response cache cleared", deleted });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 8. 강의 메타데이터 업데이트
+app.put('/api/lectures/:id', async (req, res) => {
+    try {
+        const { title, author, source_url, tags, memo } = req.body;
+        const lectureId = req.params.id;
+
+        await run(`UPDATE lectures SET 
+            title = ?, 
+            author = ?, 
+            source_url = ?, 
+            tags = ?, 
+            memo = ? 
+            WHERE id = ?`,
+            [title, author, source_url, JSON.stringify(tags || []), memo, lectureId]);
+
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 9. 화자 목록 조회
+app.get('/api/lectures/:id/speakers', async (req, res) => {
+    try {
+        const lecture = await get(`SELECT speakers FROM lectures WHERE id = ?`, [req.params.id]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+        res.json(parseLectureSpeakers(lecture));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 9-1. 화자 이름 변경
+app.put('/api/lectures/:id/speakers/:speakerId', async (req, res) => {
+    try {
+        const lectureId = req.params.id;
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) return res.status(400).json({ error: "Speaker name required" });
+
+        const lecture = await get(`SELECT speakers FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+
+        const speakers = parseLectureSpeakers(lecture);
+        if (speakers.some(s => s.id !== req.params.speakerId && s.name === name)) {
+            return res.status(409).json({ error: "Another speaker already has this name. Merge the speakers instead." });
+        }
+
+        const result = renameSpeaker(speakers, req.params.speakerId, name);
+        if (!result) return res.status(404).json({ error: "Speaker not found" });
+
+        await saveLectureSpeakers(lectureId, result);
+        res.json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 9-2. 화자 병합 (sourceIds → targetId)
+app.post('/api/lectures/:id/speakers/merge', async (req, res) => {
+    try {
+        const lectureId = req.params.id;
+        const { sourceIds, targetId } = req.body;
+        if (!targetId || !Array.isArray(sourceIds) || sourceIds.length === 0) {
+            return res.status(400).json({ error: "sourceIds and targetId required" });
+        }
+
+        const lecture = await get(`SELECT speakers FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+
+        const result = mergeSpeakers(parseLectureSpeakers(lecture), sourceIds, targetId);
+        if (!result) return res.status(404).json({ error: "Speaker not found" });
+
+        await saveLectureSpeakers(lectureId, result);
+        res.json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 10. 챕터 아웃라인 수정 (검토 대기 중인 강의만)
+app.put('/api/lectures/:id/outline', async (req, res) => {
+    try {
+        const lectureId = req.params.id;
+        const lecture = await get(`SELECT id, status, raw_text FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+        if (lecture.status !== 'outline_ready') {
+            return res.status(409).json({ error: "Outline can only be edited before the deep dive starts" });
+        }
+
+        const { chapters, errors } = normalizeOutline(req.body.chapters);
+        if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+        res.json({ chapters: await replaceLectureOutline(lecture, chapters) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 10-1. 검토한 아웃라인으로 Deep Dive 시작 (chapters를 보내면 먼저 저장)
+app.post('/api/lectures/:id/start-deep-dive', async (req, res) => {
+    try {
+        const lectureId = req.params.id;
+        const { apiKey, chapters: submitted } = req.body || {};
+
+        const lecture = await get(`SELECT id, status, raw_text FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+        if (lecture.status !== 'outline_ready') {
+            return res.status(409).json({ error: "Deep dive already started" });
+        }
+
+        let chapters = null;
+        if (submitted !== undefined) {
+            const outline = normalizeOutline(submitted);
+            if (outline.errors.length > 0) return res.status(400).json({ error: outline.errors.join('; ') });
+            chapters = outline.chapters;
+        }
+
+        const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(lectureId, apiKey);
+        if (missing) return res.status(400).json({ error: "API Key required" });
+
+        const outline = chapters ? await replaceLectureOutline(lecture, chapters) : null;
+
+        await run(`UPDATE lectures SET status = 'processing' WHERE id = ?`, [lectureId]);
+        const job = await jobQueue.enqueue('process_lecture', { lectureId, payload: { lectureId }, secrets: { apiKey: finalApiKey } });
+
+        res.json({ status: 'processing', jobId: job.id, ...(outline && { chapters: outline }) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 챕터 행 저장 (아웃라인: 요약, 핵심 주제, 시간 검증 기록 포함)
+async function insertLectureChapters(lectureId, chapters) {
+    let chapterOrder = 0;
+    for (const ch of chapters) {
+        const chId = `${lectureId}_${++chapterOrder}`;
+        await run(`INSERT INTO chapters (id, lecture_id, chapter_number, title, start_time, end_time, summary, key_topics, status, validation) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [chId, lectureId, chapterOrder, ch.title, ch.startTime || "", ch.endTime || "", ch.summary || "", JSON.stringify(ch.keyTopics || []), 'pending', JSON.stringify(ch.validation)]);
+    }
+}
+
+// 검토된 아웃라인으로 챕터 교체 (시간은 다시 검증)
+async function replaceLectureOutline(lecture, chapters) {
+    const { chapters: validated } = validateChapters(chapters, parseCues(lecture.raw_text).cues);
+
+    await run(`DELETE FROM chapters WHERE lecture_id = ?`, [lecture.id]);
+    await insertLectureChapters(lecture.id, validated);
+
+    return loadOutlineChapters(lecture.id);
+}
+
+// 챕터 목록 (아웃라인 필드 + 검증 기록)
+async function loadOutlineChapters(lectureId) {
+    const rows = await all(`SELECT * FROM chapters WHERE lecture_id = ? ORDER BY chapter_number`, [lectureId]);
+    return rows.map(row => ({
+        id: row.id,
+        chapter_number: row.chapter_number,
+        title: row.title,
+        status: row.status,
+        ...outlineFieldsFromRow(row),
+        validation: parseValidation(row.validation)
+    }));
+}
+
+// 11. 챕터 분할 ({ at, title? } - 뒷부분은 새 챕터)
+app.post('/api/lectures/:id/chapters/:chapterId/split', async (req, res) => {
+    await handleChapterEdit(req, res, (chapters, lectureId) =>
+        splitChapter(chapters, req.params.chapterId, req.body.at, {
+            newId: nextChapterId(lectureId, chapters),
+            title: req.body.title
+        }));
+});
+
+// 11-1. 인접 챕터 병합 ({ chapterIds })
+app.post('/api/lectures/:id/chapters/merge', async (req, res) => {
+    await handleChapterEdit(req, res, (chapters) => mergeChapters(chapters, req.body.chapterIds || []));
+});
+
+// 11-2. 챕터 시간 변경 ({ startTime?, endTime? } - 맞닿은 이웃 챕터도 함께 이동)
+app.put('/api/lectures/:id/chapters/:chapterId/time', async (req, res) => {
+    await handleChapterEdit(req, res, (chapters) =>
+        retimeChapter(chapters, req.params.chapterId, req.body));
+});
+
+// 11-3. 챕터 순서 변경 ({ chapterIds })
+app.put('/api/lectures/:id/chapters/order', async (req, res) => {
+    await handleChapterEdit(req, res, (chapters) => reorderChapters(chapters, req.body.chapterIds));
+});
+
+// 챕터 구조 편집 공통 처리: 검사 → 편집 → 번호 재부여, 영향받은 챕터 pending, Final Summary 무효화
+async function handleChapterEdit(req, res, edit) {
+    try {
+        const lectureId = req.params.id;
+        const lecture = await get(`SELECT id, status, raw_text FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+
+        const rows = await all(`SELECT * FROM chapters WHERE lecture_id = ? ORDER BY chapter_number`, [lectureId]);
+        if (lecture.status === 'processing' || runRegistry.isRunning(lectureId) || rows.some(r => r.status === 'processing')) {
+            return res.status(409).json({ error: "Chapters cannot be edited while analysis is running. Pause it first." });
+        }
+
+        const chapters = rows.map(row => ({ id: row.id, title: row.title, ...outlineFieldsFromRow(row) }));
+        const result = edit(chapters, lectureId);
+        if (result.error) return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+
+        // 영향받은 챕터의 대본 구간 재추출 (빈 구간이 되는 편집은 거부)
+        const sliceLengths = {};
+        for (const id of result.affectedIds) {
+            const ch = result.chapters.find(c => c.id === id);
+            if (!ch.startTime || !ch.endTime) continue;
+            const slice = extractSlice(lecture.raw_text, ch.startTime, ch.endTime, { contextCues: 0 });
+            if (!slice.trim()) {
+                return res.status(400).json({ error: `No transcript between ${ch.startTime} and ${ch.endTime}` });
             }
+            sliceLengths[id] = slice.length;
+        }
 
-            console.log(`[${lectureId}] Analyzing Ch ${dbChapter.chapter_number}: ${dbChapter.title}`);
-            sendEvent(lectureId, 'progress', { 
-                chapterId: dbChapter.id, 
-                chapterNumber: dbChapter.chapter_number, 
-                message: `Analyzing Chapter ${dbChapter.chapter_number}: ${dbChapter.title}` 
-            });
-            
-            await run(`UPDATE chapters SET status = 'processing' WHERE id = ?`, [dbChapter.id]);
+        await saveChapterEdit(lectureId, rows, result);
+        console.log(`[${lectureId}] Chapters edited: ${result.affectedIds.length} reset, ${result.removedIds.length} removed`);
 
-            try {
-                // 시간 정보가 DB에 저장되어 있어야 함
-                const startTime = dbChapter.start_time;
-                const endTime = dbChapter.end_time;
+        const updated = await loadOutlineChapters(lectureId);
+        res.json({
+            chapters: updated.map(ch => (ch.id in sliceLengths ? { ...ch, sliceLength: sliceLengths[ch.id] } : ch)),
+            affectedIds: result.affectedIds,
+            removedIds: result.removedIds
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+}
 
-                // 텍스트 자르기
-                let textToAnalyze = "";
-                if (startTime && endTime) {
-                    const slice = extractSlice(transcript, startTime, endTime);
-                    
-                    // Slice가 너무 짧으면 fallback: 전체 텍스트에서 비율로 추정하여 자르기
-                    if (slice.length < 100) {
-                        const totalLen = transcript.length;
-                        const totalChapters = chapters.length;
-                        // 현재 챕터가 몇 번째인지 (0-indexed i)
-                        // 단순 등분할 (정확하지 않지만 첫 챕터 반복보다는 나음)
-                        const approxChunkSize = Math.floor(totalLen / totalChapters);
-                        const startIdx = i * approxChunkSize;
-                        const endIdx = Math.min((i + 1) * approxChunkSize + 500, totalLen); // 약간의 오버랩
-                        
-                        console.warn(`[${lectureId}] Ch ${dbChapter.chapter_number}: Slice too short (${slice.length} chars). Using proportional fallback.`);
-                        textToAnalyze = transcript.substring(startIdx, endIdx);
-                    } else {
-                        textToAnalyze = slice;
-                    }
-                } else {
-                    // 타임스탬프 정보 자체가 없음 -> 등분할
-                    const totalLen = transcript.length;
-                    const totalChapters = chapters.length;
-                    const approxChunkSize = Math.floor(totalLen / totalChapters);
-                    const startIdx = i * approxChunkSize;
-                    const endIdx = Math.min((i + 1) * approxChunkSize + 500, totalLen);
-                    
-                    console.warn(`[${lectureId}] Ch ${dbChapter.chapter_number}: No timestamps. Using proportional fallback.`);
-                    textToAnalyze = transcript.substring(startIdx, endIdx);
-                }
+// 편집 결과 저장
+async function saveChapterEdit(lectureId, rows, { chapters, affectedIds, removedIds }) {
+    const existingIds = new Set(rows.map(r => r.id));
+    const resetValidation = JSON.stringify(createValidation());
 
-                // Deep Dive Prompt - 스토리텔링 중심
-                const prompt = `
-당신은 IT/기술 분야의 전문 테크니컬 라이터입니다.
-독자가 이 글만 읽어도 강의의 깊은 통찰을 얻을 수 있도록 완성도 높은 아티클을 작성하세요.
+    for (const id of removedIds) {
+        await run(`DELETE FROM chapters WHERE id = ?`, [id]);
+    }
 
-## 챕터 정보
-- 제목: ${dbChapter.title}
-- 시간: ${startTime || 'N/A'} ~ ${endTime || 'N/A'}
+    for (const [idx, ch] of chapters.entries()) {
+        const fields = [idx + 1, ch.title, ch.startTime || "", ch.endTime || "", ch.summary || "", JSON.stringify(ch.keyTopics || [])];
 
-${previousContext ? `## 이전 챕터 문맥 (참고용)\n${previousContext}\n(위 내용을 참고하여 문맥을 자연스럽게 연결하고, 용어를 일관되게 사용하세요)` : ''}
+        if (!existingIds.has(ch.id)) {
+            await run(`INSERT INTO chapters (id, lecture_id, chapter_number, title, start_time, end_time, summary, key_topics, status, validation) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+                [ch.id, lectureId, ...fields, resetValidation]);
+        } else if (affectedIds.includes(ch.id)) {
+            // 구간이 바뀐 챕터는 기존 분석 결과 폐기
+            await run(`UPDATE chapters SET chapter_number = ?, title = ?, start_time = ?, end_time = ?, summary = ?, key_topics = ?, status = 'pending', narrative = NULL, detailed_note = NULL, quality = NULL, provenance = NULL, generation = NULL, validation = ? WHERE id = ?`,
+                [...fields, resetValidation, ch.id]);
+        } else {
+            await run(`UPDATE chapters SET chapter_number = ?, title = ?, start_time = ?, end_time = ?, summary = ?, key_topics = ? WHERE id = ?`,
+                [...fields, ch.id]);
+        }
+    }
 
----
-## 🚨 문체 규칙 (최우선 준수사항)
+    // 챕터 구성이 바뀌었으므로 Final Summary는 다시 생성해야 함
+    await run(`UPDATE lectures SET final_summary = NULL WHERE id = ?`, [lectureId]);
+}
 
-**반드시 평서형 종결어미만 사용하세요:**
-- ✅ 올바른 예: "~한다", "~이다", "~했다", "~된다", "~있다"
-- ❌ 금지: "~합니다", "~입니다", "~됩니다", "~있습니다"
+// 12. 프롬프트 템플릿 목록 (활성 버전, 버전 이력)
+app.get('/api/prompts', (req, res) => {
+    res.json({ templates: promptRegistry.list() });
+});
 
-이 규칙을 어기면 전체 결과물이 무효 처리됩니다.
-모든 문장의 종결어미를 작성 후 반드시 검토하세요.
----
+// 12-1. 프롬프트 템플릿 상세 (모든 버전 본문 포함)
+app.get('/api/prompts/:name', (req, res) => {
+    const versions = promptRegistry.history(req.params.name);
+    if (!versions) return res.status(404).json({ error: "Prompt template not found" });
+    res.json({ ...promptRegistry.get(req.params.name), versions });
+});
 
-## 📝 narrative 구조 (필수 형식)
+// 12-2. 프롬프트 템플릿 수정 ({ body, note? } - 새 버전으로 저장되어 이후 분석부터 사용)
+app.put('/api/prompts/:name', async (req, res) => {
+    try {
+        if (!promptRegistry.history(req.params.name)) return res.status(404).json({ error: "Prompt template not found" });
 
-### 도입부 (첫 문단)
-- "이 챕터에서는..." 으로 시작하지 마세요
-- 바로 본론으로 진입: "강사는 [주제]로 강의를 시작했다" 또는 "[핵심 개념]에 대한 논의가 이어졌다" 형태로 시작
+        const { template, errors } = await promptRegistry.save(req.params.name, req.body.body, req.body.note);
+        if (errors) return res.status(400).json({ error: errors.join('; ') });
 
-### 본문 구조 (반드시 ## 소제목 사용)
-- 반드시 2~4개의 ## 소제목으로 섹션을 나눌 것
-- ### 소제목은 사용하지 마세요 (## 만 사용)
-- 각 섹션에 최소 1개의 인용문 포함
+        console.log(`[Prompts] ${template.name} is now v${template.version}`);
+        res.json(template);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-### 인용 형식
-> "강사의 실제 발언" [MM:SS]
+// 12-3. 프롬프트 미리보기 ({ body?, variables? } - 저장하지 않고 예시 값으로 렌더링)
+app.post('/api/prompts/:name/preview', (req, res) => {
+    if (!promptRegistry.history(req.params.name)) return res.status(404).json({ error: "Prompt template not found" });
 
-인용 후 반드시 해석을 덧붙인다. 이것이 의미하는 바는...
+    const { prompt, errors } = promptRegistry.preview(req.params.name, req.body);
+    if (errors) return res.status(400).json({ error: errors.join('; ') });
+    res.json({ prompt });
+});
 
-### 예시 구조:
----
-## 첫 번째 주제
+// 13. 교정 목록 조회 (위치가 기록되지 않은 이전 강의는 reviewable: false)
+app.get('/api/lectures/:id/corrections', async (req, res) => {
+    try {
+        const lecture = await get(`SELECT corrections FROM lectures WHERE id = ?`, [req.params.id]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
 
-강사는 [주제]를 설명하며 핵심을 짚었다.
+        const corrections = parseCorrections(lecture.corrections);
+        res.json({ reviewable: corrections !== null, corrections: corrections || [] });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 13-1. 교정 수락/거절 ({ ids?, status } - ids 생략 시 전체)
+// normalized_text + 수락된 교정으로 raw_text를 다시 만들고, 구간이 바뀐 분석 완료 챕터를 돌려줌
+app.put('/api/lectures/:id/corrections', async (req, res) => {
+    try {
+        const lectureId = req.params.id;
+        const lecture = await get(`SELECT status, raw_text, normalized_text, corrections FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
 
-> "실제 발언 인용" [00:05:30]
+        const corrections = parseCorrections(lecture.corrections);
+        if (!corrections || typeof lecture.normalized_text !== 'string') {
+            return res.status(409).json({ error: "This lecture has no reviewable corrections" });
+        }
+        if (lecture.status === 'processing') {
+            return res.status(409).json({ error: "Corrections cannot be reviewed while the lecture is being analyzed" });
+        }
 
-이 발언은 [해석]. 특히 **핵심 개념**이 중요한데...
+        const result = reviewCorrections(corrections, req.body.ids, req.body.status);
+        if (result.error) {
+            return res.status(result.error.startsWith('Correction not found') ? 404 : 400).json({ error: result.error });
+        }
 
-## 두 번째 주제
+        const rawText = buildCorrectedText(lecture.normalized_text, result.corrections);
+        await run(`UPDATE lectures SET corrections = ?, raw_text = ? WHERE id = ?`,
+            [JSON.stringify(result.corrections), rawText, lectureId]);
 
-이어서 [다음 주제]로 논의가 전환되었다.
+        const chapters = await all(`SELECT * FROM chapters WHERE lecture_id = ? AND detailed_note IS NOT NULL ORDER BY chapter_number`, [lectureId]);
+        const affected = findAffectedChapters(
+            chapters.map(ch => ({ ...outlineFieldsFromRow(ch), id: ch.id, title: ch.title })),
+            lecture.raw_text || '',
+            rawText
+        );
 
-> "또 다른 발언" [00:12:45]
+        res.json({
+            corrections: result.corrections,
+            changed: result.changed,
+            affectedChapters: affected.map(({ id, title, startTime, endTime }) => ({ id, title, startTime, endTime }))
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-실제로 이것이 의미하는 바는...
+// 13-2. 교정 검토로 대본이 바뀐 챕터 다시 분석 ({ chapterIds, apiKey? })
+// 챕터를 pending으로 되돌리고 강의 분석 작업을 등록 (새 대본으로 품질 검사까지 다시 실행)
+app.post('/api/lectures/:id/corrections/reanalyze', async (req, res) => {
+    try {
+        const lectureId = req.params.id;
+        const { chapterIds, apiKey } = req.body;
+        if (!Array.isArray(chapterIds) || chapterIds.length === 0) {
+            return res.status(400).json({ error: "chapterIds required" });
+        }
 
-- 포인트 1
-- 포인트 2
----
+        const lecture = await get(`SELECT status FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture) return res.status(404).json({ error: "Lecture not found" });
+        if (lecture.status === 'processing') {
+            return res.status(409).json({ error: "Lecture is already being analyzed" });
+        }
+        if (lecture.status === 'outline_ready') {
+            return res.status(409).json({ error: "Outline not approved yet. Start the deep dive first." });
+        }
 
-## ⚠️ 작성 시 주의사항
+        const chapters = await all(`SELECT id FROM chapters WHERE lecture_id = ?`, [lectureId]);
+        const unknown = chapterIds.find(id => !chapters.some(ch => ch.id === id));
+        if (unknown) return res.status(404).json({ error: `Chapter not found: ${unknown}` });
 
-1. **강사 인용 필수**: 각 ## 섹션에 최소 1개의 인용문과 타임스탬프
-2. **구어체 보존**: 강사가 실제로 말한 표현을 살려서 인용
-3. **맥락 연결**: 인용 후에는 왜 이 말이 중요한지 해석
-4. **스토리 흐름**: 시간순으로 자연스럽게 서술
-5. **일반론 금지**: "온라인 강의의 성공은..." 같은 뻔한 서술 금지
-6. **마무리 검증**: 모든 문장이 평서형 종결어미(~한다/~이다)로 끝나는지 확인
+        const { apiKey: finalApiKey, missing } = await resolveLectureApiKey(lectureId, apiKey);
+        if (missing) return res.status(400).json({ error: "API Key required" });
 
-## 분석할 텍스트:
-${textToAnalyze}
-                `;
+        await run(`UPDATE chapters SET status = 'pending' WHERE lecture_id = ? AND id IN (${chapterIds.map(() => '?').join(', ')})`,
+            [lectureId, ...chapterIds]);
+        await resetLectureForProcessing(lectureId);
+        const job = await jobQueue.enqueue('process_lecture', { lectureId, payload: { lectureId }, secrets: { apiKey: finalApiKey } });
 
-                const resp = await ai.models.generateContent({
-                    model: "gemini-2.5-flash", // Pro model for better quality
-                    contents: [{ role: "user", parts: [{ text: prompt }] }],
-                    config: { responseMimeType: "application/json", responseSchema: CHAPTER_DEEP_DIVE_SCHEMA }
-                });
+        res.json({ message: "Reanalysis queued", chapterIds, jobId: job.id });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 14. 용어 사전 목록
+app.get('/api/dictionary', (req, res) => {
+    res.json({ entries: domainDictionary.list() });
+});
+
+// 14-1. 용어 추가 ({ term, variants?, note? } - 이후 생성하는 강의부터 적용)
+app.post('/api/dictionary', async (req, res) => {
+    try {
+        const { entry, error } = await domainDictionary.add(req.body);
+        if (error) return res.status(400).json({ error });
+        res.json(entry);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 14-2. 용어 수정 ({ term, variants?, note? })
+app.put('/api/dictionary/:id', async (req, res) => {
+    try {
+        const result = await domainDictionary.update(Number(req.params.id), req.body);
+        if (!result) return res.status(404).json({ error: "Dictionary entry not found" });
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json(result.entry);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 14-3. 용어 삭제
+app.delete('/api/dictionary/:id', async (req, res) => {
+    try {
+        const deleted = await domainDictionary.remove(Number(req.params.id));
+        if (!deleted) return res.status(404).json({ error: "Dictionary entry not found" });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 화자 목록 저장 + 챕터 인용문의 화자 이름 갱신
+async function saveLectureSpeakers(lectureId, { speakers, nameMap }) {
+    await run(`UPDATE lectures SET speakers = ? WHERE id = ?`, [JSON.stringify(speakers), lectureId]);
+    if (Object.keys(nameMap).length === 0) return;
+
+    const chapters = await all(`SELECT id, detailed_note FROM chapters WHERE lecture_id = ? AND detailed_note IS NOT NULL`, [lectureId]);
+    for (const chapter of chapters) {
+        try {
+            const { note, changed } = applySpeakerNameMap(JSON.parse(chapter.detailed_note), nameMap);
+            if (changed) {
+                await run(`UPDATE chapters SET detailed_note = ? WHERE id = ?`, [JSON.stringify(note), chapter.id]);
+            }
+        } catch (e) {
+            console.warn(`[${chapter.id}] Failed to update quote speakers:`, e.message);
+        }
+    }
+}
+
+// 아웃라인 검토 대기 중인 강의인지 (승인 전에는 분석을 시작하지 않음)
+async function isAwaitingOutlineReview(lectureId) {
+    const lecture = await get(`SELECT status FROM lectures WHERE id = ?`, [lectureId]);
+    return lecture?.status === 'outline_ready';
+}
+
+// 재처리 전 일시정지/취소 상태 해제
+async function resetLectureForProcessing(lectureId) {
+    await run(`UPDATE lectures SET status = 'processing' WHERE id = ?`, [lectureId]);
+    await run(`UPDATE chapters SET status = 'pending' WHERE lecture_id = ? AND status = 'cancelled'`, [lectureId]);
+}
+
+// 강의에 저장된 AI 설정 (provider, model, baseUrl, temperature, maxTokens, deepDiveConcurrency)
+function parseLectureSettings(lecture) {
+    try {
+        return lecture?.settings ? JSON.parse(lecture.settings) : {};
+    } catch (e) {
+        console.warn('Invalid lecture settings JSON, using defaults:', e.message);
+        return {};
+    }
+}
+
+// 강의에 저장된 화자 목록
+function parseLectureSpeakers(lecture) {
+    try {
+        return lecture?.speakers ? JSON.parse(lecture.speakers) : [];
+    } catch (e) {
+        console.warn('Invalid lecture speakers JSON, ignoring:', e.message);
+        return [];
+    }
+}
+
+// 강의 생성 시 사용한 프롬프트 템플릿 버전
+function parsePromptTemplates(lecture) {
+    try {
+        return lecture?.prompt_templates ? JSON.parse(lecture.prompt_templates) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// 강의 언어 설정 (언어 기능 이전 강의는 한국어 노트)
+function parseLectureLanguage(lecture) {
+    try {
+        return lecture?.language ? JSON.parse(lecture.language) : resolveOutputLanguage({}, null).language;
+    } catch (e) {
+        return resolveOutputLanguage({}, null).language;
+    }
+}
+
+// 강의 설정으로 provider 생성 (모든 호출의 토큰 사용량이 강의에 기록됨)
+function createLectureProvider(lectureId, lecture, apiKey, { bypassCache = false } = {}) {
+    return trackProvider(createPipelineProvider(parseLectureSettings(lecture), apiKey, { circuitBreaker }), lectureId, { bypassCache });
+}
+
+// 강의의 AI 호출을 공용 rate limiter로 스케줄링하고 사용량 기록, 대기 순번은 SSE로 전송
+// 캐시 히트는 rate limiter를 거치지 않고, 사용량에는 히트로 기록 (bypassCache면 캐시 조회 생략)
+function trackProvider(provider, lectureId, { bypassCache = false } = {}) {
+    const limited = rateLimiter.track(provider, lectureId, {
+        onQueue: status => sendEvent(lectureId, 'queue', status)
+    });
+    return usageTracker.track(responseCache.track(limited, { bypass: bypassCache }), lectureId);
+}
+
+// 클라이언트 키 → 서버 env 순으로 API 키 결정 (키 없이 동작하는 로컬 서버는 missing 아님)
+async function resolveLectureApiKey(lectureId, clientApiKey) {
+    const lecture = await get(`SELECT settings FROM lectures WHERE id = ?`, [lectureId]);
+    const settings = parseLectureSettings(lecture);
+    const apiKey = resolveApiKey(settings, clientApiKey);
+    return { apiKey, missing: !apiKey && requiresApiKey(settings) };
+}
+
+// ==================== CHAPTER REGENERATION ====================
+async function regenerateChapter(chapterId, feedback, apiKey, noteStyle) {
+    const chapter = await get('SELECT * FROM chapters WHERE id = ?', [chapterId]);
+    if (!chapter || !chapter.detailed_note) {
+        console.warn(`[${chapterId}] Regeneration skipped: chapter missing or not analyzed`);
+        return;
+    }
+
+    const meta = JSON.parse(chapter.detailed_note);
+    const lecture = await get('SELECT raw_text, settings, speakers, note_style, language FROM lectures WHERE id = ?', [chapter.lecture_id]);
+    if (!lecture) {
+        console.warn(`[${chapterId}] Regeneration skipped: lecture was deleted`);
+        return;
+    }
+
+    // 요청한 스타일 → 챕터의 현재 스타일 → 강의 스타일 순
+    const currentStyle = getNoteStyle(meta.noteStyle || lecture.note_style);
+    const style = noteStyle ? getNoteStyle(noteStyle) : currentStyle;
+
+    const slice = extractSlice(lecture.raw_text, meta.startTime, meta.endTime);
+    // 사용자가 직접 요청한 재생성은 캐시된 응답을 쓰지 않음
+    const provider = createLectureProvider(chapter.lecture_id, lecture, apiKey, { bypassCache: true });
+    const handle = runRegistry.begin(chapter.lecture_id, 'chapter');
+
+    await run("UPDATE chapters SET status = 'processing' WHERE id = ?", [chapterId]);
+
+    try {
+        const template = promptRegistry.get(style.regenerationTemplate);
+        const trace = [];
+        const generated = await regenerateChapterNote(provider, {
+            title: chapter.title,
+            startTime: meta.startTime,
+            endTime: meta.endTime,
+            feedback,
+            speakers: parseLectureSpeakers(lecture),
+            text: slice
+        }, { signal: handle.signal, template, schema: style.schema, language: parseLectureLanguage(lecture), trace });
+
+        // 인용문을 대본과 대조하여 타임스탬프 보정
+        const { result: resultJson, report: provenance } = verifyQuotes(generated, slice);
+        // 스타일이 바뀌면 이전 스타일의 필드를 남기지 않음
+        const base = style.id === currentStyle.id
+            ? meta
+            : { id: meta.id, title: meta.title, startTime: meta.startTime, endTime: meta.endTime };
+        const fullData = { ...base, ...resultJson, noteStyle: style.id, promptTemplate: templateRef(template) };
+        // 피드백 반영 결과는 재생성 없이 검사 결과만 기록 (스토리텔링 노트만)
+        const quality = style.qualityGate ? { ...evaluateDeepDive(resultJson), attempts: 1 } : null;
+        const generation = summarizeGeneration(trace);
+
+        await run(`UPDATE chapters SET narrative = ?, detailed_note = ?, quality = ?, provenance = ?, generation = ?, status = 'completed' WHERE id = ?`,
+            [renderNoteBody(fullData), JSON.stringify(fullData), quality && JSON.stringify(quality), JSON.stringify(provenance), generation && JSON.stringify(generation), chapterId]);
+        sendEvent(chapter.lecture_id, 'chapter_complete', { chapterId, title: chapter.title });
+    } catch (e) {
+        if (isStopRequested(handle.signal)) {
+            // 취소 시 기존 노트를 유지
+            await run("UPDATE chapters SET status = 'completed' WHERE id = ?", [chapterId]);
+            return;
+        }
+        console.error("Regen failed:", e.message);
+        await run("UPDATE chapters SET status = 'error' WHERE id = ?", [chapterId]);
+        sendEvent(chapter.lecture_id, 'chapter_error', { chapterId, message: e.message });
+        throw e;
+    } finally {
+        runRegistry.end(handle);
+    }
+}
 
-                if (!resp.text) {
-                    throw new Error(`Gemini API returned empty response for chapter ${dbChapter.id}`);
+// ==================== FINAL SUMMARY GENERATOR ====================
+async function generateFinalSummary(lectureId, apiKey, signal, { bypassCache = false } = {}) {
+    console.log(`[${lectureId}] Generating Final Summary...`);
+    sendEvent(lectureId, 'progress', { message: 'Generating Final Summary & Global Glossary...' });
+
+    try {
+        const chapters = await all(`SELECT * FROM chapters WHERE lecture_id = ? ORDER BY chapter_number`, [lectureId]);
+        const completedChapters = chapters.filter(c => c.status === 'completed');
+
+        if (completedChapters.length === 0) return;
+
+        // 1. Collect Context
+        const context = completedChapters.map(ch => {
+            try {
+                const data = JSON.parse(ch.detailed_note);
+                return `Chapter ${ch.chapter_number}: ${ch.title}\nSummary: ${ch.summary || data.keyMessage}\nKey Terms: ${(data.keyTerms || []).map(t => t.term).join(', ')}`;
+            } catch (e) { return ''; }
+        }).join('\n\n');
+
+        // 2. Aggregate Glossary (Deduplication)
+        const globalGlossaryMap = new Map();
+        completedChapters.forEach(ch => {
+            try {
+                const data = JSON.parse(ch.detailed_note);
+                if (data.keyTerms) {
+                    data.keyTerms.forEach(t => {
+                        // 간단한 중복 제거: 소문자 기준
+                        const key = t.term.toLowerCase();
+                        if (!globalGlossaryMap.has(key)) {
+                            globalGlossaryMap.set(key, t);
+                        } else if (t.originalTerm && !globalGlossaryMap.get(key).originalTerm) {
+                            // 이중 언어 모드: 원어 표기가 있는 챕터의 것으로 보완
+                            globalGlossaryMap.set(key, { ...globalGlossaryMap.get(key), originalTerm: t.originalTerm });
+                        }
+                    });
+                }
+            } catch (e) {}
+        });
+        const globalGlossary = Array.from(globalGlossaryMap.values());
+
+        // 3. LLM Generation for Insights
+        const lecture = await get(`SELECT settings, language FROM lectures WHERE id = ?`, [lectureId]);
+        const provider = createLectureProvider(lectureId, lecture, apiKey, { bypassCache });
+        const template = promptRegistry.get(PROMPT_TEMPLATE.FINAL_SUMMARY);
+        const resultJson = await generateFinalSummaryInsights(provider, context, { signal, template, language: parseLectureLanguage(lecture) });
+        
+        // Add Glossary to result (though not part of LLM generation to avoid token limit, we aggregated it manually)
+        // But wait, the FinalSummary interface doesn't have glossary field yet. 
+        // We should add it to the final JSON structure we save.
+        
+        const finalData = {
+            ...resultJson,
+            globalGlossary, // Add aggregated glossary
+            promptTemplate: templateRef(template)
+        };
+
+        // Rich Overview 생성
+        let richOverview = finalData.oneSentenceSummary || "";
+        if (finalData.coreInsights && finalData.coreInsights.length > 0) {
+            // Handle both formats: string or {insight: string}
+            richOverview += "\n\n**핵심 인사이트:**\n" + finalData.coreInsights.map(i => {
+                const text = typeof i === 'string' ? i : i.insight;
+                return `- ${text}`;
+            }).join('\n');
+        }
+
+        await run(`UPDATE lectures SET final_summary = ?, overview = ? WHERE id = ?`, 
+            [JSON.stringify(finalData), richOverview, lectureId]);
+        
+        sendEvent(lectureId, 'final_summary_complete', finalData);
+
+    } catch (e) {
+        if (isStopRequested(signal)) return;
+        console.error(`[${lectureId}] Final Summary Error:`, e);
+        sendEvent(lectureId, 'error', { message: "Final summary generation failed" });
+        throw e; // 작업 큐가 재시도하도록 전달
+    }
+}
+
+// ==================== BACKGROUND PROCESS ====================
+async function processLectureBackground(lectureId, apiKey) {
+    console.log(`[${lectureId}] Background analysis started.`);
+    sendEvent(lectureId, 'status', { message: 'Background analysis started', status: 'started' });
+
+    const handle = runRegistry.begin(lectureId);
+
+    try {
+        // Lecture 정보(transcript) 로드
+        const lecture = await get(`SELECT raw_text, status, settings, speakers, note_style, language FROM lectures WHERE id = ?`, [lectureId]);
+        if (!lecture || !lecture.raw_text) {
+            console.error(`[${lectureId}] Lecture not found or no transcript.`);
+            sendEvent(lectureId, 'error', { message: 'Lecture data not found' });
+            return;
+        }
+
+        // 작업이 대기하는 동안 일시정지/취소된 경우, 아웃라인 승인 전인 경우
+        if (lecture.status === 'paused' || lecture.status === 'cancelled' || lecture.status === 'outline_ready') {
+            console.log(`[${lectureId}] Skipping background analysis (lecture is ${lecture.status}).`);
+            return;
+        }
+        await run(`UPDATE lectures SET status = 'processing' WHERE id = ?`, [lectureId]);
+
+        const transcript = lecture.raw_text;
+
+        // DB에서 챕터 목록 조회 (처리되지 않은 것들만 우선 처리하도록 개선 가능하나, 여기서는 전체 순회)
+        // Retry 시에는 'completed'가 아닌 것만 처리하는 로직이 필요할 수 있음. 
+        // 일단 기본 프로세스는 전체를 훑되, status check를 할 수 있음.
+        const chapters = await all(`SELECT * FROM chapters WHERE lecture_id = ? ORDER BY chapter_number`, [lectureId]);
+        
+        // API Key fallback
+        const settings = parseLectureSettings(lecture);
+        const finalApiKey = resolveApiKey(settings, apiKey);
+        if (!finalApiKey && requiresApiKey(settings)) {
+             console.error(`[${lectureId}] No API Key available for background process.`);
+             // 에러 상태 업데이트
+             await run(`UPDATE chapters SET status = 'error' WHERE lecture_id = ? AND status != 'completed'`, [lectureId]);
+             sendEvent(lectureId, 'error', { message: API_KEY_REQUIRED_ON_RESUME });
+             return;
+        }
+
+        const provider = createLectureProvider(lectureId, lecture, finalApiKey);
+        const speakers = parseLectureSpeakers(lecture);
+        const noteStyle = getNoteStyle(lecture.note_style);
+        const deepDiveTemplate = promptRegistry.get(noteStyle.template);
+        const language = parseLectureLanguage(lecture);
+
+        // 챕터 하나 분석 후 저장 (실패/취소 시 null)
+        const analyzeChapter = async (dbChapter, previousContext, chapterText) => {
+            console.log(`[${lectureId}] Analyzing Ch ${dbChapter.chapter_number}: ${dbChapter.title}`);
+            sendEvent(lectureId, 'progress', { 
+                chapterId: dbChapter.id, 
+                chapterNumber: dbChapter.chapter_number, 
+                message: `Analyzing Chapter ${dbChapter.chapter_number}: ${dbChapter.title}` 
+            });
+            
+            await run(`UPDATE chapters SET status = 'processing' WHERE id = ?`, [dbChapter.id]);
+
+            try {
+                // 시간 정보가 DB에 저장되어 있어야 함
+                const startTime = dbChapter.start_time;
+                const endTime = dbChapter.end_time;
+
+                // 텍스트 자르기 (시간 정보가 없거나 구간이 너무 짧으면 등분할 fallback)
+                const { text: textToAnalyze, fallbackReason } = chapterText;
+                if (fallbackReason === FALLBACK_REASON.SHORT_SLICE) {
+                    console.warn(`[${lectureId}] Ch ${dbChapter.chapter_number}: Slice too short. Using proportional fallback.`);
+                } else if (fallbackReason === FALLBACK_REASON.NO_TIMESTAMPS) {
+                    console.warn(`[${lectureId}] Ch ${dbChapter.chapter_number}: No timestamps. Using proportional fallback.`);
+                }
+
+                // fallback 사용 여부 기록 (UI에서 추정 구간으로 표시)
+                const validation = parseValidation(dbChapter.validation);
+                if (validation.fallback !== fallbackReason) {
+                    await run(`UPDATE chapters SET validation = ? WHERE id = ?`,
+                        [JSON.stringify({ ...validation, fallback: fallbackReason }), dbChapter.id]);
+                }
+
+                // Deep Dive - 강의의 노트 스타일로 작성 (스토리텔링은 품질 검사 실패 시 위반 사항을 알려주고 재생성)
+                // 모델 과부하 시 단계별 대체 모델/축소 입력으로 진행하고 실제 사용한 모델을 기록
+                const trace = [];
+                const { data: generated, quality } = await generateStyledDeepDive(provider, {
+                    title: dbChapter.title,
+                    startTime,
+                    endTime,
+                    previousContext,
+                    speakers,
+                    text: textToAnalyze
+                }, { style: noteStyle.id, signal: handle.signal, template: deepDiveTemplate, language, trace });
+                const generation = summarizeGeneration(trace);
+                if (generation?.fallback) {
+                    console.warn(`[${lectureId}] Ch ${dbChapter.chapter_number}: Generated with fallback (${generation.models.join(' → ')}${generation.inputRatio ? `, input ${generation.inputRatio}` : ''})`);
+                }
+
+                // 인용문을 챕터 대본과 대조 (타임스탬프 보정, 대본에 없는 인용 표시)
+                const { result: resultJson, report: provenance } = verifyQuotes(generated, textToAnalyze);
+                if (provenance.unmatchedCount > 0) {
+                    console.warn(`[${lectureId}] Ch ${dbChapter.chapter_number}: ${provenance.unmatchedCount} quote(s) not found in the transcript`);
                 }
-                const resultText = resp.text.replace(/```json/g, '').replace(/```/g, '').trim();
-                const resultJson = JSON.parse(resultText);
 
                 // 결과 병합 (메타데이터 포함)
                 const fullData = {
@@ -1482,45 +1735,163 @@ ${textToAnalyze}
                     id: dbChapter.id,
                     title: dbChapter.title,
                     startTime: startTime,
-                    endTime: endTime
+                    endTime: endTime,
+                    noteStyle: noteStyle.id,
+                    promptTemplate: templateRef(deepDiveTemplate)
                 };
 
+                if (quality && !quality.passed) {
+                    console.warn(`[${lectureId}] Ch ${dbChapter.chapter_number}: Quality ${quality.score}/100 after ${quality.attempts} attempt(s) (${quality.violations.map(v => v.rule).join(', ')})`);
+                }
+
                 // DB 업데이트
                 await run(`UPDATE chapters SET 
                     narrative = ?, 
                     detailed_note = ?, 
+                    quality = ?, 
+                    provenance = ?, 
+                    generation = ?, 
                     status = 'completed' 
                     WHERE id = ?`,
-                    [resultJson.narrative, JSON.stringify(fullData), dbChapter.id]);
-                
-                // Context Update for next chapter
-                const currentKeyTerms = resultJson.keyTerms ? resultJson.keyTerms.map(t => t.term).join(', ') : '';
-                previousContext = `이전 챕터(${dbChapter.title}) 핵심: ${resultJson.keyMessage || ''}\n주요 용어: ${currentKeyTerms}`;
+                    [renderNoteBody(fullData), JSON.stringify(fullData), quality && JSON.stringify(quality), JSON.stringify(provenance), generation && JSON.stringify(generation), dbChapter.id]);
                 
                 sendEvent(lectureId, 'chapter_complete', { 
                     chapterId: dbChapter.id, 
                     title: dbChapter.title 
                 });
+                return resultJson;
 
             } catch (err) {
+                if (isStopRequested(handle.signal)) {
+                    // 취소로 중단된 요청 - 챕터 상태는 아래 취소 처리에서 정리
+                    console.log(`[${lectureId}] Ch ${dbChapter.chapter_number} aborted.`);
+                    return null;
+                }
                 console.error(`[${lectureId}] Error on Ch ${dbChapter.chapter_number}:`, err);
                 await run(`UPDATE chapters SET status = 'error' WHERE id = ?`, [dbChapter.id]);
                 sendEvent(lectureId, 'chapter_error', { 
                     chapterId: dbChapter.id, 
                     message: err.message 
                 });
+                return null;
+            }
+        };
+
+        const concurrency = resolveDeepDiveConcurrency(settings);
+
+        if (concurrency <= 1) {
+            // 순차 모드 - Context Passing: 이전 챕터의 핵심 내용을 다음 챕터 분석 시 제공
+            let previousContext = "";
+
+            for (let i = 0; i < chapters.length; i++) {
+                const dbChapter = chapters[i];
+
+                // 일시정지/취소 요청은 챕터 경계에서 처리
+                if (handle.stopRequested) break;
+                
+                // 이미 완료된 챕터는 스킵 (Retry 지원을 위해)
+                // 단, Context는 로드해서 다음 챕터에 넘겨줘야 함
+                if (dbChapter.status === 'completed') {
+                    try {
+                        previousContext = formatPreviousChapterContext(dbChapter.title, JSON.parse(dbChapter.detailed_note));
+                    } catch (e) { /* ignore */ }
+                    continue;
+                }
+
+                const resultJson = await analyzeChapter(dbChapter, previousContext, selectChapterText(transcript, dbChapter, i, chapters.length));
+                if (resultJson) previousContext = formatPreviousChapterContext(dbChapter.title, resultJson);
             }
+        } else {
+            // 병렬 모드 - 아웃라인과 공통 용어를 먼저 만들고 여러 챕터를 동시에 분석
+            const chapterTexts = chapters.map((ch, i) => selectChapterText(transcript, ch, i, chapters.length));
+            const lectureContext = buildLectureContext(chapters.map((ch, i) => {
+                let note = null;
+                if (ch.status === 'completed') {
+                    try { note = JSON.parse(ch.detailed_note); } catch (e) { /* ignore */ }
+                }
+                return { title: ch.title, ...outlineFieldsFromRow(ch), text: chapterTexts[i].text, note };
+            }));
+
+            const pending = chapters
+                .map((dbChapter, i) => ({ dbChapter, i }))
+                .filter(({ dbChapter }) => dbChapter.status !== 'completed');
+            console.log(`[${lectureId}] Analyzing ${pending.length} chapters, ${concurrency} at a time (${lectureContext.terms.length} shared terms).`);
+
+            // 일시정지/취소 요청 시 새 챕터는 시작하지 않고 진행 중인 챕터만 마무리
+            await mapWithConcurrency(pending, concurrency,
+                ({ dbChapter, i }) => analyzeChapter(dbChapter, formatChapterContext(lectureContext, i), chapterTexts[i]),
+                { shouldStop: () => handle.stopRequested });
         }
         
+        if (handle.cancelled) {
+            await markLectureCancelled(lectureId);
+            return;
+        }
+        if (handle.stopRequested) {
+            await markLecturePaused(lectureId);
+            return;
+        }
+
         // 모든 챕터 완료 후 Final Summary & Glossary 생성
-        await generateFinalSummary(lectureId, finalApiKey);
+        await generateFinalSummary(lectureId, finalApiKey, handle.signal);
+
+        if (handle.cancelled) {
+            await markLectureCancelled(lectureId);
+            return;
+        }
 
+        await run(`UPDATE lectures SET status = 'completed' WHERE id = ? AND status = 'processing'`, [lectureId]);
         console.log(`[${lectureId}] Analysis finished.`);
         sendEvent(lectureId, 'complete', { message: 'All analysis finished' });
     } catch (e) {
+        if (handle.cancelled) {
+            await markLectureCancelled(lectureId);
+            return;
+        }
         console.error(`[${lectureId}] Fatal background error:`, e);
         sendEvent(lectureId, 'error', { message: e.message });
+        throw e; // 작업 큐가 재시도하도록 전달
+    } finally {
+        runRegistry.end(handle);
+    }
+}
+
+// 챕터 분석에 쓸 대본 구간 (시간 정보가 없거나 구간이 너무 짧으면 등분할로 추정)
+function selectChapterText(transcript, chapter, index, totalChapters) {
+    if (!chapter.start_time || !chapter.end_time) {
+        return { text: proportionalSlice(transcript, index, totalChapters), fallbackReason: FALLBACK_REASON.NO_TIMESTAMPS };
+    }
+
+    const slice = extractSlice(transcript, chapter.start_time, chapter.end_time);
+    if (slice.length < 100) {
+        return { text: proportionalSlice(transcript, index, totalChapters), fallbackReason: FALLBACK_REASON.SHORT_SLICE };
     }
+    return { text: slice, fallbackReason: null };
+}
+
+// 챕터 순서로 전체 텍스트를 등분할 (정확하지 않지만 첫 챕터 반복보다는 나음)
+function proportionalSlice(transcript, index, totalChapters) {
+    const totalLen = transcript.length;
+    const approxChunkSize = Math.floor(totalLen / totalChapters);
+    const startIdx = index * approxChunkSize;
+    const endIdx = Math.min((index + 1) * approxChunkSize + 500, totalLen); // 약간의 오버랩
+    return transcript.substring(startIdx, endIdx);
+}
+
+// 취소 완료 처리: 남은 챕터를 cancelled로 표시하고 UI에 알림
+async function markLectureCancelled(lectureId) {
+    await run(`UPDATE chapters SET status = 'cancelled' WHERE lecture_id = ? AND status != 'completed'`, [lectureId]);
+    await run(`UPDATE lectures SET status = 'cancelled' WHERE id = ?`, [lectureId]);
+    console.log(`[${lectureId}] Analysis cancelled.`);
+    sendEvent(lectureId, 'cancelled', { message: 'Processing cancelled' });
+}
+
+// 일시정지 완료 처리: 진행 중이던 챕터를 pending으로 되돌림
+async function markLecturePaused(lectureId) {
+    await run(`UPDATE chapters SET status = 'pending' WHERE lecture_id = ? AND status = 'processing'`, [lectureId]);
+    await run(`UPDATE lectures SET status = 'paused' WHERE id = ?`, [lectureId]);
+    console.log(`[${lectureId}] Analysis paused.`);
+    sendEvent(lectureId, 'paused', { message: 'Processing paused' });
 }
 
 // ========== Markdown Generator ==========
@@ -1602,9 +1973,19 @@ function generateMarkdown(note, type = 'full') {
                     md += `<div class="chapter-meta">⏱️ Time: ${ch.startTime} ~ ${ch.endTime || ''}</div>\n\n`;
                 }
 
-                // Summary Mode에서는 Narrative(줄글) 생략
-                if (type === 'full' && ch.narrative) {
-                    md += `${ch.narrative}\n\n`;
+                // Summary Mode에서는 본문(스토리텔링 줄글, 코넬 표, 발췌 등) 생략
+                const body = type === 'full' ? renderNoteBody(ch) : '';
+                if (body) {
+                    md += `${body}\n\n`;
+                }
+
+                // 화자가 기록된 인용문 (Q&A 등 강사 외 발화자 구분)
+                const attributedQuotes = (ch.quotesWithTimeline || []).filter(q => q && q.speaker);
+                if (type === 'full' && attributedQuotes.length > 0) {
+                    md += `### 🗣️ 주요 인용\n\n`;
+                    attributedQuotes.forEach(q => {
+                        md += `> "${q.quote}" [${q.timestamp}] — **${q.speaker}**\n\n`;
+                    });
                 }
 
                 if (takeaways && takeaways.length > 0) {
@@ -1630,7 +2011,7 @@ function generateMarkdown(note, type = 'full') {
         md += `# 📚 통합 용어 사전 (Global Glossary)\n\n`;
         md += `<div class="glossary-grid">\n\n`;
         note.finalSummary.globalGlossary.forEach(t => {
-            md += `#### ${t.term}\n${t.definition}\n\n`;
+            md += `#### ${t.term}${t.originalTerm ? ` (${t.originalTerm})` : ''}\n${t.definition}\n\n`;
         });
         md += `</div>\n\n`;
     }
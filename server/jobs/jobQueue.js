@@ -0,0 +1,410 @@
+/**
+ * Persistent Job Queue
+ *
+ * SQLite-backed queue for long-running pipeline work:
+ * - Durable job rows with status, attempt count and last error
+ * - Lease-based claiming with heartbeat renewal
+ * - Automatic retry with exponential backoff
+ * - Resumption of interrupted jobs after a restart
+ * - One running job per lecture at a time
+ * - Secrets (e.g. client API keys) kept in process memory, never in the DB
+ *
+ * @module jobQueue
+ */
+
+/**
+ * Job status values
+ * @type {Object<string, string>}
+ */
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Queue configuration
+ * @typedef {Object} JobQueueConfig
+ * @property {number} [pollIntervalMs=2000] - How often the worker looks for new jobs
+ * @property {number} [leaseMs=300000] - How long a claimed job stays owned without a heartbeat
+ * @property {number} [heartbeatMs=60000] - How often a running job renews its lease
+ * @property {number} [maxAttempts=3] - Default maximum attempts per job
+ * @property {number} [concurrency=2] - Maximum jobs running at once in this process
+ * @property {number} [retryBaseDelayMs=5000] - Base delay for retry backoff
+ */
+
+/**
+ * Job row as stored in the database
+ * @typedef {Object} JobRecord
+ * @property {string} id - Job ID
+ * @property {string} type - Handler type
+ * @property {string|null} lecture_id - Lecture the job belongs to
+ * @property {string|null} chapter_id - Chapter the job targets (if any)
+ * @property {string} payload - JSON encoded handler payload
+ * @property {string} status - One of JOB_STATUS
+ * @property {number} attempts - Attempts started so far
+ * @property {number} max_attempts - Attempt limit
+ * @property {string|null} last_error - Last failure message
+ */
+
+/**
+ * Default queue configuration
+ * @type {JobQueueConfig}
+ */
+const DEFAULT_CONFIG = {
+    pollIntervalMs: 2000,
+    leaseMs: 5 * 60 * 1000,
+    heartbeatMs: 60 * 1000,
+    maxAttempts: 3,
+    concurrency: 2,
+    retryBaseDelayMs: 5000
+};
+
+/**
+ * Compute retry delay for a given attempt (exponential, capped at 5 minutes)
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {number} [baseMs=5000] - Base delay
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, baseMs = DEFAULT_CONFIG.retryBaseDelayMs) {
+    return Math.min(baseMs * Math.pow(2, Math.max(0, attempt - 1)), 5 * 60 * 1000);
+}
+
+/**
+ * Generate a job ID
+ * @returns {string}
+ */
+function generateJobId() {
+    return 'job_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+}
+
+/**
+ * SQLite-backed job queue with a polling worker
+ */
+export class JobQueue {
+    /**
+     * @param {Object} db - Promise DB helpers ({ run, get, all }) from database.cjs
+     * @param {JobQueueConfig} [config] - Queue configuration
+     */
+    constructor(db, config = {}) {
+        this.db = db;
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.handlers = new Map();
+        this.active = new Map(); // jobId -> Promise
+        this.secrets = new Map(); // jobId -> 메모리에만 보관하는 값 (예: 클라이언트 API 키)
+        this.workerId = `worker_${process.pid}_${Math.random().toString(36).substr(2, 6)}`;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Register a handler for a job type
+     * @param {string} type - Job type
+     * @param {function(Object, JobRecord): Promise<void>} handler - Receives the parsed payload and the job row
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Enqueue a job. If a queued (not yet started) job of the same type already
+     * exists for the same lecture/chapter, its payload is replaced and that job
+     * is returned instead of a duplicate. A running job is never reused: its
+     * payload has already been read, so a follow-up job is queued and runs
+     * after it (one running job per lecture).
+     *
+     * `secrets` are merged into the payload passed to the handler but are only
+     * held in this process. A job resumed after a restart runs without them,
+     * so its handler must resolve them again (e.g. from the server env).
+     *
+     * @param {string} type - Job type
+     * @param {Object} [options]
+     * @param {string} [options.lectureId] - Owning lecture
+     * @param {string} [options.chapterId] - Target chapter
+     * @param {Object} [options.payload] - Handler payload (JSON serializable, stored in the DB)
+     * @param {Object} [options.secrets] - Extra handler fields kept in memory only
+     * @param {number} [options.maxAttempts] - Attempt limit override
+     * @returns {Promise<{id: string, deduplicated: boolean}>}
+     */
+    async enqueue(type, { lectureId = null, chapterId = null, payload = {}, secrets = null, maxAttempts } = {}) {
+        const existing = await this.db.get(
+            `SELECT id FROM jobs WHERE type = ? AND IFNULL(lecture_id, '') = ? AND IFNULL(chapter_id, '') = ?
+             AND status = 'queued' LIMIT 1`,
+            [type, lectureId || '', chapterId || '']
+        );
+
+        if (existing) {
+            // 최신 payload(예: 피드백)와 secret(예: 새 API 키)으로 갱신
+            await this.db.run(
+                `UPDATE jobs SET payload = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [JSON.stringify(payload), existing.id]
+            );
+            this.setSecrets(existing.id, secrets);
+            return { id: existing.id, deduplicated: true };
+        }
+
+        const id = generateJobId();
+        await this.db.run(
+            `INSERT INTO jobs (id, type, lecture_id, chapter_id, payload, status, attempts, max_attempts, run_after)
+             VALUES (?, ?, ?, ?, ?, 'queued', 0, ?, 0)`,
+            [id, type, lectureId, chapterId, JSON.stringify(payload), maxAttempts ?? this.config.maxAttempts]
+        );
+        this.setSecrets(id, secrets);
+
+        // 워커가 동작 중이면 폴링 주기를 기다리지 않고 바로 처리 시도
+        if (this.timer) {
+            setImmediate(() => this.tick().catch(err => console.error('[JobQueue] tick error:', err)));
+        }
+
+        return { id, deduplicated: false };
+    }
+
+    /**
+     * Replace the in-memory secrets of a job
+     * @param {string} jobId - Job ID
+     * @param {Object|null} secrets - New secrets (null/empty removes them)
+     */
+    setSecrets(jobId, secrets) {
+        if (secrets && Object.keys(secrets).length > 0) {
+            this.secrets.set(jobId, secrets);
+        } else {
+            this.secrets.delete(jobId);
+        }
+    }
+
+    /**
+     * Requeue jobs left in `running` by a previous process.
+     * Must be called once on boot, before start(). Recovered jobs have no
+     * secrets; API keys stored in payloads by older versions are removed.
+     * @returns {Promise<number>} Number of recovered jobs
+     */
+    async recover() {
+        await this.db.run(
+            `UPDATE jobs SET payload = json_remove(payload, '$.apiKey')
+             WHERE json_valid(payload) AND json_extract(payload, '$.apiKey') IS NOT NULL`
+        );
+        const result = await this.db.run(
+            `UPDATE jobs SET status = 'queued', lease_owner = NULL, lease_expires_at = NULL, run_after = 0,
+             updated_at = CURRENT_TIMESTAMP WHERE status = 'running'`
+        );
+        const count = result?.changes || 0;
+        if (count > 0) {
+            console.log(`[JobQueue] Recovered ${count} interrupted job(s)`);
+        }
+        return count;
+    }
+
+    /**
+     * Start the polling worker
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(err => console.error('[JobQueue] tick error:', err));
+        }, this.config.pollIntervalMs);
+        this.tick().catch(err => console.error('[JobQueue] tick error:', err));
+    }
+
+    /**
+     * Stop the polling worker (running jobs are not interrupted)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Claim and start as many jobs as the concurrency limit allows
+     * @returns {Promise<void>}
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            while (this.active.size < this.config.concurrency) {
+                const job = await this.claimNext();
+                if (!job) break;
+
+                const promise = this.runJob(job).finally(() => this.active.delete(job.id));
+                this.active.set(job.id, promise);
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Claim the next runnable job (queued and due, or running with an expired lease).
+     * Jobs whose lecture already has a live running job are skipped.
+     * @returns {Promise<JobRecord|null>}
+     */
+    async claimNext() {
+        const now = Date.now();
+        const candidate = await this.db.get(
+            `SELECT * FROM jobs
+             WHERE ((status = 'queued' AND run_after <= ?) OR (status = 'running' AND lease_expires_at < ?))
+               AND (lecture_id IS NULL OR lecture_id NOT IN (
+                   SELECT lecture_id FROM jobs
+                   WHERE status = 'running' AND lease_expires_at >= ? AND lecture_id IS NOT NULL
+               ))
+             ORDER BY created_at, rowid
+             LIMIT 1`,
+            [now, now, now]
+        );
+
+        if (!candidate) return null;
+
+        const leaseExpiresAt = now + this.config.leaseMs;
+        const result = await this.db.run(
+            `UPDATE jobs SET status = 'running', attempts = attempts + 1, lease_owner = ?, lease_expires_at = ?,
+             updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = ? AND IFNULL(lease_owner, '') = ?`,
+            [this.workerId, leaseExpiresAt, candidate.id, candidate.status, candidate.lease_owner || '']
+        );
+
+        // 다른 워커가 먼저 가져감
+        if (!result || result.changes !== 1) return null;
+
+        return {
+            ...candidate,
+            status: JOB_STATUS.RUNNING,
+            attempts: candidate.attempts + 1,
+            lease_owner: this.workerId,
+            lease_expires_at: leaseExpiresAt
+        };
+    }
+
+    /**
+     * Run a claimed job and record its outcome
+     * @param {JobRecord} job - Claimed job
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+            await this.markFailed(job, `No handler registered for job type: ${job.type}`);
+            return;
+        }
+
+        if (job.attempts > job.max_attempts) {
+            await this.markFailed(job, job.last_error || 'Lease expired too many times');
+            return;
+        }
+
+        let payload = {};
+        try {
+            payload = job.payload ? JSON.parse(job.payload) : {};
+        } catch (e) {
+            await this.markFailed(job, `Invalid job payload: ${e.message}`);
+            return;
+        }
+
+        const heartbeat = setInterval(() => {
+            this.db.run(
+                `UPDATE jobs SET lease_expires_at = ? WHERE id = ? AND lease_owner = ?`,
+                [Date.now() + this.config.leaseMs, job.id, this.workerId]
+            ).catch(err => console.error(`[JobQueue] Heartbeat failed for ${job.id}:`, err.message));
+        }, this.config.heartbeatMs);
+
+        console.log(`[JobQueue] Running ${job.type} ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        try {
+            await handler({ ...payload, ...this.secrets.get(job.id) }, job);
+            this.secrets.delete(job.id);
+            await this.db.run(
+                `UPDATE jobs SET status = 'completed', lease_owner = NULL, lease_expires_at = NULL,
+                 last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [job.id]
+            );
+        } catch (error) {
+            const message = error?.message || String(error);
+
+            if (job.attempts >= job.max_attempts) {
+                await this.markFailed(job, message);
+            } else {
+                const delay = computeBackoff(job.attempts, this.config.retryBaseDelayMs);
+                console.warn(`[JobQueue] ${job.type} ${job.id} failed (${message}), retrying in ${delay}ms`);
+                await this.db.run(
+                    `UPDATE jobs SET status = 'queued', lease_owner = NULL, lease_expires_at = NULL, last_error = ?,
+                     run_after = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [message, Date.now() + delay, job.id]
+                );
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    /**
+     * Mark a job as permanently failed (its in-memory secrets are dropped)
+     * @param {JobRecord} job - Job to fail
+     * @param {string} message - Failure reason
+     * @returns {Promise<void>}
+     */
+    async markFailed(job, message) {
+        console.error(`[JobQueue] ${job.type} ${job.id} failed permanently: ${message}`);
+        this.secrets.delete(job.id);
+        await this.db.run(
+            `UPDATE jobs SET status = 'failed', lease_owner = NULL, lease_expires_at = NULL,
+             last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [message, job.id]
+        );
+    }
+
+    /**
+     * List jobs for a lecture (newest first), without payloads
+     * @param {string} lectureId - Lecture ID
+     * @returns {Promise<Array<Object>>}
+     */
+    async listJobs(lectureId) {
+        return this.db.all(
+            `SELECT id, type, chapter_id, status, attempts, max_attempts, last_error, created_at, updated_at
+             FROM jobs WHERE lecture_id = ? ORDER BY created_at DESC, rowid DESC`,
+            [lectureId]
+        );
+    }
+
+    /**
+     * Cancel queued (not yet running) jobs of a lecture.
+     * Running jobs are stopped through run control, not here.
+     * @param {string} lectureId - Lecture ID
+     * @param {string[]} [types] - Only cancel these job types (default: all)
+     * @returns {Promise<number>} Number of cancelled jobs
+     */
+    async cancelLectureJobs(lectureId, types = null) {
+        const typeFilter = types && types.length > 0
+            ? ` AND type IN (${types.map(() => '?').join(', ')})`
+            : '';
+        const result = await this.db.run(
+            `UPDATE jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE lecture_id = ? AND status = 'queued'${typeFilter}`,
+            [lectureId, ...(types || [])]
+        );
+        const count = result?.changes || 0;
+        if (count > 0 && this.secrets.size > 0) {
+            const rows = await this.db.all(
+                `SELECT id FROM jobs WHERE lecture_id = ? AND status = 'cancelled'`,
+                [lectureId]
+            );
+            for (const row of rows || []) this.secrets.delete(row.id);
+        }
+        return count;
+    }
+
+    /**
+     * Remove all jobs of a lecture (used when the lecture is deleted)
+     * @param {string} lectureId - Lecture ID
+     * @returns {Promise<void>}
+     */
+    async removeLectureJobs(lectureId) {
+        await this.db.run(`DELETE FROM jobs WHERE lecture_id = ? AND status != 'running'`, [lectureId]);
+    }
+}
+
+// Export configuration for external use
+export { DEFAULT_CONFIG as JOB_QUEUE_DEFAULT_CONFIG };
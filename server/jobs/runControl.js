@@ -0,0 +1,150 @@
+/**
+ * Run Control for In-Flight Lecture Processing
+ *
+ * Tracks the pipeline runs currently executing in this process so that
+ * API handlers can stop them:
+ * - Pause: the chapter loop stops at the next chapter boundary
+ * - Cancel: the in-flight AI request is aborted immediately
+ *
+ * @module runControl
+ */
+
+/**
+ * Reasons a run can be asked to stop
+ * @type {Object<string, string>}
+ */
+export const STOP_REASON = {
+    PAUSE: 'pause',
+    CANCEL: 'cancel'
+};
+
+/**
+ * Handle for a single running pipeline task
+ */
+export class RunHandle {
+    /**
+     * @param {string} lectureId - Lecture the run belongs to
+     * @param {string} [kind='lecture'] - 'lecture' for the chapter loop, 'chapter' for single-chapter work
+     */
+    constructor(lectureId, kind = 'lecture') {
+        this.lectureId = lectureId;
+        this.kind = kind;
+        this.controller = new AbortController();
+        this.stopReason = null;
+    }
+
+    /**
+     * Abort signal to pass to AI requests
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Whether a pause or cancel was requested
+     * @returns {boolean}
+     */
+    get stopRequested() {
+        return this.stopReason !== null;
+    }
+
+    /**
+     * Whether cancellation was requested
+     * @returns {boolean}
+     */
+    get cancelled() {
+        return this.stopReason === STOP_REASON.CANCEL;
+    }
+
+    /**
+     * Request the run to stop. Cancel takes precedence over pause and aborts
+     * the in-flight request; pause only takes effect at the next checkpoint.
+     * @param {string} reason - One of STOP_REASON
+     */
+    requestStop(reason) {
+        if (reason === STOP_REASON.CANCEL) {
+            this.stopReason = STOP_REASON.CANCEL;
+            if (!this.controller.signal.aborted) {
+                this.controller.abort(new Error('Processing cancelled by user'));
+            }
+        } else if (!this.stopReason) {
+            this.stopReason = STOP_REASON.PAUSE;
+        }
+    }
+}
+
+/**
+ * Registry of running pipeline tasks keyed by lecture ID
+ */
+export class RunRegistry {
+    constructor() {
+        this.runs = new Map(); // lectureId -> Set<RunHandle>
+    }
+
+    /**
+     * Register a new run for a lecture
+     * @param {string} lectureId - Lecture ID
+     * @param {string} [kind='lecture'] - Run kind
+     * @returns {RunHandle}
+     */
+    begin(lectureId, kind = 'lecture') {
+        const handle = new RunHandle(lectureId, kind);
+        if (!this.runs.has(lectureId)) {
+            this.runs.set(lectureId, new Set());
+        }
+        this.runs.get(lectureId).add(handle);
+        return handle;
+    }
+
+    /**
+     * Unregister a finished run
+     * @param {RunHandle} handle - Handle returned by begin()
+     */
+    end(handle) {
+        const handles = this.runs.get(handle.lectureId);
+        if (!handles) return;
+        handles.delete(handle);
+        if (handles.size === 0) {
+            this.runs.delete(handle.lectureId);
+        }
+    }
+
+    /**
+     * Whether a lecture has a run executing in this process
+     * @param {string} lectureId - Lecture ID
+     * @param {string} [kind] - Only consider runs of this kind
+     * @returns {boolean}
+     */
+    isRunning(lectureId, kind) {
+        const handles = this.runs.get(lectureId);
+        if (!handles) return false;
+        if (!kind) return true;
+        return [...handles].some(handle => handle.kind === kind);
+    }
+
+    /**
+     * Ask every run of a lecture to stop
+     * @param {string} lectureId - Lecture ID
+     * @param {string} reason - One of STOP_REASON
+     * @returns {number} Number of runs signalled
+     */
+    requestStop(lectureId, reason) {
+        const handles = this.runs.get(lectureId);
+        if (!handles) return 0;
+        handles.forEach(handle => handle.requestStop(reason));
+        return handles.size;
+    }
+}
+
+/**
+ * Check whether a run was asked to stop (cancel or pause)
+ * Only the run's own signal decides: an AbortError or an "aborted" message
+ * without an aborted signal (e.g. a network reset or a provider timeout) is
+ * an ordinary failure.
+ * @param {AbortSignal} [signal] - Signal of the run
+ * @returns {boolean}
+ */
+export function isStopRequested(signal) {
+    return Boolean(signal?.aborted);
+}
@@ -0,0 +1,147 @@
+/**
+ * Chapter Context for Deep Dives
+ *
+ * Builds the context text a chapter deep dive receives about the rest of the
+ * lecture:
+ * - Sequential mode: key message and key terms of the previous chapter
+ * - Parallel mode: lecture outline (titles, summaries) with the current
+ *   chapter marked, and one shared term list so chapters analyzed at the
+ *   same time keep the same terminology
+ *
+ * The shared term list is derived locally, without AI calls: outline key
+ * topics, key terms of chapters that are already written, and technical
+ * terms (acronyms, CamelCase, names with digits) that appear in the
+ * transcript of several chapters.
+ *
+ * @module chapterContext
+ */
+
+/**
+ * Default lecture context configuration
+ * @type {Object}
+ */
+export const CHAPTER_CONTEXT_DEFAULT_CONFIG = {
+    maxTerms: 40, // 공통 용어 목록 최대 개수
+    minChapterSpread: 2, // 대본에서 추출한 용어는 이 수 이상의 챕터에 나와야 포함
+    maxSummaryLength: 160 // 아웃라인 요약 최대 글자 수
+};
+
+/**
+ * Chapter input for the lecture context
+ * @typedef {Object} ContextChapter
+ * @property {string} title - Chapter title
+ * @property {string} [summary] - Outline summary
+ * @property {string[]} [keyTopics] - Outline key topics
+ * @property {string} [text] - Transcript slice of the chapter
+ * @property {Object} [note] - Finished deep dive (keyMessage, keyTerms) when already written
+ */
+
+/**
+ * Context shared by the chapters of a parallel run
+ * @typedef {Object} LectureContext
+ * @property {Array<{title: string, summary: string, keyMessage: string|null}>} outline - Chapters in order
+ * @property {string[]} terms - Shared terminology in its canonical spelling
+ */
+
+// 약어(API, TCP/IP), CamelCase(JavaScript), 숫자가 섞인 이름(HTTP2, S3)
+// 한국어 조사가 바로 붙을 수 있으므로 경계는 라틴 문자/숫자 기준
+const TECHNICAL_TERM_PATTERN = /(?<![A-Za-z0-9])(?:[A-Z]{2,}[A-Za-z0-9]*(?:\/[A-Z]{2,})?|[A-Z]?[a-z]+(?:[A-Z][a-z0-9]+)+|[A-Za-z]+\d+[A-Za-z0-9]*)(?![A-Za-z0-9])/g;
+
+/**
+ * Technical terms written in a transcript slice
+ * @param {string} text - Transcript text
+ * @returns {string[]} Unique terms in order of first appearance
+ */
+export function extractTranscriptTerms(text) {
+    const seen = new Map();
+    for (const match of String(text || '').matchAll(TECHNICAL_TERM_PATTERN)) {
+        const key = match[0].toLowerCase();
+        if (!seen.has(key)) seen.set(key, match[0]);
+    }
+    return [...seen.values()];
+}
+
+/**
+ * Context line for the next chapter in sequential mode
+ * @param {string} title - Title of the finished chapter
+ * @param {Object} note - Its deep dive (keyMessage, keyTerms)
+ * @returns {string}
+ */
+export function formatPreviousChapterContext(title, note) {
+    const keyTerms = Array.isArray(note?.keyTerms) ? note.keyTerms.map(t => t.term).join(', ') : '';
+    return `이전 챕터(${title}) 핵심: ${note?.keyMessage || ''}\n주요 용어: ${keyTerms}`;
+}
+
+/**
+ * Build the outline and shared terminology for a parallel deep dive run
+ * @param {ContextChapter[]} chapters - Every chapter of the lecture in order
+ * @param {Object} [config] - Overrides for CHAPTER_CONTEXT_DEFAULT_CONFIG
+ * @returns {LectureContext}
+ */
+export function buildLectureContext(chapters, config = {}) {
+    const cfg = { ...CHAPTER_CONTEXT_DEFAULT_CONFIG, ...config };
+    const terms = new Map(); // 소문자 -> 표기
+
+    const addTerm = (term) => {
+        const value = String(term || '').trim();
+        if (value && !terms.has(value.toLowerCase())) terms.set(value.toLowerCase(), value);
+    };
+
+    // 1. 이미 작성된 노트의 용어 → 아웃라인 핵심 주제 (표기는 먼저 나온 것을 유지)
+    chapters.forEach(ch => (ch.note?.keyTerms || []).forEach(t => addTerm(t?.term)));
+    chapters.forEach(ch => (ch.keyTopics || []).forEach(addTerm));
+
+    // 2. 여러 챕터 대본에 반복되는 기술 용어 (많이 나온 순)
+    const spread = new Map(); // 소문자 -> { term, chapters }
+    chapters.forEach(ch => {
+        extractTranscriptTerms(ch.text).forEach(term => {
+            const key = term.toLowerCase();
+            const entry = spread.get(key) || { term, chapters: 0 };
+            entry.chapters++;
+            spread.set(key, entry);
+        });
+    });
+    [...spread.values()]
+        .filter(entry => entry.chapters >= cfg.minChapterSpread)
+        .sort((a, b) => b.chapters - a.chapters)
+        .forEach(entry => addTerm(entry.term));
+
+    return {
+        outline: chapters.map(ch => ({
+            title: ch.title,
+            summary: truncate(ch.summary || '', cfg.maxSummaryLength),
+            keyMessage: ch.note?.keyMessage || null
+        })),
+        terms: [...terms.values()].slice(0, cfg.maxTerms)
+    };
+}
+
+/**
+ * Context text for one chapter of a parallel run
+ * @param {LectureContext} context - Lecture context from buildLectureContext()
+ * @param {number} index - Zero-based chapter index
+ * @returns {string}
+ */
+export function formatChapterContext(context, index) {
+    const lines = context.outline.map((ch, i) => {
+        const marker = i === index ? '→ ' : '';
+        const detail = ch.keyMessage || ch.summary;
+        return `${marker}${i + 1}. ${ch.title}${detail ? `: ${detail}` : ''}`;
+    });
+
+    let text = `강의 전체 구성 (→ 표시가 이 챕터, 다른 챕터와 내용이 겹치지 않게 작성):\n${lines.join('\n')}`;
+    if (context.terms.length > 0) {
+        text += `\n주요 용어 (강의 전체에서 같은 표기로 사용): ${context.terms.join(', ')}`;
+    }
+    return text;
+}
+
+/**
+ * Shorten text to a maximum length
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
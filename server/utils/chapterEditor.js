@@ -0,0 +1,211 @@
+/**
+ * Chapter Structure Editor
+ *
+ * Pure operations on a lecture's chapter list:
+ * - Split a chapter at a timestamp
+ * - Merge adjacent chapters
+ * - Change a chapter's start/end time (neighbours follow to stay contiguous)
+ * - Reorder chapters
+ *
+ * Every operation returns the new chapter list in order and the IDs of the
+ * chapters whose content must be analyzed again. Invalid requests return
+ * `{ error }` (with `notFound` for unknown chapters) instead of throwing.
+ *
+ * @module chapterEditor
+ */
+
+import { parseTimestamp } from './cueParser.js';
+
+/**
+ * Editable chapter
+ * @typedef {Object} EditableChapter
+ * @property {string} id - Chapter ID
+ * @property {string} title - Title
+ * @property {string} startTime - Start label
+ * @property {string} endTime - End label
+ * @property {string} [summary] - Outline summary
+ * @property {string[]} [keyTopics] - Outline key topics
+ */
+
+/**
+ * Edit result
+ * @typedef {Object} EditResult
+ * @property {EditableChapter[]} [chapters] - Chapters in their new order
+ * @property {string[]} [affectedIds] - Chapters to reset and analyze again
+ * @property {string[]} [removedIds] - Chapters that no longer exist
+ * @property {string} [error] - Why the edit was rejected
+ * @property {boolean} [notFound] - The error refers to an unknown chapter
+ */
+
+const notFound = (chapterId) => ({ error: `Chapter not found: ${chapterId}`, notFound: true });
+
+/**
+ * Split a chapter in two at a timestamp
+ * @param {EditableChapter[]} chapters - Chapters in order
+ * @param {string} chapterId - Chapter to split
+ * @param {string} at - Split time, strictly inside the chapter
+ * @param {Object} options
+ * @param {string} options.newId - ID of the second half
+ * @param {string} [options.title] - Title of the second half (default: "<title> (2)")
+ * @returns {EditResult}
+ */
+export function splitChapter(chapters, chapterId, at, { newId, title } = {}) {
+    const idx = chapters.findIndex(ch => ch.id === chapterId);
+    if (idx === -1) return notFound(chapterId);
+
+    const chapter = chapters[idx];
+    const atSeconds = parseTimestamp(at);
+    const start = parseTimestamp(chapter.startTime);
+    const end = parseTimestamp(chapter.endTime);
+
+    if (atSeconds === null) return { error: 'Split time is not a timestamp' };
+    if (start === null || end === null) return { error: 'Chapter has no time range to split' };
+    if (atSeconds <= start || atSeconds >= end) {
+        return { error: `Split time must be between ${chapter.startTime} and ${chapter.endTime}` };
+    }
+
+    const first = { ...chapter, endTime: at };
+    const second = {
+        ...chapter,
+        id: newId,
+        title: title?.trim() || `${chapter.title} (2)`,
+        startTime: at
+    };
+
+    return {
+        chapters: [...chapters.slice(0, idx), first, second, ...chapters.slice(idx + 1)],
+        affectedIds: [chapter.id, newId],
+        removedIds: []
+    };
+}
+
+/**
+ * Merge adjacent chapters into the first of them
+ * @param {EditableChapter[]} chapters - Chapters in order
+ * @param {string[]} chapterIds - Two or more adjacent chapters
+ * @returns {EditResult}
+ */
+export function mergeChapters(chapters, chapterIds) {
+    const ids = [...new Set(chapterIds)];
+    if (ids.length < 2) return { error: 'At least two chapters are required' };
+
+    const indexes = [];
+    for (const id of ids) {
+        const idx = chapters.findIndex(ch => ch.id === id);
+        if (idx === -1) return notFound(id);
+        indexes.push(idx);
+    }
+    indexes.sort((a, b) => a - b);
+    if (indexes.some((idx, i) => i > 0 && idx !== indexes[i - 1] + 1)) {
+        return { error: 'Only adjacent chapters can be merged' };
+    }
+
+    const parts = indexes.map(idx => chapters[idx]);
+    const [first] = parts;
+    const last = parts[parts.length - 1];
+    const merged = {
+        ...first,
+        endTime: last.endTime,
+        summary: parts.map(ch => ch.summary).filter(Boolean).join(' '),
+        keyTopics: [...new Set(parts.flatMap(ch => ch.keyTopics || []))]
+    };
+
+    return {
+        chapters: [...chapters.slice(0, indexes[0]), merged, ...chapters.slice(indexes[indexes.length - 1] + 1)],
+        affectedIds: [first.id],
+        removedIds: parts.slice(1).map(ch => ch.id)
+    };
+}
+
+/**
+ * Change a chapter's time range
+ * Neighbours that touched or would overlap the old range are moved to the
+ * new boundaries, so the lecture stays contiguous and non-overlapping.
+ * @param {EditableChapter[]} chapters - Chapters in order
+ * @param {string} chapterId - Chapter to retime
+ * @param {{startTime?: string, endTime?: string}} times - New times (omitted = unchanged)
+ * @returns {EditResult}
+ */
+export function retimeChapter(chapters, chapterId, { startTime, endTime } = {}) {
+    const idx = chapters.findIndex(ch => ch.id === chapterId);
+    if (idx === -1) return notFound(chapterId);
+
+    const chapter = chapters[idx];
+    const newStartTime = startTime ?? chapter.startTime;
+    const newEndTime = endTime ?? chapter.endTime;
+    const start = parseTimestamp(newStartTime);
+    const end = parseTimestamp(newEndTime);
+
+    if (start === null || end === null) return { error: 'startTime and endTime must be timestamps' };
+    if (end <= start) return { error: 'endTime must be after startTime' };
+
+    const prev = chapters[idx - 1];
+    const next = chapters[idx + 1];
+    if (prev && start <= (parseTimestamp(prev.startTime) ?? -Infinity)) {
+        return { error: 'startTime would swallow the previous chapter' };
+    }
+    if (next && end >= (parseTimestamp(next.endTime) ?? Infinity)) {
+        return { error: 'endTime would swallow the next chapter' };
+    }
+
+    const updated = chapters.map(ch => ({ ...ch }));
+    const affectedIds = [chapter.id];
+    updated[idx] = { ...chapter, startTime: newStartTime, endTime: newEndTime };
+
+    // 맞닿아 있던(또는 겹치게 될) 이웃 경계 이동
+    const oldStart = parseTimestamp(chapter.startTime);
+    const oldEnd = parseTimestamp(chapter.endTime);
+    if (prev && start !== oldStart) {
+        const prevEnd = parseTimestamp(prev.endTime);
+        if (prevEnd === null || prevEnd === oldStart || prevEnd > start) {
+            updated[idx - 1].endTime = newStartTime;
+            affectedIds.push(prev.id);
+        }
+    }
+    if (next && end !== oldEnd) {
+        const nextStart = parseTimestamp(next.startTime);
+        if (nextStart === null || nextStart === oldEnd || nextStart < end) {
+            updated[idx + 1].startTime = newEndTime;
+            affectedIds.push(next.id);
+        }
+    }
+
+    return { chapters: updated, affectedIds, removedIds: [] };
+}
+
+/**
+ * Reorder chapters
+ * @param {EditableChapter[]} chapters - Chapters in order
+ * @param {string[]} chapterIds - Every chapter ID in the new order
+ * @returns {EditResult} Affected chapters are the ones whose position changed
+ *   (their previous-chapter context differs)
+ */
+export function reorderChapters(chapters, chapterIds) {
+    if (!Array.isArray(chapterIds) || chapterIds.length !== chapters.length || new Set(chapterIds).size !== chapterIds.length) {
+        return { error: 'chapterIds must list every chapter exactly once' };
+    }
+
+    const byId = new Map(chapters.map(ch => [ch.id, ch]));
+    const missing = chapterIds.find(id => !byId.has(id));
+    if (missing) return notFound(missing);
+
+    const reordered = chapterIds.map(id => byId.get(id));
+    return {
+        chapters: reordered,
+        affectedIds: reordered.filter((ch, idx) => chapters[idx].id !== ch.id).map(ch => ch.id),
+        removedIds: []
+    };
+}
+
+/**
+ * Next unused chapter ID of a lecture (`<lectureId>_<n>`)
+ * @param {string} lectureId - Lecture ID
+ * @param {Array<{id: string}>} chapters - Existing chapters
+ * @returns {string}
+ */
+export function nextChapterId(lectureId, chapters) {
+    const numbers = chapters
+        .map(ch => ch.id.startsWith(`${lectureId}_`) ? Number(ch.id.slice(lectureId.length + 1)) : NaN)
+        .filter(Number.isInteger);
+    return `${lectureId}_${Math.max(0, ...numbers) + 1}`;
+}
@@ -0,0 +1,160 @@
+/**
+ * Chapter Reconciler
+ *
+ * Combines the chapters extracted from each transcript segment into one
+ * lecture-wide chapter list:
+ * 1. Duplicates from overlapping segment windows are merged
+ * 2. Adjacent chapters from neighbouring segments that cover the same topic
+ *    (a topic cut by a segment boundary) are merged
+ * 3. End times are repaired so chapters are contiguous and non-overlapping
+ *
+ * @module chapterReconciler
+ */
+
+import { parseTime, formatTime } from './transcriptSegmenter.js';
+
+/**
+ * Default reconciliation options
+ * @type {{duplicateWindowSeconds: number, minTopicSimilarity: number, maxMergedMinutes: number}}
+ */
+export const RECONCILER_DEFAULT_CONFIG = {
+    duplicateWindowSeconds: 120,  // 시작 시간이 이 범위 안이면 같은 챕터
+    minTopicSimilarity: 0.5,      // 제목+핵심 주제 단어의 Jaccard 유사도
+    maxMergedMinutes: 30          // 주제 병합 후 챕터 최대 길이
+};
+
+/**
+ * Words of a chapter title and its key topics
+ * @param {{title?: string, keyTopics?: string[]}} chapter - Extracted chapter
+ * @returns {Set<string>} Lowercased words of two or more characters
+ */
+export function topicWords(chapter) {
+    const text = [chapter.title, ...(chapter.keyTopics || [])].filter(Boolean).join(' ');
+    return new Set(
+        text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 2)
+    );
+}
+
+/**
+ * Topic similarity of two chapters (Jaccard index of their topic words)
+ * @param {Object} a - Chapter
+ * @param {Object} b - Chapter
+ * @returns {number} Similarity between 0 and 1
+ */
+export function topicSimilarity(a, b) {
+    const wordsA = topicWords(a);
+    const wordsB = topicWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// 두 챕터를 하나로 (더 긴 챕터의 제목/요약 사용)
+function mergeEntries(a, b, hasTimestamps) {
+    const lengthOf = (entry) => hasTimestamps ? entry.endSeconds - entry.startSeconds : (entry.chapter.summary || '').length;
+    const primary = lengthOf(b) > lengthOf(a) ? b : a;
+    const later = b.endSeconds > a.endSeconds ? b : a;
+
+    return {
+        chapter: {
+            ...primary.chapter,
+            startTime: a.chapter.startTime,
+            endTime: later.chapter.endTime,
+            keyTopics: [...new Set([...(a.chapter.keyTopics || []), ...(b.chapter.keyTopics || [])])]
+        },
+        startSeconds: a.startSeconds,
+        endSeconds: Math.max(a.endSeconds, b.endSeconds),
+        segments: new Set([...a.segments, ...b.segments])
+    };
+}
+
+/**
+ * Merge and repair the chapters of all segments
+ * @param {Array<{segmentIndex: number, chapters: Object[]}>} segmentResults - Chapters per segment
+ * @param {Object} [options]
+ * @param {boolean} [options.hasTimestamps=true] - Whether chapter times are meaningful
+ * @param {number} [options.lectureEndSeconds] - End of the lecture; the last chapter is extended to it
+ * @param {number} [options.duplicateWindowSeconds=120] - Start time distance treated as the same chapter
+ * @param {number} [options.minTopicSimilarity=0.5] - Similarity required to merge across a segment boundary
+ * @param {number} [options.maxMergedMinutes=30] - Longest chapter a topic merge may produce
+ * @returns {{chapters: Object[], mergedCount: number, repairedEndTimes: number}} Chapters in lecture order
+ */
+export function reconcileChapters(segmentResults, options = {}) {
+    const {
+        hasTimestamps = true,
+        lectureEndSeconds,
+        duplicateWindowSeconds,
+        minTopicSimilarity,
+        maxMergedMinutes
+    } = { ...RECONCILER_DEFAULT_CONFIG, ...options };
+
+    const entries = [...segmentResults]
+        .sort((a, b) => a.segmentIndex - b.segmentIndex)
+        .flatMap(result => result.chapters.map(chapter => ({
+            chapter,
+            startSeconds: hasTimestamps ? parseTime(chapter.startTime) : 0,
+            endSeconds: hasTimestamps ? parseTime(chapter.endTime) : 0,
+            segments: new Set([result.segmentIndex])
+        })));
+
+    if (hasTimestamps) {
+        // 안정 정렬: 같은 시작 시간이면 세그먼트 순서 유지
+        entries.sort((a, b) => a.startSeconds - b.startSeconds);
+    }
+
+    const shouldMerge = (prev, next) => {
+        const crossesSegments = [...next.segments].every(seg => !prev.segments.has(seg));
+
+        if (hasTimestamps) {
+            // 겹치는 윈도우에서 같은 챕터가 두 번 추출된 경우
+            if (next.startSeconds - prev.startSeconds < duplicateWindowSeconds) return true;
+
+            const nextDuration = next.endSeconds - next.startSeconds;
+            const overlap = Math.min(prev.endSeconds, next.endSeconds) - next.startSeconds;
+            if (crossesSegments && nextDuration > 0 && overlap >= nextDuration / 2) return true;
+
+            const mergedDuration = Math.max(prev.endSeconds, next.endSeconds) - prev.startSeconds;
+            if (mergedDuration > maxMergedMinutes * 60) return false;
+        }
+
+        // 세그먼트 경계에서 잘린 같은 주제
+        return crossesSegments && topicSimilarity(prev.chapter, next.chapter) >= minTopicSimilarity;
+    };
+
+    const merged = [];
+    let mergedCount = 0;
+    for (const entry of entries) {
+        const prev = merged[merged.length - 1];
+        if (prev && shouldMerge(prev, entry)) {
+            merged[merged.length - 1] = mergeEntries(prev, entry, hasTimestamps);
+            mergedCount++;
+        } else {
+            merged.push(entry);
+        }
+    }
+
+    const chapters = merged.map(entry => entry.chapter);
+    let repairedEndTimes = 0;
+
+    if (hasTimestamps) {
+        // 다음 챕터 시작 = 현재 챕터 끝 (빈틈/겹침 제거)
+        chapters.forEach((chapter, idx) => {
+            const next = chapters[idx + 1];
+            let endTime = chapter.endTime;
+
+            if (next) {
+                endTime = next.startTime;
+            } else if (lectureEndSeconds > merged[idx].startSeconds) {
+                endTime = formatTime(lectureEndSeconds);
+            }
+
+            if (endTime !== chapter.endTime && parseTime(endTime) !== parseTime(chapter.endTime)) {
+                repairedEndTimes++;
+            }
+            chapters[idx] = { ...chapter, endTime };
+        });
+    }
+
+    return { chapters, mergedCount, repairedEndTimes };
+}
@@ -0,0 +1,228 @@
+/**
+ * Chapter Timestamp Validator
+ *
+ * Checks the chapter times returned by the model against the transcript cues:
+ * 1. Times outside the transcript are clamped, inverted ranges are swapped
+ * 2. Times that cut through a cue are snapped to the cue boundary
+ * 3. Chapters are ordered and overlapping ranges are trimmed
+ * 4. Gaps before a chapter and chapters without any cue are flagged
+ *
+ * Every change is recorded on the chapter (`validation`) so the UI can show
+ * which chapters were repaired and which rely on fallback text.
+ *
+ * @module chapterValidator
+ */
+
+import { parseTimestamp } from './cueParser.js';
+import { formatTime } from './transcriptSegmenter.js';
+
+/**
+ * Repair types
+ * @type {Object<string, string>}
+ */
+export const REPAIR_TYPE = {
+    START_MISSING: 'start_missing',
+    START_OUT_OF_RANGE: 'start_out_of_range',
+    END_MISSING: 'end_missing',
+    END_OUT_OF_RANGE: 'end_out_of_range',
+    INVERTED: 'inverted',
+    START_SNAPPED: 'start_snapped',
+    END_SNAPPED: 'end_snapped',
+    REORDERED: 'reordered',
+    OVERLAP_TRIMMED: 'overlap_trimmed'
+};
+
+/**
+ * Flag types (reported, not repaired)
+ * @type {Object<string, string>}
+ */
+export const FLAG_TYPE = {
+    GAP_BEFORE: 'gap_before',
+    NO_CUES: 'no_cues'
+};
+
+/**
+ * Why a deep dive analyzed proportional text instead of the chapter slice
+ * @type {Object<string, string>}
+ */
+export const FALLBACK_REASON = {
+    NO_TIMESTAMPS: 'no_timestamps',
+    SHORT_SLICE: 'short_slice'
+};
+
+/**
+ * Default validation options
+ * @type {{snapToleranceSeconds: number, gapThresholdSeconds: number}}
+ */
+export const VALIDATOR_DEFAULT_CONFIG = {
+    snapToleranceSeconds: 1,  // 이보다 작은 스냅은 기록하지 않음
+    gapThresholdSeconds: 60   // 이보다 긴 빈 구간은 gap으로 표시
+};
+
+/**
+ * Validation record of a chapter
+ * @typedef {Object} ChapterValidation
+ * @property {Array<{type: string, from: string, to: string}>} repairs - Applied repairs
+ * @property {Array<{type: string, seconds?: number}>} flags - Detected problems
+ * @property {string|null} fallback - FALLBACK_REASON when the deep dive used proportional text
+ */
+
+/**
+ * Empty validation record
+ * @returns {ChapterValidation}
+ */
+export function createValidation() {
+    return { repairs: [], flags: [], fallback: null };
+}
+
+// 발화 도중을 가리키는 시간이면 해당 cue 반환
+function cueCutAt(cues, seconds) {
+    return cues.find(cue => cue.startSeconds < seconds && seconds < cue.endSeconds) || null;
+}
+
+/**
+ * Validate and repair chapter times against transcript cues
+ * Chapters of transcripts without cues are returned with an empty validation.
+ * @param {Array<{startTime?: string, endTime?: string}>} chapters - Chapters in extraction order
+ * @param {import('./cueParser.js').Cue[]} cues - Parsed transcript cues
+ * @param {Object} [options]
+ * @param {number} [options.snapToleranceSeconds=1] - Smallest snap recorded as a repair
+ * @param {number} [options.gapThresholdSeconds=60] - Shortest uncovered span flagged as a gap
+ * @returns {{chapters: Object[], repairedCount: number, flaggedCount: number}} Chapters in time
+ *   order with repaired times and a `validation` record
+ */
+export function validateChapters(chapters, cues, options = {}) {
+    const { snapToleranceSeconds, gapThresholdSeconds } = { ...VALIDATOR_DEFAULT_CONFIG, ...options };
+
+    if (cues.length === 0) {
+        return {
+            chapters: chapters.map(chapter => ({ ...chapter, validation: createValidation() })),
+            repairedCount: 0,
+            flaggedCount: 0
+        };
+    }
+
+    const transcriptStart = Math.min(...cues.map(cue => cue.startSeconds));
+    const lastCueStart = Math.max(...cues.map(cue => cue.startSeconds));
+    const transcriptEnd = Math.max(...cues.map(cue => Math.max(cue.startSeconds, cue.endSeconds)));
+
+    const entries = [];
+    chapters.forEach((chapter, order) => {
+        const repairs = [];
+        const repair = (type, from, to) => repairs.push({
+            type,
+            from: typeof from === 'number' ? formatTime(from) : (from || ''),
+            to: formatTime(to)
+        });
+
+        let start = parseTimestamp(chapter.startTime);
+        let end = parseTimestamp(chapter.endTime);
+
+        if (start === null) {
+            // 시작 시간이 없으면 직전 챕터 끝에서 시작
+            const prev = entries[entries.length - 1];
+            start = prev ? (prev.end ?? prev.start) : transcriptStart;
+            repair(REPAIR_TYPE.START_MISSING, chapter.startTime, start);
+        }
+        if (end !== null && end < start) {
+            repair(REPAIR_TYPE.INVERTED, chapter.startTime, end);
+            [start, end] = [end, start];
+        }
+        if (start < transcriptStart || start >= transcriptEnd) {
+            const clamped = Math.min(Math.max(start, transcriptStart), lastCueStart);
+            repair(REPAIR_TYPE.START_OUT_OF_RANGE, start, clamped);
+            start = clamped;
+        }
+        if (end !== null && end > transcriptEnd) {
+            repair(REPAIR_TYPE.END_OUT_OF_RANGE, end, transcriptEnd);
+            end = transcriptEnd;
+        }
+
+        // 시작: 발화 도중이면 그 발화의 시작으로
+        const startCue = cueCutAt(cues, start);
+        if (startCue) {
+            if (start - startCue.startSeconds >= snapToleranceSeconds) {
+                repair(REPAIR_TYPE.START_SNAPPED, start, startCue.startSeconds);
+            }
+            start = startCue.startSeconds;
+        }
+
+        // 종료: 발화 도중이면 더 가까운 발화 경계로
+        const endCue = end !== null ? cueCutAt(cues, end) : null;
+        if (endCue) {
+            const toStart = end - endCue.startSeconds;
+            const toEnd = endCue.endSeconds - end;
+            const snappedEnd = toStart < toEnd && endCue.startSeconds > start ? endCue.startSeconds : endCue.endSeconds;
+            if (Math.abs(snappedEnd - end) >= snapToleranceSeconds) {
+                repair(REPAIR_TYPE.END_SNAPPED, end, snappedEnd);
+            }
+            end = snappedEnd;
+        }
+
+        entries.push({ chapter, order, start, end, repairs });
+    });
+
+    // 시작 시간 순 정렬 (안정 정렬)
+    entries.sort((a, b) => a.start - b.start);
+    entries.forEach((entry, idx) => {
+        if (entry.order !== idx) {
+            entry.repairs.push({ type: REPAIR_TYPE.REORDERED, from: String(entry.order + 1), to: String(idx + 1) });
+        }
+    });
+
+    let repairedCount = 0;
+    let flaggedCount = 0;
+
+    const validated = entries.map((entry, idx) => {
+        const next = entries[idx + 1];
+        const prev = entries[idx - 1];
+        const { chapter, repairs } = entry;
+        const originalEnd = parseTimestamp(chapter.endTime);
+
+        if (entry.end === null) {
+            entry.end = next ? next.start : transcriptEnd;
+            repairs.push({ type: REPAIR_TYPE.END_MISSING, from: chapter.endTime || '', to: formatTime(entry.end) });
+        } else if (next && entry.end > next.start) {
+            repairs.push({ type: REPAIR_TYPE.OVERLAP_TRIMMED, from: formatTime(entry.end), to: formatTime(next.start) });
+            entry.end = next.start;
+        }
+
+        const flags = [];
+        const coveredUntil = prev ? prev.end : transcriptStart;
+        if (entry.start - coveredUntil > gapThresholdSeconds) {
+            flags.push({ type: FLAG_TYPE.GAP_BEFORE, seconds: Math.round(entry.start - coveredUntil) });
+        }
+        if (!cues.some(cue => cue.startSeconds >= entry.start && cue.startSeconds < entry.end)) {
+            flags.push({ type: FLAG_TYPE.NO_CUES });
+        }
+
+        if (repairs.length > 0) repairedCount++;
+        if (flags.length > 0) flaggedCount++;
+
+        // 수정된 시간만 다시 포맷 (그대로인 시간은 모델 표기 유지)
+        const startChanged = parseTimestamp(chapter.startTime) !== entry.start;
+        const endChanged = originalEnd !== entry.end;
+
+        return {
+            ...chapter,
+            startTime: startChanged ? formatTime(entry.start) : chapter.startTime,
+            endTime: endChanged ? formatTime(entry.end) : chapter.endTime,
+            validation: { repairs, flags, fallback: null }
+        };
+    });
+
+    return { chapters: validated, repairedCount, flaggedCount };
+}
+
+/**
+ * Parse a stored validation record
+ * @param {string|null} json - `chapters.validation` column value
+ * @returns {ChapterValidation}
+ */
+export function parseValidation(json) {
+    try {
+        return json ? { ...createValidation(), ...JSON.parse(json) } : createValidation();
+    } catch (e) {
+        return createValidation();
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Bounded Concurrency
+ *
+ * Runs async work over a list with at most `limit` items in flight:
+ * - Items start in list order; results keep the list order
+ * - A stop check runs before each item, so a pause lets in-flight items
+ *   finish without starting new ones
+ * - The first worker error stops new items and is rethrown once the
+ *   in-flight items have settled
+ *
+ * @module concurrency
+ */
+
+/**
+ * Map items with an async worker, running at most `limit` at once
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum items in flight (at least 1)
+ * @param {(item: T, index: number) => Promise<R>} worker - Async worker
+ * @param {Object} [options]
+ * @param {() => boolean} [options.shouldStop] - Checked before starting each item
+ * @returns {Promise<Array<R|undefined>>} Results by index (undefined for items never started)
+ * @throws {*} The first error thrown by the worker
+ */
+export async function mapWithConcurrency(items, limit, worker, { shouldStop } = {}) {
+    const results = new Array(items.length);
+    const laneCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+    let next = 0;
+    let failure = null;
+
+    const lane = async () => {
+        while (next < items.length && !failure && !shouldStop?.()) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: laneCount }, lane));
+    if (failure) throw failure.error;
+    return results;
+}
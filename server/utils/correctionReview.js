@@ -0,0 +1,227 @@
+/**
+ * Correction Review
+ *
+ * Keeps LLM corrections and dictionary replacements reviewable after
+ * preprocessing:
+ * - Anchors each correction to its character range in the normalized
+ *   transcript (`normalized_text`, before dictionary replacements) and
+ *   gives it a stable id
+ * - Records each dictionary replacement as a correction of its own
+ * - Records accept/reject decisions for single corrections or in bulk
+ * - Rebuilds the corrected transcript (`raw_text`) from the normalized
+ *   transcript and the accepted corrections
+ * - Finds the chapters whose transcript slice changed, so they can be
+ *   reanalysed
+ *
+ * Corrections start out accepted, which reproduces the transcript the
+ * pipeline analysed. Lectures created before corrections were anchored
+ * have no reviewable corrections.
+ *
+ * @module correctionReview
+ */
+
+import { extractSlice } from './transcriptSegmenter.js';
+
+/**
+ * Review status of a correction
+ * @type {Object<string, string>}
+ */
+export const CORRECTION_STATUS = {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Reason recorded for dictionary replacements
+ * @type {string}
+ */
+export const DICTIONARY_REASON = '용어 사전';
+
+/**
+ * Reviewable correction
+ * @typedef {Object} ReviewableCorrection
+ * @property {string} id - Stable id (`cor_<start>`)
+ * @property {number} start - Start offset in the normalized transcript
+ * @property {number} end - End offset (exclusive)
+ * @property {string} original - Text replaced by the correction
+ * @property {string} corrected - Replacement text
+ * @property {string} reason - Reason given by the model
+ * @property {'accepted'|'rejected'} status - Review status
+ */
+
+/**
+ * Anchor per-segment correction results to offsets in the full text
+ * Uses the segment offsets located by the corrector; results without them
+ * are searched in order from the end of the previous correction, so
+ * repeated phrases map to the occurrence the model was reading. Corrections
+ * that cannot be found or overlap an earlier one are left out.
+ * @param {Array<{text: string, offset: number}>} segments - Corrected segments with their offset in the text
+ * @param {Array<import('./llmCorrector.js').CorrectionResult>} results - Correction results per segment
+ * @returns {ReviewableCorrection[]} Corrections ordered by offset
+ */
+export function anchorCorrections(segments, results) {
+    const anchored = [];
+
+    segments.forEach((segment, index) => {
+        const result = results[index];
+        if (!result?.success) return;
+
+        let cursor = 0;
+        for (const correction of result.corrections || []) {
+            if (!correction.original || typeof correction.corrected !== 'string') continue;
+
+            let local = Number.isInteger(correction.start)
+                && segment.text.slice(correction.start, correction.end) === correction.original
+                ? correction.start
+                : segment.text.indexOf(correction.original, cursor);
+            if (local === -1) local = segment.text.indexOf(correction.original);
+            if (local === -1) continue;
+
+            const start = segment.offset + local;
+            const end = start + correction.original.length;
+            if (anchored.some(c => start < c.end && c.start < end)) continue;
+
+            anchored.push({
+                id: `cor_${start}`,
+                start,
+                end,
+                original: correction.original,
+                corrected: correction.corrected,
+                reason: correction.reason || '',
+                status: CORRECTION_STATUS.ACCEPTED
+            });
+            cursor = local + correction.original.length;
+        }
+    });
+
+    return anchored.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Reviewable corrections for dictionary replacements
+ * @param {Array<import('./domainDictionary.js').DictionaryReplacement>} replacements - Replacements in the normalized text
+ * @returns {ReviewableCorrection[]} Accepted corrections ordered by offset
+ */
+export function dictionaryCorrections(replacements) {
+    return (replacements || []).map(r => ({
+        id: `cor_${r.start}`,
+        start: r.start,
+        end: r.end,
+        original: r.original,
+        corrected: r.term,
+        reason: DICTIONARY_REASON,
+        status: CORRECTION_STATUS.ACCEPTED
+    }));
+}
+
+/**
+ * Move corrections anchored in the dictionary-applied text back to the
+ * normalized text. The LLM reads the text with dictionary terms, so its
+ * offsets shift by every earlier replacement; corrections that touch a
+ * replaced term are left out since they no longer match the normalized text.
+ * @param {ReviewableCorrection[]} corrections - Corrections anchored in the dictionary-applied text
+ * @param {Array<import('./domainDictionary.js').DictionaryReplacement>} replacements - Replacements in the normalized text
+ * @returns {ReviewableCorrection[]} Corrections with offsets in the normalized text
+ */
+export function rebaseCorrections(corrections, replacements) {
+    if (!replacements || replacements.length === 0) return corrections;
+
+    // 사전 적용 텍스트에서의 교체 구간과, 그 구간까지 누적된 길이 차이
+    let shift = 0;
+    const ranges = [...replacements].sort((a, b) => a.start - b.start).map(r => {
+        const range = { start: r.start + shift, end: r.start + shift + r.term.length };
+        shift += r.term.length - (r.end - r.start);
+        return { ...range, shift };
+    });
+
+    const rebased = [];
+    for (const correction of corrections) {
+        if (ranges.some(r => correction.start < r.end && r.start < correction.end)) continue;
+        const previous = ranges.filter(r => r.end <= correction.start).pop();
+        const start = correction.start - (previous ? previous.shift : 0);
+        rebased.push({ ...correction, id: `cor_${start}`, start, end: start + (correction.end - correction.start) });
+    }
+    return rebased;
+}
+
+/**
+ * Apply the accepted corrections to the normalized text
+ * @param {string} text - Normalized transcript (`normalized_text`)
+ * @param {ReviewableCorrection[]} corrections - Anchored corrections
+ * @returns {string} Corrected transcript
+ */
+export function buildCorrectedText(text, corrections) {
+    const accepted = corrections
+        .filter(c => c.status === CORRECTION_STATUS.ACCEPTED)
+        .sort((a, b) => a.start - b.start);
+
+    let result = '';
+    let cursor = 0;
+    for (const correction of accepted) {
+        // 범위가 원문과 맞지 않는 교정은 건너뜀 (원문이 바뀐 경우)
+        if (correction.start < cursor || text.slice(correction.start, correction.end) !== correction.original) continue;
+        result += text.slice(cursor, correction.start) + correction.corrected;
+        cursor = correction.end;
+    }
+    return result + text.slice(cursor);
+}
+
+/**
+ * Set the review status of corrections
+ * @param {ReviewableCorrection[]} corrections - Current corrections
+ * @param {string[]|null|undefined} ids - Correction ids; omitted for every correction
+ * @param {string} status - New status
+ * @returns {{corrections: ReviewableCorrection[], changed: string[]}|{error: string}}
+ *   Updated corrections and the ids whose status changed
+ */
+export function reviewCorrections(corrections, ids, status) {
+    if (!Object.values(CORRECTION_STATUS).includes(status)) {
+        return { error: `Invalid status: ${status}` };
+    }
+    if (ids != null && (!Array.isArray(ids) || ids.length === 0)) {
+        return { error: 'ids must be a non-empty array' };
+    }
+
+    const known = new Set(corrections.map(c => c.id));
+    const unknown = (ids || []).find(id => !known.has(id));
+    if (unknown) return { error: `Correction not found: ${unknown}` };
+
+    const selected = ids ? new Set(ids) : known;
+    const changed = [];
+    const updated = corrections.map(c => {
+        if (!selected.has(c.id) || c.status === status) return c;
+        changed.push(c.id);
+        return { ...c, status };
+    });
+
+    return { corrections: updated, changed };
+}
+
+/**
+ * Chapters whose transcript slice differs between two transcript versions
+ * @param {Array<{id: string, startTime?: string, endTime?: string}>} chapters - Chapters with their time range
+ * @param {string} previousText - Transcript before the review
+ * @param {string} nextText - Transcript after the review
+ * @returns {Array<Object>} Affected chapters
+ */
+export function findAffectedChapters(chapters, previousText, nextText) {
+    if (previousText === nextText) return [];
+    return chapters.filter(ch =>
+        extractSlice(previousText, ch.startTime, ch.endTime) !== extractSlice(nextText, ch.startTime, ch.endTime)
+    );
+}
+
+/**
+ * Parse stored corrections
+ * @param {string|null} json - `corrections` column value
+ * @returns {ReviewableCorrection[]|null} Corrections, or null when the lecture has none
+ */
+export function parseCorrections(json) {
+    if (!json) return null;
+    try {
+        const corrections = JSON.parse(json);
+        return Array.isArray(corrections) ? corrections : null;
+    } catch (e) {
+        return null;
+    }
+}
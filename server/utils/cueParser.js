@@ -0,0 +1,298 @@
+/**
+ * Transcript Cue Parser
+ *
+ * Parses lecture transcripts into a structured cue list:
+ * 1. WebVTT (header, cue identifiers, cue settings, NOTE/STYLE/REGION blocks)
+ * 2. SRT (numeric indices, comma milliseconds)
+ * 3. Timestamped text (`[00:01:02] text` lines, as produced by `vttToText`)
+ *
+ * Voice tags (`<v Name>`) become the cue speaker and other markup is
+ * stripped from the cue text. The module has no Node dependencies so the
+ * frontend parser (`utils/vttParser.ts`) shares it.
+ *
+ * @module cueParser
+ */
+
+/**
+ * Parsed transcript cue
+ * @typedef {Object} Cue
+ * @property {number} index - Zero-based cue position
+ * @property {string|null} id - Cue identifier (VTT identifier or SRT index)
+ * @property {string} start - Start timestamp (`HH:MM:SS.mmm`)
+ * @property {string} end - End timestamp (`HH:MM:SS.mmm`)
+ * @property {number} startSeconds - Start time in seconds (millisecond precision)
+ * @property {number} endSeconds - End time in seconds (millisecond precision)
+ * @property {string|null} speaker - Speaker from a `<v>` voice tag
+ * @property {string} text - Cue text without markup
+ * @property {Object<string, string>} settings - Cue settings (e.g. `{ align: 'start' }`)
+ */
+
+/**
+ * Parse result
+ * @typedef {Object} CueParseResult
+ * @property {'vtt'|'srt'|'timestamped'|'text'} format - Detected transcript format
+ * @property {Cue[]} cues - Parsed cues (empty for plain text)
+ */
+
+/**
+ * Timestamp: `HH:MM:SS.mmm`, `MM:SS`, SRT `HH:MM:SS,mmm`, optionally in brackets
+ * @type {RegExp}
+ */
+const TIMESTAMP_PATTERN = /^\[?(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?\]?$/;
+
+/**
+ * Cue timing line: `<start> --> <end> [settings]`
+ * @type {RegExp}
+ */
+const TIMING_LINE_PATTERN = /^(\S+)\s+-->\s+(\S+)(?:\s+(.*))?$/;
+
+/**
+ * Timestamped text line: `[00:01:02] text` or `00:01:02 text`
+ * @type {RegExp}
+ */
+const TIMESTAMPED_LINE_PATTERN = /^(?:\[((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\]\s*|((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)(?:\s+|$))(.*)$/;
+
+/**
+ * WebVTT blocks that do not contain cues
+ * @type {RegExp}
+ */
+const NON_CUE_BLOCK_PATTERN = /^(?:WEBVTT|NOTE|STYLE|REGION)(?:\s|$)/;
+
+/**
+ * Voice tag with optional classes: `<v Name>` or `<v.loud Name>`
+ * @type {RegExp}
+ */
+const VOICE_TAG_PATTERN = /<v(?:\.[^\s>]+)?\s+([^>]+)>/;
+
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&nbsp;': ' ',
+    '&lrm;': '',
+    '&rlm;': ''
+};
+
+/**
+ * Parse a timestamp to seconds
+ * @param {string} value - Timestamp (`HH:MM:SS.mmm`, `HH:MM:SS,mmm`, `MM:SS`, `[HH:MM:SS]`)
+ * @returns {number|null} Seconds with millisecond precision, or null if invalid
+ */
+export function parseTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    const match = String(value).trim().match(TIMESTAMP_PATTERN);
+    if (!match) return null;
+
+    const [, hours, minutes, seconds, millis] = match;
+    if (Number(seconds) >= 60 || (hours !== undefined && Number(minutes) >= 60)) {
+        return null;
+    }
+
+    const totalMs = (Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000
+        + (millis ? Number(millis.padEnd(3, '0')) : 0);
+    return totalMs / 1000;
+}
+
+/**
+ * Format seconds as a timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {Object} [options]
+ * @param {boolean} [options.milliseconds=true] - Include milliseconds (`HH:MM:SS.mmm`)
+ * @returns {string} Timestamp
+ */
+export function formatTimestamp(seconds, { milliseconds = true } = {}) {
+    const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const base = [hours, minutes, secs].map(n => String(n).padStart(2, '0')).join(':');
+    return milliseconds ? `${base}.${String(totalMs % 1000).padStart(3, '0')}` : base;
+}
+
+/**
+ * Parse a cue timing line
+ * @param {string} line - Trimmed line
+ * @returns {{startSeconds: number, endSeconds: number, settings: Object<string, string>}|null}
+ */
+function parseTimingLine(line) {
+    const match = line.match(TIMING_LINE_PATTERN);
+    if (!match) return null;
+
+    const startSeconds = parseTimestamp(match[1]);
+    const endSeconds = parseTimestamp(match[2]);
+    if (startSeconds === null || endSeconds === null) return null;
+
+    const settings = {};
+    for (const setting of (match[3] || '').split(/\s+/).filter(Boolean)) {
+        const separator = setting.indexOf(':');
+        if (separator > 0) {
+            settings[setting.substring(0, separator)] = setting.substring(separator + 1);
+        }
+    }
+
+    return { startSeconds, endSeconds, settings };
+}
+
+/**
+ * Extract the speaker and plain text from a cue payload
+ * @param {string[]} lines - Payload lines
+ * @returns {{speaker: string|null, text: string}}
+ */
+function parsePayload(lines) {
+    const payload = lines.join(' ');
+    const voice = payload.match(VOICE_TAG_PATTERN);
+
+    const text = payload
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, entity => HTML_ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return { speaker: voice ? voice[1].trim() : null, text };
+}
+
+/**
+ * Build a cue record
+ * @param {number} index - Cue position
+ * @param {Object} fields - Cue fields
+ * @returns {Cue}
+ */
+function createCue(index, { id = null, startSeconds, endSeconds, settings = {}, lines }) {
+    const { speaker, text } = parsePayload(lines);
+    return {
+        index,
+        id,
+        start: formatTimestamp(startSeconds),
+        end: formatTimestamp(endSeconds),
+        startSeconds,
+        endSeconds,
+        speaker,
+        text,
+        settings
+    };
+}
+
+/**
+ * Parse WebVTT or SRT content (cues with `-->` timing lines)
+ * @param {string[]} lines - Content lines
+ * @returns {Cue[]}
+ */
+function parseTimedCues(lines) {
+    const cues = [];
+    let current = null;
+    let skippingBlock = false;
+    let pendingId = null;
+
+    const flush = () => {
+        if (current) {
+            const cue = createCue(cues.length, current);
+            if (cue.text) cues.push(cue);
+        }
+        current = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (!line) {
+            flush();
+            skippingBlock = false;
+            pendingId = null;
+            continue;
+        }
+        if (skippingBlock) continue;
+
+        const timing = parseTimingLine(line);
+        if (timing) {
+            flush();
+            current = { id: pendingId, ...timing, lines: [] };
+            pendingId = null;
+            continue;
+        }
+
+        if (current) {
+            current.lines.push(line);
+        } else if (NON_CUE_BLOCK_PATTERN.test(line)) {
+            skippingBlock = true;
+        } else if (parseTimingLine(lines[i + 1]?.trim() || '')) {
+            // Cue identifier (VTT) or index (SRT)
+            pendingId = line;
+        }
+    }
+    flush();
+
+    return cues;
+}
+
+/**
+ * Parse text whose lines start with timestamps
+ * A cue ends where the next one starts; untimed lines before the first
+ * timestamp are kept with the first cue.
+ * @param {string[]} lines - Content lines
+ * @returns {Cue[]}
+ */
+function parseTimestampedLines(lines) {
+    const entries = [];
+    const leading = [];
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const match = line.match(TIMESTAMPED_LINE_PATTERN);
+        const startSeconds = match ? parseTimestamp(match[1] || match[2]) : null;
+        if (startSeconds !== null) {
+            entries.push({ startSeconds, lines: match[3] ? [match[3]] : [] });
+        } else if (entries.length > 0) {
+            entries[entries.length - 1].lines.push(line);
+        } else {
+            leading.push(line);
+        }
+    }
+
+    if (entries.length > 0 && leading.length > 0) {
+        entries[0].lines.unshift(...leading);
+    }
+
+    const cues = [];
+    entries.forEach((entry, i) => {
+        const next = entries[i + 1];
+        const endSeconds = next ? Math.max(next.startSeconds, entry.startSeconds) : entry.startSeconds;
+        const cue = createCue(cues.length, { ...entry, endSeconds });
+        if (cue.text) cues.push(cue);
+    });
+
+    return cues;
+}
+
+/**
+ * Parse a transcript into cues
+ * @param {string} content - Transcript content (WebVTT, SRT, timestamped or plain text)
+ * @returns {CueParseResult}
+ */
+export function parseCues(content) {
+    const lines = String(content ?? '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const firstLine = lines.find(line => line.trim())?.trim() || '';
+
+    if (lines.some(line => parseTimingLine(line.trim()))) {
+        const cues = parseTimedCues(lines);
+        return { format: firstLine.startsWith('WEBVTT') ? 'vtt' : 'srt', cues };
+    }
+
+    const cues = parseTimestampedLines(lines);
+    return cues.length > 0 ? { format: 'timestamped', cues } : { format: 'text', cues: [] };
+}
+
+/**
+ * Render cues as compact timestamped text (`[HH:MM:SS] Speaker: text`)
+ * @param {Cue[]} cues - Cues to render
+ * @returns {string}
+ */
+export function cuesToText(cues) {
+    return cues
+        .map(cue => {
+            const timestamp = formatTimestamp(cue.startSeconds, { milliseconds: false });
+            return `[${timestamp}] ${cue.speaker ? `${cue.speaker}: ` : ''}${cue.text}`;
+        })
+        .join('\n');
+}
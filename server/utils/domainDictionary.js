@@ -0,0 +1,296 @@
+/**
+ * Domain Dictionary
+ *
+ * User-managed list of canonical terms (product names, jargon) with the
+ * variants speech recognition produces for them:
+ * - Deterministic pre-pass replacing known variants before analysis
+ *   (longest variant first; Latin variants only match whole words,
+ *   case-insensitively; other variants must start a word but may be
+ *   followed by a particle; timing lines are left untouched)
+ * - Prompt section listing the canonical spellings for the LLM corrector
+ * - Entries stored in the `dictionary_terms` table and cached in memory
+ *   for synchronous use while preprocessing
+ *
+ * @module domainDictionary
+ */
+
+/**
+ * Dictionary limits
+ * @type {Object}
+ */
+export const DICTIONARY_DEFAULT_CONFIG = {
+    maxTermLength: 100, // 용어/변형 최대 길이
+    maxVariants: 30, // 용어당 최대 변형 수
+    maxPromptTerms: 200 // 교정 프롬프트에 넣는 최대 용어 수
+};
+
+/**
+ * Dictionary entry
+ * @typedef {Object} DictionaryEntry
+ * @property {number} [id] - Row id
+ * @property {string} term - Canonical spelling
+ * @property {string[]} variants - Misrecognized spellings replaced by the term
+ * @property {string|null} note - Description shown to the corrector
+ */
+
+/**
+ * Dictionary matches in a text
+ * @typedef {Object} DictionaryStats
+ * @property {number} totalMatches - Replaced variants
+ * @property {Array<{term: string, count: number, variants: Object<string, number>}>} terms - Matches per term
+ */
+
+/**
+ * Variant replaced by the dictionary
+ * @typedef {Object} DictionaryReplacement
+ * @property {number} start - Start offset in the input text
+ * @property {number} end - End offset in the input text (exclusive)
+ * @property {string} original - Matched variant
+ * @property {string} term - Canonical term written in its place
+ */
+
+/**
+ * VTT/SRT timing line (`00:00:01.000 --> 00:00:04.000`)
+ * @type {RegExp}
+ */
+const TIMING_LINE_PATTERN = /-->/;
+
+const LATIN_WORD_CHAR = /[A-Za-z0-9_]/;
+
+/**
+ * Validate and clean a dictionary entry
+ * @param {Object} input - Entry from a request
+ * @param {Object} [config] - Overrides for DICTIONARY_DEFAULT_CONFIG
+ * @returns {{entry: DictionaryEntry}|{error: string}}
+ */
+export function normalizeDictionaryEntry(input, config = {}) {
+    const { maxTermLength, maxVariants } = { ...DICTIONARY_DEFAULT_CONFIG, ...config };
+    const term = typeof input?.term === 'string' ? input.term.trim() : '';
+    if (!term) return { error: 'term required' };
+    if (term.length > maxTermLength) return { error: `term must be at most ${maxTermLength} characters` };
+
+    if (input.variants !== undefined && !Array.isArray(input.variants)) {
+        return { error: 'variants must be an array of strings' };
+    }
+
+    const variants = [];
+    for (const value of input.variants || []) {
+        if (typeof value !== 'string') return { error: 'variants must be an array of strings' };
+        const variant = value.trim();
+        if (variant.length > maxTermLength) return { error: `variants must be at most ${maxTermLength} characters` };
+        // 용어와 같은 표기는 교체할 필요 없음 (대소문자만 다른 변형은 유지)
+        if (!variant || variant === term || variants.includes(variant)) continue;
+        variants.push(variant);
+    }
+    if (variants.length > maxVariants) return { error: `at most ${maxVariants} variants per term` };
+
+    const note = typeof input.note === 'string' && input.note.trim() ? input.note.trim() : null;
+    return { entry: { term, variants, note } };
+}
+
+/**
+ * Regex source for a variant
+ * Latin edges match whole words only. Other variants (e.g. Hangul) must
+ * start after the start of text, whitespace or punctuation, but may be
+ * followed by anything since particles attach on the right ("뷰를").
+ * @param {string} variant - Variant spelling
+ * @returns {string}
+ */
+function variantPattern(variant) {
+    const escaped = variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const before = LATIN_WORD_CHAR.test(variant[0]) ? '(?<![A-Za-z0-9_])' : '(?<![\\p{L}\\p{N}_])';
+    const after = LATIN_WORD_CHAR.test(variant[variant.length - 1]) ? '(?![A-Za-z0-9_])' : '';
+    return `${before}${escaped}${after}`;
+}
+
+/**
+ * Replace known variants with their canonical terms
+ * @param {string} text - Transcript text
+ * @param {DictionaryEntry[]} entries - Dictionary entries
+ * @returns {{text: string, stats: DictionaryStats, replacements: DictionaryReplacement[]}}
+ *   Text, matches per term and each replacement's range in the input text
+ */
+export function applyDictionary(text, entries) {
+    const stats = { totalMatches: 0, terms: [] };
+    const replacements = [];
+    const variants = [];
+    for (const entry of entries || []) {
+        for (const variant of entry.variants) variants.push({ variant, term: entry.term });
+    }
+    if (!text || variants.length === 0) return { text, stats, replacements };
+
+    // 긴 변형부터 시도 ("리엑트 네이티브"가 "리엑트"보다 먼저)
+    variants.sort((a, b) => b.variant.length - a.variant.length);
+    const lookupKey = (value) => value.replace(/\s+/g, ' ').toLowerCase();
+    const termByVariant = new Map(variants.map(v => [lookupKey(v.variant), v.term]));
+    const pattern = new RegExp(variants.map(v => variantPattern(v.variant)).join('|'), 'giu');
+
+    const counts = new Map();
+    // lineStart: 입력 텍스트에서 줄의 시작 위치 (교체 위치 기록용)
+    const replaceLine = (line, lineStart) => line.replace(pattern, (match, index) => {
+        const term = termByVariant.get(lookupKey(match));
+        if (!term || match === term) return match;
+
+        if (!counts.has(term)) counts.set(term, {});
+        const byVariant = counts.get(term);
+        byVariant[match] = (byVariant[match] || 0) + 1;
+        stats.totalMatches++;
+        replacements.push({ start: lineStart + index, end: lineStart + index + match.length, original: match, term });
+        return term;
+    });
+
+    let lineStart = 0;
+    const result = text
+        .split('\n')
+        .map(line => {
+            const replaced = TIMING_LINE_PATTERN.test(line) ? line : replaceLine(line, lineStart);
+            lineStart += line.length + 1;
+            return replaced;
+        })
+        .join('\n');
+
+    stats.terms = [...counts.entries()].map(([term, byVariant]) => ({
+        term,
+        count: Object.values(byVariant).reduce((sum, n) => sum + n, 0),
+        variants: byVariant
+    }));
+    return { text: result, stats, replacements };
+}
+
+/**
+ * Dictionary section for the correction prompt
+ * @param {DictionaryEntry[]} entries - Dictionary entries
+ * @param {Object} [config] - Overrides for DICTIONARY_DEFAULT_CONFIG
+ * @returns {string} Prompt lines (empty without entries)
+ */
+export function formatDictionaryForPrompt(entries, config = {}) {
+    const { maxPromptTerms } = { ...DICTIONARY_DEFAULT_CONFIG, ...config };
+    return (entries || []).slice(0, maxPromptTerms).map(entry => {
+        const details = [
+            entry.variants.length > 0 && `잘못된 표기: ${entry.variants.join(', ')}`,
+            entry.note
+        ].filter(Boolean);
+        return `- ${entry.term}${details.length > 0 ? ` (${details.join(' / ')})` : ''}`;
+    }).join('\n');
+}
+
+/**
+ * Dictionary entries backed by the `dictionary_terms` table
+ */
+export class DomainDictionary {
+    /**
+     * @param {{run: Function, all: Function}} db - Promise-based database helpers
+     */
+    constructor(db) {
+        this.db = db;
+        /** @type {DictionaryEntry[]} */
+        this.entries = [];
+    }
+
+    /**
+     * Load every entry into the cache
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const rows = await this.db.all(`SELECT * FROM dictionary_terms ORDER BY term`);
+        this.entries = rows.map(toEntry);
+    }
+
+    /**
+     * Cached entries
+     * @returns {DictionaryEntry[]}
+     */
+    list() {
+        return this.entries;
+    }
+
+    /**
+     * Add an entry
+     * @param {Object} input - Entry from a request
+     * @returns {Promise<{entry: DictionaryEntry}|{error: string}>}
+     */
+    async add(input) {
+        const { entry, error } = this.validate(input, null);
+        if (error) return { error };
+
+        const result = await this.db.run(
+            `INSERT INTO dictionary_terms (term, variants, note) VALUES (?, ?, ?)`,
+            [entry.term, JSON.stringify(entry.variants), entry.note]
+        );
+        await this.load();
+        return { entry: this.entries.find(e => e.id === result.lastID) || entry };
+    }
+
+    /**
+     * Replace an entry
+     * @param {number} id - Entry id
+     * @param {Object} input - Entry from a request
+     * @returns {Promise<{entry: DictionaryEntry}|{error: string}|null>} Null when the entry does not exist
+     */
+    async update(id, input) {
+        if (!this.entries.some(e => e.id === id)) return null;
+
+        const { entry, error } = this.validate(input, id);
+        if (error) return { error };
+
+        await this.db.run(
+            `UPDATE dictionary_terms SET term = ?, variants = ?, note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [entry.term, JSON.stringify(entry.variants), entry.note, id]
+        );
+        await this.load();
+        return { entry: this.entries.find(e => e.id === id) };
+    }
+
+    /**
+     * Delete an entry
+     * @param {number} id - Entry id
+     * @returns {Promise<boolean>} Whether an entry was deleted
+     */
+    async remove(id) {
+        const result = await this.db.run(`DELETE FROM dictionary_terms WHERE id = ?`, [id]);
+        await this.load();
+        return (result?.changes || 0) > 0;
+    }
+
+    /**
+     * Validate an entry against the other entries
+     * A variant may belong to one term only, and no variant may be another
+     * entry's term.
+     * @param {Object} input - Entry from a request
+     * @param {number|null} id - Id of the entry being replaced
+     * @returns {{entry: DictionaryEntry}|{error: string}}
+     */
+    validate(input, id) {
+        const result = normalizeDictionaryEntry(input);
+        if (result.error) return result;
+
+        const { term, variants } = result.entry;
+        const key = (value) => value.toLowerCase();
+        for (const other of this.entries) {
+            if (other.id === id) continue;
+            if (key(other.term) === key(term)) return { error: `Term already exists: ${other.term}` };
+
+            const claimed = variants.find(v => key(v) === key(other.term) || other.variants.some(o => key(o) === key(v)));
+            if (claimed) return { error: `Variant "${claimed}" already belongs to ${other.term}` };
+            if (other.variants.some(o => key(o) === key(term))) {
+                return { error: `${term} is listed as a variant of ${other.term}` };
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Map a `dictionary_terms` row to an entry
+ * @param {Object} row - Database row
+ * @returns {DictionaryEntry}
+ */
+function toEntry(row) {
+    let variants = [];
+    try {
+        variants = JSON.parse(row.variants || '[]');
+    } catch (e) {
+        variants = [];
+    }
+    return { id: row.id, term: row.term, variants, note: row.note ?? null };
+}
@@ -0,0 +1,118 @@
+/**
+ * Transcript Language Detection
+ *
+ * Detects the spoken language of a transcript from the scripts its cue
+ * text is written in, and resolves the language the notes are written in:
+ * - Hangul → ko, Kana (with Han) → ja, Han without Kana → zh, Latin → en
+ * - Latin letters count about a third, so English terms in Korean or Japanese
+ *   lectures do not outweigh the lecture language
+ * - The output language defaults to Korean; `source` follows the lecture
+ *
+ * @module languageDetector
+ */
+
+import { parseCues } from './cueParser.js';
+
+/**
+ * Supported languages
+ * @type {Object<string, string>}
+ */
+export const LANGUAGE = {
+    KO: 'ko',
+    EN: 'en',
+    JA: 'ja',
+    ZH: 'zh'
+};
+
+/**
+ * Language names used in prompts
+ * @type {Object<string, string>}
+ */
+export const LANGUAGE_NAMES = {
+    ko: '한국어',
+    en: '영어 (English)',
+    ja: '일본어 (日本語)',
+    zh: '중국어 (中文)'
+};
+
+/**
+ * Default language detection and output configuration
+ * @type {Object}
+ */
+export const LANGUAGE_DEFAULT_CONFIG = {
+    defaultTarget: LANGUAGE.KO, // 설정이 없을 때 노트 언어
+    sampleLength: 20000, // 검사할 최대 글자 수 (대본 앞부분)
+    latinWeight: 0.35, // 라틴 문자 1자의 비중 (한글 음절/한자 1자 ≈ 라틴 문자 3자)
+    kanaShare: 0.05 // 가나 비율이 이 이상이면 한자를 일본어로 계산
+};
+
+/**
+ * Lecture language settings stored with a lecture
+ * @typedef {Object} LectureLanguage
+ * @property {string|null} source - Detected transcript language (null when undetectable)
+ * @property {string} target - Language the notes are written in
+ * @property {boolean} bilingual - Key terms and glossary keep the original-language term
+ */
+
+const SCRIPT_PATTERNS = {
+    hangul: /[\uAC00-\uD7A3\u3131-\u318E]/g,
+    kana: /[\u3040-\u30FF]/g,
+    han: /[\u4E00-\u9FFF]/g,
+    latin: /[A-Za-z\u00C0-\u024F]/g
+};
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Detect the language of a transcript
+ * @param {string} transcript - Transcript (VTT/SRT/timestamped text or plain text)
+ * @param {Object} [config] - Overrides for LANGUAGE_DEFAULT_CONFIG
+ * @returns {{language: string|null, confidence: number}} Detected language and the
+ *   weighted share of its script (0-1), or null without any letters
+ */
+export function detectLanguage(transcript, config = {}) {
+    const cfg = { ...LANGUAGE_DEFAULT_CONFIG, ...config };
+    const sample = String(transcript || '').slice(0, cfg.sampleLength);
+    const { cues } = parseCues(sample);
+    const text = cues.length > 0 ? cues.map(cue => cue.text).join('\n') : sample;
+
+    const hangul = countMatches(text, SCRIPT_PATTERNS.hangul);
+    const kana = countMatches(text, SCRIPT_PATTERNS.kana);
+    const han = countMatches(text, SCRIPT_PATTERNS.han);
+    const latin = countMatches(text, SCRIPT_PATTERNS.latin) * cfg.latinWeight;
+
+    const total = hangul + kana + han + latin;
+    if (total === 0) return { language: null, confidence: 0 };
+
+    // 가나가 섞여 있으면 한자도 일본어로 계산
+    const japanese = kana / total >= cfg.kanaShare;
+    const scores = {
+        [LANGUAGE.KO]: hangul,
+        [LANGUAGE.JA]: japanese ? kana + han : kana,
+        [LANGUAGE.ZH]: japanese ? 0 : han,
+        [LANGUAGE.EN]: latin
+    };
+
+    const [language, score] = Object.entries(scores).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    return { language, confidence: Math.round((score / total) * 100) / 100 };
+}
+
+/**
+ * Resolve the requested output language settings of a lecture
+ * @param {Object} [options]
+ * @param {string} [options.targetLanguage] - One of LANGUAGE, or `source` to write in the
+ *   lecture's language (default: LANGUAGE_DEFAULT_CONFIG.defaultTarget)
+ * @param {boolean} [options.bilingual=false] - Keep original-language terms next to translations
+ * @param {string|null} sourceLanguage - Detected transcript language
+ * @returns {{language?: LectureLanguage, error?: string}}
+ */
+export function resolveOutputLanguage({ targetLanguage, bilingual = false } = {}, sourceLanguage) {
+    let target = targetLanguage || LANGUAGE_DEFAULT_CONFIG.defaultTarget;
+    if (target === 'source') target = sourceLanguage || LANGUAGE_DEFAULT_CONFIG.defaultTarget;
+
+    if (!LANGUAGE_NAMES[target]) {
+        return { error: `targetLanguage must be one of: ${[...Object.values(LANGUAGE), 'source'].join(', ')}` };
+    }
+
+    return { language: { source: sourceLanguage || null, target, bilingual: Boolean(bilingual) } };
+}
@@ -6,23 +6,29 @@
  * - Mishearing correction (speech-to-text errors)
  * - Technical terminology normalization
  * - Preserves timestamps and structure
+ * - Corrections located by their surrounding context and applied at
+ *   character offsets; overlapping corrections keep the earliest (then
+ *   longest) one, and corrections that cannot be applied are reported
+ * - Segments longer than `maxSegmentLength` are corrected in parts
  *
  * @module llmCorrector
  */
 
 import { Type } from "@google/genai";
+import { formatDictionaryForPrompt } from './domainDictionary.js';
 
 /**
  * Correction configuration
  * @typedef {Object} CorrectionConfig
  * @property {boolean} [enabled=true] - Whether LLM correction is enabled
  * @property {number} [batchSize=3] - Number of segments to process in parallel
- * @property {number} [maxSegmentLength=5000] - Maximum segment length for processing
+ * @property {number} [maxSegmentLength=5000] - Maximum text length per request (longer segments are split)
  * @property {boolean} [preserveTimestamps=true] - Preserve timestamp patterns
  * @property {boolean} [correctTechnicalTerms=true] - Correct technical terminology
  * @property {boolean} [correctMishearings=true] - Correct speech-to-text errors
  * @property {boolean} [semanticFactCheck=true] - Perform semantic fact checking to correct wrong information
  * @property {string} [language='ko'] - Primary language of content
+ * @property {Array<import('./domainDictionary.js').DictionaryEntry>} [dictionary=[]] - Canonical terms to enforce
  */
 
 /**
@@ -30,11 +36,40 @@ import { Type } from "@google/genai";
  * @typedef {Object} CorrectionResult
  * @property {string} originalText - Original input text
  * @property {string} correctedText - Corrected output text
- * @property {Array<Object>} corrections - List of corrections made
+ * @property {Array<AppliedCorrection>} corrections - List of corrections made
+ * @property {Array<UnresolvedCorrection>} unresolved - Corrections that could not be applied
  * @property {boolean} success - Whether correction succeeded
  * @property {string} [error] - Error message if failed
  */
 
+/**
+ * Correction applied at a position in the segment
+ * @typedef {Object} AppliedCorrection
+ * @property {string} original - Replaced text as found in the segment
+ * @property {string} corrected - Replacement text
+ * @property {string} reason - Reason given by the model
+ * @property {number} start - Start offset in the original segment
+ * @property {number} end - End offset (exclusive)
+ */
+
+/**
+ * Correction that was not applied
+ * @typedef {Object} UnresolvedCorrection
+ * @property {string} original - Text the model asked to replace
+ * @property {string} corrected - Replacement text
+ * @property {string} reason - Reason given by the model
+ * @property {'not_found'|'overlap'} cause - Why it was not applied
+ */
+
+/**
+ * Why a correction was not applied
+ * @type {Object<string, string>}
+ */
+export const UNRESOLVED_CAUSE = {
+    NOT_FOUND: 'not_found', // 원문에서 찾을 수 없음
+    OVERLAP: 'overlap' // 앞선 교정과 범위가 겹침
+};
+
 /**
  * Default correction configuration
  * @type {CorrectionConfig}
@@ -47,7 +82,8 @@ const DEFAULT_CONFIG = {
     correctTechnicalTerms: true,
     correctMishearings: true,
     semanticFactCheck: true,
-    language: 'ko'
+    language: 'ko',
+    dictionary: []
 };
 
 /**
@@ -78,6 +114,8 @@ const CORRECTION_SCHEMA = {
                 type: Type.OBJECT,
                 properties: {
                     original: { type: Type.STRING, description: "원본 텍스트 (수정할 부분만)" },
+                    before: { type: Type.STRING, description: "original 바로 앞의 원문 (위치 식별용)" },
+                    after: { type: Type.STRING, description: "original 바로 뒤의 원문 (위치 식별용)" },
                     corrected: { type: Type.STRING, description: "교정된 텍스트" },
                     reason: { type: Type.STRING, description: "교정 이유" }
                 },
@@ -105,6 +143,11 @@ function buildCorrectionPrompt(text, config) {
         instructions.push("- 전문용어 표기를 통일하세요.");
     }
 
+    const dictionary = formatDictionaryForPrompt(config.dictionary);
+    if (dictionary) {
+        instructions.push("- 아래 용어 사전의 용어는 반드시 사전의 표기로 쓰세요. 괄호 안의 잘못된 표기나 비슷하게 들리는 말도 사전 표기로 교정하세요.");
+    }
+
     return `다음 텍스트를 교정하세요.
 전체 텍스트를 반환하지 말고, **수정이 필요한 부분만** JSON 리스트로 반환하세요.
 수정할 곳이 없으면 빈 리스트를 반환하세요.
@@ -112,16 +155,205 @@ function buildCorrectionPrompt(text, config) {
 ## 규칙
 ${instructions.join('\n')}
 - 'original'은 원본 텍스트에서 **유일하게 식별 가능한** 구절이어야 합니다.
-
+- 'before'/'after'에는 original 바로 앞/뒤의 원문을 10~20자 그대로 적으세요. 같은 구절이 여러 번 나올 때 위치를 찾는 데 씁니다.
+- 교정은 텍스트에 나오는 순서대로 나열하세요.
+${dictionary ? `\n## 용어 사전\n${dictionary}\n` : ''}
 ## 텍스트:
 ${text}
 
 ## 응답 형식
-JSON: { "corrections": [ { "original": "...", "corrected": "...", "reason": "..." } ] }`;
+JSON: { "corrections": [ { "original": "...", "before": "...", "after": "...", "corrected": "...", "reason": "..." } ] }`;
+}
+
+/**
+ * Split text into contiguous parts of at most `maxLength` characters
+ * Parts end at a line break, a sentence end or a space when one falls in
+ * the second half of the window, so concatenating them gives the text back.
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum part length
+ * @returns {Array<{text: string, offset: number}>} Parts with their offset in the text
+ */
+export function splitForCorrection(text, maxLength) {
+    const parts = [];
+    let offset = 0;
+
+    while (text.length - offset > maxLength) {
+        const window = text.slice(offset, offset + maxLength);
+        let length = maxLength;
+        for (const separator of ['\n', '. ', ' ']) {
+            const index = window.lastIndexOf(separator);
+            if (index + separator.length >= maxLength / 2) {
+                length = index + separator.length;
+                break;
+            }
+        }
+        parts.push({ text: window.slice(0, length), offset });
+        offset += length;
+    }
+
+    parts.push({ text: text.slice(offset), offset });
+    return parts;
+}
+
+/**
+ * Length of the common suffix of two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function commonSuffixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+    return length;
+}
+
+/**
+ * Length of the common prefix of two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function commonPrefixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) length++;
+    return length;
+}
+
+/**
+ * Occurrences of a phrase, ignoring differences in whitespace
+ * @param {string} text - Text to search
+ * @param {string} phrase - Phrase to find
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findLooseOccurrences(text, phrase) {
+    const words = phrase.trim().split(/\s+/).filter(Boolean);
+    if (words.length < 2) return [];
+
+    const pattern = new RegExp(words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'g');
+    return [...text.matchAll(pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+/**
+ * Find the position of a proposed correction in the text
+ * Among several occurrences the one whose surrounding text best matches the
+ * model's `before`/`after` context wins; on a tie, the first occurrence after
+ * the previous correction (the model lists corrections in text order).
+ * @param {string} text - Text the model corrected
+ * @param {{original: string, before?: string, after?: string}} correction - Proposed correction
+ * @param {number} cursor - End of the previously located correction
+ * @returns {{start: number, end: number}|null} Span, or null when the text does not contain it
+ */
+function locateOccurrence(text, { original, before = '', after = '' }, cursor) {
+    let spans = [];
+    for (let i = text.indexOf(original); i !== -1; i = text.indexOf(original, i + 1)) {
+        spans.push({ start: i, end: i + original.length });
+    }
+    // 띄어쓰기만 다르게 옮겨 적은 경우
+    if (spans.length === 0) spans = findLooseOccurrences(text, original);
+    if (spans.length <= 1) return spans[0] || null;
+
+    let best = null;
+    for (const span of spans) {
+        const score = commonSuffixLength(text.slice(Math.max(0, span.start - before.length), span.start), before)
+            + commonPrefixLength(text.slice(span.end, span.end + after.length), after);
+        const better = !best || score > best.score || (score === best.score && best.span.start < cursor && span.start >= cursor);
+        if (better) best = { span, score };
+    }
+    return best.span;
+}
+
+/**
+ * Locate proposed corrections in the text and resolve overlaps
+ * Overlapping corrections keep the one that starts first, then the longer
+ * one, then the one the model listed first.
+ * @param {string} text - Text the model corrected
+ * @param {Array<Object>} proposed - Corrections returned by the model
+ * @returns {{corrections: AppliedCorrection[], unresolved: UnresolvedCorrection[]}} Applicable corrections
+ *   ordered by offset, and the ones that cannot be applied
+ */
+export function locateCorrections(text, proposed) {
+    const candidates = [];
+    const unresolved = [];
+    let cursor = 0;
+
+    proposed.forEach((correction, order) => {
+        if (!correction?.original || typeof correction.corrected !== 'string' || correction.original === correction.corrected) return;
+        const reason = correction.reason || '';
+
+        const span = locateOccurrence(text, correction, cursor);
+        if (!span) {
+            unresolved.push({ original: correction.original, corrected: correction.corrected, reason, cause: UNRESOLVED_CAUSE.NOT_FOUND });
+            return;
+        }
+
+        candidates.push({ original: text.slice(span.start, span.end), corrected: correction.corrected, reason, ...span, order });
+        cursor = span.end;
+    });
+
+    candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.order - b.order);
+
+    const corrections = [];
+    for (const { order, ...candidate } of candidates) {
+        const previous = corrections[corrections.length - 1];
+        if (previous && candidate.start < previous.end) {
+            unresolved.push({ original: candidate.original, corrected: candidate.corrected, reason: candidate.reason, cause: UNRESOLVED_CAUSE.OVERLAP });
+            continue;
+        }
+        corrections.push(candidate);
+    }
+
+    return { corrections, unresolved };
+}
+
+/**
+ * Apply located corrections to the text
+ * @param {string} text - Original text
+ * @param {AppliedCorrection[]} corrections - Non-overlapping corrections ordered by offset
+ * @returns {string} Corrected text
+ */
+export function applyAtOffsets(text, corrections) {
+    let result = '';
+    let cursor = 0;
+    for (const correction of corrections) {
+        result += text.slice(cursor, correction.start) + correction.corrected;
+        cursor = correction.end;
+    }
+    return result + text.slice(cursor);
+}
+
+/**
+ * Ask the model for corrections of one part of a segment
+ * @param {string} text - Text to correct
+ * @param {Object} aiProvider - AI provider instance
+ * @param {CorrectionConfig} cfg - Correction configuration
+ * @returns {Promise<{corrections: Array<Object>}|{error: string}>} Proposed corrections
+ */
+async function requestCorrections(text, aiProvider, cfg) {
+    try {
+        const response = await aiProvider.generateContent({
+            prompt: buildCorrectionPrompt(text, cfg),
+            schema: CORRECTION_SCHEMA,
+            systemPrompt: CORRECTION_SYSTEM_PROMPT,
+            temperature: 0.3, // Lower temperature for more consistent corrections
+            stage: 'correction'
+        });
+
+        if (!response.success) {
+            console.warn('LLM correction failed:', response.error);
+            return { error: response.error };
+        }
+        return { corrections: response.data?.corrections || [] };
+    } catch (error) {
+        console.error('LLM correction error:', error.message);
+        return { error: error.message };
+    }
 }
 
 /**
  * Correct a single text segment using LLM
+ * Segments longer than `maxSegmentLength` are split into parts that are
+ * corrected separately; corrections are reported with offsets in the
+ * whole segment.
  * @param {string} segment - Text segment to correct
  * @param {Object} aiProvider - AI provider instance
  * @param {CorrectionConfig} config - Correction configuration
@@ -135,6 +367,7 @@ export async function correctWithLLM(segment, aiProvider, config = {}) {
             originalText: segment,
             correctedText: segment,
             corrections: [],
+            unresolved: [],
             success: true,
             skipped: true
         };
@@ -145,76 +378,49 @@ export async function correctWithLLM(segment, aiProvider, config = {}) {
             originalText: segment,
             correctedText: segment,
             corrections: [],
+            unresolved: [],
             success: true
         };
     }
 
-    // Truncate if too long
-    const textToProcess = segment.length > cfg.maxSegmentLength
-        ? segment.substring(0, cfg.maxSegmentLength)
-        : segment;
-
-    try {
-        const prompt = buildCorrectionPrompt(textToProcess, cfg);
+    const parts = splitForCorrection(segment, cfg.maxSegmentLength);
+    const corrections = [];
+    const unresolved = [];
+    const errors = [];
 
-        const response = await aiProvider.generateContent({
-            prompt,
-            schema: CORRECTION_SCHEMA,
-            systemPrompt: CORRECTION_SYSTEM_PROMPT,
-            temperature: 0.3 // Lower temperature for more consistent corrections
-        });
-
-        if (!response.success) {
-            console.warn('LLM correction failed:', response.error);
-            return {
-                originalText: segment,
-                correctedText: segment,
-                corrections: [],
-                success: false,
-                error: response.error
-            };
+    for (const part of parts) {
+        const response = await requestCorrections(part.text, aiProvider, cfg);
+        if (response.error !== undefined) {
+            errors.push(response.error);
+            continue;
         }
 
-        const result = response.data;
-        const correctionsList = result.corrections || [];
-
-        // Reconstruct text by applying corrections
-        let finalText = textToProcess;
-        let validCorrections = [];
-
-        for (const correction of correctionsList) {
-            if (correction.original && correction.corrected) {
-                // 단순 replace는 위험할 수 있으나, 프롬프트에서 '유일하게 식별 가능한 구절'을 요청했으므로 시도
-                if (finalText.includes(correction.original)) {
-                    finalText = finalText.replace(correction.original, correction.corrected);
-                    validCorrections.push(correction);
-                }
-            }
-        }
-
-        // If segment was truncated, append the rest
-        if (segment.length > cfg.maxSegmentLength) {
-            finalText += segment.substring(cfg.maxSegmentLength);
-        }
-
-        return {
-            originalText: segment,
-            correctedText: finalText,
-            corrections: validCorrections,
-            confidence: 1.0, // Calculated confidence is gone with this method
-            success: true
-        };
+        const located = locateCorrections(part.text, response.corrections);
+        corrections.push(...located.corrections.map(c => ({ ...c, start: c.start + part.offset, end: c.end + part.offset })));
+        unresolved.push(...located.unresolved);
+    }
 
-    } catch (error) {
-        console.error('LLM correction error:', error.message);
+    if (errors.length === parts.length) {
         return {
             originalText: segment,
             correctedText: segment,
             corrections: [],
+            unresolved: [],
             success: false,
-            error: error.message
+            error: errors[0]
         };
     }
+
+    return {
+        originalText: segment,
+        correctedText: applyAtOffsets(segment, corrections),
+        corrections,
+        unresolved,
+        confidence: 1.0, // Calculated confidence is gone with this method
+        success: true,
+        // 일부 구간만 실패하면 나머지 교정은 유지하고 실패를 기록
+        ...(errors.length > 0 && { error: `${errors.length}/${parts.length} parts failed: ${errors[0]}` })
+    };
 }
 
 /**
@@ -311,6 +517,7 @@ export function getCorrectionStats(results) {
         failedCorrections: 0,
         skippedCorrections: 0,
         totalCorrectionsApplied: 0,
+        unresolvedCorrections: 0, // 위치를 찾지 못했거나 다른 교정과 겹쳐 적용하지 않은 교정
         correctionsByType: {
             typo: 0,
             mishearing: 0,
@@ -329,6 +536,7 @@ export function getCorrectionStats(results) {
         } else if (result.success) {
             stats.successfulCorrections++;
             stats.totalCorrectionsApplied += result.corrections.length;
+            stats.unresolvedCorrections += (result.unresolved || []).length;
 
             // Count by type
             for (const correction of result.corrections) {
@@ -0,0 +1,194 @@
+/**
+ * Deep Dive Note Quality Gate
+ *
+ * Checks a chapter deep dive result against the rules the prompt and
+ * CHAPTER_DEEP_DIVE_SCHEMA ask for:
+ * - Narrative of at least 1500 characters
+ * - 2-4 `##` sections, each with a blockquote and a timestamp
+ * - 6-10 entries in quotesWithTimeline
+ * - 평서형 endings (~한다/~이다) instead of 경어체 (~합니다/~입니다)
+ *
+ * Violations are phrased so they can be sent back to the model as repair
+ * instructions and shown in the UI as they are.
+ *
+ * @module noteQuality
+ */
+
+/**
+ * Quality rules
+ * @type {Object<string, string>}
+ */
+export const QUALITY_RULE = {
+    NARRATIVE_LENGTH: 'narrative_length',
+    SECTION_COUNT: 'section_count',
+    SECTION_QUOTES: 'section_quotes',
+    QUOTE_COUNT: 'quote_count',
+    POLITE_ENDINGS: 'polite_endings'
+};
+
+/**
+ * Default quality gate configuration
+ * @type {Object}
+ */
+export const QUALITY_DEFAULT_CONFIG = {
+    minNarrativeLength: 1500,
+    minSections: 2,
+    maxSections: 4,
+    minQuotes: 6,
+    maxQuotes: 10,
+    maxPoliteSentences: 0,
+    maxRepairs: 2, // 위반 사항을 알려주고 다시 생성하는 최대 횟수
+    // 규칙별 점수 비중 (합계 100)
+    weights: {
+        narrative_length: 30,
+        section_count: 20,
+        section_quotes: 20,
+        quote_count: 15,
+        polite_endings: 15
+    }
+};
+
+/**
+ * Rule violation
+ * @typedef {Object} QualityViolation
+ * @property {string} rule - One of QUALITY_RULE
+ * @property {string} message - Instruction describing the problem
+ */
+
+/**
+ * Quality report stored with a chapter
+ * @typedef {Object} QualityReport
+ * @property {number} score - 0-100, weighted share of passed rules
+ * @property {boolean} passed - Every rule passed
+ * @property {QualityViolation[]} violations - Failed rules
+ * @property {{narrativeLength: number, sectionCount: number, sectionsWithoutQuote: number, quoteCount: number, politeSentences: number}} metrics
+ * @property {number} attempts - Generations made (1 + repairs)
+ */
+
+const TIMESTAMP = /\[\d{1,2}:\d{2}(?::\d{2})?\]/;
+const POLITE_ENDING = /(?:니다|세요|에요|예요|해요|어요|아요)$/;
+
+/**
+ * Split a narrative into its `##` sections (`###` headings stay inside a section)
+ * @param {string} narrative - Markdown narrative
+ * @returns {Array<{title: string, body: string}>}
+ */
+export function splitSections(narrative) {
+    const text = String(narrative || '');
+    const headings = [...text.matchAll(/^##(?!#)\s*(.*)$/gm)];
+    return headings.map((match, idx) => {
+        const bodyStart = match.index + match[0].length;
+        const bodyEnd = idx + 1 < headings.length ? headings[idx + 1].index : text.length;
+        return { title: match[1].trim(), body: text.slice(bodyStart, bodyEnd) };
+    });
+}
+
+/**
+ * Whether a section quotes the lecturer with a timestamp
+ * @param {string} body - Section body
+ * @returns {boolean}
+ */
+function hasTimestampedQuote(body) {
+    return /^\s*>/m.test(body) && TIMESTAMP.test(body);
+}
+
+/**
+ * Sentences written in 경어체 instead of 평서형
+ * Headings, blockquotes and quoted speech are skipped because they
+ * reproduce the lecturer's own words.
+ * @param {string} narrative - Markdown narrative
+ * @returns {string[]} Offending sentences
+ */
+export function findPoliteSentences(narrative) {
+    const sentences = [];
+    for (const rawLine of String(narrative || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('>') || line.startsWith('#')) continue;
+
+        const prose = line.replace(/"[^"]*"|“[^”]*”/g, '');
+        for (const sentence of prose.split(/(?<=[.!?])\s+/)) {
+            const ending = sentence.replace(/[\s.!?*_)\]]+$/, '');
+            if (POLITE_ENDING.test(ending)) sentences.push(sentence.trim());
+        }
+    }
+    return sentences;
+}
+
+/**
+ * Score a deep dive result against the quality rules
+ * @param {Object} result - Deep dive data (narrative, quotesWithTimeline, ...)
+ * @param {Object} [config] - Overrides for QUALITY_DEFAULT_CONFIG
+ * @returns {Omit<QualityReport, 'attempts'>}
+ */
+export function evaluateDeepDive(result, config = {}) {
+    const cfg = { ...QUALITY_DEFAULT_CONFIG, ...config };
+    const narrative = typeof result?.narrative === 'string' ? result.narrative.trim() : '';
+    const sections = splitSections(narrative);
+    const sectionsWithoutQuote = sections.filter(s => !hasTimestampedQuote(s.body));
+    const quoteCount = Array.isArray(result?.quotesWithTimeline) ? result.quotesWithTimeline.length : 0;
+    const politeSentences = findPoliteSentences(narrative);
+
+    const violations = [];
+    if (narrative.length < cfg.minNarrativeLength) {
+        violations.push({
+            rule: QUALITY_RULE.NARRATIVE_LENGTH,
+            message: `narrative가 ${narrative.length}자로 너무 짧다. 최소 ${cfg.minNarrativeLength}자 이상으로 작성해야 한다.`
+        });
+    }
+    if (sections.length < cfg.minSections || sections.length > cfg.maxSections) {
+        violations.push({
+            rule: QUALITY_RULE.SECTION_COUNT,
+            message: `## 소제목이 ${sections.length}개다. ${cfg.minSections}~${cfg.maxSections}개의 ## 소제목으로 나눠야 한다.`
+        });
+    }
+    if (sections.length > 0 && sectionsWithoutQuote.length > 0) {
+        violations.push({
+            rule: QUALITY_RULE.SECTION_QUOTES,
+            message: `인용문(> "발언" [MM:SS])이 없는 섹션이 있다: ${sectionsWithoutQuote.map(s => `"${s.title}"`).join(', ')}`
+        });
+    }
+    if (quoteCount < cfg.minQuotes || quoteCount > cfg.maxQuotes) {
+        violations.push({
+            rule: QUALITY_RULE.QUOTE_COUNT,
+            message: `quotesWithTimeline이 ${quoteCount}개다. ${cfg.minQuotes}~${cfg.maxQuotes}개여야 한다.`
+        });
+    }
+    if (politeSentences.length > cfg.maxPoliteSentences) {
+        violations.push({
+            rule: QUALITY_RULE.POLITE_ENDINGS,
+            message: `경어체 문장이 ${politeSentences.length}개 있다 (예: "${politeSentences[0]}"). 모두 평서형(~한다/~이다)으로 바꿔야 한다.`
+        });
+    }
+
+    const failed = new Set(violations.map(v => v.rule));
+    const score = Object.entries(cfg.weights)
+        .reduce((sum, [rule, weight]) => sum + (failed.has(rule) ? 0 : weight), 0);
+
+    return {
+        score,
+        passed: violations.length === 0,
+        violations,
+        metrics: {
+            narrativeLength: narrative.length,
+            sectionCount: sections.length,
+            sectionsWithoutQuote: sectionsWithoutQuote.length,
+            quoteCount,
+            politeSentences: politeSentences.length
+        }
+    };
+}
+
+/**
+ * Parse a stored quality report
+ * @param {string|null} json - `chapters.quality` column
+ * @returns {QualityReport|null} Report, or null for chapters never checked
+ */
+export function parseQualityReport(json) {
+    if (!json) return null;
+    try {
+        const parsed = JSON.parse(json);
+        return parsed && typeof parsed.score === 'number' ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
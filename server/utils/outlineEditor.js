@@ -0,0 +1,90 @@
+/**
+ * Lecture Outline Editor
+ *
+ * Handles the chapter outline produced by chapter extraction when the
+ * lecture waits for review (`outline_ready`) before the deep dive:
+ * - Normalizes outlines edited in the UI
+ * - Maps chapter rows to outline entries with summary, key topics and duration
+ *
+ * @module outlineEditor
+ */
+
+import { parseTimestamp } from './cueParser.js';
+
+/**
+ * Outline chapter
+ * @typedef {Object} OutlineChapter
+ * @property {string} title - Chapter title
+ * @property {string} startTime - Start label (empty without timestamps)
+ * @property {string} endTime - End label
+ * @property {string} summary - 2-3 sentence summary
+ * @property {string[]} keyTopics - Key topics
+ */
+
+const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Normalize an outline submitted by the client
+ * @param {unknown} chapters - Submitted chapter list
+ * @returns {{chapters: OutlineChapter[], errors: string[]}} Normalized chapters, or errors
+ *   describing the invalid entries
+ */
+export function normalizeOutline(chapters) {
+    if (!Array.isArray(chapters) || chapters.length === 0) {
+        return { chapters: [], errors: ['chapters must be a non-empty array'] };
+    }
+
+    const errors = [];
+    const normalized = chapters.map((chapter, idx) => {
+        const title = asString(chapter?.title);
+        if (!title) errors.push(`chapters[${idx}].title is required`);
+
+        const startTime = asString(chapter?.startTime);
+        const endTime = asString(chapter?.endTime);
+        if (startTime && parseTimestamp(startTime) === null) errors.push(`chapters[${idx}].startTime is not a timestamp`);
+        if (endTime && parseTimestamp(endTime) === null) errors.push(`chapters[${idx}].endTime is not a timestamp`);
+
+        const keyTopics = Array.isArray(chapter?.keyTopics)
+            ? chapter.keyTopics.map(asString).filter(Boolean)
+            : [];
+
+        return { title, startTime, endTime, summary: asString(chapter?.summary), keyTopics };
+    });
+
+    return errors.length > 0 ? { chapters: [], errors } : { chapters: normalized, errors };
+}
+
+/**
+ * Chapter length in minutes
+ * @param {string} startTime - Start label
+ * @param {string} endTime - End label
+ * @returns {number|null} Minutes rounded to one decimal, or null without a valid range
+ */
+export function chapterDurationMinutes(startTime, endTime) {
+    const start = parseTimestamp(startTime);
+    const end = parseTimestamp(endTime);
+    if (start === null || end === null || end <= start) return null;
+    return Math.round((end - start) / 6) / 10;
+}
+
+/**
+ * Outline fields of a chapter row
+ * @param {{start_time?: string, end_time?: string, summary?: string, key_topics?: string}} row - `chapters` row
+ * @returns {{startTime: string, endTime: string, summary: string, keyTopics: string[], duration: number|null}}
+ */
+export function outlineFieldsFromRow(row) {
+    let keyTopics = [];
+    try {
+        keyTopics = row.key_topics ? JSON.parse(row.key_topics) : [];
+    } catch (e) {
+        keyTopics = [];
+    }
+
+    return {
+        startTime: row.start_time || '',
+        endTime: row.end_time || '',
+        summary: row.summary || '',
+        keyTopics,
+        duration: chapterDurationMinutes(row.start_time, row.end_time)
+    };
+}
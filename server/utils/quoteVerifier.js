@@ -0,0 +1,268 @@
+/**
+ * Quote Provenance Verifier
+ *
+ * Checks the quotes of a chapter deep dive against the chapter's transcript
+ * slice:
+ * - `quotesWithTimeline` entries and `> "..." [MM:SS]` quotes in the narrative
+ * - Fuzzy matching that ignores spacing, punctuation and common Korean particles
+ * - Timestamps corrected to the start of the cue where the quote was found
+ * - Quotes without a match are flagged (kept as written)
+ *
+ * @module quoteVerifier
+ */
+
+import { parseCues, parseTimestamp, formatTimestamp } from './cueParser.js';
+
+/**
+ * Quote verification status
+ * @type {Object<string, string>}
+ */
+export const QUOTE_STATUS = {
+    VERIFIED: 'verified',
+    UNMATCHED: 'unmatched'
+};
+
+/**
+ * Default verifier configuration
+ * @type {Object}
+ */
+export const VERIFIER_DEFAULT_CONFIG = {
+    matchThreshold: 0.75, // 글자 bigram Dice 유사도 (0-1)
+    minQuoteLength: 4, // 정규화 후 이보다 짧은 인용은 정확히 포함될 때만 인정
+    timestampToleranceSeconds: 1 // 이 이상 차이 나면 타임스탬프 보정
+};
+
+/**
+ * Verified quote
+ * @typedef {Object} QuoteCheck
+ * @property {'timeline'|'narrative'} source - Where the quote appears
+ * @property {number} index - Position within its source
+ * @property {string} quote - Quote text
+ * @property {string} status - One of QUOTE_STATUS
+ * @property {number} similarity - Best similarity found (0-1, two decimals)
+ * @property {string|null} timestamp - Timestamp given by the model
+ * @property {string|null} matchedTimestamp - Start of the matching cue
+ * @property {boolean} corrected - The timestamp was replaced with matchedTimestamp
+ */
+
+/**
+ * Provenance report stored with a chapter
+ * @typedef {Object} ProvenanceReport
+ * @property {QuoteCheck[]} quotes - Every checked quote
+ * @property {number} verifiedCount - Quotes found in the transcript
+ * @property {number} unmatchedCount - Quotes not found
+ * @property {number} correctedCount - Timestamps corrected
+ */
+
+// 조사는 긴 것부터 검사 (예: "에서는"이 "는"보다 먼저)
+const PARTICLES = [
+    '에서는', '으로는', '이라고', '에서', '으로', '라고', '이랑', '까지', '부터', '처럼', '보다',
+    '은', '는', '이', '가', '을', '를', '에', '의', '도', '로', '와', '과', '만'
+];
+
+const NARRATIVE_QUOTE_PATTERN = /^(>\s*["“])(.+?)(["”]\s*\[)((?:\d+:)?\d{1,2}:\d{2})(\])/gm;
+
+/**
+ * Strip one trailing particle from a word
+ * @param {string} word - Word without punctuation
+ * @returns {string}
+ */
+function stripParticle(word) {
+    const particle = PARTICLES.find(p => word.length > p.length && word.endsWith(p));
+    return particle ? word.slice(0, -particle.length) : word;
+}
+
+/**
+ * Normalize text for fuzzy matching: lower case, no punctuation, particles
+ * stripped and spaces removed
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export function normalizeForMatch(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(stripParticle)
+        .join('');
+}
+
+/**
+ * Count character bigrams
+ * @param {string} text - Normalized text
+ * @returns {Map<string, number>}
+ */
+function bigramCounts(text) {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Find the transcript window that best matches a normalized quote
+ * Slides a quote-sized window over the normalized transcript and keeps the
+ * window with the highest bigram Dice similarity.
+ * @param {string} quote - Normalized quote
+ * @param {string} haystack - Normalized transcript
+ * @returns {{similarity: number, position: number}}
+ */
+function findBestWindow(quote, haystack) {
+    const exact = haystack.indexOf(quote);
+    if (exact !== -1) return { similarity: 1, position: exact };
+    if (quote.length < 2 || haystack.length < 2) return { similarity: 0, position: -1 };
+
+    const size = Math.min(quote.length, haystack.length);
+    const target = bigramCounts(quote);
+    const window = new Map();
+    let overlap = 0;
+
+    const add = (bigram) => {
+        const count = (window.get(bigram) || 0) + 1;
+        window.set(bigram, count);
+        if (count <= (target.get(bigram) || 0)) overlap++;
+    };
+    const remove = (bigram) => {
+        const count = window.get(bigram);
+        if (count <= (target.get(bigram) || 0)) overlap--;
+        window.set(bigram, count - 1);
+    };
+
+    for (let i = 0; i < size - 1; i++) add(haystack.slice(i, i + 2));
+
+    const denominator = (quote.length - 1) + (size - 1);
+    let best = { similarity: (2 * overlap) / denominator, position: 0 };
+
+    for (let start = 1; start + size <= haystack.length; start++) {
+        remove(haystack.slice(start - 1, start + 1));
+        add(haystack.slice(start + size - 2, start + size));
+        const similarity = (2 * overlap) / denominator;
+        if (similarity > best.similarity) best = { similarity, position: start };
+    }
+
+    return best;
+}
+
+/**
+ * Build the normalized transcript with the cue of every character
+ * @param {string} slice - Chapter transcript slice
+ * @returns {{text: string, cueAt: Array<number|null>}} Normalized text and cue start
+ *   seconds per character (null for transcripts without timestamps)
+ */
+function buildHaystack(slice) {
+    const { cues } = parseCues(slice);
+    if (cues.length === 0) {
+        const text = normalizeForMatch(slice);
+        return { text, cueAt: new Array(text.length).fill(null) };
+    }
+
+    let text = '';
+    const cueAt = [];
+    for (const cue of cues) {
+        const normalized = normalizeForMatch(cue.text);
+        text += normalized;
+        for (let i = 0; i < normalized.length; i++) cueAt.push(cue.startSeconds);
+    }
+    return { text, cueAt };
+}
+
+/**
+ * Format a corrected time in the style of the original timestamp
+ * (`MM:SS` stays `MM:SS` unless the time passes an hour)
+ * @param {number} seconds - Corrected time
+ * @param {string|null} original - Timestamp given by the model
+ * @returns {string}
+ */
+function formatLike(seconds, original) {
+    const full = formatTimestamp(seconds, { milliseconds: false });
+    const shortForm = original && String(original).split(':').length === 2 && seconds < 3600;
+    return shortForm ? full.slice(3) : full;
+}
+
+/**
+ * Check one quote against the transcript
+ * @param {string} quote - Quote text
+ * @param {string|null} timestamp - Timestamp given by the model
+ * @param {{text: string, cueAt: Array<number|null>}} haystack - Normalized transcript
+ * @param {Object} cfg - Verifier configuration
+ * @returns {Omit<QuoteCheck, 'source'|'index'|'quote'>}
+ */
+function checkQuote(quote, timestamp, haystack, cfg) {
+    const normalized = normalizeForMatch(quote);
+    const { similarity, position } = normalized.length < cfg.minQuoteLength
+        ? { similarity: normalized && haystack.text.includes(normalized) ? 1 : 0, position: haystack.text.indexOf(normalized) }
+        : findBestWindow(normalized, haystack.text);
+
+    const rounded = Math.round(similarity * 100) / 100;
+    if (similarity < cfg.matchThreshold || position < 0) {
+        return { status: QUOTE_STATUS.UNMATCHED, similarity: rounded, timestamp, matchedTimestamp: null, corrected: false };
+    }
+
+    const cueStart = haystack.cueAt[position] ?? null;
+    if (cueStart === null) {
+        return { status: QUOTE_STATUS.VERIFIED, similarity: rounded, timestamp, matchedTimestamp: null, corrected: false };
+    }
+
+    const matchedTimestamp = formatLike(cueStart, timestamp);
+    const given = parseTimestamp(timestamp);
+    const corrected = given === null || Math.abs(given - cueStart) >= cfg.timestampToleranceSeconds;
+    return { status: QUOTE_STATUS.VERIFIED, similarity: rounded, timestamp, matchedTimestamp, corrected };
+}
+
+/**
+ * Verify the quotes of a deep dive result against its transcript slice
+ * @param {Object} result - Deep dive data (narrative, quotesWithTimeline, ...)
+ * @param {string} slice - Chapter transcript slice the note was written from
+ * @param {Object} [config] - Overrides for VERIFIER_DEFAULT_CONFIG
+ * @returns {{result: Object, report: ProvenanceReport}} Result with corrected
+ *   timestamps, and the provenance report
+ */
+export function verifyQuotes(result, slice, config = {}) {
+    const cfg = { ...VERIFIER_DEFAULT_CONFIG, ...config };
+    const haystack = buildHaystack(slice);
+    const checks = [];
+
+    const quotesWithTimeline = Array.isArray(result?.quotesWithTimeline)
+        ? result.quotesWithTimeline.map((item, index) => {
+            const check = checkQuote(item?.quote, item?.timestamp ?? null, haystack, cfg);
+            checks.push({ source: 'timeline', index, quote: item?.quote || '', ...check });
+            return check.corrected ? { ...item, timestamp: check.matchedTimestamp } : item;
+        })
+        : result?.quotesWithTimeline;
+
+    let narrativeIndex = 0;
+    const narrative = typeof result?.narrative === 'string'
+        ? result.narrative.replace(NARRATIVE_QUOTE_PATTERN, (match, open, quote, close, timestamp, end) => {
+            const check = checkQuote(quote, timestamp, haystack, cfg);
+            checks.push({ source: 'narrative', index: narrativeIndex++, quote, ...check });
+            return check.corrected ? `${open}${quote}${close}${check.matchedTimestamp}${end}` : match;
+        })
+        : result?.narrative;
+
+    const report = {
+        quotes: checks,
+        verifiedCount: checks.filter(c => c.status === QUOTE_STATUS.VERIFIED).length,
+        unmatchedCount: checks.filter(c => c.status === QUOTE_STATUS.UNMATCHED).length,
+        correctedCount: checks.filter(c => c.corrected).length
+    };
+
+    return { result: { ...result, narrative, quotesWithTimeline }, report };
+}
+
+/**
+ * Parse a stored provenance report
+ * @param {string|null} json - `chapters.provenance` column
+ * @returns {ProvenanceReport|null} Report, or null for chapters never verified
+ */
+export function parseProvenance(json) {
+    if (!json) return null;
+    try {
+        const parsed = JSON.parse(json);
+        return parsed && Array.isArray(parsed.quotes) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Speaker Detector for Lecture Transcripts
+ *
+ * Builds the speaker list of a lecture:
+ * 1. WebVTT voice tags (`<v Name>`, parsed by cueParser)
+ * 2. `Name: text` line prefixes that recur in the transcript
+ *
+ * Also provides the rename/merge operations on a stored speaker list and
+ * the matching rewrite of speaker names in chapter notes.
+ *
+ * @module speakerDetector
+ */
+
+import { parseCues } from './cueParser.js';
+
+/**
+ * Lecture speaker
+ * @typedef {Object} Speaker
+ * @property {string} id - Stable speaker ID (`spk_1`, ...)
+ * @property {string} name - Display name
+ * @property {string[]} aliases - Labels used for this speaker in the transcript
+ * @property {number} cueCount - Number of cues attributed to the speaker
+ * @property {'voice'|'prefix'} source - How the speaker was detected
+ */
+
+/**
+ * `Name: text` prefix (up to three words, at most 30 characters)
+ * @type {RegExp}
+ */
+const SPEAKER_PREFIX_PATTERN = /^([\p{L}][\p{L}\p{N}.'_-]*(?: [\p{L}\p{N}][\p{L}\p{N}.'_-]*){0,2}):\s+(\S.*)$/u;
+
+const MAX_LABEL_LENGTH = 30;
+
+/**
+ * Default detection options
+ * @type {{minPrefixOccurrences: number}}
+ */
+const DEFAULT_OPTIONS = {
+    // A one-off "Note: ..." line is prose, not a speaker turn
+    minPrefixOccurrences: 2
+};
+
+/**
+ * Split a `Name: text` prefix from a line
+ * @param {string} text - Cue or line text
+ * @returns {{label: string, text: string}|null}
+ */
+export function matchSpeakerPrefix(text) {
+    const match = String(text ?? '').match(SPEAKER_PREFIX_PATTERN);
+    if (!match || match[1].length > MAX_LABEL_LENGTH) return null;
+    return { label: match[1], text: match[2] };
+}
+
+/**
+ * Detect speakers in cues (or untimed `{ text }` entries)
+ * @param {Array<{text: string, speaker?: string|null}>} entries - Parsed cues or lines
+ * @param {Object} [options]
+ * @param {number} [options.minPrefixOccurrences=2] - Occurrences required to accept a prefix label
+ * @returns {{speakers: Speaker[], entries: Array<Object>}} Speakers in order of appearance and
+ *   entries annotated with `speaker` (prefix removed from text)
+ */
+export function detectSpeakers(entries, options = {}) {
+    const { minPrefixOccurrences } = { ...DEFAULT_OPTIONS, ...options };
+
+    const prefixCounts = new Map();
+    for (const entry of entries) {
+        if (entry.speaker) continue;
+        const prefix = matchSpeakerPrefix(entry.text);
+        if (prefix) prefixCounts.set(prefix.label, (prefixCounts.get(prefix.label) || 0) + 1);
+    }
+
+    const speakersByLabel = new Map();
+    const annotated = entries.map(entry => {
+        let label = entry.speaker || null;
+        let text = entry.text;
+        let source = 'voice';
+
+        if (!label) {
+            const prefix = matchSpeakerPrefix(entry.text);
+            if (prefix && prefixCounts.get(prefix.label) >= minPrefixOccurrences) {
+                label = prefix.label;
+                text = prefix.text;
+                source = 'prefix';
+            }
+        }
+
+        if (label) {
+            const speaker = speakersByLabel.get(label) || {
+                id: `spk_${speakersByLabel.size + 1}`,
+                name: label,
+                aliases: [label],
+                cueCount: 0,
+                source
+            };
+            speaker.cueCount++;
+            speakersByLabel.set(label, speaker);
+        }
+
+        return { ...entry, speaker: label, text };
+    });
+
+    return { speakers: [...speakersByLabel.values()], entries: annotated };
+}
+
+/**
+ * Detect the speakers of a transcript in any supported format
+ * @param {string} transcript - Transcript (WebVTT, SRT, timestamped or plain text)
+ * @param {Object} [options] - See detectSpeakers
+ * @returns {Speaker[]}
+ */
+export function detectTranscriptSpeakers(transcript, options = {}) {
+    const { cues } = parseCues(transcript);
+    const entries = cues.length > 0
+        ? cues
+        : String(transcript ?? '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(text => ({ text }));
+
+    return detectSpeakers(entries, options).speakers;
+}
+
+/**
+ * Rename a speaker
+ * @param {Speaker[]} speakers - Current speaker list
+ * @param {string} speakerId - Speaker to rename
+ * @param {string} name - New display name
+ * @returns {{speakers: Speaker[], nameMap: Object<string, string>}|null} Updated list and
+ *   old → new display names, or null if the speaker does not exist
+ */
+export function renameSpeaker(speakers, speakerId, name) {
+    const target = speakers.find(s => s.id === speakerId);
+    if (!target) return null;
+
+    const newName = name.trim();
+    return {
+        speakers: speakers.map(s => (s.id === speakerId ? { ...s, name: newName } : s)),
+        nameMap: target.name === newName ? {} : { [target.name]: newName }
+    };
+}
+
+/**
+ * Merge speakers into a target speaker
+ * The target keeps its name and collects the aliases and cue counts of the sources.
+ * @param {Speaker[]} speakers - Current speaker list
+ * @param {string[]} sourceIds - Speakers to merge away
+ * @param {string} targetId - Speaker that remains
+ * @returns {{speakers: Speaker[], nameMap: Object<string, string>}|null} Updated list and
+ *   source → target display names, or null if a speaker does not exist
+ */
+export function mergeSpeakers(speakers, sourceIds, targetId) {
+    const target = speakers.find(s => s.id === targetId);
+    const ids = sourceIds.filter(id => id !== targetId);
+    const sources = ids.map(id => speakers.find(s => s.id === id));
+    if (!target || sources.some(s => !s)) return null;
+
+    const merged = {
+        ...target,
+        aliases: [...new Set([...target.aliases, ...sources.flatMap(s => s.aliases)])],
+        cueCount: target.cueCount + sources.reduce((sum, s) => sum + s.cueCount, 0)
+    };
+
+    const nameMap = {};
+    for (const source of sources) {
+        if (source.name !== target.name) nameMap[source.name] = target.name;
+    }
+
+    return {
+        speakers: speakers.filter(s => !ids.includes(s.id)).map(s => (s.id === targetId ? merged : s)),
+        nameMap
+    };
+}
+
+/**
+ * Rewrite quote speakers of a chapter note after a rename or merge
+ * @param {Object} note - Chapter note (deep dive data)
+ * @param {Object<string, string>} nameMap - Old → new display names
+ * @returns {{note: Object, changed: boolean}}
+ */
+export function applySpeakerNameMap(note, nameMap) {
+    if (!Array.isArray(note?.quotesWithTimeline)) return { note, changed: false };
+
+    let changed = false;
+    const quotesWithTimeline = note.quotesWithTimeline.map(quote => {
+        const renamed = quote?.speaker && nameMap[quote.speaker];
+        if (!renamed) return quote;
+        changed = true;
+        return { ...quote, speaker: renamed };
+    });
+
+    return { note: changed ? { ...note, quotesWithTimeline } : note, changed };
+}
@@ -7,6 +7,8 @@
  * 3. Control character removal (preserving newlines)
  * 4. BOM removal
  * 5. Unicode replacement character handling
+ * 6. Optional disfluency cleanup (Korean/English filler words and
+ *    stutter collapse; timestamps and timing lines are left untouched)
  *
  * @module textNormalizer
  */
@@ -22,6 +24,10 @@
  * @property {boolean} [trimLines=true] - Trim whitespace from each line
  * @property {boolean} [collapseBlankLines=true] - Collapse multiple blank lines
  * @property {number} [maxBlankLines=2] - Maximum consecutive blank lines allowed
+ * @property {boolean} [removeFillers=false] - Remove filler words (see FILLER_LEXICON)
+ * @property {string[]} [fillerLanguages=['ko','en']] - Lexicon languages to use (pass the transcript's language)
+ * @property {string[]} [extraFillers=[]] - Additional words always treated as fillers
+ * @property {boolean} [collapseRepeatedWords=false] - Collapse stuttered words (doubled fillers or runs of 3+, emphasis words kept)
  */
 
 /**
@@ -45,9 +51,48 @@ const DEFAULT_CONFIG = {
     handleReplacementChar: true,
     trimLines: true,
     collapseBlankLines: true,
-    maxBlankLines: 2
+    maxBlankLines: 2,
+    removeFillers: false,
+    fillerLanguages: ['ko', 'en'],
+    extraFillers: [],
+    collapseRepeatedWords: false
 };
 
+/**
+ * Disfluency lexicon per language
+ * - `always`: interjections removed wherever they stand alone as a word
+ *   (a trailing repeat of the last letter is allowed: 음음, umm)
+ * - `hesitation`: words with a normal meaning ("그 사람", "이제 시작") that
+ *   are only removed when followed by a comma or ellipsis. English discourse
+ *   markers (like, well, you know) are left out: "as well, but" and
+ *   "I like, such as" read the same way.
+ * - `emphasis`: words repeated on purpose ("매우 매우", "no no no") that are
+ *   never collapsed as stutters
+ * @type {Object<string, {always: string[], hesitation: string[], emphasis: string[]}>}
+ */
+const FILLER_LEXICON = {
+    ko: {
+        always: ['음', '으음', '어', '아', '에', '흠', '엄'],
+        hesitation: ['그', '이제', '뭐', '뭐지', '뭐랄까', '약간', '그러니까', '그니까', '막'],
+        emphasis: ['매우', '아주', '정말', '진짜', '너무', '참', '많이', '더', '꼭', '잘', '계속', '자꾸', '점점',
+            '빨리', '천천히', '조금', '하나', '따로', '아니', '네', '예']
+    },
+    en: {
+        always: ['um', 'uh', 'uhm', 'erm', 'er', 'hmm'],
+        hesitation: [],
+        emphasis: ['very', 'really', 'so', 'much', 'more', 'many', 'far', 'long', 'again', 'no', 'yes', 'go', 'bye']
+    }
+};
+
+/**
+ * VTT/SRT timing line (`00:00:01.000 --> 00:00:04.000`)
+ * @type {RegExp}
+ */
+const TIMING_LINE_PATTERN = /-->/;
+
+// 필러 뒤에 붙을 수 있는 쉼표/말줄임표
+const HESITATION_MARK = '(?:,|…|\\.{2,})';
+
 /**
  * Remove UTF-8 BOM (Byte Order Mark) from text
  * @param {string} text - Input text
@@ -139,6 +184,110 @@ function normalizeWhitespace(text) {
     return { text: result, count };
 }
 
+/**
+ * Escape a word for use in a regex, allowing any whitespace between words
+ * @param {string} word - Lexicon word
+ * @returns {string} Regex source
+ */
+function wordPattern(word) {
+    return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+}
+
+/**
+ * Apply a replacement to every line except timing lines
+ * @param {string} text - Input text
+ * @param {Function} replaceLine - Line transform
+ * @returns {string} Transformed text
+ */
+function mapContentLines(text, replaceLine) {
+    return text
+        .split('\n')
+        .map(line => (TIMING_LINE_PATTERN.test(line) ? line : replaceLine(line)))
+        .join('\n');
+}
+
+/**
+ * Remove filler words
+ * Fillers only match as whole words; the spaces left behind are collapsed.
+ * @param {string} text - Input text
+ * @param {Object} [options] - Filler options
+ * @param {string[]} [options.languages=['ko','en']] - Lexicon languages
+ * @param {string[]} [options.extraFillers=[]] - Additional always-removed words
+ * @returns {Object} Result with text, count and counts per filler
+ */
+function removeFillerWords(text, { languages = ['ko', 'en'], extraFillers = [] } = {}) {
+    let count = 0;
+    const counts = {};
+
+    const always = [...extraFillers];
+    const hesitation = [];
+    for (const language of languages) {
+        const lexicon = FILLER_LEXICON[language];
+        if (!lexicon) continue;
+        always.push(...lexicon.always);
+        hesitation.push(...lexicon.hesitation);
+    }
+
+    const alternatives = [
+        // 끝 글자 반복 허용 (음음, umm), 뒤 쉼표/말줄임표는 함께 제거
+        ...always.filter(Boolean).map(word => `${wordPattern(word)}${wordPattern(word.slice(-1))}*${HESITATION_MARK}?`),
+        ...hesitation.filter(Boolean).map(word => `${wordPattern(word)}${HESITATION_MARK}`)
+    ];
+    if (!text || alternatives.length === 0) return { text, count, counts };
+
+    // 긴 표현부터 시도 ("그러니까"가 "그"보다 먼저)
+    alternatives.sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`(?<=^|\\s)(?:${alternatives.join('|')})(?=\\s|$)`, 'giu');
+
+    const result = mapContentLines(text, (line) => {
+        let removed = false;
+        const cleaned = line.replace(pattern, (match) => {
+            const key = match.replace(/(?:,|…|\.{2,})$/, '').replace(/\s+/g, ' ').toLowerCase();
+            counts[key] = (counts[key] || 0) + 1;
+            count++;
+            removed = true;
+            return '';
+        });
+        return removed ? cleaned.replace(/[^\S\n]{2,}/g, ' ').trim() : line;
+    });
+
+    return { text: result, count, counts };
+}
+
+/**
+ * Collapse stuttered words ("그 그 사람" -> "그 사람", "I I I think" -> "I think")
+ * Only filler/hesitation words of the given languages, or any word repeated
+ * three or more times, count as stutters: a single doubled word is often
+ * correct ("that that is", "had had enough"). The first occurrence is kept
+ * with its casing (and the punctuation of the last one). Emphasis words,
+ * words containing digits and timestamp placeholders are never collapsed.
+ * @param {string} text - Input text
+ * @param {Object} [options] - Collapse options
+ * @param {string[]} [options.languages=['ko','en']] - Lexicon languages for stutter and emphasis words
+ * @returns {Object} Result with text and count of words removed
+ */
+function collapseRepeatedWords(text, { languages = ['ko', 'en'] } = {}) {
+    let count = 0;
+    const lexicons = languages.map(language => FILLER_LEXICON[language]).filter(Boolean);
+    const emphasis = new Set(lexicons.flatMap(lexicon => lexicon.emphasis));
+    const fillers = new Set(lexicons.flatMap(lexicon => [...lexicon.always, ...lexicon.hesitation]).map(word => word.toLowerCase()));
+    const pattern = new RegExp(`(?<=^|\\s)(\\S+?)${HESITATION_MARK}?(?:[^\\S\\n]+\\1${HESITATION_MARK}?)+(?=\\s|$)`, 'giu');
+
+    const result = mapContentLines(text, (line) => line.replace(pattern, (match, word) => {
+        const key = word.toLowerCase().replace(/[.,!?…~]+$/, '');
+        if (/\d/.test(word) || word.includes('__TIMESTAMP_') || emphasis.has(key)) return match;
+
+        const words = match.split(/[^\S\n]+/);
+        // 두 번 반복은 필러/머뭇거림 단어만 (나머지는 정상 문장일 수 있음)
+        if (words.length < 3 && !fillers.has(key)) return match;
+
+        count += words.length - 1;
+        return word + words[words.length - 1].slice(word.length);
+    }));
+
+    return { text: result, count };
+}
+
 /**
  * Trim whitespace from each line
  * @param {string} text - Input text
@@ -246,7 +395,10 @@ export function normalizeText(text, config = {}) {
         replacementCharsHandled: 0,
         whitespaceNormalized: 0,
         blankLinesCollapsed: 0,
-        timestampsProtected: 0
+        timestampsProtected: 0,
+        fillersRemoved: 0,
+        fillerCounts: {},
+        repeatedWordsCollapsed: 0
     };
 
     const originalLength = text.length;
@@ -295,19 +447,35 @@ export function normalizeText(text, config = {}) {
         changeLog.whitespaceNormalized = whitespaceResult.count;
     }
 
-    // Step 8: Trim lines
+    // Step 8: Remove disfluencies (fillers first so "음 그 그" collapses too)
+    if (cfg.removeFillers) {
+        const fillerResult = removeFillerWords(result, {
+            languages: cfg.fillerLanguages,
+            extraFillers: cfg.extraFillers
+        });
+        result = fillerResult.text;
+        changeLog.fillersRemoved = fillerResult.count;
+        changeLog.fillerCounts = fillerResult.counts;
+    }
+    if (cfg.collapseRepeatedWords) {
+        const repeatResult = collapseRepeatedWords(result, { languages: cfg.fillerLanguages });
+        result = repeatResult.text;
+        changeLog.repeatedWordsCollapsed = repeatResult.count;
+    }
+
+    // Step 9: Trim lines
     if (cfg.trimLines) {
         result = trimLines(result);
     }
 
-    // Step 9: Collapse blank lines
+    // Step 10: Collapse blank lines
     if (cfg.collapseBlankLines) {
         const blankResult = collapseBlankLines(result, cfg.maxBlankLines);
         result = blankResult.text;
         changeLog.blankLinesCollapsed = blankResult.count;
     }
 
-    // Step 10: Restore timestamps
+    // Step 11: Restore timestamps
     if (timestampMap) {
         result = restoreTimestamps(result, timestampMap);
     }
@@ -355,5 +523,8 @@ export {
     normalizeLineEndings,
     protectTimestamps,
     restoreTimestamps,
-    DEFAULT_CONFIG
+    removeFillerWords,
+    collapseRepeatedWords,
+    DEFAULT_CONFIG,
+    FILLER_LEXICON
 };
@@ -0,0 +1,221 @@
+/**
+ * Transcript Segmenter
+ *
+ * Splits transcripts into analysis units using parsed cues:
+ * 1. Time-based segments (e.g. 30-minute windows, optionally overlapping) for chapter extraction
+ * 2. Chapter slices between two timestamps for deep dives
+ * 3. Character-count segments for transcripts without timestamps
+ * 4. Shortened slices for fallback models with a smaller input budget
+ *
+ * Segment and slice text is rendered from cues (`[HH:MM:SS] text`), so VTT
+ * timing lines, cue identifiers and markup never reach the model.
+ *
+ * @module transcriptSegmenter
+ */
+
+import { parseCues, parseTimestamp, cuesToText } from './cueParser.js';
+
+/**
+ * Transcript segment
+ * @typedef {Object} TranscriptSegment
+ * @property {number} segmentIndex - Segment position
+ * @property {string} startTime - Start label (`M:SS` / `H:MM:SS`, empty without timestamps)
+ * @property {string} endTime - End label
+ * @property {number} startSeconds - Start time in seconds
+ * @property {number} endSeconds - End time in seconds
+ * @property {string} [overlapStartTime] - Start label of the tail shared with the next segment (empty without overlap)
+ * @property {string} text - Segment text
+ * @property {import('./cueParser.js').Cue[]} [cues] - Cues in the segment
+ */
+
+/**
+ * Convert a time label to seconds (0 when missing or invalid)
+ * @param {string} timeStr - Time label (`HH:MM:SS`, `MM:SS`, with optional milliseconds)
+ * @returns {number} Seconds
+ */
+export function parseTime(timeStr) {
+    return parseTimestamp(timeStr) ?? 0;
+}
+
+/**
+ * Format seconds as `M:SS` or `H:MM:SS`
+ * @param {number} totalSeconds - Time in seconds
+ * @returns {string} Time label
+ */
+export function formatTime(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Split text without timestamps into segments at paragraph boundaries
+ * @param {string} transcript - Transcript text
+ * @param {number} [charsPerSegment=10000] - Maximum characters per segment
+ * @returns {TranscriptSegment[]}
+ */
+export function splitByCharCount(transcript, charsPerSegment = 10000) {
+    const paragraphs = transcript.split(/\n\s*\n/); // 빈 줄 기준 문단 분리
+    const segments = [];
+    let currentText = '';
+    let segmentIndex = 0;
+
+    const untimedSegment = (text) => ({
+        segmentIndex: segmentIndex++,
+        startTime: "",
+        endTime: "",
+        startSeconds: 0,
+        endSeconds: 0,
+        text
+    });
+
+    for (const para of paragraphs) {
+        const trimmedPara = para.trim();
+        if (!trimmedPara) continue;
+
+        // 현재 세그먼트에 추가했을 때 제한 초과하면 새 세그먼트 시작
+        if (currentText.length > 0 && (currentText.length + trimmedPara.length + 2) > charsPerSegment) {
+            segments.push(untimedSegment(currentText.trim()));
+            currentText = '';
+        }
+
+        currentText += (currentText ? '\n\n' : '') + trimmedPara;
+    }
+
+    // 마지막 세그먼트 추가
+    if (currentText.trim()) {
+        segments.push(untimedSegment(currentText.trim()));
+    }
+
+    // 세그먼트가 없으면 전체를 하나로
+    if (segments.length === 0) {
+        return [untimedSegment(transcript)];
+    }
+
+    return segments;
+}
+
+/**
+ * Split a transcript into fixed-length time segments
+ * Each cue belongs to the segment containing its start time; with an overlap,
+ * a segment also carries the first minutes of the next one so topics crossing
+ * the boundary are seen whole. Transcripts without timestamps fall back to
+ * character-count segments.
+ * @param {string} transcript - Transcript (WebVTT, SRT, timestamped or plain text)
+ * @param {number} [segmentMinutes=30] - Segment length in minutes
+ * @param {number} [charsPerSegment=10000] - Segment size for untimed text
+ * @param {Object} [options]
+ * @param {number} [options.overlapMinutes=0] - Minutes of the next segment appended to each segment
+ * @returns {TranscriptSegment[]}
+ */
+export function splitIntoSegments(transcript, segmentMinutes = 30, charsPerSegment = 10000, { overlapMinutes = 0 } = {}) {
+    const { cues } = parseCues(transcript);
+
+    if (cues.length === 0) {
+        // 타임스탬프가 없으면 문자 수 기준으로 분할
+        return splitByCharCount(transcript, charsPerSegment);
+    }
+
+    const segmentSeconds = segmentMinutes * 60;
+    const overlapSeconds = Math.max(0, overlapMinutes * 60);
+    const totalDuration = Math.max(...cues.map(cue => Math.max(cue.startSeconds, cue.endSeconds)));
+    const numSegments = Math.max(1, Math.ceil(totalDuration / segmentSeconds));
+
+    const buckets = Array.from({ length: numSegments }, () => []);
+    for (const cue of cues) {
+        const seg = Math.min(Math.floor(cue.startSeconds / segmentSeconds), numSegments - 1);
+        buckets[seg].push(cue);
+    }
+
+    const segments = [];
+    buckets.forEach((segmentCues, seg) => {
+        // 해당 시간대에 발화가 없으면 건너뜀
+        if (segmentCues.length === 0) return;
+
+        const segStartSec = seg * segmentSeconds;
+        const coreEndSec = Math.min((seg + 1) * segmentSeconds, totalDuration);
+
+        // 다음 세그먼트 앞부분을 겹쳐서 포함 (경계에 걸친 주제 보존)
+        const overlapCues = overlapSeconds > 0
+            ? buckets.slice(seg + 1).flat().filter(cue => cue.startSeconds < coreEndSec + overlapSeconds)
+            : [];
+        const windowCues = [...segmentCues, ...overlapCues];
+        const segEndSec = overlapCues.length > 0
+            ? Math.min(coreEndSec + overlapSeconds, totalDuration)
+            : coreEndSec;
+
+        segments.push({
+            segmentIndex: seg,
+            startTime: formatTime(segStartSec),
+            endTime: formatTime(segEndSec),
+            startSeconds: segStartSec,
+            endSeconds: segEndSec,
+            overlapStartTime: overlapCues.length > 0 ? formatTime(coreEndSec) : "",
+            text: cuesToText(windowCues),
+            cues: windowCues
+        });
+    });
+
+    return segments;
+}
+
+/**
+ * Extract the transcript between two timestamps
+ * Returns the cues overlapping the range plus a little preceding context.
+ * Transcripts without timestamps are returned unchanged.
+ * @param {string} text - Transcript
+ * @param {string} startStr - Range start (`HH:MM:SS`, `MM:SS`)
+ * @param {string} endStr - Range end; empty for "until the end"
+ * @param {Object} [options]
+ * @param {number} [options.contextCues=1] - Cues to include before the range
+ * @returns {string} Slice text (empty when no cue falls in the range)
+ */
+export function extractSlice(text, startStr, endStr, { contextCues = 1 } = {}) {
+    const { cues } = parseCues(text);
+    if (cues.length === 0) {
+        // 타임스탬프가 하나도 없으면 전체 반환 (상위 로직에서 처리)
+        return text;
+    }
+
+    const startSec = parseTime(startStr);
+    const endSec = parseTime(endStr);
+    const hasEnd = endSec > startSec;
+
+    const inRange = (cue) => {
+        const startsBeforeEnd = !hasEnd || cue.startSeconds < endSec;
+        const endsAfterStart = cue.endSeconds > startSec || cue.startSeconds >= startSec;
+        return startsBeforeEnd && endsAfterStart;
+    };
+
+    const first = cues.findIndex(inRange);
+    if (first === -1) return '';
+
+    let last = first;
+    while (last + 1 < cues.length && inRange(cues[last + 1])) last++;
+
+    return cuesToText(cues.slice(Math.max(0, first - contextCues), last + 1));
+}
+
+/**
+ * Shorten a slice to a share of its length
+ * Keeps evenly spaced lines so the whole chapter stays covered and kept
+ * lines stay verbatim (quotes can still be verified). A single long line
+ * is cut instead.
+ * @param {string} text - Slice text
+ * @param {number} ratio - Share to keep (0-1)
+ * @returns {string}
+ */
+export function shrinkSlice(text, ratio) {
+    if (!text || !(ratio > 0 && ratio < 1)) return text;
+
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length <= 1) return text.slice(0, Math.ceil(text.length * ratio));
+
+    // 누적 비율이 정수 경계를 넘는 줄만 유지 (첫 줄은 항상 유지)
+    return lines.filter((line, i) => Math.ceil((i + 1) * ratio) > Math.ceil(i * ratio)).join('\n');
+}
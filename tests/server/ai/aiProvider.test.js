@@ -3,10 +3,12 @@
  * @module tests/server/ai/aiProvider.test
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   AIProvider,
   GeminiProvider,
+  OpenAIProvider,
+  OPENAI_DEFAULT_BASE_URL,
   createAIProvider,
   getDefaultConfig,
   validateConfig,
@@ -54,6 +56,11 @@ describe('aiProvider', () => {
       expect(provider).toBeInstanceOf(GeminiProvider);
     });
 
+    it('should create OpenAIProvider for openai provider', () => {
+      const provider = createAIProvider({ provider: 'openai', apiKey: 'test-key' });
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+    });
+
     it('should throw for unsupported provider', () => {
       expect(() => createAIProvider({ provider: 'unknown', apiKey: 'test' }))
         .toThrow(/unsupported/i);
@@ -188,6 +195,57 @@ describe('aiProvider', () => {
       });
     });
 
+    describe('generateContent', () => {
+      it('should pass system instruction and abort signal in the request config', async () => {
+        const provider = new GeminiProvider({ apiKey: 'test-key', temperature: 0.3, maxTokens: 4096 });
+        provider.client.models.generateContent.mockResolvedValue({ text: '```json\n{"title":"T"}\n```' });
+        const controller = new AbortController();
+
+        const result = await provider.generateContent({
+          prompt: 'hello',
+          schema: { required: ['title'] },
+          systemPrompt: 'be brief',
+          signal: controller.signal
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toEqual({ title: 'T' });
+        const { config } = provider.client.models.generateContent.mock.calls[0][0];
+        expect(config).toMatchObject({
+          temperature: 0.3,
+          maxOutputTokens: 4096,
+          systemInstruction: 'be brief',
+          abortSignal: controller.signal
+        });
+      });
+
+      it('should report prompt and output token usage including thinking tokens', async () => {
+        const provider = new GeminiProvider({ apiKey: 'test-key', model: 'gemini-2.5-pro' });
+        provider.client.models.generateContent.mockResolvedValue({
+          text: 'ok',
+          usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 30, thoughtsTokenCount: 10 }
+        });
+
+        const result = await provider.generateContent({ prompt: 'hello' });
+
+        expect(result.usage).toEqual({ model: 'gemini-2.5-pro', promptTokens: 120, outputTokens: 40 });
+      });
+
+      it('should not retry aborted requests', async () => {
+        const provider = new GeminiProvider({ apiKey: 'test-key' });
+        const controller = new AbortController();
+        controller.abort();
+        provider.client.models.generateContent.mockRejectedValue(new Error('503 overloaded'));
+        const sleepSpy = vi.spyOn(provider, 'sleep');
+
+        const result = await provider.generateContent({ prompt: 'hello', signal: controller.signal });
+
+        expect(result.success).toBe(false);
+        expect(provider.client.models.generateContent).toHaveBeenCalledTimes(1);
+        expect(sleepSpy).not.toHaveBeenCalled();
+      });
+    });
+
     describe('sleep', () => {
       it('should wait for specified milliseconds', async () => {
         const provider = new GeminiProvider({ apiKey: 'test-key' });
@@ -199,6 +257,146 @@ describe('aiProvider', () => {
     });
   });
 
+  describe('OpenAIProvider', () => {
+    const okResponse = (content) => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ choices: [{ message: { content } }] })
+    });
+
+    let fetchMock;
+
+    beforeEach(() => {
+      fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should require an API key for the OpenAI API', () => {
+      expect(() => new OpenAIProvider({ provider: 'openai' }))
+        .toThrow('API key is required for the OpenAI API');
+    });
+
+    it('should allow keyless local servers', () => {
+      const provider = new OpenAIProvider({ baseUrl: 'http://localhost:8080/v1/' });
+      expect(provider.baseUrl).toBe('http://localhost:8080/v1');
+      expect(provider.isReady()).toBe(true);
+    });
+
+    it('should send chat completions with a JSON schema response format', async () => {
+      fetchMock.mockResolvedValue(okResponse('{"title":"T","overview":"O"}'));
+      const provider = new OpenAIProvider({ apiKey: 'sk-test', model: 'gpt-4o', temperature: 0.2, maxTokens: 1000 });
+
+      const result = await provider.generateContent({
+        prompt: 'hello',
+        systemPrompt: 'be brief',
+        schema: { type: 'OBJECT', properties: { title: { type: 'STRING' } }, required: ['title'] }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ title: 'T', overview: 'O' });
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe(`${OPENAI_DEFAULT_BASE_URL}/chat/completions`);
+      expect(init.headers.Authorization).toBe('Bearer sk-test');
+      const body = JSON.parse(init.body);
+      expect(body).toMatchObject({
+        model: 'gpt-4o',
+        temperature: 0.2,
+        max_tokens: 1000,
+        messages: [
+          { role: 'system', content: 'be brief' },
+          { role: 'user', content: 'hello' }
+        ]
+      });
+      expect(body.response_format.type).toBe('json_schema');
+      expect(body.response_format.json_schema.schema).toEqual({
+        type: 'object',
+        properties: { title: { type: 'string' } },
+        required: ['title']
+      });
+    });
+
+    it('should report token usage from the response', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          choices: [{ message: { content: 'ok' } }],
+          usage: { prompt_tokens: 50, completion_tokens: 7 }
+        })
+      });
+      const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+
+      const result = await provider.generateContent({ prompt: 'hello' });
+
+      expect(result.usage).toEqual({ model: 'gpt-4o-mini', promptTokens: 50, outputTokens: 7 });
+    });
+
+    it('should omit the Authorization header without a key', async () => {
+      fetchMock.mockResolvedValue(okResponse('plain text'));
+      const provider = new OpenAIProvider({ baseUrl: 'http://localhost:8080/v1' });
+
+      const result = await provider.generateContent({ prompt: 'hello' });
+
+      expect(result.data).toBe('plain text');
+      expect(fetchMock.mock.calls[0][1].headers.Authorization).toBeUndefined();
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body).response_format).toBeUndefined();
+    });
+
+    it('should retry on 429 responses', async () => {
+      fetchMock
+        .mockResolvedValueOnce({ ok: false, status: 429, text: async () => 'rate limited' })
+        .mockResolvedValueOnce(okResponse('{"ok":true}'));
+      const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+      vi.spyOn(provider, 'sleep').mockResolvedValue();
+
+      const result = await provider.generateContent({ prompt: 'hello', schema: { required: ['ok'] } });
+
+      expect(result.success).toBe(true);
+      expect(result.retryCount).toBe(1);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('should run every attempt through the scheduler with the retry-after hint', async () => {
+      fetchMock
+        .mockResolvedValueOnce({ ok: false, status: 429, text: async () => 'rate limited', headers: new Headers({ 'retry-after': '7' }) })
+        .mockResolvedValueOnce(okResponse('{"ok":true}'));
+      const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+      vi.spyOn(provider, 'sleep').mockResolvedValue();
+      const errors = [];
+      const scheduler = vi.fn(async (attempt) => {
+        try {
+          return await attempt();
+        } catch (error) {
+          errors.push(error);
+          throw error;
+        }
+      });
+
+      const result = await provider.generateContent({ prompt: 'hello', schema: { required: ['ok'] }, scheduler });
+
+      expect(result.success).toBe(true);
+      expect(scheduler).toHaveBeenCalledTimes(2);
+      expect(errors[0].status).toBe(429);
+      expect(errors[0].retryAfterMs).toBe(7000);
+    });
+
+    it('should fail without retry on client errors', async () => {
+      fetchMock.mockResolvedValue({ ok: false, status: 400, text: async () => 'bad request' });
+      const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+
+      const result = await provider.generateContent({ prompt: 'hello' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('OpenAI API error 400: bad request');
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('getDefaultConfig', () => {
     it('should return google default config', () => {
       const config = getDefaultConfig('google');
@@ -208,6 +406,12 @@ describe('aiProvider', () => {
       expect(config.maxTokens).toBe(8192);
     });
 
+    it('should return openai default config', () => {
+      const config = getDefaultConfig('openai');
+      expect(config.model).toBe('gpt-4o-mini');
+      expect(config.baseUrl).toBe(OPENAI_DEFAULT_BASE_URL);
+    });
+
     it('should return empty object for unknown provider', () => {
       const config = getDefaultConfig('unknown');
       expect(config).toEqual({});
@@ -280,6 +484,21 @@ describe('aiProvider', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors).toContain('Unknown model for google: unknown-model');
     });
+
+    it('should accept keyless custom endpoints with any model name', () => {
+      const result = validateConfig({
+        provider: 'openai',
+        baseUrl: 'http://localhost:8080/v1',
+        model: 'qwen2.5-7b-instruct'
+      });
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should detect invalid base URL', () => {
+      const result = validateConfig({ provider: 'openai', apiKey: 'test', baseUrl: 'localhost:8080' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Base URL must be an http(s) URL');
+    });
   });
 
   describe('AVAILABLE_MODELS', () => {
@@ -0,0 +1,100 @@
+/**
+ * Tests for circuitBreaker module
+ * @module tests/server/ai/circuitBreaker.test
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  CircuitBreaker,
+  CIRCUIT_STATE,
+  isAvailabilityError
+} from '../../../server/ai/circuitBreaker.js';
+
+describe('circuitBreaker', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('isAvailabilityError', () => {
+    it('should detect overload, server, rate limit and network errors', () => {
+      expect(isAvailabilityError('The model is overloaded. Please try again later.')).toBe(true);
+      expect(isAvailabilityError('OpenAI API error 503: Service Unavailable')).toBe(true);
+      expect(isAvailabilityError('429 RESOURCE_EXHAUSTED')).toBe(true);
+      expect(isAvailabilityError('fetch failed')).toBe(true);
+      expect(isAvailabilityError('Request timed out')).toBe(true);
+    });
+
+    it('should not treat unusable responses as outages', () => {
+      expect(isAvailabilityError('Failed to parse JSON response: Unexpected token')).toBe(false);
+      expect(isAvailabilityError('Empty response from Gemini API')).toBe(false);
+      expect(isAvailabilityError('API key not valid')).toBe(false);
+      expect(isAvailabilityError(undefined)).toBe(false);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    it('should key circuits by provider, endpoint and model', () => {
+      const breaker = new CircuitBreaker();
+      expect(breaker.keyFor({ provider: 'google', model: 'gemini-2.5-pro', config: {} }))
+        .toBe('google||gemini-2.5-pro');
+      expect(breaker.keyFor({ provider: 'openai', model: 'llama', config: { baseUrl: 'http://localhost:8080/v1' } }))
+        .toBe('openai|http://localhost:8080/v1|llama');
+    });
+
+    it('should open after consecutive failures and skip the model', () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+      breaker.recordFailure('m');
+      expect(breaker.allow('m')).toBe(true);
+      breaker.recordFailure('m');
+
+      expect(breaker.allow('m')).toBe(false);
+      expect(breaker.status()).toEqual([
+        { key: 'm', state: CIRCUIT_STATE.OPEN, failures: 2, retryInMs: 60000 }
+      ]);
+    });
+
+    it('should reset the failure count on success', () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+      breaker.recordFailure('m');
+      breaker.recordSuccess('m');
+      breaker.recordFailure('m');
+
+      expect(breaker.allow('m')).toBe(true);
+    });
+
+    it('should let one trial request through after the cool-down', () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+      breaker.recordFailure('m');
+
+      vi.advanceTimersByTime(1000);
+      expect(breaker.allow('m')).toBe(true);
+      expect(breaker.allow('m')).toBe(false);
+      expect(breaker.status()[0].state).toBe(CIRCUIT_STATE.HALF_OPEN);
+
+      breaker.recordSuccess('m');
+      expect(breaker.allow('m')).toBe(true);
+      expect(breaker.status()).toEqual([]);
+    });
+
+    it('should reopen when the trial request fails', () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+      for (let i = 0; i < 3; i++) breaker.recordFailure('m');
+
+      vi.advanceTimersByTime(1000);
+      expect(breaker.allow('m')).toBe(true);
+      breaker.recordFailure('m');
+
+      expect(breaker.allow('m')).toBe(false);
+      expect(breaker.status()[0]).toMatchObject({ state: CIRCUIT_STATE.OPEN, retryInMs: 1000 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for fallbackProvider module
+ * @module tests/server/ai/fallbackProvider.test
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { FallbackProvider } from '../../../server/ai/fallbackProvider.js';
+import { CircuitBreaker } from '../../../server/ai/circuitBreaker.js';
+
+// Fake provider answering with the given results in order (last one repeats)
+const fakeProvider = (model, ...results) => {
+  const queue = [...results];
+  return {
+    provider: 'google',
+    model,
+    config: {},
+    generateContent: vi.fn(async () => (queue.length > 1 ? queue.shift() : queue[0]))
+  };
+};
+
+const ok = (data) => ({ success: true, data, usage: { promptTokens: 1, outputTokens: 1 } });
+const fail = (error) => ({ success: false, data: null, error });
+
+const createFallback = (providers, options = {}) => {
+  const [primary, ...others] = providers;
+  const byModel = new Map(others.map(p => [p.model, p]));
+  return new FallbackProvider(primary, {
+    createProvider: (model) => byModel.get(model),
+    chains: {
+      default: [{ model: 'flash' }],
+      deep_dive: [{ model: 'flash' }, { model: 'flash', inputRatio: 0.6 }]
+    },
+    ...options
+  });
+};
+
+describe('fallbackProvider', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should use the configured model when it answers', async () => {
+    const pro = fakeProvider('pro', ok({ a: 1 }));
+    const flash = fakeProvider('flash', ok({ a: 2 }));
+    const provider = createFallback([pro, flash]);
+
+    const result = await provider.generateContent({ prompt: 'p', stage: 'deep_dive' });
+
+    expect(result.data).toEqual({ a: 1 });
+    expect(result.fallback).toEqual({ used: false, model: 'pro', inputRatio: null, attempts: [] });
+    expect(flash.generateContent).not.toHaveBeenCalled();
+  });
+
+  it('should move to the next model and then to a smaller slice', async () => {
+    const pro = fakeProvider('pro', fail('503 overloaded'));
+    const flash = fakeProvider('flash', fail('503 overloaded'), ok({ a: 3 }));
+    const provider = createFallback([pro, flash]);
+    const shrink = vi.fn(ratio => `short ${ratio}`);
+
+    const result = await provider.generateContent({ prompt: 'p', stage: 'deep_dive', shrink });
+
+    expect(result.data).toEqual({ a: 3 });
+    expect(result.fallback).toMatchObject({ used: true, model: 'flash', inputRatio: 0.6 });
+    expect(result.fallback.attempts.map(a => a.model)).toEqual(['pro', 'flash']);
+    expect(flash.generateContent).toHaveBeenLastCalledWith(expect.objectContaining({ prompt: 'short 0.6' }));
+  });
+
+  it('should skip smaller-slice steps for requests that cannot be shrunk', async () => {
+    const pro = fakeProvider('pro', fail('503'));
+    const flash = fakeProvider('flash', fail('503'));
+    const provider = createFallback([pro, flash]);
+
+    const result = await provider.generateContent({ prompt: 'p', stage: 'deep_dive' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('pro: 503; flash: 503');
+    expect(flash.generateContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not repeat the configured model when it is also in the chain', async () => {
+    const flash = fakeProvider('flash', fail('503'));
+    const provider = createFallback([flash]);
+
+    await provider.generateContent({ prompt: 'p', stage: 'final_summary' });
+
+    expect(flash.generateContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip models with an open circuit', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    const pro = fakeProvider('pro', fail('The model is overloaded'));
+    const flash = fakeProvider('flash', ok({ a: 1 }));
+    const provider = createFallback([pro, flash], { breaker });
+
+    await provider.generateContent({ prompt: 'p', stage: 'final_summary' });
+    const result = await provider.generateContent({ prompt: 'p', stage: 'final_summary' });
+
+    expect(pro.generateContent).toHaveBeenCalledTimes(1);
+    expect(result.fallback.attempts).toEqual([{ model: 'pro', inputRatio: null, error: 'circuit open' }]);
+  });
+
+  it('should keep the circuit closed for unusable responses', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    const pro = fakeProvider('pro', fail('Failed to parse JSON response'));
+    const flash = fakeProvider('flash', ok({ a: 1 }));
+    const provider = createFallback([pro, flash], { breaker });
+
+    await provider.generateContent({ prompt: 'p', stage: 'final_summary' });
+
+    expect(breaker.status()).toEqual([]);
+  });
+
+  it('should stop the chain when the request is aborted', async () => {
+    const controller = new AbortController();
+    const pro = fakeProvider('pro');
+    pro.generateContent.mockImplementation(async () => {
+      controller.abort();
+      return fail('This operation was aborted');
+    });
+    const flash = fakeProvider('flash', ok({ a: 1 }));
+    const provider = createFallback([pro, flash]);
+
+    const result = await provider.generateContent({ prompt: 'p', stage: 'deep_dive', signal: controller.signal });
+
+    expect(result.success).toBe(false);
+    expect(flash.generateContent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for jsonSchema module
+ * @module tests/server/ai/jsonSchema.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toJsonSchema } from '../../../server/ai/jsonSchema.js';
+
+describe('jsonSchema', () => {
+  describe('toJsonSchema', () => {
+    it('should map Type values to JSON Schema types recursively', () => {
+      const schema = {
+        type: 'OBJECT',
+        properties: {
+          title: { type: 'STRING', description: 'Title' },
+          count: { type: 'INTEGER' },
+          tags: { type: 'ARRAY', items: { type: 'STRING' } },
+          quotes: {
+            type: 'ARRAY',
+            items: {
+              type: 'OBJECT',
+              properties: { quote: { type: 'STRING' }, score: { type: 'NUMBER' } },
+              required: ['quote']
+            }
+          }
+        },
+        required: ['title']
+      };
+
+      expect(toJsonSchema(schema)).toEqual({
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Title' },
+          count: { type: 'integer' },
+          tags: { type: 'array', items: { type: 'string' } },
+          quotes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { quote: { type: 'string' }, score: { type: 'number' } },
+              required: ['quote']
+            }
+          }
+        },
+        required: ['title']
+      });
+    });
+
+    it('should convert nullable fields to a null union', () => {
+      expect(toJsonSchema({ type: 'STRING', nullable: true })).toEqual({ type: ['string', 'null'] });
+    });
+
+    it('should keep enum and format keywords', () => {
+      expect(toJsonSchema({ type: 'STRING', enum: ['a', 'b'], format: 'enum' }))
+        .toEqual({ type: 'string', enum: ['a', 'b'], format: 'enum' });
+    });
+
+    it('should accept lowercase type names', () => {
+      expect(toJsonSchema({ type: 'boolean' })).toEqual({ type: 'boolean' });
+    });
+
+    it('should drop empty required lists and unknown keywords', () => {
+      expect(toJsonSchema({ type: 'OBJECT', properties: {}, required: [], propertyOrdering: ['x'] }))
+        .toEqual({ type: 'object', properties: {} });
+    });
+
+    it('should return an empty schema for invalid input', () => {
+      expect(toJsonSchema(null)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for mockProvider module
+ * @module tests/server/ai/mockProvider.test
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  MockProvider,
+  RecordingProvider,
+  hashPrompt,
+  buildSampleFromSchema
+} from '../../../server/ai/mockProvider.js';
+import { createAIProvider, validateConfig } from '../../../server/ai/aiProvider.js';
+
+const SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    title: { type: 'STRING' },
+    count: { type: 'NUMBER' },
+    done: { type: 'BOOLEAN' },
+    kind: { type: 'STRING', enum: ['process', 'timeline'] },
+    tags: { type: 'ARRAY', items: { type: 'STRING' } }
+  },
+  required: ['title']
+};
+
+describe('mockProvider', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-provider-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('hashPrompt', () => {
+    it('should be stable and 16 characters long', () => {
+      expect(hashPrompt('hello')).toBe(hashPrompt('hello'));
+      expect(hashPrompt('hello')).toHaveLength(16);
+      expect(hashPrompt('hello')).not.toBe(hashPrompt('hello!'));
+    });
+  });
+
+  describe('buildSampleFromSchema', () => {
+    it('should build a value conforming to the schema', () => {
+      expect(buildSampleFromSchema(SCHEMA)).toEqual({
+        title: 'mock title',
+        count: 1,
+        done: false,
+        kind: 'process',
+        tags: ['mock tags']
+      });
+    });
+
+    it('should return null without a schema', () => {
+      expect(buildSampleFromSchema(undefined)).toBeNull();
+    });
+  });
+
+  describe('MockProvider', () => {
+    it('should be created by the provider factory without an API key', () => {
+      const provider = createAIProvider({ provider: 'mock' });
+      expect(provider).toBeInstanceOf(MockProvider);
+      expect(provider.isReady()).toBe(true);
+      expect(validateConfig({ provider: 'mock', model: 'mock' }).isValid).toBe(true);
+    });
+
+    it('should generate a schema placeholder when no fixture matches', async () => {
+      const provider = new MockProvider();
+
+      const result = await provider.generateContent({ prompt: 'p', schema: SCHEMA });
+
+      expect(result.success).toBe(true);
+      expect(result.data.title).toBe('mock title');
+    });
+
+    it('should prefer prompt hash fixtures over stage fixtures', async () => {
+      const provider = new MockProvider({
+        fixtures: {
+          [hashPrompt('exact prompt')]: { title: 'by hash' },
+          deep_dive: { title: 'by stage' }
+        }
+      });
+
+      const exact = await provider.generateContent({ prompt: 'exact prompt', stage: 'deep_dive', schema: SCHEMA });
+      const other = await provider.generateContent({ prompt: 'other prompt', stage: 'deep_dive', schema: SCHEMA });
+
+      expect(exact.data).toEqual({ title: 'by hash' });
+      expect(other.data).toEqual({ title: 'by stage' });
+    });
+
+    it('should call function fixtures with the request', async () => {
+      const fixture = vi.fn(request => ({ title: request.prompt.toUpperCase() }));
+      const provider = new MockProvider({ fixtures: { title: fixture } });
+
+      const result = await provider.generateContent({ prompt: 'abc', stage: 'title', schema: SCHEMA });
+
+      expect(result.data).toEqual({ title: 'ABC' });
+      expect(fixture).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'abc' }));
+    });
+
+    it('should read fixtures from disk', async () => {
+      await fs.writeFile(path.join(tmpDir, 'final_summary.json'), JSON.stringify({ oneSentenceSummary: 'disk' }));
+      const provider = new MockProvider({ fixturesDir: tmpDir });
+
+      const result = await provider.generateContent({ prompt: 'p', stage: 'final_summary', schema: {} });
+
+      expect(result.data).toEqual({ oneSentenceSummary: 'disk' });
+    });
+
+    it('should fail in strict mode when no fixture matches', async () => {
+      const provider = new MockProvider({ fixturesDir: tmpDir, strict: true });
+
+      const result = await provider.generateContent({ prompt: 'p', stage: 'deep_dive', schema: SCHEMA });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/No mock fixture for stage "deep_dive"/);
+    });
+
+    it('should derive segment chapters from the segment time range', async () => {
+      const provider = new MockProvider();
+
+      const result = await provider.generateContent({
+        prompt: '이 세그먼트(00:30:00 ~ 01:00:00)에서 챕터를 추출하세요.',
+        stage: 'segmentation',
+        schema: SCHEMA
+      });
+
+      expect(result.data.chapters).toHaveLength(1);
+      expect(result.data.chapters[0]).toMatchObject({ startTime: '00:30:00', endTime: '01:00:00' });
+    });
+
+    it('should return no corrections for the correction stage', async () => {
+      const provider = new MockProvider();
+
+      const result = await provider.generateContent({ prompt: 'text', stage: 'correction', schema: SCHEMA });
+
+      expect(result.data).toEqual({ corrections: [] });
+    });
+
+    it('should reject aborted requests', async () => {
+      const provider = new MockProvider();
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await provider.generateContent({ prompt: 'p', signal: controller.signal });
+
+      expect(result.success).toBe(false);
+      expect(provider.calls).toHaveLength(0);
+    });
+  });
+
+  describe('RecordingProvider', () => {
+    it('should record successful responses that replay through MockProvider', async () => {
+      const inner = new MockProvider({ fixtures: { deep_dive: { title: 'real response' } } });
+      const recorder = new RecordingProvider(inner, tmpDir);
+
+      const recorded = await recorder.generateContent({ prompt: 'chapter prompt', stage: 'deep_dive', schema: SCHEMA });
+
+      const file = JSON.parse(await fs.readFile(path.join(tmpDir, `${hashPrompt('chapter prompt')}.json`), 'utf8'));
+      expect(file).toMatchObject({ stage: 'deep_dive', promptHash: hashPrompt('chapter prompt'), data: { title: 'real response' } });
+
+      const replay = new MockProvider({ fixturesDir: tmpDir, strict: true });
+      const replayed = await replay.generateContent({ prompt: 'chapter prompt', stage: 'deep_dive', schema: SCHEMA });
+      expect(replayed.data).toEqual(recorded.data);
+    });
+
+    it('should not record failed responses', async () => {
+      const inner = { generateContent: vi.fn().mockResolvedValue({ success: false, error: 'boom' }) };
+      const recorder = new RecordingProvider(inner, tmpDir);
+
+      const result = await recorder.generateContent({ prompt: 'p' });
+
+      expect(result.success).toBe(false);
+      expect(await fs.readdir(tmpDir)).toEqual([]);
+    });
+
+    it('should be applied by the factory when recordDir is set', () => {
+      const provider = createAIProvider({ provider: 'mock', recordDir: tmpDir });
+      expect(provider).toBeInstanceOf(RecordingProvider);
+      expect(provider.getInfo().recording).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for noteStyles module
+ * @module tests/server/ai/noteStyles.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  NOTE_STYLE,
+  NOTE_STYLES,
+  DEFAULT_NOTE_STYLE,
+  resolveNoteStyle,
+  getNoteStyle,
+  renderNoteBody
+} from '../../../server/ai/noteStyles.js';
+import { DEFAULT_PROMPT_TEMPLATES } from '../../../server/ai/promptTemplates.js';
+
+describe('noteStyles', () => {
+  describe('NOTE_STYLES', () => {
+    it('should define a built-in template and a schema with the shared fields for every style', () => {
+      for (const id of Object.values(NOTE_STYLE)) {
+        const style = NOTE_STYLES[id];
+        expect(style.id).toBe(id);
+        expect(DEFAULT_PROMPT_TEMPLATES[style.template]).toBeDefined();
+        expect(DEFAULT_PROMPT_TEMPLATES[style.regenerationTemplate]).toBeDefined();
+        expect(style.schema.required).toEqual(expect.arrayContaining(['keyMessage', 'keyTerms', 'quotesWithTimeline']));
+      }
+    });
+
+    it('should only gate storytelling notes', () => {
+      const gated = Object.values(NOTE_STYLES).filter(style => style.qualityGate).map(style => style.id);
+      expect(gated).toEqual([NOTE_STYLE.STORYTELLING]);
+    });
+  });
+
+  describe('resolveNoteStyle', () => {
+    it('should default missing styles and reject unknown ones', () => {
+      expect(resolveNoteStyle(undefined)).toEqual({ style: DEFAULT_NOTE_STYLE });
+      expect(resolveNoteStyle('cornell')).toEqual({ style: 'cornell' });
+      expect(resolveNoteStyle('haiku').error).toMatch(/^noteStyle must be one of: storytelling, cornell/);
+    });
+  });
+
+  describe('getNoteStyle', () => {
+    it('should fall back to storytelling for notes written before styles existed', () => {
+      expect(getNoteStyle(null).id).toBe(NOTE_STYLE.STORYTELLING);
+      expect(getNoteStyle('unknown').id).toBe(NOTE_STYLE.STORYTELLING);
+      expect(getNoteStyle('exam_cram').id).toBe(NOTE_STYLE.EXAM_CRAM);
+    });
+  });
+
+  describe('renderNoteBody', () => {
+    it('should return the narrative for storytelling notes', () => {
+      expect(renderNoteBody({ narrative: '## 본문' })).toBe('## 본문');
+      expect(renderNoteBody({})).toBe('');
+    });
+
+    it('should render Cornell notes as a cue/notes table with the recap', () => {
+      const md = renderNoteBody({
+        noteStyle: 'cornell',
+        cues: [{ cue: '캐시란?', notes: '자주 쓰는 값을 | 가까이 둔다.', timestamp: '01:10' }],
+        recap: '캐시는 응답 시간을 줄인다.'
+      });
+
+      expect(md).toBe('| 단서 | 필기 |\n| --- | --- |\n| **캐시란?** [01:10] | 자주 쓰는 값을 \\| 가까이 둔다. |\n\n**요약**: 캐시는 응답 시간을 줄인다.\n');
+    });
+
+    it('should render the exam outline, memorize list and questions', () => {
+      const md = renderNoteBody({
+        noteStyle: 'exam_cram',
+        outline: [{ heading: 'TTL', points: ['만료 시간', '기본 60초'] }],
+        mustMemorize: ['LRU = 가장 오래 안 쓴 항목 제거'],
+        likelyQuestions: [{ question: 'TTL이란?', answer: '캐시 항목의 유효 시간이다.' }]
+      });
+
+      expect(md).toBe([
+        '#### TTL', '- 만료 시간', '- 기본 60초', '',
+        '#### 📌 반드시 암기', '- LRU = 가장 오래 안 쓴 항목 제거', '',
+        '#### ❓ 예상 문제', '1. **TTL이란?**', '   - 캐시 항목의 유효 시간이다.'
+      ].join('\n'));
+    });
+
+    it('should render digest excerpts as timestamped blockquotes', () => {
+      const md = renderNoteBody({
+        noteStyle: 'transcript_digest',
+        segments: [
+          { timestamp: '00:30', heading: '도입', verbatim: '오늘은 캐시 얘기를 합니다.\n중요해요.', note: '주제 소개' },
+          { timestamp: '02:00', heading: '무효화', verbatim: '지우는 게 제일 어렵죠.' }
+        ]
+      });
+
+      expect(md).toBe('#### 도입 [00:30]\n\n> 오늘은 캐시 얘기를 합니다.\n> 중요해요.\n\n주제 소개\n\n#### 무효화 [02:00]\n\n> 지우는 게 제일 어렵죠.');
+    });
+
+    it('should lead executive briefings with the bottom line', () => {
+      const md = renderNoteBody({
+        noteStyle: 'executive_briefing',
+        keyMessage: '캐시 도입을 승인한다.',
+        situation: '응답 시간이 목표를 넘는다.',
+        implications: ['인프라 비용 감소']
+      });
+
+      expect(md).toBe('> **결론**: 캐시 도입을 승인한다.\n\n**상황**: 응답 시간이 목표를 넘는다.\n\n#### 시사점\n- 인프라 비용 감소');
+    });
+  });
+});
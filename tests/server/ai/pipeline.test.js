@@ -0,0 +1,602 @@
+/**
+ * Tests for pipeline module
+ * @module tests/server/ai/pipeline.test
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  PIPELINE_STAGE,
+  pickPipelineSettings,
+  resolvePipelineConfig,
+  requiresApiKey,
+  resolveApiKey,
+  resolveDeepDiveConcurrency,
+  createPipelineProvider,
+  resolveFallbackChains,
+  summarizeGeneration,
+  parseGeneration,
+  runStage,
+  extractSegmentChapters,
+  generateLectureMeta,
+  generateChapterDeepDive,
+  generateCheckedDeepDive,
+  generateStyledDeepDive,
+  regenerateChapterNote,
+  generateFinalSummaryInsights
+} from '../../../server/ai/pipeline.js';
+import {
+  SEGMENT_CHAPTER_SCHEMA,
+  LECTURE_META_SCHEMA,
+  CHAPTER_DEEP_DIVE_SCHEMA,
+  CORNELL_NOTE_SCHEMA,
+  EXAM_CRAM_SCHEMA,
+  FINAL_SUMMARY_SCHEMA
+} from '../../../server/ai/schemas.js';
+import { DEFAULT_PROMPT_TEMPLATES, PROMPT_TEMPLATE } from '../../../server/ai/promptTemplates.js';
+import { FallbackProvider } from '../../../server/ai/fallbackProvider.js';
+
+vi.mock('@google/genai', () => {
+  class MockGoogleGenAI {
+    constructor(config) {
+      this.apiKey = config.apiKey;
+      this.models = { generateContent: vi.fn() };
+    }
+  }
+
+  return {
+    GoogleGenAI: MockGoogleGenAI,
+    Type: {
+      STRING: 'STRING',
+      NUMBER: 'NUMBER',
+      OBJECT: 'OBJECT',
+      ARRAY: 'ARRAY'
+    }
+  };
+});
+
+// Fake provider with the AIProvider generateContent contract
+const createFakeProvider = (data, overrides = {}) => ({
+  generateContent: vi.fn().mockResolvedValue({ success: true, data, retryCount: 0, ...overrides })
+});
+
+describe('pipeline', () => {
+  describe('pickPipelineSettings', () => {
+    it('should keep model settings and drop the API key', () => {
+      const picked = pickPipelineSettings({
+        provider: 'google',
+        model: 'gemini-2.5-pro',
+        apiKey: 'secret',
+        baseUrl: 'http://localhost:8080/v1',
+        temperature: 0.2,
+        maxTokens: 4096,
+        llmCorrectionEnabled: true,
+        deepDiveConcurrency: 3
+      });
+
+      expect(picked).toEqual({
+        provider: 'google',
+        model: 'gemini-2.5-pro',
+        baseUrl: 'http://localhost:8080/v1',
+        temperature: 0.2,
+        maxTokens: 4096,
+        deepDiveConcurrency: 3
+      });
+    });
+
+    it('should handle missing settings', () => {
+      expect(pickPipelineSettings(undefined)).toEqual({});
+    });
+  });
+
+  describe('requiresApiKey', () => {
+    it('should require a key for Gemini and the OpenAI API', () => {
+      expect(requiresApiKey({ provider: 'google' })).toBe(true);
+      expect(requiresApiKey({ provider: 'openai', baseUrl: 'https://api.openai.com/v1' })).toBe(true);
+      expect(requiresApiKey(undefined)).toBe(true);
+    });
+
+    it('should not require a key for custom OpenAI-compatible endpoints', () => {
+      expect(requiresApiKey({ provider: 'openai', baseUrl: 'http://localhost:8080/v1' })).toBe(false);
+    });
+  });
+
+  describe('resolveApiKey', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should prefer the client key', () => {
+      vi.stubEnv('GEMINI_API_KEY', 'env-key');
+      expect(resolveApiKey({ provider: 'google' }, 'client-key')).toBe('client-key');
+    });
+
+    it('should fall back to the environment key of the provider', () => {
+      vi.stubEnv('GEMINI_API_KEY', 'gemini-env');
+      vi.stubEnv('OPENAI_API_KEY', 'openai-env');
+      expect(resolveApiKey({ provider: 'google' })).toBe('gemini-env');
+      expect(resolveApiKey({ provider: 'openai' })).toBe('openai-env');
+    });
+  });
+
+  describe('resolveDeepDiveConcurrency', () => {
+    it('should default to sequential analysis', () => {
+      expect(resolveDeepDiveConcurrency(undefined)).toBe(1);
+      expect(resolveDeepDiveConcurrency({ deepDiveConcurrency: 'many' })).toBe(1);
+      expect(resolveDeepDiveConcurrency({ deepDiveConcurrency: 0 })).toBe(1);
+    });
+
+    it('should clamp to the maximum concurrency', () => {
+      expect(resolveDeepDiveConcurrency({ deepDiveConcurrency: 3.7 })).toBe(3);
+      expect(resolveDeepDiveConcurrency({ deepDiveConcurrency: '4' })).toBe(4);
+      expect(resolveDeepDiveConcurrency({ deepDiveConcurrency: 50 })).toBe(6);
+    });
+  });
+
+  describe('resolvePipelineConfig', () => {
+    it('should apply user settings over provider defaults', () => {
+      const config = resolvePipelineConfig({ model: 'gemini-2.5-pro', temperature: 0 }, 'key');
+
+      expect(config).toEqual({
+        provider: 'google',
+        model: 'gemini-2.5-pro',
+        temperature: 0,
+        maxTokens: 8192,
+        apiKey: 'key'
+      });
+    });
+
+    it('should use OpenAI defaults and keep a custom base URL', () => {
+      const config = resolvePipelineConfig({ provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, '');
+
+      expect(config.model).toBe('gpt-4o-mini');
+      expect(config.baseUrl).toBe('http://localhost:8080/v1');
+    });
+
+    it('should fall back to defaults without settings', () => {
+      const config = resolvePipelineConfig(null, 'key');
+      expect(config.model).toBe('gemini-2.5-flash');
+      expect(config.temperature).toBe(0.7);
+    });
+
+    describe('environment overrides', () => {
+      afterEach(() => {
+        vi.unstubAllEnvs();
+      });
+
+      it('should force the mock provider and ignore settings of another provider', () => {
+        vi.stubEnv('AI_PROVIDER', 'mock');
+        vi.stubEnv('AI_FIXTURES_DIR', '/tmp/fixtures');
+        vi.stubEnv('AI_FIXTURES_STRICT', '1');
+
+        const config = resolvePipelineConfig({ provider: 'google', model: 'gemini-2.5-pro' }, '');
+
+        expect(config).toMatchObject({ provider: 'mock', model: 'mock', fixturesDir: '/tmp/fixtures', strict: true });
+        expect(requiresApiKey({ provider: 'google' })).toBe(false);
+      });
+
+      it('should record real providers when AI_RECORD_DIR is set', () => {
+        vi.stubEnv('AI_RECORD_DIR', '/tmp/recordings');
+
+        const config = resolvePipelineConfig({ provider: 'google' }, 'key');
+
+        expect(config.recordDir).toBe('/tmp/recordings');
+      });
+    });
+  });
+
+  describe('runStage', () => {
+    it('should tag the request with the stage and return parsed data', async () => {
+      const provider = createFakeProvider({ ok: true });
+
+      const data = await runStage(provider, PIPELINE_STAGE.DEEP_DIVE, { prompt: 'p' });
+
+      expect(data).toEqual({ ok: true });
+      expect(provider.generateContent).toHaveBeenCalledWith({ prompt: 'p', stage: 'deep_dive' });
+    });
+
+    it('should throw when the provider reports a failure', async () => {
+      const provider = createFakeProvider(null, { success: false, error: 'Max retries exceeded' });
+
+      await expect(runStage(provider, PIPELINE_STAGE.FINAL_SUMMARY, { prompt: 'p' }))
+        .rejects.toThrow('AI final_summary stage failed: Max retries exceeded');
+    });
+
+    it('should record the model that served the call in the trace', async () => {
+      const provider = createFakeProvider({}, {
+        usage: { model: 'gemini-2.5-flash' },
+        fallback: { used: true, model: 'gemini-2.5-flash', inputRatio: 0.6, attempts: [] }
+      });
+      const trace = [];
+
+      await runStage(provider, PIPELINE_STAGE.DEEP_DIVE, { prompt: 'p', trace });
+
+      expect(trace).toEqual([{ stage: 'deep_dive', model: 'gemini-2.5-flash', inputRatio: 0.6, fallback: true }]);
+      expect(provider.generateContent.mock.calls[0][0]).not.toHaveProperty('trace');
+    });
+  });
+
+  describe('model fallback', () => {
+    it('should wrap real providers in a fallback chain', () => {
+      const provider = createPipelineProvider({ provider: 'google', model: 'gemini-2.5-pro' }, 'key');
+
+      expect(provider).toBeInstanceOf(FallbackProvider);
+      expect(provider.stepsFor(PIPELINE_STAGE.DEEP_DIVE)).toEqual([
+        { model: 'gemini-2.5-pro' },
+        { model: 'gemini-2.5-flash' },
+        { model: 'gemini-2.5-flash', inputRatio: 0.6 }
+      ]);
+      expect(provider.stepsFor(PIPELINE_STAGE.SEGMENTATION)).toEqual([
+        { model: 'gemini-2.5-pro' },
+        { model: 'gemini-2.5-flash' }
+      ]);
+    });
+
+    it('should only shrink the input on custom OpenAI-compatible endpoints', () => {
+      const chains = resolveFallbackChains({ provider: 'openai', model: 'llama3', baseUrl: 'http://localhost:8080/v1' });
+      expect(chains[PIPELINE_STAGE.DEEP_DIVE]).toEqual([{ model: 'llama3' }, { model: 'llama3', inputRatio: 0.6 }]);
+    });
+
+    it('should not wrap the mock provider', () => {
+      expect(resolveFallbackChains({ provider: 'mock', model: 'mock' })).toBeNull();
+      expect(createPipelineProvider({ provider: 'mock' }, '')).not.toBeInstanceOf(FallbackProvider);
+    });
+
+    it('should give chapter stages a prompt for a smaller slice', async () => {
+      const provider = createFakeProvider({});
+      const text = Array.from({ length: 10 }, (_, i) => `[00:0${i}:00] line ${i}`).join('\n');
+
+      await generateChapterDeepDive(provider, { title: 'Chapter', text });
+
+      const { prompt, shrink } = provider.generateContent.mock.calls[0][0];
+      const shortPrompt = shrink(0.5);
+      expect(prompt).toContain('line 9');
+      expect(shortPrompt).toContain('line 0');
+      expect(shortPrompt).not.toContain('line 9');
+      expect(shortPrompt.length).toBeLessThan(prompt.length);
+    });
+
+    it('should summarize the calls of a chapter note', () => {
+      const generation = summarizeGeneration([
+        { stage: 'deep_dive', model: 'gemini-2.5-pro', inputRatio: null, fallback: false },
+        { stage: 'deep_dive_repair', model: 'gemini-2.5-flash', inputRatio: 0.6, fallback: true }
+      ]);
+
+      expect(generation).toMatchObject({ models: ['gemini-2.5-pro', 'gemini-2.5-flash'], fallback: true, inputRatio: 0.6 });
+      expect(parseGeneration(JSON.stringify(generation))).toEqual(generation);
+      expect(summarizeGeneration([])).toBeNull();
+      expect(parseGeneration(null)).toBeNull();
+      expect(parseGeneration('not json')).toBeNull();
+    });
+  });
+
+  describe('extractSegmentChapters', () => {
+    it('should request chapters with the segment schema and prompt', async () => {
+      const chapters = [{ title: 'Intro', startTime: '00:00', endTime: '10:00' }];
+      const provider = createFakeProvider({ chapters });
+      const signal = new AbortController().signal;
+
+      const result = await extractSegmentChapters(
+        provider,
+        { text: 'segment body', startTime: '00:00', endTime: '30:00' },
+        0,
+        2,
+        { signal }
+      );
+
+      expect(result).toEqual(chapters);
+      const request = provider.generateContent.mock.calls[0][0];
+      expect(request.schema).toBe(SEGMENT_CHAPTER_SCHEMA);
+      expect(request.signal).toBe(signal);
+      expect(request.stage).toBe(PIPELINE_STAGE.SEGMENTATION);
+      expect(request.prompt).toContain('이 세그먼트(00:00 ~ 30:00)에서 챕터를 추출하세요.');
+      expect(request.prompt).toContain('segment body');
+      expect(request.prompt).not.toContain('겹치는 구간');
+    });
+
+    it('should explain the overlap shared with the next segment', async () => {
+      const provider = createFakeProvider({ chapters: [] });
+
+      await extractSegmentChapters(provider, { text: 'body', startTime: '0:00', endTime: '35:00', overlapStartTime: '30:00' }, 0, 2);
+
+      const { prompt } = provider.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('- 30:00 이후는 다음 세그먼트와 겹치는 구간입니다.');
+    });
+
+    it('should number segments without timestamps', async () => {
+      const provider = createFakeProvider({ chapters: [] });
+
+      await extractSegmentChapters(provider, { text: 'body' }, 1, 3);
+
+      const { prompt } = provider.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('세그먼트 2/3에서 챕터를 추출하세요.');
+      expect(prompt).toContain('startTime/endTime은 빈 문자열("")로 반환');
+    });
+
+    it('should return an empty list for malformed responses', async () => {
+      const provider = createFakeProvider({ chapters: 'oops' });
+      expect(await extractSegmentChapters(provider, { text: 'body' }, 0, 1)).toEqual([]);
+    });
+  });
+
+  describe('generateLectureMeta', () => {
+    it('should include intro text and numbered chapter titles', async () => {
+      const provider = createFakeProvider({ title: 'T', overview: 'O', tags: ['a'] });
+
+      const meta = await generateLectureMeta(provider, 'intro text', [{ title: 'A' }, { title: 'B' }]);
+
+      expect(meta).toEqual({ title: 'T', overview: 'O', author: '', tags: ['a'] });
+      const request = provider.generateContent.mock.calls[0][0];
+      expect(request.schema).toBe(LECTURE_META_SCHEMA);
+      expect(request.prompt).toContain('intro text');
+      expect(request.prompt).toContain('1. A\n2. B');
+    });
+  });
+
+  describe('generateChapterDeepDive', () => {
+    it('should include previous chapter context when provided', async () => {
+      const provider = createFakeProvider({ narrative: 'n' });
+
+      const result = await generateChapterDeepDive(provider, {
+        title: 'Chapter',
+        startTime: '01:00',
+        endTime: '02:00',
+        previousContext: '이전 챕터 핵심',
+        text: 'slice'
+      });
+
+      expect(result).toEqual({ narrative: 'n' });
+      const request = provider.generateContent.mock.calls[0][0];
+      expect(request.schema).toBe(CHAPTER_DEEP_DIVE_SCHEMA);
+      expect(request.stage).toBe(PIPELINE_STAGE.DEEP_DIVE);
+      expect(request.prompt).toContain('- 시간: 01:00 ~ 02:00');
+      expect(request.prompt).toContain('## 이전 챕터 문맥 (참고용)\n이전 챕터 핵심');
+    });
+
+    it('should mark missing times as N/A and omit empty context', async () => {
+      const provider = createFakeProvider({});
+
+      await generateChapterDeepDive(provider, { title: 'Chapter', previousContext: '', text: 'slice' });
+
+      const { prompt } = provider.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('- 시간: N/A ~ N/A');
+      expect(prompt).not.toContain('이전 챕터 문맥');
+      expect(prompt).not.toContain('화자 정보');
+    });
+
+    it('should list lecture speakers with their transcript labels', async () => {
+      const provider = createFakeProvider({});
+
+      await generateChapterDeepDive(provider, {
+        title: 'Chapter',
+        text: 'slice',
+        speakers: [
+          { id: 'spk_1', name: '김교수', aliases: ['Prof. Kim', '김교수'] },
+          { id: 'spk_2', name: 'Student', aliases: ['Student'] }
+        ]
+      });
+
+      const { prompt } = provider.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('## 화자 정보');
+      expect(prompt).toContain('- 김교수 (대본 표기: Prof. Kim)\n- Student\n');
+    });
+  });
+
+  describe('prompt templates', () => {
+    it('should render the given template version instead of the built-in one', async () => {
+      const provider = createFakeProvider({ narrative: 'n' });
+      const template = { name: 'deep_dive', version: 4, body: '{{title}} @ {{startTime}}\n{{text}}' };
+
+      await generateChapterDeepDive(provider, { title: 'Chapter', text: 'slice' }, { template });
+
+      expect(provider.generateContent.mock.calls[0][0].prompt).toBe('Chapter @ N/A\nslice');
+    });
+  });
+
+  describe('generateCheckedDeepDive', () => {
+    // Only the narrative length rule applies
+    const quality = { minNarrativeLength: 10, minSections: 0, minQuotes: 0 };
+    const short = { narrative: '짧다.' };
+    const long = { narrative: '충분히 긴 본문이다.' };
+
+    const createSequenceProvider = (...responses) => {
+      const generateContent = vi.fn();
+      for (const data of responses) {
+        generateContent.mockResolvedValueOnce(
+          data instanceof Error ? { success: false, error: data.message } : { success: true, data }
+        );
+      }
+      return { generateContent };
+    };
+
+    it('should return the first response when it passes', async () => {
+      const provider = createSequenceProvider(long);
+
+      const { data, quality: report } = await generateCheckedDeepDive(provider, { title: 'Chapter', text: 'slice' }, { quality });
+
+      expect(data).toEqual(long);
+      expect(report).toMatchObject({ passed: true, score: 100, attempts: 1 });
+      expect(provider.generateContent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should re-prompt with the violations until the note passes', async () => {
+      const provider = createSequenceProvider(short, long);
+
+      const { data, quality: report } = await generateCheckedDeepDive(provider, { title: 'Chapter', text: 'slice' }, { quality });
+
+      expect(data).toEqual(long);
+      expect(report).toMatchObject({ passed: true, attempts: 2 });
+      const repair = provider.generateContent.mock.calls[1][0];
+      expect(repair.stage).toBe(PIPELINE_STAGE.DEEP_DIVE_REPAIR);
+      expect(repair.prompt).toContain('## 🔁 이전 응답의 품질 검사 결과 (반드시 수정)\n이전에 작성한 결과가');
+      expect(repair.prompt).toContain('- narrative가 3자로 너무 짧다.');
+    });
+
+    it('should stop after maxRepairs and keep the failing report', async () => {
+      const provider = createSequenceProvider(short, short);
+
+      const { quality: report } = await generateCheckedDeepDive(provider, { title: 'Chapter', text: 'slice' }, {
+        quality: { ...quality, maxRepairs: 1 }
+      });
+
+      expect(report).toMatchObject({ passed: false, attempts: 2 });
+      expect(report.violations.map(v => v.rule)).toEqual(['narrative_length']);
+      expect(provider.generateContent).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the best response when a repair fails', async () => {
+      const provider = createSequenceProvider(short, new Error('quota'));
+
+      const { data, quality: report } = await generateCheckedDeepDive(provider, { title: 'Chapter', text: 'slice' }, { quality });
+
+      expect(data).toEqual(short);
+      expect(report).toMatchObject({ passed: false, attempts: 1 });
+      expect(provider.generateContent).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('generateStyledDeepDive', () => {
+    it('should run the quality gate for storytelling notes', async () => {
+      const provider = createFakeProvider({ narrative: '짧다.' });
+
+      const { quality } = await generateStyledDeepDive(provider, { title: 'Chapter', text: 'slice' }, {
+        style: 'storytelling',
+        quality: { maxRepairs: 0 }
+      });
+
+      expect(quality).toMatchObject({ passed: false, attempts: 1 });
+      expect(provider.generateContent.mock.calls[0][0].schema).toBe(CHAPTER_DEEP_DIVE_SCHEMA);
+    });
+
+    it('should generate other styles once with their schema and no quality report', async () => {
+      const provider = createFakeProvider({ cues: [], recap: '요약' });
+
+      const { data, quality } = await generateStyledDeepDive(provider, { title: 'Chapter', text: 'slice' }, {
+        style: 'cornell',
+        template: DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.DEEP_DIVE_CORNELL]
+      });
+
+      expect(data).toEqual({ cues: [], recap: '요약' });
+      expect(quality).toBeNull();
+      expect(provider.generateContent).toHaveBeenCalledTimes(1);
+      const request = provider.generateContent.mock.calls[0][0];
+      expect(request.stage).toBe(PIPELINE_STAGE.DEEP_DIVE);
+      expect(request.schema).toBe(CORNELL_NOTE_SCHEMA);
+      expect(request.prompt).toContain('코넬 노트(Cornell Notes) 형식');
+      expect(request.prompt).not.toContain('## 사용자 피드백');
+    });
+  });
+
+  describe('regenerateChapterNote', () => {
+    it('should embed user feedback in the prompt', async () => {
+      const provider = createFakeProvider({ narrative: 'n' });
+
+      await regenerateChapterNote(provider, {
+        title: 'Chapter',
+        startTime: '01:00',
+        endTime: '02:00',
+        feedback: '더 자세하게',
+        text: 'slice'
+      });
+
+      const request = provider.generateContent.mock.calls[0][0];
+      expect(request.schema).toBe(CHAPTER_DEEP_DIVE_SCHEMA);
+      expect(request.stage).toBe(PIPELINE_STAGE.REGENERATION);
+      expect(request.prompt).toContain('## 사용자 피드백 (반드시 반영)\n더 자세하게');
+    });
+
+    it('should render the feedback section of a note style template', async () => {
+      const provider = createFakeProvider({ outline: [] });
+
+      await regenerateChapterNote(provider, {
+        title: 'Chapter',
+        feedback: '예상 문제를 늘려줘',
+        text: 'slice'
+      }, { template: DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.DEEP_DIVE_EXAM_CRAM], schema: EXAM_CRAM_SCHEMA });
+
+      const request = provider.generateContent.mock.calls[0][0];
+      expect(request.schema).toBe(EXAM_CRAM_SCHEMA);
+      expect(request.prompt).toContain('시험 직전에 빠르게 훑어볼 수 있는 불릿 개요');
+      expect(request.prompt).toContain('## 사용자 피드백 (반드시 반영)\n예상 문제를 늘려줘');
+    });
+  });
+
+  describe('generateFinalSummaryInsights', () => {
+    it('should use the final summary schema', async () => {
+      const provider = createFakeProvider({ oneSentenceSummary: 's' });
+
+      const result = await generateFinalSummaryInsights(provider, 'Chapter 1: A');
+
+      expect(result).toEqual({ oneSentenceSummary: 's' });
+      const request = provider.generateContent.mock.calls[0][0];
+      expect(request.schema).toBe(FINAL_SUMMARY_SCHEMA);
+      expect(request.prompt).toContain('## 강의 내용:\nChapter 1: A');
+    });
+  });
+
+  describe('output language', () => {
+    it('should leave prompts unchanged for Korean notes of a Korean lecture', async () => {
+      const provider = createFakeProvider({});
+
+      await generateLectureMeta(provider, 'intro', [{ title: 'A' }], { language: { source: 'ko', target: 'ko', bilingual: true } });
+      await generateLectureMeta(provider, 'intro', [{ title: 'A' }]);
+
+      const [withLanguage, without] = provider.generateContent.mock.calls.map(call => call[0].prompt);
+      expect(withLanguage).toBe(without);
+      expect(withLanguage).not.toContain('출력 언어');
+    });
+
+    it('should ask for the target language and original quotes', async () => {
+      const provider = createFakeProvider({});
+
+      await generateChapterDeepDive(provider, { title: 'Chapter', text: 'slice' }, {
+        language: { source: 'ko', target: 'en', bilingual: false }
+      });
+
+      const { prompt } = provider.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('## 🌐 출력 언어 (최우선 준수사항)');
+      expect(prompt).toContain('영어 (English)로 작성하세요');
+      expect(prompt).toContain('인용문(quote, 원문 발췌)은 번역하지 말고');
+      expect(prompt).not.toContain('originalTerm');
+    });
+
+    it('should ask for original-language terms in bilingual mode', async () => {
+      const provider = createFakeProvider({ oneSentenceSummary: 's' });
+
+      await generateFinalSummaryInsights(provider, 'Chapter 1: A', {
+        language: { source: 'en', target: 'ko', bilingual: true }
+      });
+
+      const { prompt } = provider.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('originalTerm에는 강의에서 쓰인 영어 (English) 원어 표기');
+      expect(prompt).not.toContain('로 작성하세요. 위 지시문');
+    });
+  });
+
+  // 단계 함수만 검증 (업로드 라우트, 작업 큐, DB 저장은 포함하지 않음)
+  describe('offline stages with the mock provider', () => {
+    it('should run every AI stage without network access', async () => {
+      const provider = createPipelineProvider({ provider: 'mock' }, '');
+
+      const chapters = await extractSegmentChapters(
+        provider,
+        { text: 'segment body', startTime: '00:00:00', endTime: '00:30:00' },
+        0,
+        1
+      );
+      const meta = await generateLectureMeta(provider, 'intro', chapters);
+      const deepDive = await generateChapterDeepDive(provider, { ...chapters[0], previousContext: '', text: 'slice' });
+      const summary = await generateFinalSummaryInsights(provider, 'Chapter 1');
+
+      expect(chapters[0]).toMatchObject({ startTime: '00:00:00', endTime: '00:30:00' });
+      expect(meta.title).toBe('mock title');
+      expect(deepDive).toEqual(expect.any(Object));
+      expect(summary).toEqual(expect.any(Object));
+      expect(provider.calls.map(call => call.stage)).toEqual([
+        PIPELINE_STAGE.SEGMENTATION,
+        PIPELINE_STAGE.LECTURE_META,
+        PIPELINE_STAGE.DEEP_DIVE,
+        PIPELINE_STAGE.FINAL_SUMMARY
+      ]);
+    });
+  });
+});
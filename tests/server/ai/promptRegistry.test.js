@@ -0,0 +1,90 @@
+/**
+ * Tests for promptRegistry module
+ * @module tests/server/ai/promptRegistry.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PromptRegistry } from '../../../server/ai/promptRegistry.js';
+import { DEFAULT_PROMPT_TEMPLATES, PROMPT_TEMPLATE } from '../../../server/ai/promptTemplates.js';
+import { buildFinalSummaryPrompt } from '../../../server/ai/prompts.js';
+
+// Mock DB helpers (same shape as database.cjs exports)
+const createMockDB = (rows = []) => ({
+  run: vi.fn().mockResolvedValue({ changes: 1 }),
+  all: vi.fn().mockResolvedValue(rows)
+});
+
+const builtinRows = () => Object.values(DEFAULT_PROMPT_TEMPLATES).map(t => ({
+  name: t.name, version: 1, body: t.body, note: 'Built-in template', source: 'builtin', created_at: '2026-01-01'
+}));
+
+describe('promptRegistry', () => {
+  let db;
+  let registry;
+
+  beforeEach(async () => {
+    db = createMockDB([
+      ...builtinRows(),
+      { name: 'final_summary', version: 2, body: '요약: {{context}}', note: '짧게', source: 'custom', created_at: '2026-02-01' }
+    ]);
+    registry = new PromptRegistry(db);
+    await registry.load();
+  });
+
+  it('should store the built-in templates on load', () => {
+    const inserts = db.run.mock.calls.filter(([sql]) => sql.startsWith('INSERT OR IGNORE'));
+    expect(inserts).toHaveLength(Object.keys(DEFAULT_PROMPT_TEMPLATES).length);
+    expect(inserts[0][1][0]).toBe(PROMPT_TEMPLATE.SEGMENT_CHAPTERS);
+  });
+
+  it('should return the latest version as the active template', () => {
+    const template = registry.get(PROMPT_TEMPLATE.FINAL_SUMMARY);
+
+    expect(template).toMatchObject({ name: 'final_summary', version: 2, body: '요약: {{context}}' });
+    expect(template.variables).toEqual(DEFAULT_PROMPT_TEMPLATES.final_summary.variables);
+    expect(buildFinalSummaryPrompt('ctx', template)).toBe('요약: ctx');
+    expect(registry.get(PROMPT_TEMPLATE.DEEP_DIVE).version).toBe(1);
+  });
+
+  it('should fall back to built-in templates before loading', () => {
+    expect(new PromptRegistry(createMockDB()).get(PROMPT_TEMPLATE.DEEP_DIVE)).toBe(DEFAULT_PROMPT_TEMPLATES.deep_dive);
+    expect(() => registry.get('nope')).toThrow('Unknown prompt template: nope');
+  });
+
+  it('should list templates with their version history', () => {
+    const summary = registry.list().find(t => t.name === 'final_summary');
+
+    expect(summary.activeVersion).toBe(2);
+    expect(summary.versions).toEqual([
+      { version: 1, note: 'Built-in template', source: 'builtin', createdAt: '2026-01-01' },
+      { version: 2, note: '짧게', source: 'custom', createdAt: '2026-02-01' }
+    ]);
+    expect(registry.history('final_summary')[1].body).toBe('요약: {{context}}');
+    expect(registry.history('nope')).toBeNull();
+  });
+
+  it('should save an edited template as the next version', async () => {
+    const { template } = await registry.save('final_summary', '전체 요약: {{context}}', 'v3');
+
+    expect(template.version).toBe(3);
+    expect(db.run).toHaveBeenLastCalledWith(expect.stringContaining('INSERT INTO prompt_templates'), ['final_summary', 3, '전체 요약: {{context}}', 'v3']);
+    expect(registry.get('final_summary').body).toBe('전체 요약: {{context}}');
+  });
+
+  it('should not add a version for an unchanged or invalid body', async () => {
+    db.run.mockClear();
+
+    expect((await registry.save('final_summary', '요약: {{context}}')).template.version).toBe(2);
+    expect((await registry.save('final_summary', '{{title}}')).errors).toEqual([
+      'Unknown variable {{title}}',
+      'Missing required variable {{context}}'
+    ]);
+    expect(db.run).not.toHaveBeenCalled();
+  });
+
+  it('should preview templates with sample values', () => {
+    expect(registry.preview('final_summary').prompt).toContain('요약: Chapter 1: 캐시가 필요한 이유');
+    expect(registry.preview('final_summary', { body: '[{{context}}]', variables: { context: 'X' } }).prompt).toBe('[X]');
+    expect(registry.preview('final_summary', { body: '{{oops}}' }).errors).toHaveLength(2);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for promptTemplates module
+ * @module tests/server/ai/promptTemplates.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE,
+  templateVariables,
+  renderTemplate,
+  validateTemplateBody,
+  templateRef
+} from '../../../server/ai/promptTemplates.js';
+
+describe('promptTemplates', () => {
+  describe('DEFAULT_PROMPT_TEMPLATES', () => {
+    it('should only use declared variables and include the required ones', () => {
+      for (const template of Object.values(DEFAULT_PROMPT_TEMPLATES)) {
+        expect(validateTemplateBody(template.name, template.body)).toEqual([]);
+        expect(template.version).toBe(1);
+      }
+    });
+  });
+
+  describe('templateVariables', () => {
+    it('should list variables once in order of use', () => {
+      expect(templateVariables('{{title}} {{ text }} {{title}}')).toEqual(['title', 'text']);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should interpolate values and render missing ones as empty text', () => {
+      const prompt = renderTemplate({ body: '제목: {{title}} / {{ segmentNumber }} / [{{missing}}]' }, { title: 'A', segmentNumber: 0 });
+      expect(prompt).toBe('제목: A / 0 / []');
+    });
+  });
+
+  describe('validateTemplateBody', () => {
+    it('should reject unknown variables, missing required ones and empty bodies', () => {
+      expect(validateTemplateBody(PROMPT_TEMPLATE.DEEP_DIVE, '{{title}} {{oops}}')).toEqual([
+        'Unknown variable {{oops}}',
+        'Missing required variable {{text}}'
+      ]);
+      expect(validateTemplateBody(PROMPT_TEMPLATE.FINAL_SUMMARY, '  ')).toEqual(['body must be a non-empty string']);
+      expect(validateTemplateBody('nope', '{{text}}')).toEqual(['Unknown prompt template: nope']);
+    });
+  });
+
+  describe('templateRef', () => {
+    it('should keep only the name and version', () => {
+      expect(templateRef(DEFAULT_PROMPT_TEMPLATES[PROMPT_TEMPLATE.REGENERATION])).toEqual({ name: 'regeneration', version: 1 });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for rateLimiter module
+ * @module tests/server/ai/rateLimiter.test
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  RateLimiter,
+  RateLimitedProvider,
+  parseRetryAfter,
+  isRateLimitError
+} from '../../../server/ai/rateLimiter.js';
+
+const fakeProvider = (overrides = {}) => ({
+  provider: 'google',
+  model: 'test-model',
+  config: { apiKey: 'key-a' },
+  ...overrides
+});
+
+// Attempt that resolves when the test calls finish()
+const pendingAttempt = () => {
+  let finish;
+  const promise = new Promise(resolve => { finish = resolve; });
+  return { attempt: () => promise, finish };
+};
+
+describe('rateLimiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should read header delays and delays in error text', () => {
+      expect(parseRetryAfter({ retryAfterMs: 7000, message: '' })).toBe(7000);
+      expect(parseRetryAfter(new Error('{"retryDelay": "27s"}'))).toBe(27000);
+      expect(parseRetryAfter(new Error('Please retry in 1.5s.'))).toBe(1500);
+      expect(parseRetryAfter(new Error('Please try again in 250ms.'))).toBe(250);
+      expect(parseRetryAfter(new Error('rate limited'))).toBeNull();
+    });
+  });
+
+  describe('isRateLimitError', () => {
+    it('should recognize 429 and quota errors', () => {
+      expect(isRateLimitError({ status: 429, message: '' })).toBe(true);
+      expect(isRateLimitError(new Error('got status: 429 RESOURCE_EXHAUSTED'))).toBe(true);
+      expect(isRateLimitError(new Error('Quota exceeded for metric'))).toBe(true);
+      expect(isRateLimitError(new Error('OpenAI API error 500: boom'))).toBe(false);
+    });
+  });
+
+  describe('RateLimiter', () => {
+    it('should hold requests beyond the requests-per-minute budget until the window frees', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 2 });
+      const provider = fakeProvider();
+      const started = [];
+      const run = (name) => limiter.schedule(provider, { prompt: 'p' }, async () => {
+        started.push(name);
+        return { text: name };
+      });
+
+      const results = Promise.all([run('a'), run('b'), run('c')]);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(started).toEqual(['a', 'b']);
+
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(started).toEqual(['a', 'b', 'c']);
+      expect((await results).map(r => r.text)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should reserve estimated tokens and correct them with reported usage', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 100, tokensPerMinute: 100, charsPerToken: 1 });
+      const provider = fakeProvider();
+      const started = [];
+      const run = (name, prompt, usage) => limiter.schedule(provider, { prompt }, async () => {
+        started.push(name);
+        return { text: name, usage };
+      });
+
+      await run('a', 'x'.repeat(10), { promptTokens: 40, outputTokens: 50 });
+      const second = run('b', 'x'.repeat(20));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(started).toEqual(['a']);
+
+      await vi.advanceTimersByTimeAsync(60000);
+      await second;
+      expect(started).toEqual(['a', 'b']);
+    });
+
+    it('should alternate between lectures and report queue positions', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 1 });
+      const provider = fakeProvider();
+      const started = [];
+      const positions = [];
+      const run = (lectureId, name) => limiter.schedule(provider, { prompt: 'p', stage: 'deep_dive' }, async () => {
+        started.push(name);
+        return { text: name };
+      }, { lectureId, onQueue: status => positions.push([name, status.position]) });
+
+      const all = Promise.all([run('L1', 'a1'), run('L1', 'a2'), run('L1', 'a3'), run('L2', 'b1')]);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(started).toEqual(['a1']);
+      expect(positions).toEqual([['a2', 1], ['a3', 2], ['b1', 2], ['a3', 3]]);
+
+      await vi.advanceTimersByTimeAsync(60000 * 3);
+      await all;
+      expect(started).toEqual(['a1', 'a2', 'b1', 'a3']);
+      expect(positions).toContainEqual(['b1', 0]);
+    });
+
+    it('should keep separate budgets per API key and model', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 1 });
+      const started = [];
+      const run = (provider, name) => limiter.schedule(provider, { prompt: 'p' }, async () => {
+        started.push(name);
+        return { text: name };
+      });
+
+      run(fakeProvider(), 'a');
+      run(fakeProvider({ config: { apiKey: 'key-b' } }), 'b');
+      run(fakeProvider({ model: 'other-model' }), 'c');
+      run(fakeProvider(), 'd');
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(started).toEqual(['a', 'b', 'c']);
+      expect(limiter.status().map(b => b.queued)).toEqual([1, 0, 0]);
+    });
+
+    it('should pause the queue for the retry-after of a rate-limited attempt', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 100 });
+      const provider = fakeProvider();
+      const error = Object.assign(new Error('rate limited'), { status: 429, retryAfterMs: 5000 });
+
+      await expect(limiter.schedule(provider, { prompt: 'p' }, async () => { throw error; })).rejects.toBe(error);
+
+      let started = false;
+      const next = limiter.schedule(provider, { prompt: 'p' }, async () => { started = true; return { text: 'ok' }; });
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(started).toBe(false);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await next;
+      expect(started).toBe(true);
+    });
+
+    it('should drop queued requests when they are aborted', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 1 });
+      const provider = fakeProvider();
+      const first = pendingAttempt();
+      limiter.schedule(provider, { prompt: 'p' }, first.attempt);
+
+      const controller = new AbortController();
+      const attempt = vi.fn();
+      const queued = limiter.schedule(provider, { prompt: 'p', signal: controller.signal }, attempt);
+      controller.abort(new Error('Processing cancelled by user'));
+
+      await expect(queued).rejects.toThrow('Processing cancelled by user');
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(attempt).not.toHaveBeenCalled();
+      expect(limiter.status()[0].queued).toBe(0);
+      first.finish({ text: 'done' });
+    });
+  });
+
+  describe('RateLimitedProvider', () => {
+    it('should pass a scheduler bound to the lecture to the inner provider', async () => {
+      const limiter = new RateLimiter();
+      const inner = {
+        ...fakeProvider(),
+        generateContent: vi.fn(async (request) => {
+          const { text } = await request.scheduler(async () => ({ text: 'ok' }));
+          return { success: true, data: text };
+        })
+      };
+      const schedule = vi.spyOn(limiter, 'schedule');
+      const onQueue = vi.fn();
+
+      const provider = limiter.track(inner, 'L1', { onQueue });
+      const result = await provider.generateContent({ prompt: 'hello', stage: 'segmentation' });
+
+      expect(provider).toBeInstanceOf(RateLimitedProvider);
+      expect(result).toEqual({ success: true, data: 'ok' });
+      expect(schedule.mock.calls[0][0]).toBe(inner);
+      expect(schedule.mock.calls[0][3]).toEqual({ lectureId: 'L1', onQueue });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for responseCache module
+ * @module tests/server/ai/responseCache.test
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  CACHE_STATUS,
+  cacheKey,
+  CachingProvider,
+  ResponseCache
+} from '../../../server/ai/responseCache.js';
+
+// Mock DB helpers (same shape as database.cjs exports)
+const createMockDB = () => ({
+  run: vi.fn().mockResolvedValue({ changes: 0 }),
+  get: vi.fn().mockResolvedValue(undefined)
+});
+
+// In-memory cache with the lookup/store contract of ResponseCache
+const createMemoryCache = () => {
+  const entries = new Map();
+  return {
+    entries,
+    lookup: vi.fn(async key => entries.get(key)?.response || null),
+    store: vi.fn(async (key, entry) => { entries.set(key, entry); })
+  };
+};
+
+const fakeProvider = (result = { success: true, data: { ok: true }, rawText: '{"ok":true}', usage: { promptTokens: 10, outputTokens: 2 } }) => ({
+  provider: 'google',
+  model: 'gemini-2.5-flash',
+  config: { temperature: 0.7, maxTokens: 8192 },
+  generateContent: vi.fn().mockResolvedValue(result)
+});
+
+describe('responseCache', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('cacheKey', () => {
+    it('should depend on model, prompt, schema and generation parameters', () => {
+      const provider = fakeProvider();
+      const base = cacheKey(provider, { prompt: 'p', schema: { type: 'OBJECT' } });
+
+      expect(cacheKey(provider, { prompt: 'p', schema: { type: 'OBJECT' }, stage: 'deep_dive' })).toBe(base);
+      expect(cacheKey(provider, { prompt: 'q', schema: { type: 'OBJECT' } })).not.toBe(base);
+      expect(cacheKey(provider, { prompt: 'p' })).not.toBe(base);
+      expect(cacheKey(provider, { prompt: 'p', schema: { type: 'OBJECT' }, temperature: 0 })).not.toBe(base);
+      expect(cacheKey({ ...provider, model: 'gemini-2.5-pro' }, { prompt: 'p', schema: { type: 'OBJECT' } })).not.toBe(base);
+    });
+  });
+
+  describe('CachingProvider', () => {
+    it('should serve a repeated request from the cache', async () => {
+      const inner = fakeProvider();
+      const provider = new CachingProvider(inner, createMemoryCache());
+
+      const first = await provider.generateContent({ prompt: 'p', stage: 'deep_dive' });
+      const second = await provider.generateContent({ prompt: 'p', stage: 'deep_dive' });
+
+      expect(first.cacheStatus).toBe(CACHE_STATUS.MISS);
+      expect(second).toMatchObject({ success: true, data: { ok: true }, cacheStatus: CACHE_STATUS.HIT, usage: { promptTokens: 10 } });
+      expect(inner.generateContent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip the lookup for bypassed requests and refresh the entry', async () => {
+      const inner = fakeProvider();
+      const cache = createMemoryCache();
+      const provider = new CachingProvider(inner, cache);
+
+      await provider.generateContent({ prompt: 'p' });
+      const result = await provider.generateContent({ prompt: 'p', bypassCache: true });
+
+      expect(result.cacheStatus).toBe(CACHE_STATUS.BYPASS);
+      expect(inner.generateContent).toHaveBeenCalledTimes(2);
+      expect(cache.store).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not cache failures or responses from a fallback model', async () => {
+      const cache = createMemoryCache();
+
+      await new CachingProvider(fakeProvider({ success: false, data: null, error: '503' }), cache).generateContent({ prompt: 'p' });
+      await new CachingProvider(fakeProvider({ success: true, data: {}, fallback: { used: true, model: 'm' } }), cache).generateContent({ prompt: 'p' });
+
+      expect(cache.store).not.toHaveBeenCalled();
+    });
+
+    it('should fall through to the provider when the cache fails', async () => {
+      const inner = fakeProvider();
+      const cache = { lookup: vi.fn().mockRejectedValue(new Error('SQLITE_BUSY')), store: vi.fn().mockRejectedValue(new Error('SQLITE_BUSY')) };
+
+      const result = await new CachingProvider(inner, cache).generateContent({ prompt: 'p' });
+
+      expect(result).toMatchObject({ success: true, cacheStatus: CACHE_STATUS.MISS });
+    });
+  });
+
+  describe('ResponseCache', () => {
+    it('should not wrap skipped providers or when disabled', () => {
+      const db = createMockDB();
+      const mock = { provider: 'mock', model: 'mock' };
+      const gemini = fakeProvider();
+
+      expect(new ResponseCache(db).track(mock)).toBe(mock);
+      expect(new ResponseCache(db, { ttlMs: 0 }).track(gemini)).toBe(gemini);
+      expect(new ResponseCache(db).track(gemini)).toBeInstanceOf(CachingProvider);
+    });
+
+    it('should look up unexpired entries and mark them used', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+      const db = createMockDB();
+      db.get.mockResolvedValue({ response: '{"data":{"ok":true}}' });
+      const cache = new ResponseCache(db, { ttlMs: 1000 });
+
+      const response = await cache.lookup('k');
+
+      expect(response).toEqual({ data: { ok: true } });
+      expect(db.get.mock.calls[0][1]).toEqual(['k', Date.now() - 1000]);
+      expect(db.run.mock.calls[0][0]).toContain('hits = hits + 1');
+    });
+
+    it('should store responses and prune by age, count and size', async () => {
+      const db = createMockDB();
+      const cache = new ResponseCache(db, { maxEntries: 10, maxBytes: 1000 });
+
+      await cache.store('k', { provider: 'google', model: 'm', stage: 'deep_dive', response: { data: 1 } });
+
+      const [insertSql, params] = db.run.mock.calls[0];
+      expect(insertSql).toContain('INSERT OR REPLACE INTO ai_cache');
+      expect(params.slice(0, 6)).toEqual(['k', 'google', 'm', 'deep_dive', '{"data":1}', 10]);
+      expect(db.run.mock.calls.slice(1).map(call => call[1])).toEqual([
+        [expect.any(Number)],
+        [10],
+        [1000]
+      ]);
+    });
+
+    it('should not store responses larger than the size limit', async () => {
+      const db = createMockDB();
+      const cache = new ResponseCache(db, { maxBytes: 5 });
+
+      await cache.store('k', { provider: 'google', model: 'm', stage: null, response: { data: 'too large' } });
+
+      expect(db.run).not.toHaveBeenCalled();
+    });
+  });
+});
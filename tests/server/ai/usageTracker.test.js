@@ -0,0 +1,196 @@
+/**
+ * Tests for usageTracker module
+ * @module tests/server/ai/usageTracker.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  MODEL_PRICING,
+  estimateCost,
+  summarizeUsage,
+  UsageTrackingProvider,
+  UsageTracker
+} from '../../../server/ai/usageTracker.js';
+import { MockProvider } from '../../../server/ai/mockProvider.js';
+
+// Mock DB helpers (same shape as database.cjs exports)
+const createMockDB = () => ({
+  run: vi.fn().mockResolvedValue({ changes: 1 }),
+  all: vi.fn().mockResolvedValue([])
+});
+
+describe('usageTracker', () => {
+  describe('estimateCost', () => {
+    it('should price input and output tokens per million', () => {
+      expect(estimateCost('gpt-4o', 1_000_000, 1_000_000)).toBeCloseTo(12.5);
+      expect(estimateCost('gemini-2.5-flash', 2000, 1000)).toBeCloseTo((2000 * 0.3 + 1000 * 2.5) / 1_000_000);
+    });
+
+    it('should return null for models without a price', () => {
+      expect(estimateCost('local-llama', 100, 100)).toBeNull();
+    });
+
+    it('should price every selectable model', () => {
+      for (const model of ['gemini-2.5-flash', 'gemini-2.5-pro', 'gpt-4o-mini', 'gpt-4o', 'mock']) {
+        expect(MODEL_PRICING[model]).toBeDefined();
+      }
+    });
+  });
+
+  describe('UsageTrackingProvider', () => {
+    it('should report usage of successful calls with the stage', async () => {
+      const onUsage = vi.fn();
+      const inner = {
+        provider: 'google',
+        model: 'gemini-2.5-flash',
+        generateContent: vi.fn().mockResolvedValue({
+          success: true,
+          data: {},
+          usage: { model: 'gemini-2.5-flash', promptTokens: 1000, outputTokens: 200 }
+        })
+      };
+      const provider = new UsageTrackingProvider(inner, onUsage);
+
+      await provider.generateContent({ prompt: 'p', stage: 'deep_dive' });
+
+      expect(onUsage).toHaveBeenCalledWith({
+        stage: 'deep_dive',
+        provider: 'google',
+        model: 'gemini-2.5-flash',
+        promptTokens: 1000,
+        outputTokens: 200,
+        costUsd: estimateCost('gemini-2.5-flash', 1000, 200),
+        cacheStatus: null
+      });
+    });
+
+    it('should not report failed calls', async () => {
+      const onUsage = vi.fn();
+      const inner = { generateContent: vi.fn().mockResolvedValue({ success: false, error: 'boom' }) };
+      const provider = new UsageTrackingProvider(inner, onUsage);
+
+      const result = await provider.generateContent({ prompt: 'p', stage: 'deep_dive' });
+
+      expect(result.success).toBe(false);
+      expect(onUsage).not.toHaveBeenCalled();
+    });
+
+    it('should return the result even when recording fails', async () => {
+      const provider = new UsageTrackingProvider(
+        new MockProvider(),
+        vi.fn().mockRejectedValue(new Error('SQLITE_BUSY'))
+      );
+
+      const result = await provider.generateContent({ prompt: 'p', stage: 'correction' });
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should record estimated tokens from the mock provider', async () => {
+      const onUsage = vi.fn();
+      const provider = new UsageTrackingProvider(new MockProvider(), onUsage);
+
+      await provider.generateContent({ prompt: 'x'.repeat(40), stage: 'final_summary', schema: { type: 'OBJECT' } });
+
+      expect(onUsage.mock.calls[0][0]).toMatchObject({ stage: 'final_summary', model: 'mock', promptTokens: 10, costUsd: 0 });
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    it('should aggregate rows by stage and model', () => {
+      const summary = summarizeUsage([
+        { stage: 'segmentation', model: 'gemini-2.5-flash', calls: 2, prompt_tokens: 100, output_tokens: 10, cost_usd: 0.01, unpriced_calls: 0 },
+        { stage: 'deep_dive', model: 'gemini-2.5-flash', calls: 3, prompt_tokens: 300, output_tokens: 90, cost_usd: 0.02, unpriced_calls: 0 },
+        { stage: 'deep_dive', model: 'local-llama', calls: 1, prompt_tokens: 50, output_tokens: 5, cost_usd: null, unpriced_calls: 1 }
+      ]);
+
+      expect(summary.totals).toEqual({
+        calls: 6, promptTokens: 450, outputTokens: 105, costUsd: 0.03, unpricedCalls: 1,
+        cacheHits: 0, cacheMisses: 0, savedCostUsd: 0
+      });
+      expect(summary.stages.map(s => [s.stage, s.calls])).toEqual([['segmentation', 2], ['deep_dive', 4]]);
+      expect(summary.models.find(m => m.model === 'local-llama')).toMatchObject({ calls: 1, costUsd: 0, unpricedCalls: 1 });
+    });
+
+    it('should count cache hits and the cost they saved', () => {
+      const summary = summarizeUsage([
+        { stage: 'deep_dive', model: 'gemini-2.5-flash', calls: 1, prompt_tokens: 100, output_tokens: 10, cost_usd: 0.01, unpriced_calls: 0, cache_hits: 2, cache_misses: 1, saved_cost_usd: 0.02 }
+      ]);
+
+      expect(summary.totals).toMatchObject({ calls: 1, costUsd: 0.01, cacheHits: 2, cacheMisses: 1, savedCostUsd: 0.02 });
+    });
+
+    it('should return zero totals without rows', () => {
+      expect(summarizeUsage([])).toEqual({
+        totals: { calls: 0, promptTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0, cacheHits: 0, cacheMisses: 0, savedCostUsd: 0 },
+        stages: [],
+        models: []
+      });
+    });
+  });
+
+  describe('UsageTracker', () => {
+    let db;
+    let tracker;
+
+    beforeEach(() => {
+      db = createMockDB();
+      tracker = new UsageTracker(db);
+    });
+
+    it('should insert one row per call', async () => {
+      await tracker.record('lec_1', {
+        stage: 'segmentation',
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        promptTokens: 10,
+        outputTokens: 5,
+        costUsd: null
+      });
+
+      const [sql, params] = db.run.mock.calls[0];
+      expect(sql).toContain('INSERT INTO ai_usage');
+      expect(params).toEqual(['lec_1', 'segmentation', 'openai', 'gpt-4o-mini', 10, 5, null, null]);
+    });
+
+    it('should record calls of tracked providers for the lecture', async () => {
+      const provider = tracker.track(new MockProvider(), 'lec_1');
+
+      await provider.generateContent({ prompt: 'p', stage: 'lecture_meta', schema: { type: 'OBJECT' } });
+
+      expect(db.run.mock.calls[0][1].slice(0, 4)).toEqual(['lec_1', 'lecture_meta', 'mock', 'mock']);
+    });
+
+    it('should record the cache status of tracked calls', async () => {
+      const inner = {
+        provider: 'google',
+        model: 'gemini-2.5-flash',
+        generateContent: vi.fn().mockResolvedValue({
+          success: true, data: {}, cacheStatus: 'hit', usage: { promptTokens: 10, outputTokens: 5 }
+        })
+      };
+
+      await tracker.track(inner, 'lec_1').generateContent({ prompt: 'p', stage: 'deep_dive' });
+
+      expect(db.run.mock.calls[0][1].slice(4)).toEqual([10, 5, estimateCost('gemini-2.5-flash', 10, 5), 'hit']);
+    });
+
+    it('should return usage summarized for a lecture', async () => {
+      db.all.mockResolvedValue([
+        { stage: 'deep_dive', model: 'gpt-4o', calls: 1, prompt_tokens: 10, output_tokens: 2, cost_usd: 0.001, unpriced_calls: 0 }
+      ]);
+
+      const usage = await tracker.getLectureUsage('lec_1');
+
+      expect(db.all.mock.calls[0][1]).toEqual(['lec_1']);
+      expect(usage.lectureId).toBe('lec_1');
+      expect(usage.totals.calls).toBe(1);
+      expect(usage.stages[0].stage).toBe('deep_dive');
+    });
+
+    it('should delete the usage of a lecture', async () => {
+      await tracker.deleteLectureUsage('lec_1');
+      expect(db.run).toHaveBeenCalledWith('DELETE FROM ai_usage WHERE lecture_id = ?', ['lec_1']);
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Tests for jobQueue module
+ * @module tests/server/jobs/jobQueue.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  JobQueue,
+  JOB_STATUS,
+  computeBackoff,
+  JOB_QUEUE_DEFAULT_CONFIG
+} from '../../../server/jobs/jobQueue.js';
+
+// Mock DB helpers (same shape as database.cjs exports)
+const createMockDB = () => ({
+  run: vi.fn().mockResolvedValue({ changes: 1 }),
+  get: vi.fn().mockResolvedValue(undefined),
+  all: vi.fn().mockResolvedValue([])
+});
+
+const createJob = (overrides = {}) => ({
+  id: 'job_1',
+  type: 'process_lecture',
+  lecture_id: 'lec_1',
+  chapter_id: null,
+  payload: JSON.stringify({ lectureId: 'lec_1' }),
+  status: JOB_STATUS.RUNNING,
+  attempts: 1,
+  max_attempts: 3,
+  last_error: null,
+  ...overrides
+});
+
+describe('jobQueue', () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockDB();
+  });
+
+  describe('computeBackoff', () => {
+    it('should grow exponentially from the base delay', () => {
+      expect(computeBackoff(1, 1000)).toBe(1000);
+      expect(computeBackoff(2, 1000)).toBe(2000);
+      expect(computeBackoff(3, 1000)).toBe(4000);
+    });
+
+    it('should be capped at five minutes', () => {
+      expect(computeBackoff(20, 1000)).toBe(5 * 60 * 1000);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should insert a new queued job', async () => {
+      const queue = new JobQueue(db);
+      const result = await queue.enqueue('process_lecture', {
+        lectureId: 'lec_1',
+        payload: { lectureId: 'lec_1' }
+      });
+
+      expect(result.deduplicated).toBe(false);
+      expect(result.id).toMatch(/^job_/);
+      const insert = db.run.mock.calls.find(([sql]) => sql.includes('INSERT INTO jobs'));
+      expect(insert[1]).toEqual([
+        result.id, 'process_lecture', 'lec_1', null, JSON.stringify({ lectureId: 'lec_1' }),
+        JOB_QUEUE_DEFAULT_CONFIG.maxAttempts
+      ]);
+    });
+
+    it('should reuse a queued job of the same type and target', async () => {
+      db.get.mockResolvedValueOnce({ id: 'job_existing' });
+      const queue = new JobQueue(db);
+
+      const result = await queue.enqueue('process_lecture', {
+        lectureId: 'lec_1',
+        payload: { lectureId: 'lec_1' },
+        secrets: { apiKey: 'new-key' }
+      });
+
+      expect(result).toEqual({ id: 'job_existing', deduplicated: true });
+      expect(db.run.mock.calls.some(([sql]) => sql.includes('INSERT INTO jobs'))).toBe(false);
+      expect(db.run).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE jobs SET payload'),
+        [JSON.stringify({ lectureId: 'lec_1' }), 'job_existing']
+      );
+      expect(queue.secrets.get('job_existing')).toEqual({ apiKey: 'new-key' });
+    });
+
+    it('should keep secrets out of the stored payload', async () => {
+      const queue = new JobQueue(db);
+
+      const result = await queue.enqueue('process_lecture', {
+        lectureId: 'lec_1',
+        payload: { lectureId: 'lec_1' },
+        secrets: { apiKey: 'secret' }
+      });
+
+      const insert = db.run.mock.calls.find(([sql]) => sql.includes('INSERT INTO jobs'));
+      expect(JSON.stringify(insert[1])).not.toContain('secret');
+      expect(queue.secrets.get(result.id)).toEqual({ apiKey: 'secret' });
+    });
+
+    it('should queue a follow-up instead of reusing a running job', async () => {
+      const queue = new JobQueue(db);
+
+      const result = await queue.enqueue('regenerate_chapter', {
+        lectureId: 'lec_1',
+        chapterId: 'ch_1',
+        payload: { chapterId: 'ch_1', feedback: 'newer feedback' }
+      });
+
+      const [selectSql] = db.get.mock.calls[0];
+      expect(selectSql).toContain("status = 'queued'");
+      expect(selectSql).not.toContain('running');
+      expect(result.deduplicated).toBe(false);
+      expect(db.run.mock.calls.some(([sql]) => sql.includes('INSERT INTO jobs'))).toBe(true);
+    });
+  });
+
+  describe('recover', () => {
+    it('should requeue jobs left running by a previous process', async () => {
+      db.run.mockResolvedValueOnce({ changes: 0 }).mockResolvedValueOnce({ changes: 2 });
+      const queue = new JobQueue(db);
+
+      const count = await queue.recover();
+
+      expect(count).toBe(2);
+      expect(db.run.mock.calls[1][0]).toContain("SET status = 'queued'");
+      expect(db.run.mock.calls[1][0]).toContain("WHERE status = 'running'");
+    });
+
+    it('should remove API keys stored in payloads by older versions', async () => {
+      const queue = new JobQueue(db);
+
+      await queue.recover();
+
+      expect(db.run.mock.calls[0][0]).toContain("json_remove(payload, '$.apiKey')");
+    });
+  });
+
+  describe('claimNext', () => {
+    it('should return null when nothing is runnable', async () => {
+      const queue = new JobQueue(db);
+      expect(await queue.claimNext()).toBeNull();
+    });
+
+    it('should claim a queued job and increment attempts', async () => {
+      db.get.mockResolvedValueOnce(createJob({ status: JOB_STATUS.QUEUED, attempts: 0, lease_owner: null }));
+      const queue = new JobQueue(db);
+
+      const job = await queue.claimNext();
+
+      expect(job.status).toBe(JOB_STATUS.RUNNING);
+      expect(job.attempts).toBe(1);
+      expect(job.lease_owner).toBe(queue.workerId);
+    });
+
+    it('should return null when another worker claimed the job first', async () => {
+      db.get.mockResolvedValueOnce(createJob({ status: JOB_STATUS.QUEUED, attempts: 0 }));
+      db.run.mockResolvedValueOnce({ changes: 0 });
+      const queue = new JobQueue(db);
+
+      expect(await queue.claimNext()).toBeNull();
+    });
+  });
+
+  describe('runJob', () => {
+    it('should mark job completed when handler succeeds', async () => {
+      const queue = new JobQueue(db);
+      const handler = vi.fn().mockResolvedValue(undefined);
+      queue.register('process_lecture', handler);
+
+      await queue.runJob(createJob());
+
+      expect(handler).toHaveBeenCalledWith({ lectureId: 'lec_1' }, expect.objectContaining({ id: 'job_1' }));
+      expect(db.run.mock.calls.at(-1)[0]).toContain("status = 'completed'");
+    });
+
+    it('should pass in-memory secrets to the handler and drop them when finished', async () => {
+      const queue = new JobQueue(db);
+      const handler = vi.fn().mockResolvedValue(undefined);
+      queue.register('process_lecture', handler);
+      queue.register('generate_summary', vi.fn().mockRejectedValue(new Error('boom')));
+      queue.secrets.set('job_1', { apiKey: 'secret' });
+      queue.secrets.set('job_2', { apiKey: 'secret' });
+
+      await queue.runJob(createJob());
+      expect(handler).toHaveBeenCalledWith({ lectureId: 'lec_1', apiKey: 'secret' }, expect.anything());
+      expect(queue.secrets.has('job_1')).toBe(false);
+
+      await queue.runJob(createJob({ id: 'job_2', type: 'generate_summary', attempts: 3, max_attempts: 3 }));
+      expect(queue.secrets.has('job_2')).toBe(false);
+    });
+
+    it('should keep secrets for a job that will be retried', async () => {
+      const queue = new JobQueue(db);
+      queue.register('process_lecture', vi.fn().mockRejectedValue(new Error('503 overloaded')));
+      queue.secrets.set('job_1', { apiKey: 'secret' });
+
+      await queue.runJob(createJob({ attempts: 1 }));
+
+      expect(queue.secrets.get('job_1')).toEqual({ apiKey: 'secret' });
+    });
+
+    it('should run a recovered job without secrets', async () => {
+      const queue = new JobQueue(db);
+      const handler = vi.fn().mockResolvedValue(undefined);
+      queue.register('process_lecture', handler);
+
+      await queue.runJob(createJob());
+
+      expect(handler).toHaveBeenCalledWith({ lectureId: 'lec_1' }, expect.anything());
+    });
+
+    it('should requeue with backoff when handler fails below the attempt limit', async () => {
+      const queue = new JobQueue(db, { retryBaseDelayMs: 1000 });
+      queue.register('process_lecture', vi.fn().mockRejectedValue(new Error('503 overloaded')));
+
+      const before = Date.now();
+      await queue.runJob(createJob({ attempts: 1 }));
+
+      const [sql, params] = db.run.mock.calls.at(-1);
+      expect(sql).toContain("status = 'queued'");
+      expect(params[0]).toBe('503 overloaded');
+      expect(params[1]).toBeGreaterThanOrEqual(before + 1000);
+    });
+
+    it('should mark job failed when the attempt limit is reached', async () => {
+      const queue = new JobQueue(db);
+      queue.register('process_lecture', vi.fn().mockRejectedValue(new Error('boom')));
+
+      await queue.runJob(createJob({ attempts: 3, max_attempts: 3 }));
+
+      const [sql, params] = db.run.mock.calls.at(-1);
+      expect(sql).toContain("status = 'failed'");
+      expect(params).toEqual(['boom', 'job_1']);
+    });
+
+    it('should fail jobs without a registered handler', async () => {
+      const queue = new JobQueue(db);
+
+      await queue.runJob(createJob({ type: 'unknown' }));
+
+      const [sql, params] = db.run.mock.calls.at(-1);
+      expect(sql).toContain("status = 'failed'");
+      expect(params[0]).toMatch(/No handler registered/);
+    });
+
+    it('should fail jobs with invalid payload JSON', async () => {
+      const queue = new JobQueue(db);
+      const handler = vi.fn();
+      queue.register('process_lecture', handler);
+
+      await queue.runJob(createJob({ payload: '{not json' }));
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(db.run.mock.calls.at(-1)[1][0]).toMatch(/Invalid job payload/);
+    });
+  });
+
+  describe('cancelLectureJobs', () => {
+    it('should cancel queued jobs of a lecture', async () => {
+      db.run.mockResolvedValueOnce({ changes: 2 });
+      const queue = new JobQueue(db);
+
+      const count = await queue.cancelLectureJobs('lec_1');
+
+      expect(count).toBe(2);
+      const [sql, params] = db.run.mock.calls[0];
+      expect(sql).toContain("SET status = 'cancelled'");
+      expect(sql).toContain("status = 'queued'");
+      expect(params).toEqual(['lec_1']);
+    });
+
+    it('should restrict cancellation to the given job types', async () => {
+      const queue = new JobQueue(db);
+
+      await queue.cancelLectureJobs('lec_1', ['process_lecture']);
+
+      const [sql, params] = db.run.mock.calls[0];
+      expect(sql).toContain('AND type IN (?)');
+      expect(params).toEqual(['lec_1', 'process_lecture']);
+    });
+
+    it('should drop the secrets of cancelled jobs', async () => {
+      db.run.mockResolvedValueOnce({ changes: 1 });
+      db.all.mockResolvedValueOnce([{ id: 'job_1' }]);
+      const queue = new JobQueue(db);
+      queue.secrets.set('job_1', { apiKey: 'secret' });
+      queue.secrets.set('job_other', { apiKey: 'secret' });
+
+      await queue.cancelLectureJobs('lec_1');
+
+      expect(queue.secrets.has('job_1')).toBe(false);
+      expect(queue.secrets.has('job_other')).toBe(true);
+    });
+  });
+
+  describe('tick', () => {
+    it('should not exceed the concurrency limit', async () => {
+      const queue = new JobQueue(db, { concurrency: 1 });
+      let release;
+      queue.register('process_lecture', () => new Promise(resolve => { release = resolve; }));
+      db.get.mockResolvedValue(createJob({ status: JOB_STATUS.QUEUED, attempts: 0 }));
+
+      await queue.tick();
+
+      expect(queue.active.size).toBe(1);
+      expect(db.get).toHaveBeenCalledTimes(1);
+
+      release();
+      await Promise.all(queue.active.values());
+      expect(queue.active.size).toBe(0);
+    });
+  });
+});
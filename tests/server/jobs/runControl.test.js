@@ -0,0 +1,108 @@
+/**
+ * Tests for runControl module
+ * @module tests/server/jobs/runControl.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  RunHandle,
+  RunRegistry,
+  STOP_REASON,
+  isStopRequested
+} from '../../../server/jobs/runControl.js';
+
+describe('runControl', () => {
+  describe('RunHandle', () => {
+    it('should start without a stop request', () => {
+      const handle = new RunHandle('lec_1');
+      expect(handle.stopRequested).toBe(false);
+      expect(handle.cancelled).toBe(false);
+      expect(handle.signal.aborted).toBe(false);
+      expect(handle.kind).toBe('lecture');
+    });
+
+    it('should not abort the in-flight request on pause', () => {
+      const handle = new RunHandle('lec_1');
+      handle.requestStop(STOP_REASON.PAUSE);
+
+      expect(handle.stopRequested).toBe(true);
+      expect(handle.cancelled).toBe(false);
+      expect(handle.signal.aborted).toBe(false);
+    });
+
+    it('should abort the in-flight request on cancel', () => {
+      const handle = new RunHandle('lec_1');
+      handle.requestStop(STOP_REASON.CANCEL);
+
+      expect(handle.cancelled).toBe(true);
+      expect(handle.signal.aborted).toBe(true);
+    });
+
+    it('should let cancel override an earlier pause', () => {
+      const handle = new RunHandle('lec_1');
+      handle.requestStop(STOP_REASON.PAUSE);
+      handle.requestStop(STOP_REASON.CANCEL);
+
+      expect(handle.stopReason).toBe(STOP_REASON.CANCEL);
+    });
+
+    it('should not downgrade cancel to pause', () => {
+      const handle = new RunHandle('lec_1');
+      handle.requestStop(STOP_REASON.CANCEL);
+      handle.requestStop(STOP_REASON.PAUSE);
+
+      expect(handle.stopReason).toBe(STOP_REASON.CANCEL);
+    });
+  });
+
+  describe('RunRegistry', () => {
+    it('should track running handles per lecture', () => {
+      const registry = new RunRegistry();
+      const handle = registry.begin('lec_1');
+
+      expect(registry.isRunning('lec_1')).toBe(true);
+      expect(registry.isRunning('lec_2')).toBe(false);
+
+      registry.end(handle);
+      expect(registry.isRunning('lec_1')).toBe(false);
+    });
+
+    it('should filter running state by kind', () => {
+      const registry = new RunRegistry();
+      registry.begin('lec_1', 'chapter');
+
+      expect(registry.isRunning('lec_1', 'chapter')).toBe(true);
+      expect(registry.isRunning('lec_1', 'lecture')).toBe(false);
+    });
+
+    it('should signal every run of a lecture', () => {
+      const registry = new RunRegistry();
+      const loop = registry.begin('lec_1');
+      const regen = registry.begin('lec_1', 'chapter');
+      const other = registry.begin('lec_2');
+
+      expect(registry.requestStop('lec_1', STOP_REASON.CANCEL)).toBe(2);
+      expect(loop.signal.aborted).toBe(true);
+      expect(regen.signal.aborted).toBe(true);
+      expect(other.signal.aborted).toBe(false);
+    });
+
+    it('should return 0 when no run exists', () => {
+      const registry = new RunRegistry();
+      expect(registry.requestStop('missing', STOP_REASON.PAUSE)).toBe(0);
+    });
+  });
+
+  describe('isStopRequested', () => {
+    it('should detect aborted signals', () => {
+      const controller = new AbortController();
+      controller.abort();
+      expect(isStopRequested(controller.signal)).toBe(true);
+    });
+
+    it('should not report a stop for signals that were not aborted', () => {
+      expect(isStopRequested(new AbortController().signal)).toBe(false);
+      expect(isStopRequested(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for chapterContext module
+ * @module tests/server/utils/chapterContext.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  extractTranscriptTerms,
+  formatPreviousChapterContext,
+  buildLectureContext,
+  formatChapterContext
+} from '../../../server/utils/chapterContext.js';
+
+describe('chapterContext', () => {
+  describe('extractTranscriptTerms', () => {
+    it('should pick acronyms, CamelCase and names with digits', () => {
+      const terms = extractTranscriptTerms('오늘은 TCP/IP와 JavaScript, 그리고 S3와 HTTP2를 봅니다. The cache is fast. tcp/ip');
+
+      expect(terms).toEqual(['TCP/IP', 'JavaScript', 'S3', 'HTTP2']);
+    });
+
+    it('should ignore ordinary words', () => {
+      expect(extractTranscriptTerms('So today we talk about caching and Redis')).toEqual([]);
+    });
+  });
+
+  describe('formatPreviousChapterContext', () => {
+    it('should list the key message and key terms of the previous chapter', () => {
+      const text = formatPreviousChapterContext('캐시', { keyMessage: '캐시는 지연을 줄인다', keyTerms: [{ term: 'TTL' }, { term: 'LRU' }] });
+
+      expect(text).toBe('이전 챕터(캐시) 핵심: 캐시는 지연을 줄인다\n주요 용어: TTL, LRU');
+    });
+  });
+
+  describe('buildLectureContext', () => {
+    const chapters = [
+      { title: '캐시 개요', summary: '캐시가 필요한 이유', keyTopics: ['캐시 적중률'], text: 'CDN과 TTL, 그리고 LRU' },
+      { title: '무효화', summary: '무효화 전략', keyTopics: ['Write-through'], text: 'TTL 만료와 LRU 교체, CDN 퍼지' },
+      { title: '분산 캐시', summary: '', keyTopics: [], text: 'TTL 기반 키 설계', note: { keyMessage: '분산 캐시는 일관성이 핵심이다', keyTerms: [{ term: 'Consistent Hashing' }] } }
+    ];
+
+    it('should collect finished terms, key topics and repeated transcript terms', () => {
+      const context = buildLectureContext(chapters);
+
+      expect(context.terms).toEqual(['Consistent Hashing', '캐시 적중률', 'Write-through', 'TTL', 'CDN', 'LRU']);
+      expect(context.outline[2]).toEqual({ title: '분산 캐시', summary: '', keyMessage: '분산 캐시는 일관성이 핵심이다' });
+    });
+
+    it('should respect the term limit and chapter spread', () => {
+      const context = buildLectureContext(chapters, { maxTerms: 4, minChapterSpread: 3 });
+
+      expect(context.terms).toEqual(['Consistent Hashing', '캐시 적중률', 'Write-through', 'TTL']);
+    });
+
+    it('should format the outline with the current chapter marked', () => {
+      const text = formatChapterContext(buildLectureContext(chapters, { maxTerms: 2 }), 1);
+
+      expect(text).toContain('1. 캐시 개요: 캐시가 필요한 이유\n→ 2. 무효화: 무효화 전략\n3. 분산 캐시: 분산 캐시는 일관성이 핵심이다');
+      expect(text).toContain('주요 용어 (강의 전체에서 같은 표기로 사용): Consistent Hashing, 캐시 적중률');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for chapterEditor module
+ * @module tests/server/utils/chapterEditor.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  splitChapter,
+  mergeChapters,
+  retimeChapter,
+  reorderChapters,
+  nextChapterId
+} from '../../../server/utils/chapterEditor.js';
+
+const chapters = [
+  { id: 'lec_1', title: 'A', startTime: '0:00', endTime: '10:00', summary: 'a', keyTopics: ['캐시'] },
+  { id: 'lec_2', title: 'B', startTime: '10:00', endTime: '20:00', summary: 'b', keyTopics: ['캐시', 'TTL'] },
+  { id: 'lec_3', title: 'C', startTime: '20:00', endTime: '30:00', summary: 'c', keyTopics: [] }
+];
+
+const ranges = (result) => result.chapters.map(ch => [ch.id, ch.startTime, ch.endTime]);
+
+describe('chapterEditor', () => {
+  describe('splitChapter', () => {
+    it('should split a chapter into two contiguous halves', () => {
+      const result = splitChapter(chapters, 'lec_2', '14:30', { newId: 'lec_4', title: ' B-2 ' });
+
+      expect(ranges(result)).toEqual([
+        ['lec_1', '0:00', '10:00'],
+        ['lec_2', '10:00', '14:30'],
+        ['lec_4', '14:30', '20:00'],
+        ['lec_3', '20:00', '30:00']
+      ]);
+      expect(result.chapters[2].title).toBe('B-2');
+      expect(result.affectedIds).toEqual(['lec_2', 'lec_4']);
+      expect(result.removedIds).toEqual([]);
+    });
+
+    it('should reject split times outside the chapter', () => {
+      expect(splitChapter(chapters, 'lec_2', '10:00', { newId: 'x' }).error).toMatch(/between/);
+      expect(splitChapter(chapters, 'lec_2', 'soon', { newId: 'x' }).error).toMatch(/timestamp/);
+      expect(splitChapter(chapters, 'lec_9', '15:00', { newId: 'x' })).toMatchObject({ notFound: true });
+    });
+  });
+
+  describe('mergeChapters', () => {
+    it('should merge adjacent chapters into the first one', () => {
+      const result = mergeChapters(chapters, ['lec_3', 'lec_2']);
+
+      expect(ranges(result)).toEqual([['lec_1', '0:00', '10:00'], ['lec_2', '10:00', '30:00']]);
+      expect(result.chapters[1]).toMatchObject({ summary: 'b c', keyTopics: ['캐시', 'TTL'] });
+      expect(result.affectedIds).toEqual(['lec_2']);
+      expect(result.removedIds).toEqual(['lec_3']);
+    });
+
+    it('should reject non-adjacent or single chapters', () => {
+      expect(mergeChapters(chapters, ['lec_1', 'lec_3']).error).toMatch(/adjacent/);
+      expect(mergeChapters(chapters, ['lec_1', 'lec_1']).error).toMatch(/two/);
+    });
+  });
+
+  describe('retimeChapter', () => {
+    it('should move touching neighbours with the new boundaries', () => {
+      const result = retimeChapter(chapters, 'lec_2', { startTime: '8:00', endTime: '22:00' });
+
+      expect(ranges(result)).toEqual([
+        ['lec_1', '0:00', '8:00'],
+        ['lec_2', '8:00', '22:00'],
+        ['lec_3', '22:00', '30:00']
+      ]);
+      expect(result.affectedIds).toEqual(['lec_2', 'lec_1', 'lec_3']);
+    });
+
+    it('should leave neighbours alone when only one boundary changes', () => {
+      const result = retimeChapter(chapters, 'lec_2', { endTime: '18:00' });
+
+      expect(ranges(result)[0]).toEqual(['lec_1', '0:00', '10:00']);
+      expect(ranges(result)[2]).toEqual(['lec_3', '18:00', '30:00']);
+      expect(result.affectedIds).toEqual(['lec_2', 'lec_3']);
+    });
+
+    it('should reject ranges that are inverted or swallow a neighbour', () => {
+      expect(retimeChapter(chapters, 'lec_2', { startTime: '15:00', endTime: '12:00' }).error).toMatch(/after/);
+      expect(retimeChapter(chapters, 'lec_2', { startTime: '0:00' }).error).toMatch(/previous/);
+      expect(retimeChapter(chapters, 'lec_2', { endTime: '31:00' }).error).toMatch(/next/);
+    });
+  });
+
+  describe('reorderChapters', () => {
+    it('should reorder and mark moved chapters as affected', () => {
+      const result = reorderChapters(chapters, ['lec_1', 'lec_3', 'lec_2']);
+
+      expect(result.chapters.map(ch => ch.id)).toEqual(['lec_1', 'lec_3', 'lec_2']);
+      expect(result.affectedIds).toEqual(['lec_3', 'lec_2']);
+    });
+
+    it('should require every chapter exactly once', () => {
+      expect(reorderChapters(chapters, ['lec_1', 'lec_2']).error).toMatch(/every chapter/);
+      expect(reorderChapters(chapters, ['lec_1', 'lec_2', 'lec_9'])).toMatchObject({ notFound: true });
+    });
+  });
+
+  describe('nextChapterId', () => {
+    it('should continue after the highest chapter number', () => {
+      expect(nextChapterId('lec', chapters)).toBe('lec_4');
+      expect(nextChapterId('other', chapters)).toBe('other_1');
+    });
+  });
+});
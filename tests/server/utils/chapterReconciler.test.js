@@ -0,0 +1,92 @@
+/**
+ * Tests for chapterReconciler module
+ * @module tests/server/utils/chapterReconciler.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  topicWords,
+  topicSimilarity,
+  reconcileChapters
+} from '../../../server/utils/chapterReconciler.js';
+
+const chapter = (title, startTime, endTime, extra = {}) => ({ title, startTime, endTime, summary: title, ...extra });
+
+describe('chapterReconciler', () => {
+  describe('topicSimilarity', () => {
+    it('should compare title and key topic words', () => {
+      expect([...topicWords({ title: 'REF GPT 설정', keyTopics: ['프롬프트'] })]).toEqual(['ref', 'gpt', '설정', '프롬프트']);
+      expect(topicSimilarity({ title: 'REF GPT 설정 방법' }, { title: 'REF GPT 설정 마무리' })).toBe(0.6);
+      expect(topicSimilarity({ title: 'Python 소개' }, { title: 'Python 설치' })).toBeCloseTo(1 / 3);
+      expect(topicSimilarity({ title: '' }, { title: 'A B' })).toBe(0);
+    });
+  });
+
+  describe('reconcileChapters', () => {
+    it('should merge duplicates extracted from overlapping windows', () => {
+      const { chapters, mergedCount } = reconcileChapters([
+        { segmentIndex: 0, chapters: [chapter('도입', '0:00', '22:00'), chapter('캐시 설계', '22:00', '34:00')] },
+        { segmentIndex: 1, chapters: [chapter('캐시 무효화', '31:00', '36:00'), chapter('마무리', '36:00', '58:00')] }
+      ], { lectureEndSeconds: 3600 });
+
+      expect(mergedCount).toBe(1);
+      expect(chapters.map(c => [c.title, c.startTime, c.endTime])).toEqual([
+        ['도입', '0:00', '22:00'],
+        ['캐시 설계', '22:00', '36:00'],
+        ['마무리', '36:00', '1:00:00']
+      ]);
+    });
+
+    it('should merge a topic cut by the segment boundary', () => {
+      const { chapters, mergedCount } = reconcileChapters([
+        { segmentIndex: 0, chapters: [chapter('REF GPT 설정 방법', '20:00', '30:00', { keyTopics: ['설정'] })] },
+        { segmentIndex: 1, chapters: [chapter('REF GPT 설정 마무리', '30:00', '38:00', { keyTopics: ['검증'] })] }
+      ]);
+
+      expect(mergedCount).toBe(1);
+      expect(chapters).toEqual([{
+        title: 'REF GPT 설정 방법',
+        summary: 'REF GPT 설정 방법',
+        startTime: '20:00',
+        endTime: '38:00',
+        keyTopics: ['설정', '검증']
+      }]);
+    });
+
+    it('should not merge similar chapters from the same segment or beyond the length limit', () => {
+      const sameSegment = reconcileChapters([
+        { segmentIndex: 0, chapters: [chapter('REF GPT 설정 방법', '0:00', '10:00'), chapter('REF GPT 설정 마무리', '10:00', '20:00')] }
+      ]);
+      expect(sameSegment.chapters).toHaveLength(2);
+
+      const tooLong = reconcileChapters([
+        { segmentIndex: 0, chapters: [chapter('REF GPT 설정 방법', '5:00', '30:00')] },
+        { segmentIndex: 1, chapters: [chapter('REF GPT 설정 마무리', '30:00', '50:00')] }
+      ]);
+      expect(tooLong.chapters).toHaveLength(2);
+    });
+
+    it('should repair gaps, overlaps and missing end times', () => {
+      const { chapters, repairedEndTimes } = reconcileChapters([
+        { segmentIndex: 0, chapters: [chapter('B', '10:00', '25:00'), chapter('A', '0:00', '8:00'), chapter('C', '20:00', '')] }
+      ], { lectureEndSeconds: 1800 });
+
+      expect(chapters.map(c => [c.title, c.startTime, c.endTime])).toEqual([
+        ['A', '0:00', '10:00'],
+        ['B', '10:00', '20:00'],
+        ['C', '20:00', '30:00']
+      ]);
+      expect(repairedEndTimes).toBe(3);
+    });
+
+    it('should keep untimed chapters in segment order', () => {
+      const { chapters, repairedEndTimes } = reconcileChapters([
+        { segmentIndex: 1, chapters: [chapter('Python 설치 과정', '', ''), chapter('변수', '', '')] },
+        { segmentIndex: 0, chapters: [chapter('Python 설치 준비', '', '')] }
+      ], { hasTimestamps: false });
+
+      expect(chapters.map(c => c.title)).toEqual(['Python 설치 준비', '변수']);
+      expect(repairedEndTimes).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for chapterValidator module
+ * @module tests/server/utils/chapterValidator.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateChapters,
+  parseValidation,
+  createValidation,
+  REPAIR_TYPE,
+  FLAG_TYPE
+} from '../../../server/utils/chapterValidator.js';
+
+// Cues every 30 seconds from 0:00 to 20:00 except a silent 10:00-14:00 stretch
+const cues = [];
+for (let t = 0; t < 1200; t += 30) {
+  if (t >= 600 && t < 840) continue;
+  cues.push({ startSeconds: t, endSeconds: t + 25, text: `at ${t}` });
+}
+
+const types = (chapter) => chapter.validation.repairs.map(r => r.type);
+
+describe('chapterValidator', () => {
+  describe('validateChapters', () => {
+    it('should keep valid chapters untouched', () => {
+      const { chapters, repairedCount, flaggedCount } = validateChapters([
+        { title: 'A', startTime: '0:00', endTime: '5:00' },
+        { title: 'B', startTime: '05:00', endTime: '10:00' }
+      ], cues);
+
+      expect(chapters.map(c => [c.startTime, c.endTime])).toEqual([['0:00', '5:00'], ['05:00', '10:00']]);
+      expect(chapters[0].validation).toEqual(createValidation());
+      expect(repairedCount).toBe(0);
+      expect(flaggedCount).toBe(0);
+    });
+
+    it('should snap times that cut through a cue to the cue boundary', () => {
+      const { chapters } = validateChapters([{ title: 'A', startTime: '0:40', endTime: '4:50' }], cues);
+
+      expect(chapters[0].startTime).toBe('0:30');
+      expect(chapters[0].endTime).toBe('4:55');
+      expect(chapters[0].validation.repairs).toEqual([
+        { type: REPAIR_TYPE.START_SNAPPED, from: '0:40', to: '0:30' },
+        { type: REPAIR_TYPE.END_SNAPPED, from: '4:50', to: '4:55' }
+      ]);
+    });
+
+    it('should swap inverted ranges and clamp times outside the transcript', () => {
+      const { chapters } = validateChapters([
+        { title: 'A', startTime: '5:00', endTime: '1:00' },
+        { title: 'B', startTime: '18:00', endTime: '45:00' }
+      ], cues);
+
+      expect(chapters.map(c => [c.startTime, c.endTime])).toEqual([['1:00', '5:00'], ['18:00', '19:55']]);
+      expect(types(chapters[0])).toEqual([REPAIR_TYPE.INVERTED]);
+      expect(types(chapters[1])).toEqual([REPAIR_TYPE.END_OUT_OF_RANGE]);
+    });
+
+    it('should reorder chapters and trim overlaps', () => {
+      const { chapters } = validateChapters([
+        { title: 'B', startTime: '5:00', endTime: '10:00' },
+        { title: 'A', startTime: '0:00', endTime: '6:00' }
+      ], cues);
+
+      expect(chapters.map(c => [c.title, c.startTime, c.endTime])).toEqual([['A', '0:00', '5:00'], ['B', '5:00', '10:00']]);
+      expect(types(chapters[0])).toEqual([REPAIR_TYPE.REORDERED, REPAIR_TYPE.OVERLAP_TRIMMED]);
+      expect(chapters[1].validation.repairs).toEqual([{ type: REPAIR_TYPE.REORDERED, from: '1', to: '2' }]);
+    });
+
+    it('should fill missing times from neighbouring chapters', () => {
+      const { chapters } = validateChapters([
+        { title: 'A', startTime: '0:00', endTime: '' },
+        { title: 'B', startTime: '15:00', endTime: 'N/A' }
+      ], cues);
+
+      expect(chapters.map(c => [c.startTime, c.endTime])).toEqual([['0:00', '15:00'], ['15:00', '19:55']]);
+      expect(types(chapters[0])).toEqual([REPAIR_TYPE.END_MISSING]);
+    });
+
+    it('should flag gaps and chapters without cues', () => {
+      const { chapters, flaggedCount } = validateChapters([
+        { title: 'A', startTime: '0:00', endTime: '5:00' },
+        { title: 'B', startTime: '10:00', endTime: '14:00' },
+        { title: 'C', startTime: '14:00', endTime: '20:00' }
+      ], cues);
+
+      expect(chapters[1].validation.flags).toEqual([
+        { type: FLAG_TYPE.GAP_BEFORE, seconds: 300 },
+        { type: FLAG_TYPE.NO_CUES }
+      ]);
+      expect(flaggedCount).toBe(1);
+    });
+
+    it('should pass chapters through for untimed transcripts', () => {
+      const { chapters } = validateChapters([{ title: 'A', startTime: '', endTime: '' }], []);
+      expect(chapters).toEqual([{ title: 'A', startTime: '', endTime: '', validation: createValidation() }]);
+    });
+  });
+
+  describe('parseValidation', () => {
+    it('should parse stored records and default missing ones', () => {
+      expect(parseValidation('{"fallback":"short_slice"}')).toEqual({ repairs: [], flags: [], fallback: 'short_slice' });
+      expect(parseValidation(null)).toEqual(createValidation());
+      expect(parseValidation('oops')).toEqual(createValidation());
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for concurrency module
+ * @module tests/server/utils/concurrency.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from '../../../server/utils/concurrency.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('concurrency', () => {
+  describe('mapWithConcurrency', () => {
+    it('should keep at most limit items in flight and results in order', async () => {
+      let active = 0;
+      let peak = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        active--;
+        return index * 10;
+      });
+
+      expect(peak).toBe(2);
+      expect(results).toEqual([0, 10, 20, 30, 40]);
+    });
+
+    it('should not start new items once stopped', async () => {
+      const gates = [deferred(), deferred(), deferred()];
+      const started = [];
+      let stop = false;
+
+      const run = mapWithConcurrency([0, 1, 2], 1, async (item) => {
+        started.push(item);
+        await gates[item].promise;
+        return item;
+      }, { shouldStop: () => stop });
+
+      stop = true;
+      gates[0].resolve();
+
+      expect(await run).toEqual([0, undefined, undefined]);
+      expect(started).toEqual([0]);
+    });
+
+    it('should rethrow the first error after in-flight items settle', async () => {
+      const finished = [];
+
+      await expect(mapWithConcurrency([1, 2, 3, 4], 2, async (item) => {
+        await new Promise(resolve => setTimeout(resolve, item === 1 ? 1 : 20));
+        if (item === 1) throw new Error('boom');
+        finished.push(item);
+      })).rejects.toThrow('boom');
+
+      expect(finished).toEqual([2]);
+    });
+
+    it('should handle empty lists and invalid limits', async () => {
+      expect(await mapWithConcurrency([], 3, async () => 1)).toEqual([]);
+      expect(await mapWithConcurrency([1, 2], 0, async (item) => item * 2)).toEqual([2, 4]);
+    });
+  });
+});
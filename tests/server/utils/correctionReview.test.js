@@ -0,0 +1,178 @@
+/**
+ * Tests for correctionReview module
+ * @module tests/server/utils/correctionReview.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CORRECTION_STATUS,
+  anchorCorrections,
+  buildCorrectedText,
+  dictionaryCorrections,
+  rebaseCorrections,
+  reviewCorrections,
+  findAffectedChapters,
+  parseCorrections
+} from '../../../server/utils/correctionReview.js';
+
+const result = (corrections, success = true) => ({ success, corrections });
+
+describe('correctionReview', () => {
+  describe('anchorCorrections', () => {
+    it('should anchor corrections to offsets in the full text', () => {
+      const text = '[00:00] 리액트 훅스\n\n[00:10] 자바 스크립트';
+      const segments = [
+        { text: '[00:00] 리액트 훅스', offset: 0 },
+        { text: '[00:10] 자바 스크립트', offset: text.indexOf('[00:10]') }
+      ];
+
+      const corrections = anchorCorrections(segments, [
+        result([{ original: '훅스', corrected: 'Hooks', reason: 'terminology' }]),
+        result([{ original: '자바 스크립트', corrected: '자바스크립트', reason: 'typo' }])
+      ]);
+
+      expect(corrections).toHaveLength(2);
+      for (const c of corrections) {
+        expect(text.slice(c.start, c.end)).toBe(c.original);
+        expect(c.id).toBe(`cor_${c.start}`);
+        expect(c.status).toBe(CORRECTION_STATUS.ACCEPTED);
+      }
+    });
+
+    it('should map repeated phrases to successive occurrences', () => {
+      const segments = [{ text: '넥스트 그리고 넥스트', offset: 0 }];
+
+      const corrections = anchorCorrections(segments, [result([
+        { original: '넥스트', corrected: 'Next', reason: 'terminology' },
+        { original: '넥스트', corrected: 'Next', reason: 'terminology' }
+      ])]);
+
+      expect(corrections.map(c => c.start)).toEqual([0, 8]);
+    });
+
+    it('should leave out missing, overlapping and failed corrections', () => {
+      const segments = [{ text: 'abc def', offset: 0 }, { text: 'ghi', offset: 9 }];
+
+      const corrections = anchorCorrections(segments, [
+        result([
+          { original: 'abc d', corrected: 'x', reason: '' },
+          { original: 'c de', corrected: 'y', reason: '' },
+          { original: 'zzz', corrected: 'z', reason: '' }
+        ]),
+        result([{ original: 'ghi', corrected: 'G', reason: '' }], false)
+      ]);
+
+      expect(corrections.map(c => c.original)).toEqual(['abc d']);
+    });
+  });
+
+  describe('dictionary replacements', () => {
+    // 정규화 텍스트 'use 리엑트 and postgre db' → 사전 적용 'use React and PostgreSQL db'
+    const normalized = 'use 리엑트 and postgre db';
+    const replacements = [
+      { start: 4, end: 7, original: '리엑트', term: 'React' },
+      { start: 12, end: 19, original: 'postgre', term: 'PostgreSQL' }
+    ];
+
+    it('should record replacements as accepted corrections', () => {
+      const corrections = dictionaryCorrections(replacements);
+
+      expect(corrections[0]).toEqual({
+        id: 'cor_4', start: 4, end: 7, original: '리엑트', corrected: 'React', reason: '용어 사전', status: 'accepted'
+      });
+      expect(buildCorrectedText(normalized, corrections)).toBe('use React and PostgreSQL db');
+      expect(buildCorrectedText(normalized, [corrections[0], { ...corrections[1], status: 'rejected' }]))
+        .toBe('use React and postgre db');
+    });
+
+    it('should move LLM corrections back to normalized offsets', () => {
+      // 사전 적용 텍스트에서 'db'는 25
+      const rebased = rebaseCorrections([
+        { id: 'cor_0', start: 0, end: 3, original: 'use', corrected: 'Use', status: 'accepted' },
+        { id: 'cor_25', start: 25, end: 27, original: 'db', corrected: 'DB', status: 'accepted' }
+      ], replacements);
+
+      expect(rebased.map(c => [c.id, c.start, c.end])).toEqual([['cor_0', 0, 3], ['cor_20', 20, 22]]);
+      expect(buildCorrectedText(normalized, [...dictionaryCorrections(replacements), ...rebased]))
+        .toBe('Use React and PostgreSQL DB');
+    });
+
+    it('should leave out LLM corrections that touch a replaced term', () => {
+      const rebased = rebaseCorrections([
+        { id: 'cor_4', start: 4, end: 9, original: 'React', corrected: 'React.js', status: 'accepted' }
+      ], replacements);
+
+      expect(rebased).toEqual([]);
+    });
+  });
+
+  describe('buildCorrectedText', () => {
+    const text = 'one two three';
+    const corrections = [
+      { id: 'cor_0', start: 0, end: 3, original: 'one', corrected: '1', status: 'accepted' },
+      { id: 'cor_8', start: 8, end: 13, original: 'three', corrected: '3', status: 'accepted' }
+    ];
+
+    it('should apply accepted corrections only', () => {
+      expect(buildCorrectedText(text, corrections)).toBe('1 two 3');
+      expect(buildCorrectedText(text, [corrections[0], { ...corrections[1], status: 'rejected' }])).toBe('1 two three');
+    });
+
+    it('should skip corrections whose range no longer matches the text', () => {
+      expect(buildCorrectedText('uno two three', corrections)).toBe('uno two 3');
+    });
+  });
+
+  describe('reviewCorrections', () => {
+    const corrections = [
+      { id: 'cor_0', status: 'accepted' },
+      { id: 'cor_8', status: 'accepted' }
+    ];
+
+    it('should update selected corrections and report the changed ids', () => {
+      const review = reviewCorrections(corrections, ['cor_8'], 'rejected');
+
+      expect(review.corrections.map(c => c.status)).toEqual(['accepted', 'rejected']);
+      expect(review.changed).toEqual(['cor_8']);
+    });
+
+    it('should update every correction without ids', () => {
+      const review = reviewCorrections(corrections, undefined, 'accepted');
+
+      expect(review.changed).toEqual([]);
+      expect(reviewCorrections(corrections, null, 'rejected').changed).toEqual(['cor_0', 'cor_8']);
+    });
+
+    it('should reject invalid requests', () => {
+      expect(reviewCorrections(corrections, ['cor_8'], 'maybe').error).toMatch(/Invalid status/);
+      expect(reviewCorrections(corrections, [], 'rejected').error).toMatch(/non-empty/);
+      expect(reviewCorrections(corrections, ['cor_9'], 'rejected').error).toBe('Correction not found: cor_9');
+    });
+  });
+
+  describe('findAffectedChapters', () => {
+    const chapters = [
+      { id: 'ch1', startTime: '0:00', endTime: '1:00' },
+      { id: 'ch2', startTime: '1:00', endTime: '2:00' }
+    ];
+    const before = '[00:00:05] 첫 번째 챕터\n[00:01:10] 두 번째 쳅터';
+
+    it('should return chapters whose slice changed', () => {
+      const after = before.replace('쳅터', '챕터');
+      expect(findAffectedChapters(chapters, before, after).map(ch => ch.id)).toEqual(['ch2']);
+    });
+
+    it('should return nothing when the text is unchanged', () => {
+      expect(findAffectedChapters(chapters, before, before)).toEqual([]);
+    });
+  });
+
+  describe('parseCorrections', () => {
+    it('should parse stored corrections and reject other values', () => {
+      expect(parseCorrections('[{"id":"cor_0"}]')).toEqual([{ id: 'cor_0' }]);
+      expect(parseCorrections(null)).toBeNull();
+      expect(parseCorrections('{')).toBeNull();
+      expect(parseCorrections('{}')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for cueParser module
+ * @module tests/server/utils/cueParser.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseTimestamp,
+  formatTimestamp,
+  parseCues,
+  cuesToText
+} from '../../../server/utils/cueParser.js';
+
+describe('cueParser', () => {
+  describe('parseTimestamp', () => {
+    it('should parse VTT timestamps with milliseconds', () => {
+      expect(parseTimestamp('00:01:02.345')).toBe(62.345);
+      expect(parseTimestamp('01:02.5')).toBe(62.5);
+    });
+
+    it('should parse SRT comma milliseconds', () => {
+      expect(parseTimestamp('01:00:00,250')).toBe(3600.25);
+    });
+
+    it('should parse bracketed and short timestamps', () => {
+      expect(parseTimestamp('[00:10:00]')).toBe(600);
+      expect(parseTimestamp('5:30')).toBe(330);
+      expect(parseTimestamp('75:00')).toBe(4500);
+    });
+
+    it('should reject invalid values', () => {
+      expect(parseTimestamp('')).toBeNull();
+      expect(parseTimestamp(null)).toBeNull();
+      expect(parseTimestamp('00:61:00')).toBeNull();
+      expect(parseTimestamp('12:75')).toBeNull();
+      expect(parseTimestamp('abc')).toBeNull();
+    });
+  });
+
+  describe('formatTimestamp', () => {
+    it('should format with milliseconds by default', () => {
+      expect(formatTimestamp(3723.004)).toBe('01:02:03.004');
+    });
+
+    it('should omit milliseconds when requested', () => {
+      expect(formatTimestamp(62.9, { milliseconds: false })).toBe('00:01:02');
+    });
+  });
+
+  describe('parseCues', () => {
+    it('should parse WebVTT with identifiers, settings, notes and voice tags', () => {
+      const vtt = [
+        'WEBVTT - Lecture',
+        'Kind: captions',
+        '',
+        'NOTE this block is ignored',
+        'even with 00:00:01.000 --> 00:00:02.000 inside',
+        '',
+        'intro-1',
+        '00:01:02.345 --> 00:01:05.000 align:start position:10%',
+        '<v Prof. Kim>Hello <i>everyone</i> &amp; welcome',
+        'to the course.',
+        '',
+        '00:01:05.000 --> 00:01:07.500',
+        '<v.loud Student>Question!</v>'
+      ].join('\n');
+
+      const { format, cues } = parseCues(vtt);
+
+      expect(format).toBe('vtt');
+      expect(cues).toHaveLength(2);
+      expect(cues[0]).toEqual({
+        index: 0,
+        id: 'intro-1',
+        start: '00:01:02.345',
+        end: '00:01:05.000',
+        startSeconds: 62.345,
+        endSeconds: 65,
+        speaker: 'Prof. Kim',
+        text: 'Hello everyone & welcome to the course.',
+        settings: { align: 'start', position: '10%' }
+      });
+      expect(cues[1]).toMatchObject({ id: null, speaker: 'Student', text: 'Question!', endSeconds: 67.5 });
+    });
+
+    it('should parse SRT with indices and CRLF line endings', () => {
+      const srt = '1\r\n00:00:01,000 --> 00:00:03,500\r\n첫 번째 자막\r\n\r\n2\r\n00:00:04,000 --> 00:00:06,000\r\n두 번째\r\n줄바꿈\r\n';
+
+      const { format, cues } = parseCues(srt);
+
+      expect(format).toBe('srt');
+      expect(cues.map(c => [c.id, c.startSeconds, c.endSeconds, c.text])).toEqual([
+        ['1', 1, 3.5, '첫 번째 자막'],
+        ['2', 4, 6, '두 번째 줄바꿈']
+      ]);
+    });
+
+    it('should not treat numbers in cue text as identifiers', () => {
+      const { cues } = parseCues('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n42\n');
+      expect(cues[0].text).toBe('42');
+    });
+
+    it('should parse timestamped text lines', () => {
+      const text = '강의 소개\n[00:00:00] 안녕하세요\n[00:00:10]다음 내용\n이어지는 줄\n00:01:00 마지막';
+
+      const { format, cues } = parseCues(text);
+
+      expect(format).toBe('timestamped');
+      expect(cues.map(c => [c.startSeconds, c.endSeconds, c.text])).toEqual([
+        [0, 10, '강의 소개 안녕하세요'],
+        [10, 60, '다음 내용 이어지는 줄'],
+        [60, 60, '마지막']
+      ]);
+    });
+
+    it('should not detect timestamps in the middle of prose', () => {
+      expect(parseCues('수업은 10:30에 시작합니다.\n\n두 번째 문단')).toEqual({ format: 'text', cues: [] });
+    });
+  });
+
+  describe('cuesToText', () => {
+    it('should render compact timestamped lines with speakers', () => {
+      const { cues } = parseCues('WEBVTT\n\n00:00:01.500 --> 00:00:02.000\n<v Kim>Hi\n\n00:00:03.000 --> 00:00:04.000\nBye');
+      expect(cuesToText(cues)).toBe('[00:00:01] Kim: Hi\n[00:00:03] Bye');
+    });
+
+    it('should round-trip through the timestamped format', () => {
+      const { cues } = parseCues('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nA\n\n00:00:05.000 --> 00:00:06.000\nB');
+      expect(parseCues(cuesToText(cues)).cues.map(c => [c.startSeconds, c.text])).toEqual([[1, 'A'], [5, 'B']]);
+    });
+  });
+});
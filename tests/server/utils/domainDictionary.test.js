@@ -0,0 +1,165 @@
+/**
+ * Tests for domainDictionary module
+ * @module tests/server/utils/domainDictionary.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  normalizeDictionaryEntry,
+  applyDictionary,
+  formatDictionaryForPrompt,
+  DomainDictionary
+} from '../../../server/utils/domainDictionary.js';
+
+// Mock DB helpers (same shape as database.cjs exports)
+const createMockDB = (rows = []) => ({
+  run: vi.fn().mockResolvedValue({ changes: 1, lastID: 3 }),
+  all: vi.fn().mockResolvedValue(rows)
+});
+
+const entry = (term, variants, note = null) => ({ term, variants, note });
+
+describe('domainDictionary', () => {
+  describe('normalizeDictionaryEntry', () => {
+    it('should trim values and drop empty or duplicate variants', () => {
+      const { entry: result } = normalizeDictionaryEntry({
+        term: ' Kubernetes ',
+        variants: ['쿠버네티즈', ' ', 'Kubernetes', '쿠버네티즈', 'kubernetes'],
+        note: '  '
+      });
+
+      expect(result).toEqual({ term: 'Kubernetes', variants: ['쿠버네티즈', 'kubernetes'], note: null });
+    });
+
+    it('should reject invalid entries', () => {
+      expect(normalizeDictionaryEntry({}).error).toBe('term required');
+      expect(normalizeDictionaryEntry({ term: 'a', variants: 'b' }).error).toMatch(/array/);
+      expect(normalizeDictionaryEntry({ term: 'a', variants: [1] }).error).toMatch(/array/);
+      expect(normalizeDictionaryEntry({ term: 'a', variants: ['b', 'c'] }, { maxVariants: 1 }).error).toMatch(/at most 1/);
+    });
+  });
+
+  describe('applyDictionary', () => {
+    it('should replace variants and count matches per term', () => {
+      const { text, stats } = applyDictionary('[00:01] 쿠버네티즈 클러스터와 쿠버네티즈 노드', [
+        entry('Kubernetes', ['쿠버네티즈'])
+      ]);
+
+      expect(text).toBe('[00:01] Kubernetes 클러스터와 Kubernetes 노드');
+      expect(stats).toEqual({ totalMatches: 2, terms: [{ term: 'Kubernetes', count: 2, variants: { '쿠버네티즈': 2 } }] });
+    });
+
+    it('should prefer the longest variant', () => {
+      const { text } = applyDictionary('리엑트 네이티브 앱과 리엑트', [
+        entry('React', ['리엑트']),
+        entry('React Native', ['리엑트 네이티브'])
+      ]);
+
+      expect(text).toBe('React Native 앱과 React');
+    });
+
+    it('should match Latin variants as whole words regardless of case', () => {
+      const { text, stats } = applyDictionary('use Postgre and POSTGRE, not postgresql', [
+        entry('PostgreSQL', ['postgre'])
+      ]);
+
+      expect(text).toBe('use PostgreSQL and PostgreSQL, not postgresql');
+      expect(stats.totalMatches).toBe(2);
+    });
+
+    it('should not match Hangul variants inside other words', () => {
+      const { text, stats } = applyDictionary('오늘 인터뷰에서 뷰를 썼고 (뷰) 리뷰', [entry('Vue', ['뷰'])]);
+
+      expect(text).toBe('오늘 인터뷰에서 Vue를 썼고 (Vue) 리뷰');
+      expect(stats.totalMatches).toBe(2);
+    });
+
+    it('should not count text already written as the term', () => {
+      const { stats } = applyDictionary('React and react', [entry('React', ['react'])]);
+      expect(stats.terms).toEqual([{ term: 'React', count: 1, variants: { react: 1 } }]);
+    });
+
+    it('should leave timing lines untouched', () => {
+      const vtt = '00:00:01.000 --> 00:00:04.000 line:0\nline 0 mentions line';
+      const { text } = applyDictionary(vtt, [entry('LINE', ['line'])]);
+
+      expect(text).toBe('00:00:01.000 --> 00:00:04.000 line:0\nLINE 0 mentions LINE');
+    });
+
+    it('should record each replacement with its range in the input text', () => {
+      const input = '00:00:01.000 --> 00:00:04.000\n리엑트와 Postgre';
+      const { replacements } = applyDictionary(input, [entry('React', ['리엑트']), entry('PostgreSQL', ['postgre'])]);
+
+      expect(replacements).toEqual([
+        { start: 30, end: 33, original: '리엑트', term: 'React' },
+        { start: 35, end: 42, original: 'Postgre', term: 'PostgreSQL' }
+      ]);
+      expect(replacements.map(r => input.slice(r.start, r.end))).toEqual(['리엑트', 'Postgre']);
+    });
+
+    it('should return the text unchanged without variants', () => {
+      expect(applyDictionary('text', [])).toEqual({ text: 'text', stats: { totalMatches: 0, terms: [] }, replacements: [] });
+    });
+  });
+
+  describe('formatDictionaryForPrompt', () => {
+    it('should list terms with variants and notes', () => {
+      expect(formatDictionaryForPrompt([
+        entry('Kubernetes', ['쿠버네티즈'], '컨테이너 오케스트레이션'),
+        entry('Redis', [])
+      ])).toBe('- Kubernetes (잘못된 표기: 쿠버네티즈 / 컨테이너 오케스트레이션)\n- Redis');
+    });
+
+    it('should limit the number of terms', () => {
+      expect(formatDictionaryForPrompt([entry('a', []), entry('b', [])], { maxPromptTerms: 1 })).toBe('- a');
+    });
+  });
+
+  describe('DomainDictionary', () => {
+    let db;
+    let dictionary;
+
+    beforeEach(async () => {
+      db = createMockDB([{ id: 1, term: 'React', variants: '["리엑트"]', note: null }]);
+      dictionary = new DomainDictionary(db);
+      await dictionary.load();
+    });
+
+    it('should load entries with parsed variants', () => {
+      expect(dictionary.list()).toEqual([{ id: 1, term: 'React', variants: ['리엑트'], note: null }]);
+    });
+
+    it('should insert valid entries and reload', async () => {
+      db.all.mockResolvedValue([
+        { id: 1, term: 'React', variants: '["리엑트"]', note: null },
+        { id: 3, term: 'Vue', variants: '["뷰"]', note: null }
+      ]);
+
+      const result = await dictionary.add({ term: 'Vue', variants: ['뷰'] });
+
+      expect(db.run.mock.calls[0][1]).toEqual(['Vue', '["뷰"]', null]);
+      expect(result.entry).toMatchObject({ id: 3, term: 'Vue' });
+    });
+
+    it('should reject terms and variants claimed by another entry', async () => {
+      expect((await dictionary.add({ term: 'react' })).error).toBe('Term already exists: React');
+      expect((await dictionary.add({ term: 'Preact', variants: ['리엑트'] })).error).toBe('Variant "리엑트" already belongs to React');
+      expect((await dictionary.add({ term: '리엑트' })).error).toBe('리엑트 is listed as a variant of React');
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    it('should update an entry without conflicting with itself', async () => {
+      const result = await dictionary.update(1, { term: 'React', variants: ['리엑트', '리액'] });
+
+      expect(result.error).toBeUndefined();
+      expect(db.run.mock.calls[0][0]).toContain('UPDATE dictionary_terms');
+      expect(await dictionary.update(9, { term: 'x' })).toBeNull();
+    });
+
+    it('should report whether an entry was deleted', async () => {
+      expect(await dictionary.remove(1)).toBe(true);
+      db.run.mockResolvedValue({ changes: 0 });
+      expect(await dictionary.remove(9)).toBe(false);
+    });
+  });
+});
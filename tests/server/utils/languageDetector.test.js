@@ -0,0 +1,57 @@
+/**
+ * Tests for languageDetector module
+ * @module tests/server/utils/languageDetector.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  LANGUAGE,
+  detectLanguage,
+  resolveOutputLanguage
+} from '../../../server/utils/languageDetector.js';
+
+describe('languageDetector', () => {
+  describe('detectLanguage', () => {
+    it('should detect Korean, English, Japanese and Chinese transcripts', () => {
+      expect(detectLanguage('[00:00:01] 안녕하세요, 오늘은 캐시 설계를 다룹니다.').language).toBe(LANGUAGE.KO);
+      expect(detectLanguage('[00:00:01] Hello everyone, today we talk about caching.').language).toBe(LANGUAGE.EN);
+      expect(detectLanguage('[00:00:01] 今日はキャッシュの設計について話します。').language).toBe(LANGUAGE.JA);
+      expect(detectLanguage('[00:00:01] 今天我们讨论缓存的设计。').language).toBe(LANGUAGE.ZH);
+    });
+
+    it('should keep Korean lectures with English terms Korean', () => {
+      const result = detectLanguage('[00:00:01] 오늘은 Redis와 Memcached의 eviction policy를 비교해 봅니다.');
+
+      expect(result.language).toBe(LANGUAGE.KO);
+      expect(result.confidence).toBeGreaterThan(0.5);
+    });
+
+    it('should read cue text only, not timestamps and headers', () => {
+      const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n안녕하세요\n';
+
+      expect(detectLanguage(vtt)).toEqual({ language: LANGUAGE.KO, confidence: 1 });
+    });
+
+    it('should return null without any letters', () => {
+      expect(detectLanguage('[00:00:01] 123 456')).toEqual({ language: null, confidence: 0 });
+      expect(detectLanguage('')).toEqual({ language: null, confidence: 0 });
+    });
+  });
+
+  describe('resolveOutputLanguage', () => {
+    it('should default to Korean notes without bilingual terms', () => {
+      expect(resolveOutputLanguage({}, 'en')).toEqual({ language: { source: 'en', target: 'ko', bilingual: false } });
+      expect(resolveOutputLanguage(undefined, null)).toEqual({ language: { source: null, target: 'ko', bilingual: false } });
+    });
+
+    it('should follow the lecture language for source', () => {
+      expect(resolveOutputLanguage({ targetLanguage: 'source', bilingual: true }, 'ja').language)
+        .toEqual({ source: 'ja', target: 'ja', bilingual: true });
+      expect(resolveOutputLanguage({ targetLanguage: 'source' }, null).language.target).toBe('ko');
+    });
+
+    it('should reject unsupported languages', () => {
+      expect(resolveOutputLanguage({ targetLanguage: 'fr' }, 'ko').error).toContain('targetLanguage must be one of');
+    });
+  });
+});
@@ -11,6 +11,10 @@ import {
   getCorrectionStats,
   quickCorrect,
   needsCorrection,
+  splitForCorrection,
+  locateCorrections,
+  applyAtOffsets,
+  UNRESOLVED_CAUSE,
   CORRECTOR_DEFAULT_CONFIG,
   CORRECTION_SCHEMA
 } from '../../../server/utils/llmCorrector.js';
@@ -90,22 +94,68 @@ describe('llmCorrector', () => {
       expect(result.error).toBe('API error');
     });
 
-    it('should truncate text exceeding maxSegmentLength', async () => {
+    it('should split text exceeding maxSegmentLength and correct every part', async () => {
       const longText = 'A'.repeat(6000);
       const mockProvider = createMockAIProvider({
         success: true,
         data: {
-          correctedText: 'B'.repeat(5000),
-          corrections: [],
-          confidence: 0.9
+          corrections: [{ original: 'AAA', corrected: 'B', reason: 'typo' }]
         }
       });
 
       const result = await correctWithLLM(longText, mockProvider, { maxSegmentLength: 5000 });
 
       expect(result.success).toBe(true);
-      // Should append the truncated portion
-      expect(result.correctedText.length).toBe(6000);
+      expect(mockProvider.generateContent).toHaveBeenCalledTimes(2);
+      expect(result.corrections.map(c => c.start)).toEqual([0, 5000]);
+      expect(result.correctedText).toBe('B' + 'A'.repeat(4997) + 'B' + 'A'.repeat(997));
+    });
+
+    it('should apply corrections at the occurrence matching their context', async () => {
+      const mockProvider = createMockAIProvider({
+        success: true,
+        data: {
+          corrections: [
+            { original: '리엑트', before: '두 번째 ', after: ' 예제', corrected: '리액트', reason: 'typo' }
+          ]
+        }
+      });
+
+      const result = await correctWithLLM('첫 번째 리엑트 설명, 두 번째 리엑트 예제', mockProvider);
+
+      expect(result.correctedText).toBe('첫 번째 리엑트 설명, 두 번째 리액트 예제');
+      expect(result.corrections[0]).toMatchObject({ start: 18, end: 21 });
+    });
+
+    it('should report corrections that cannot be applied', async () => {
+      const mockProvider = createMockAIProvider({
+        success: true,
+        data: {
+          corrections: [{ original: 'missing', corrected: 'found', reason: 'typo' }]
+        }
+      });
+
+      const result = await correctWithLLM('Hello world', mockProvider);
+
+      expect(result.success).toBe(true);
+      expect(result.corrections).toHaveLength(0);
+      expect(result.unresolved).toEqual([
+        { original: 'missing', corrected: 'found', reason: 'typo', cause: UNRESOLVED_CAUSE.NOT_FOUND }
+      ]);
+    });
+
+    it('should keep corrections of parts that succeeded', async () => {
+      const mockProvider = {
+        generateContent: vi.fn()
+          .mockResolvedValueOnce({ success: true, data: { corrections: [{ original: 'wrold', corrected: 'world', reason: 'typo' }] } })
+          .mockResolvedValueOnce({ success: false, data: null, error: '503' })
+      };
+
+      const result = await correctWithLLM('Hello wrold. Second part', mockProvider, { maxSegmentLength: 13 });
+
+      expect(result.success).toBe(true);
+      expect(result.correctedText).toBe('Hello world. Second part');
+      expect(result.error).toBe('1/2 parts failed: 503');
     });
 
     it('should pass correct configuration to prompt', async () => {
@@ -122,6 +172,17 @@ describe('llmCorrector', () => {
       expect(callArgs.temperature).toBe(0.3);
     });
 
+    it('should include the domain dictionary in the prompt', async () => {
+      const mockProvider = createMockAIProvider();
+      await correctWithLLM('Test text', mockProvider, {
+        dictionary: [{ term: 'Kubernetes', variants: ['쿠버네티즈'], note: null }]
+      });
+
+      const { prompt } = mockProvider.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('## 용어 사전');
+      expect(prompt).toContain('- Kubernetes (잘못된 표기: 쿠버네티즈)');
+    });
+
     it('should handle exceptions gracefully', async () => {
       const mockProvider = {
         generateContent: vi.fn().mockRejectedValue(new Error('Network error'))
@@ -196,6 +257,69 @@ describe('llmCorrector', () => {
     });
   });
 
+  describe('splitForCorrection', () => {
+    it('should split at line breaks into contiguous parts', () => {
+      const text = 'first line\nsecond line\nthird';
+      const parts = splitForCorrection(text, 16);
+
+      expect(parts.map(p => p.text)).toEqual(['first line\n', 'second line\n', 'third']);
+      expect(parts.map(p => p.offset)).toEqual([0, 11, 23]);
+      expect(parts.map(p => p.text).join('')).toBe(text);
+    });
+
+    it('should cut text without separators at the maximum length', () => {
+      expect(splitForCorrection('x'.repeat(25), 10).map(p => p.text.length)).toEqual([10, 10, 5]);
+    });
+
+    it('should return short text as a single part', () => {
+      expect(splitForCorrection('short', 10)).toEqual([{ text: 'short', offset: 0 }]);
+    });
+  });
+
+  describe('locateCorrections', () => {
+    it('should map repeated phrases to successive occurrences without context', () => {
+      const { corrections } = locateCorrections('넥스트 그리고 넥스트', [
+        { original: '넥스트', corrected: 'Next', reason: '용어' },
+        { original: '넥스트', corrected: 'Next', reason: '용어' }
+      ]);
+
+      expect(corrections.map(c => c.start)).toEqual([0, 8]);
+    });
+
+    it('should keep the earliest and then longest of overlapping corrections', () => {
+      const { corrections, unresolved } = locateCorrections('abc def ghi', [
+        { original: 'c de', corrected: 'X', reason: 'r1' },
+        { original: 'abc', corrected: 'Y', reason: 'r2' },
+        { original: 'abc d', corrected: 'Z', reason: 'r3' }
+      ]);
+
+      expect(corrections.map(c => c.reason)).toEqual(['r3']);
+      expect(unresolved.map(c => [c.reason, c.cause])).toEqual([
+        ['r2', UNRESOLVED_CAUSE.OVERLAP],
+        ['r1', UNRESOLVED_CAUSE.OVERLAP]
+      ]);
+    });
+
+    it('should locate phrases copied with different whitespace', () => {
+      const { corrections } = locateCorrections('머신  러닝\n모델', [
+        { original: '머신 러닝 모델', corrected: '머신러닝 모델', reason: 'typo' }
+      ]);
+
+      expect(corrections[0]).toMatchObject({ original: '머신  러닝\n모델', start: 0, end: 9 });
+    });
+
+    it('should ignore entries without a change', () => {
+      const result = locateCorrections('abc', [{ original: 'abc', corrected: 'abc' }, { corrected: 'x' }]);
+      expect(result).toEqual({ corrections: [], unresolved: [] });
+    });
+  });
+
+  describe('applyAtOffsets', () => {
+    it('should replace the given ranges only', () => {
+      expect(applyAtOffsets('a b a', [{ start: 4, end: 5, corrected: 'c' }])).toBe('a b c');
+    });
+  });
+
   describe('applyCorrections', () => {
     it('should apply corrections to segments', () => {
       const segments = [
@@ -0,0 +1,107 @@
+/**
+ * Tests for noteQuality module
+ * @module tests/server/utils/noteQuality.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  evaluateDeepDive,
+  splitSections,
+  findPoliteSentences,
+  parseQualityReport,
+  QUALITY_RULE
+} from '../../../server/utils/noteQuality.js';
+
+const paragraph = '강사는 캐시 무효화가 왜 어려운지 사례를 들어 설명했다. '.repeat(30);
+
+const section = (title, withQuote = true) => [
+  `## ${title}`,
+  paragraph,
+  withQuote ? '> "이게 진짜 핵심이에요" [12:30]' : '',
+  '이 발언은 설계 단계의 선택이 운영 비용을 좌우한다는 뜻이다.'
+].join('\n\n');
+
+const quotes = (n) => Array.from({ length: n }, (_, i) => ({ timestamp: `0${i}:00`, quote: `q${i}`, context: 'c' }));
+
+const goodResult = {
+  narrative: [section('캐시의 함정'), section('무효화 전략')].join('\n\n'),
+  quotesWithTimeline: quotes(6)
+};
+
+const rules = (report) => report.violations.map(v => v.rule);
+
+describe('noteQuality', () => {
+  describe('evaluateDeepDive', () => {
+    it('should pass a note that follows every rule', () => {
+      const report = evaluateDeepDive(goodResult);
+
+      expect(report.passed).toBe(true);
+      expect(report.score).toBe(100);
+      expect(report.violations).toEqual([]);
+      expect(report.metrics).toMatchObject({ sectionCount: 2, sectionsWithoutQuote: 0, quoteCount: 6, politeSentences: 0 });
+    });
+
+    it('should report short narratives, missing sections and too few quotes', () => {
+      const report = evaluateDeepDive({ narrative: '이 챕터는 캐시를 다룬다.', quotesWithTimeline: quotes(2) });
+
+      expect(rules(report)).toEqual([QUALITY_RULE.NARRATIVE_LENGTH, QUALITY_RULE.SECTION_COUNT, QUALITY_RULE.QUOTE_COUNT]);
+      expect(report.score).toBe(35);
+      expect(report.violations[0].message).toContain('1500자');
+    });
+
+    it('should name the sections without a timestamped quote', () => {
+      const report = evaluateDeepDive({
+        ...goodResult,
+        narrative: [section('캐시의 함정'), section('정리', false)].join('\n\n')
+      });
+
+      expect(rules(report)).toEqual([QUALITY_RULE.SECTION_QUOTES]);
+      expect(report.violations[0].message).toContain('"정리"');
+    });
+
+    it('should flag polite endings outside quotes', () => {
+      const report = evaluateDeepDive({
+        ...goodResult,
+        narrative: `${goodResult.narrative}\n\n마지막으로 정리합니다.`
+      });
+
+      expect(rules(report)).toEqual([QUALITY_RULE.POLITE_ENDINGS]);
+      expect(report.metrics.politeSentences).toBe(1);
+    });
+
+    it('should accept config overrides', () => {
+      const report = evaluateDeepDive({ narrative: '', quotesWithTimeline: [] }, { minNarrativeLength: 0, minSections: 0, minQuotes: 0 });
+      expect(report.passed).toBe(true);
+    });
+  });
+
+  describe('splitSections', () => {
+    it('should split on ## headings and keep ### inside the section', () => {
+      const sections = splitSections('도입\n## A\n본문\n### 세부\n내용\n## B\n끝');
+      expect(sections.map(s => s.title)).toEqual(['A', 'B']);
+      expect(sections[0].body).toContain('### 세부');
+    });
+  });
+
+  describe('findPoliteSentences', () => {
+    it('should ignore blockquotes, headings and quoted speech', () => {
+      const narrative = [
+        '## 질문 받습니다',
+        '> "여러분이 해보셔야 해요" [01:00]',
+        '강사는 "이게 중요합니다"라고 말했다.',
+        '이 방식은 간단합니다. 하지만 비용이 크다.'
+      ].join('\n');
+
+      expect(findPoliteSentences(narrative)).toEqual(['이 방식은 간단합니다.']);
+    });
+  });
+
+  describe('parseQualityReport', () => {
+    it('should parse stored reports and reject missing or invalid ones', () => {
+      expect(parseQualityReport('{"score":80,"passed":false,"violations":[],"attempts":3}')).toMatchObject({ score: 80, attempts: 3 });
+      expect(parseQualityReport(null)).toBeNull();
+      expect(parseQualityReport('oops')).toBeNull();
+      expect(parseQualityReport('{}')).toBeNull();
+    });
+  });
+});
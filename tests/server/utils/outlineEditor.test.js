@@ -0,0 +1,73 @@
+/**
+ * Tests for outlineEditor module
+ * @module tests/server/utils/outlineEditor.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeOutline,
+  chapterDurationMinutes,
+  outlineFieldsFromRow
+} from '../../../server/utils/outlineEditor.js';
+
+describe('outlineEditor', () => {
+  describe('normalizeOutline', () => {
+    it('should trim fields and drop empty key topics', () => {
+      const { chapters, errors } = normalizeOutline([
+        { id: 'lec_1_1', title: ' 도입 ', startTime: '0:00', endTime: '12:30', summary: ' 요약 ', keyTopics: ['캐시', ' ', 3] },
+        { title: '마무리' }
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(chapters).toEqual([
+        { title: '도입', startTime: '0:00', endTime: '12:30', summary: '요약', keyTopics: ['캐시'] },
+        { title: '마무리', startTime: '', endTime: '', summary: '', keyTopics: [] }
+      ]);
+    });
+
+    it('should report missing titles and invalid times', () => {
+      const { chapters, errors } = normalizeOutline([
+        { title: '', startTime: '0:00' },
+        { title: 'B', startTime: 'soon', endTime: '10:75' }
+      ]);
+
+      expect(chapters).toEqual([]);
+      expect(errors).toEqual([
+        'chapters[0].title is required',
+        'chapters[1].startTime is not a timestamp',
+        'chapters[1].endTime is not a timestamp'
+      ]);
+    });
+
+    it('should reject empty or non-array outlines', () => {
+      expect(normalizeOutline([]).errors).toEqual(['chapters must be a non-empty array']);
+      expect(normalizeOutline({ title: 'A' }).errors).toHaveLength(1);
+    });
+  });
+
+  describe('chapterDurationMinutes', () => {
+    it('should return minutes for valid ranges only', () => {
+      expect(chapterDurationMinutes('0:00', '12:30')).toBe(12.5);
+      expect(chapterDurationMinutes('01:00:00', '01:10:20')).toBe(10.3);
+      expect(chapterDurationMinutes('10:00', '5:00')).toBeNull();
+      expect(chapterDurationMinutes('', '')).toBeNull();
+    });
+  });
+
+  describe('outlineFieldsFromRow', () => {
+    it('should map chapter columns to outline fields', () => {
+      expect(outlineFieldsFromRow({
+        start_time: '0:00',
+        end_time: '15:00',
+        summary: '요약',
+        key_topics: '["캐시","TTL"]'
+      })).toEqual({ startTime: '0:00', endTime: '15:00', summary: '요약', keyTopics: ['캐시', 'TTL'], duration: 15 });
+    });
+
+    it('should default missing or invalid columns', () => {
+      expect(outlineFieldsFromRow({ key_topics: 'oops' })).toEqual({
+        startTime: '', endTime: '', summary: '', keyTopics: [], duration: null
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for quoteVerifier module
+ * @module tests/server/utils/quoteVerifier.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  verifyQuotes,
+  normalizeForMatch,
+  parseProvenance,
+  QUOTE_STATUS
+} from '../../../server/utils/quoteVerifier.js';
+
+// Slice in the format produced by extractSlice
+const slice = [
+  '[00:05:00] 오늘은 캐시 무효화에 대해서 이야기해 보겠습니다.',
+  '[00:05:20] 캐시는 빠르지만 데이터가 오래될 수 있어요.',
+  '[00:05:45] 김교수: TTL을 짧게 잡는 게 가장 단순한 해결책입니다.',
+  '[00:06:10] 그런데 트래픽이 몰리면 원본 서버가 버티지 못해요.'
+].join('\n');
+
+describe('quoteVerifier', () => {
+  describe('normalizeForMatch', () => {
+    it('should ignore spacing, punctuation and trailing particles', () => {
+      expect(normalizeForMatch('캐시는 빠르지만, 데이터가 오래될 수 있어요!')).toBe(normalizeForMatch('캐시 빠르지만 데이터 오래될 수있어요'));
+      expect(normalizeForMatch('서버에서는 TTL을')).toBe('서버ttl');
+    });
+  });
+
+  describe('verifyQuotes', () => {
+    it('should verify quotes and correct timestamps to the matching cue', () => {
+      const { result, report } = verifyQuotes({
+        quotesWithTimeline: [
+          { timestamp: '05:20', quote: '캐시는 빠르지만 데이터가 오래될 수 있어요', context: 'c' },
+          { timestamp: '07:00', quote: 'TTL을 짧게 잡는 게 가장 단순한 해결책', context: 'c' }
+        ]
+      }, slice);
+
+      expect(result.quotesWithTimeline.map(q => q.timestamp)).toEqual(['05:20', '05:45']);
+      expect(report.quotes.map(q => [q.status, q.matchedTimestamp, q.corrected])).toEqual([
+        [QUOTE_STATUS.VERIFIED, '05:20', false],
+        [QUOTE_STATUS.VERIFIED, '05:45', true]
+      ]);
+      expect(report).toMatchObject({ verifiedCount: 2, unmatchedCount: 0, correctedCount: 1 });
+    });
+
+    it('should tolerate spacing and particle differences', () => {
+      const { report } = verifyQuotes({
+        quotesWithTimeline: [{ timestamp: '00:06:10', quote: '트래픽 몰리면 원본서버가 버티지 못해요' }]
+      }, slice);
+
+      expect(report.quotes[0]).toMatchObject({ status: QUOTE_STATUS.VERIFIED, corrected: false });
+      expect(report.quotes[0].similarity).toBeGreaterThanOrEqual(0.75);
+    });
+
+    it('should flag quotes that are not in the transcript', () => {
+      const { result, report } = verifyQuotes({
+        quotesWithTimeline: [{ timestamp: '05:00', quote: '마이크로서비스는 항상 정답입니다' }]
+      }, slice);
+
+      expect(result.quotesWithTimeline[0].timestamp).toBe('05:00');
+      expect(report.quotes[0]).toMatchObject({ status: QUOTE_STATUS.UNMATCHED, matchedTimestamp: null, corrected: false });
+      expect(report.unmatchedCount).toBe(1);
+    });
+
+    it('should check and correct quotes inside the narrative', () => {
+      const narrative = [
+        '## 캐시의 함정',
+        '> "원본 서버가 버티지 못해요" [05:00]',
+        '이 발언은 캐시가 부하를 흡수한다는 뜻이다.',
+        '> "전혀 다른 말" [05:20]'
+      ].join('\n');
+
+      const { result, report } = verifyQuotes({ narrative }, slice);
+
+      expect(result.narrative).toContain('> "원본 서버가 버티지 못해요" [06:10]');
+      expect(result.narrative).toContain('> "전혀 다른 말" [05:20]');
+      expect(report.quotes.map(q => [q.source, q.index, q.status])).toEqual([
+        ['narrative', 0, QUOTE_STATUS.VERIFIED],
+        ['narrative', 1, QUOTE_STATUS.UNMATCHED]
+      ]);
+    });
+
+    it('should verify without timestamps for untimed transcripts', () => {
+      const { report } = verifyQuotes({
+        quotesWithTimeline: [{ timestamp: '01:00', quote: '캐시는 빠르지만' }]
+      }, '캐시는 빠르지만 데이터가 오래될 수 있다.');
+
+      expect(report.quotes[0]).toMatchObject({ status: QUOTE_STATUS.VERIFIED, matchedTimestamp: null, corrected: false });
+    });
+  });
+
+  describe('parseProvenance', () => {
+    it('should parse stored reports and reject missing or invalid ones', () => {
+      expect(parseProvenance('{"quotes":[],"verifiedCount":0}')).toMatchObject({ quotes: [] });
+      expect(parseProvenance(null)).toBeNull();
+      expect(parseProvenance('{"score":1}')).toBeNull();
+    });
+  });
+});
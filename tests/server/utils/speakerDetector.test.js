@@ -0,0 +1,131 @@
+/**
+ * Tests for speakerDetector module
+ * @module tests/server/utils/speakerDetector.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  matchSpeakerPrefix,
+  detectSpeakers,
+  detectTranscriptSpeakers,
+  renameSpeaker,
+  mergeSpeakers,
+  applySpeakerNameMap
+} from '../../../server/utils/speakerDetector.js';
+
+const speakers = [
+  { id: 'spk_1', name: 'Prof. Kim', aliases: ['Prof. Kim'], cueCount: 3, source: 'voice' },
+  { id: 'spk_2', name: 'Kim', aliases: ['Kim'], cueCount: 1, source: 'prefix' },
+  { id: 'spk_3', name: 'Student', aliases: ['Student'], cueCount: 2, source: 'prefix' }
+];
+
+describe('speakerDetector', () => {
+  describe('matchSpeakerPrefix', () => {
+    it('should split short name labels from the text', () => {
+      expect(matchSpeakerPrefix('김 교수: 안녕하세요')).toEqual({ label: '김 교수', text: '안녕하세요' });
+      expect(matchSpeakerPrefix('Dr. Lee: Welcome')).toEqual({ label: 'Dr. Lee', text: 'Welcome' });
+    });
+
+    it('should ignore sentences, times and URLs', () => {
+      expect(matchSpeakerPrefix('이 부분은 정말 중요한 내용: 다음과 같다')).toBeNull();
+      expect(matchSpeakerPrefix('10:30 시작')).toBeNull();
+      expect(matchSpeakerPrefix('https://example.com')).toBeNull();
+    });
+  });
+
+  describe('detectSpeakers', () => {
+    it('should prefer voice tags and strip accepted prefixes', () => {
+      const { speakers: detected, entries } = detectSpeakers([
+        { text: 'Hello', speaker: 'Prof. Kim' },
+        { text: 'Student: Question?' },
+        { text: 'Student: Another one' },
+        { text: 'Note: read chapter 3' }
+      ]);
+
+      expect(detected.map(s => [s.id, s.name, s.cueCount, s.source])).toEqual([
+        ['spk_1', 'Prof. Kim', 1, 'voice'],
+        ['spk_2', 'Student', 2, 'prefix']
+      ]);
+      expect(entries.map(e => [e.speaker, e.text])).toEqual([
+        ['Prof. Kim', 'Hello'],
+        ['Student', 'Question?'],
+        ['Student', 'Another one'],
+        [null, 'Note: read chapter 3']
+      ]);
+    });
+
+    it('should accept single prefixes when the threshold is lowered', () => {
+      const { speakers: detected } = detectSpeakers([{ text: 'Host: Hi' }], { minPrefixOccurrences: 1 });
+      expect(detected.map(s => s.name)).toEqual(['Host']);
+    });
+  });
+
+  describe('detectTranscriptSpeakers', () => {
+    it('should read VTT voice tags', () => {
+      const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Prof. Kim>Hi\n\n00:00:03.000 --> 00:00:04.000\n<v Student>Hello';
+      expect(detectTranscriptSpeakers(vtt).map(s => s.name)).toEqual(['Prof. Kim', 'Student']);
+    });
+
+    it('should read prefixes from untimed lines', () => {
+      const text = '강사: 시작하겠습니다\n학생: 질문 있습니다\n강사: 좋습니다\n학생: 감사합니다';
+      expect(detectTranscriptSpeakers(text).map(s => [s.name, s.cueCount])).toEqual([['강사', 2], ['학생', 2]]);
+    });
+
+    it('should return no speakers for plain lectures', () => {
+      expect(detectTranscriptSpeakers('오늘은 자료구조를 배운다.\n\n다음은 스택이다.')).toEqual([]);
+    });
+  });
+
+  describe('renameSpeaker', () => {
+    it('should rename and map the old display name', () => {
+      const result = renameSpeaker(speakers, 'spk_3', ' 이학생 ');
+      expect(result.speakers[2].name).toBe('이학생');
+      expect(result.speakers[2].aliases).toEqual(['Student']);
+      expect(result.nameMap).toEqual({ Student: '이학생' });
+    });
+
+    it('should return null for unknown speakers', () => {
+      expect(renameSpeaker(speakers, 'spk_9', 'X')).toBeNull();
+    });
+  });
+
+  describe('mergeSpeakers', () => {
+    it('should fold sources into the target', () => {
+      const result = mergeSpeakers(speakers, ['spk_2', 'spk_1'], 'spk_1');
+
+      expect(result.speakers.map(s => s.id)).toEqual(['spk_1', 'spk_3']);
+      expect(result.speakers[0]).toMatchObject({ name: 'Prof. Kim', aliases: ['Prof. Kim', 'Kim'], cueCount: 4 });
+      expect(result.nameMap).toEqual({ Kim: 'Prof. Kim' });
+    });
+
+    it('should return null when a speaker does not exist', () => {
+      expect(mergeSpeakers(speakers, ['spk_9'], 'spk_1')).toBeNull();
+      expect(mergeSpeakers(speakers, ['spk_2'], 'spk_9')).toBeNull();
+    });
+  });
+
+  describe('applySpeakerNameMap', () => {
+    it('should rewrite matching quote speakers only', () => {
+      const note = {
+        narrative: 'n',
+        quotesWithTimeline: [
+          { timestamp: '00:01', quote: 'a', speaker: 'Kim' },
+          { timestamp: '00:02', quote: 'b', speaker: 'Student' },
+          { timestamp: '00:03', quote: 'c' }
+        ]
+      };
+
+      const { note: updated, changed } = applySpeakerNameMap(note, { Kim: 'Prof. Kim' });
+
+      expect(changed).toBe(true);
+      expect(updated.quotesWithTimeline.map(q => q.speaker)).toEqual(['Prof. Kim', 'Student', undefined]);
+      expect(note.quotesWithTimeline[0].speaker).toBe('Kim');
+    });
+
+    it('should leave notes without matches untouched', () => {
+      const note = { quotesWithTimeline: [{ quote: 'a', speaker: 'Student' }] };
+      expect(applySpeakerNameMap(note, { Kim: 'Lee' })).toEqual({ note, changed: false });
+      expect(applySpeakerNameMap({}, { Kim: 'Lee' }).changed).toBe(false);
+    });
+  });
+});
@@ -18,6 +18,8 @@ import {
   handleReplacementCharacter,
   normalizeTextBatch,
   quickNormalize,
+  removeFillerWords,
+  collapseRepeatedWords,
   DEFAULT_CONFIG
 } from '../../../server/utils/textNormalizer.js';
 
@@ -233,6 +235,75 @@ describe('textNormalizer', () => {
     });
   });
 
+  describe('removeFillerWords', () => {
+    it('should remove standalone Korean and English fillers', () => {
+      const result = removeFillerWords('음, 오늘은 어 um 함수를 uhh 봅니다');
+      expect(result.text).toBe('오늘은 함수를 봅니다');
+      expect(result.count).toBe(4);
+      expect(result.counts).toEqual({ '음': 1, '어': 1, um: 1, uhh: 1 });
+    });
+
+    it('should only remove hesitation words followed by a comma or ellipsis', () => {
+      const result = removeFillerWords('이제, 그 사람은 뭐지... 이제 시작합니다');
+      expect(result.text).toBe('그 사람은 이제 시작합니다');
+      expect(result.counts).toEqual({ '이제': 1, '뭐지': 1 });
+    });
+
+    it('should keep English discourse words that carry meaning', () => {
+      const text = 'This works as well, but slowly. Things I like, such as Rust, you know, are fast';
+      expect(removeFillerWords(text, { languages: ['en'] })).toEqual({ text, count: 0, counts: {} });
+    });
+
+    it('should only use the lexicons of the given languages', () => {
+      expect(removeFillerWords('음 um 시작', { languages: ['ko'] }).text).toBe('um 시작');
+      expect(removeFillerWords('음 um start', { languages: ['en'] }).text).toBe('음 start');
+      expect(removeFillerWords('음 um', { languages: [] }).count).toBe(0);
+    });
+
+    it('should not touch fillers inside words', () => {
+      expect(removeFillerWords('음악 어머니 umbrella').count).toBe(0);
+    });
+
+    it('should leave timing lines untouched', () => {
+      const text = '00:00:01.000 --> 00:00:04.000 어\n어 안녕하세요';
+      expect(removeFillerWords(text).text).toBe('00:00:01.000 --> 00:00:04.000 어\n안녕하세요');
+    });
+
+    it('should respect languages and extra fillers', () => {
+      const result = removeFillerWords('음 um 그쵸 test', { languages: ['en'], extraFillers: ['그쵸'] });
+      expect(result.text).toBe('음 test');
+    });
+  });
+
+  describe('collapseRepeatedWords', () => {
+    it('should keep the first of stuttered words', () => {
+      const result = collapseRepeatedWords('그 그 사람은 저는, 저는, 저는 생각');
+      expect(result.text).toBe('그 사람은 저는 생각');
+      expect(result.count).toBe(3);
+    });
+
+    it('should keep the casing of the first occurrence', () => {
+      expect(collapseRepeatedWords('The the the end. That that that is it').text).toBe('The end. That is it');
+      expect(collapseRepeatedWords('the The the model').text).toBe('the model');
+    });
+
+    it('should keep correctly doubled words', () => {
+      for (const text of ['I know that that is true', 'She had had enough', 'What it is is a loop', '저는 저는 생각']) {
+        expect(collapseRepeatedWords(text)).toEqual({ text, count: 0 });
+      }
+    });
+
+    it('should keep repeated emphasis words', () => {
+      const text = '매우 매우 중요합니다 정말 정말 no no no. No. No.';
+      expect(collapseRepeatedWords(text)).toEqual({ text, count: 0 });
+    });
+
+    it('should not collapse numbers or timestamp placeholders', () => {
+      const text = '1 1 matrix __TIMESTAMP_0__ __TIMESTAMP_0__';
+      expect(collapseRepeatedWords(text)).toEqual({ text, count: 0 });
+    });
+  });
+
   describe('normalizeText (main function)', () => {
     it('should apply all normalizations by default', () => {
       const text = '\uFEFF  Hello   World  \n\n\n\n\nTest';
@@ -295,6 +366,28 @@ describe('textNormalizer', () => {
       expect(result.text).not.toContain('  '); // No double spaces
       expect(result.text.split('\n\n\n\n').length).toBe(1); // Collapsed blank lines
     });
+
+    it('should leave disfluencies alone by default', () => {
+      const result = normalizeText('음 그 그 사람');
+      expect(result.text).toBe('음 그 그 사람');
+      expect(result.changeLog.fillersRemoved).toBe(0);
+    });
+
+    it('should not change doubled words in English sentences', () => {
+      const text = 'I know that that is true. She had had enough';
+      const result = normalizeText(text, { removeFillers: true, collapseRepeatedWords: true, fillerLanguages: ['en'] });
+      expect(result.text).toBe(text);
+      expect(result.changeLog.repeatedWordsCollapsed).toBe(0);
+    });
+
+    it('should clean disfluencies while preserving timestamps', () => {
+      const text = '[00:01:23] 음, 오늘은 그 그 그 사람 얘기를 이제, 해볼게요.\n[00:01:30] [00:01:30] 어 다음';
+      const result = normalizeText(text, { removeFillers: true, collapseRepeatedWords: true, fillerLanguages: ['ko'] });
+      expect(result.text).toBe('[00:01:23] 오늘은 그 사람 얘기를 해볼게요.\n[00:01:30] [00:01:30] 다음');
+      expect(result.changeLog.fillersRemoved).toBe(3);
+      expect(result.changeLog.fillerCounts).toEqual({ '음': 1, '이제': 1, '어': 1 });
+      expect(result.changeLog.repeatedWordsCollapsed).toBe(2);
+    });
   });
 
   describe('normalizeTextBatch', () => {
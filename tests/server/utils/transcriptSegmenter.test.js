@@ -0,0 +1,143 @@
+/**
+ * Tests for transcriptSegmenter module
+ * @module tests/server/utils/transcriptSegmenter.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseTime,
+  formatTime,
+  splitByCharCount,
+  splitIntoSegments,
+  extractSlice,
+  shrinkSlice
+} from '../../../server/utils/transcriptSegmenter.js';
+import { formatTimestamp } from '../../../server/utils/cueParser.js';
+
+// VTT with one cue per minute: "minute N"
+const buildVtt = (minutes) => {
+  const blocks = ['WEBVTT'];
+  for (let m = 0; m < minutes; m++) {
+    blocks.push(`${m + 1}\n${formatTimestamp(m * 60)} --> ${formatTimestamp(m * 60 + 30)}\nminute ${m}`);
+  }
+  return blocks.join('\n\n');
+};
+
+describe('transcriptSegmenter', () => {
+  describe('parseTime / formatTime', () => {
+    it('should return 0 for missing or invalid times', () => {
+      expect(parseTime('')).toBe(0);
+      expect(parseTime('N/A')).toBe(0);
+      expect(parseTime('00:01:30.500')).toBe(90.5);
+    });
+
+    it('should format short and long durations', () => {
+      expect(formatTime(90)).toBe('1:30');
+      expect(formatTime(3725)).toBe('1:02:05');
+    });
+  });
+
+  describe('splitByCharCount', () => {
+    it('should split at paragraph boundaries', () => {
+      const segments = splitByCharCount('a'.repeat(60) + '\n\n' + 'b'.repeat(60), 100);
+      expect(segments.map(s => s.segmentIndex)).toEqual([0, 1]);
+      expect(segments[1].text).toBe('b'.repeat(60));
+    });
+
+    it('should return the whole text when it has no paragraphs', () => {
+      expect(splitByCharCount('   ')).toEqual([
+        { segmentIndex: 0, startTime: '', endTime: '', startSeconds: 0, endSeconds: 0, text: '   ' }
+      ]);
+    });
+  });
+
+  describe('splitIntoSegments', () => {
+    it('should assign every cue to exactly one time segment', () => {
+      const segments = splitIntoSegments(buildVtt(70), 30);
+
+      expect(segments.map(s => [s.startTime, s.endTime, s.cues.length])).toEqual([
+        ['0:00', '30:00', 30],
+        ['30:00', '1:00:00', 30],
+        ['1:00:00', '1:09:30', 10]
+      ]);
+      expect(segments[1].text.split('\n')[0]).toBe('[00:30:00] minute 30');
+      expect(segments[1].text).not.toContain('-->');
+    });
+
+    it('should append the start of the next segment when overlapping', () => {
+      const segments = splitIntoSegments(buildVtt(70), 30, 10000, { overlapMinutes: 5 });
+
+      expect(segments.map(s => [s.startTime, s.endTime, s.overlapStartTime, s.cues.length])).toEqual([
+        ['0:00', '35:00', '30:00', 35],
+        ['30:00', '1:05:00', '1:00:00', 35],
+        ['1:00:00', '1:09:30', '', 10]
+      ]);
+      expect(segments[0].text.split('\n').at(-1)).toBe('[00:34:00] minute 34');
+    });
+
+    it('should skip windows without cues', () => {
+      const vtt = 'WEBVTT\n\n00:00:10.000 --> 00:00:20.000\nstart\n\n01:10:00.000 --> 01:10:05.000\nend';
+      expect(splitIntoSegments(vtt, 30).map(s => s.segmentIndex)).toEqual([0, 2]);
+    });
+
+    it('should fall back to character segments without timestamps', () => {
+      const segments = splitIntoSegments('첫 문단\n\n둘째 문단', 30);
+      expect(segments).toHaveLength(1);
+      expect(segments[0].startTime).toBe('');
+    });
+  });
+
+  describe('extractSlice', () => {
+    const vtt = buildVtt(10);
+
+    it('should return cues in range with one cue of context', () => {
+      const slice = extractSlice(vtt, '00:03:00', '00:05:00');
+      expect(slice).toBe('[00:02:00] minute 2\n[00:03:00] minute 3\n[00:04:00] minute 4');
+    });
+
+    it('should read until the end without an end time', () => {
+      const slice = extractSlice(vtt, '8:00', '', { contextCues: 0 });
+      expect(slice).toBe('[00:08:00] minute 8\n[00:09:00] minute 9');
+    });
+
+    it('should include a cue that started before the range and is still running', () => {
+      const slice = extractSlice(vtt, '00:03:15', '00:03:45', { contextCues: 0 });
+      expect(slice).toBe('[00:03:00] minute 3');
+    });
+
+    it('should return an empty slice for ranges after the transcript', () => {
+      expect(extractSlice(vtt, '02:00:00', '02:10:00')).toBe('');
+    });
+
+    it('should return untimed text unchanged', () => {
+      expect(extractSlice('plain text', '00:00', '10:00')).toBe('plain text');
+    });
+
+    it('should slice SRT transcripts', () => {
+      const srt = '1\n00:00:01,000 --> 00:00:02,000\nA\n\n2\n00:10:00,000 --> 00:10:02,000\nB';
+      expect(extractSlice(srt, '00:09:00', '00:11:00', { contextCues: 0 })).toBe('[00:10:00] B');
+    });
+  });
+
+  describe('shrinkSlice', () => {
+    const lines = Array.from({ length: 10 }, (_, i) => `[00:0${i}:00] line ${i}`).join('\n');
+
+    it('should keep evenly spaced lines verbatim', () => {
+      const shrunk = shrinkSlice(lines, 0.6).split('\n');
+      expect(shrunk).toHaveLength(6);
+      expect(shrunk[0]).toBe('[00:00:00] line 0');
+      expect(shrunk[shrunk.length - 1]).toBe('[00:08:00] line 8');
+      shrunk.forEach(line => expect(lines).toContain(line));
+    });
+
+    it('should cut a single line', () => {
+      expect(shrinkSlice('abcdefghij', 0.5)).toBe('abcde');
+    });
+
+    it('should return the slice unchanged for ratios outside 0-1', () => {
+      expect(shrinkSlice(lines, 1)).toBe(lines);
+      expect(shrinkSlice(lines, 0)).toBe(lines);
+      expect(shrinkSlice('', 0.5)).toBe('');
+    });
+  });
+});
@@ -3,6 +3,7 @@ export interface VTTLine {
   start: string;
   end: string;
   text: string;
+  speaker?: string; // WebVTT <v> 태그
 }
 
 // ========== 인용 + 타임라인 ==========
@@ -10,11 +11,22 @@ export interface QuoteWithTimeline {
   timestamp: string;
   quote: string;
   context?: string;
+  speaker?: string; // 발화자 (화자 정보가 있는 강의만)
+}
+
+// ========== 화자 ==========
+export interface Speaker {
+  id: string;
+  name: string;
+  aliases: string[]; // 대본에 표기된 이름들
+  cueCount: number;
+  source: 'voice' | 'prefix'; // VTT <v> 태그 / "이름:" 접두어
 }
 
 // ========== 핵심 용어 ==========
 export interface KeyTerm {
   term: string;
+  originalTerm?: string; // 번역된 노트에서 강의 원어 표기 (이중 언어 모드)
   definition: string;
   importance?: string;
   example?: string;  // 사용 예시 또는 적용 사례
@@ -22,6 +34,94 @@ export interface KeyTerm {
   firstMentionedChapterId?: string;
 }
 
+// ========== 챕터 시간 검증 ==========
+export interface ChapterValidation {
+  repairs: Array<{ type: string; from: string; to: string }>; // start_snapped, overlap_trimmed, ...
+  flags: Array<{ type: 'gap_before' | 'no_cues'; seconds?: number }>;
+  fallback: 'no_timestamps' | 'short_slice' | null; // 구간 대신 비율 추정 텍스트로 분석
+}
+
+// ========== Deep Dive 품질 검사 ==========
+export interface ChapterQuality {
+  score: number; // 0-100
+  passed: boolean;
+  violations: Array<{ rule: string; message: string }>; // narrative_length, section_count, ...
+  metrics: {
+    narrativeLength: number;
+    sectionCount: number;
+    sectionsWithoutQuote: number;
+    quoteCount: number;
+    politeSentences: number;
+  };
+  attempts: number; // 생성 횟수 (1 + 재생성)
+}
+
+// ========== 인용문 대본 대조 ==========
+export interface QuoteCheck {
+  source: 'timeline' | 'narrative';
+  index: number;
+  quote: string;
+  status: 'verified' | 'unmatched';
+  similarity: number; // 0-1
+  timestamp: string | null; // 모델이 쓴 타임스탬프
+  matchedTimestamp: string | null; // 대본에서 찾은 cue 시작 시간
+  corrected: boolean;
+}
+
+export interface ChapterProvenance {
+  quotes: QuoteCheck[];
+  verifiedCount: number;
+  unmatchedCount: number;
+  correctedCount: number;
+}
+
+// ========== 생성 모델 기록 ==========
+export interface StageCall {
+  stage: string; // deep_dive, deep_dive_repair, regeneration
+  model: string;
+  inputRatio: number | null; // 축소 입력 비율 (null이면 전체 구간)
+  fallback: boolean;
+}
+
+export interface ChapterGeneration {
+  models: string[]; // 호출 순서대로 사용한 모델
+  fallback: boolean; // 대체 모델/축소 입력 사용 여부
+  inputRatio: number | null;
+  calls: StageCall[];
+}
+
+// ========== 프롬프트 템플릿 버전 ==========
+export interface PromptTemplateRef {
+  name: string; // deep_dive, regeneration, final_summary, ...
+  version: number;
+}
+
+// ========== 노트 스타일 ==========
+export type NoteStyle = 'storytelling' | 'cornell' | 'exam_cram' | 'executive_briefing' | 'transcript_digest';
+
+export interface CornellCue {
+  cue: string; // 단서 칸 (질문/키워드)
+  notes: string; // 필기 칸
+  timestamp?: string;
+}
+
+export interface ExamOutlineItem {
+  heading: string;
+  points: string[];
+}
+
+export interface LikelyQuestion {
+  question: string;
+  answer: string;
+}
+
+export interface DigestSegment {
+  timestamp: string;
+  heading: string;
+  verbatim: string; // 대본 원문 발췌
+  note?: string;
+}
+
 // ========== 챕터 ==========
 export interface Chapter {
   id: string;
@@ -32,7 +132,13 @@ export interface Chapter {
   duration?: number;  // 분
   summary: string;
   keyTopics?: string[];
-  status: 'pending' | 'processing' | 'completed' | 'error';
+  status: 'pending' | 'processing' | 'completed' | 'error' | 'cancelled';
+  validation?: ChapterValidation;
+  quality?: ChapterQuality | null;
+  provenance?: ChapterProvenance | null;
+  generation?: ChapterGeneration | null; // 노트를 생성한 모델
+  promptTemplate?: PromptTemplateRef; // 노트를 생성한 프롬프트 템플릿 버전
+  noteStyle?: NoteStyle; // 없으면 storytelling
 
   // Deep Dive 결과 (새로운 구조)
   keyMessage?: string;
@@ -46,6 +152,16 @@ export interface Chapter {
   actionableItems?: string[]; // 구체적 행동 지침 (기존 practicalTips 대체)
   practicalTips?: string[]; // deprecated
 
+  // 노트 스타일별 필드
+  cues?: CornellCue[]; // cornell
+  recap?: string; // cornell 하단 요약
+  outline?: ExamOutlineItem[]; // exam_cram
+  mustMemorize?: string[]; // exam_cram
+  likelyQuestions?: LikelyQuestion[]; // exam_cram
+  situation?: string; // executive_briefing
+  implications?: string[]; // executive_briefing
+  segments?: DigestSegment[]; // transcript_digest
+
   // 구조화된 시각 요소 (mermaidCode 대체)
   visualStructure?: {
     type: 'process' | 'comparison' | 'hierarchy' | 'timeline';
@@ -86,6 +202,7 @@ export interface CoreInsight {
 
 // ========== 전체 마무리 ==========
 export interface FinalSummary {
+  promptTemplate?: PromptTemplateRef;
   coreInsights: CoreInsight[];
   actionChecklist: ActionChecklistItem[];
   practiceAssignments?: PracticeAssignment[];
@@ -95,6 +212,19 @@ export interface FinalSummary {
   globalGlossary?: KeyTerm[];
 }
 
+// ========== 용어 사전 ==========
+export interface DictionaryEntry {
+  id: number;
+  term: string; // 정식 표기
+  variants: string[]; // 음성 인식이 잘못 적는 표기 (전처리에서 term으로 교체)
+  note: string | null;
+}
+
+export interface DictionaryStats {
+  totalMatches: number;
+  terms: Array<{ term: string; count: number; variants: Record<string, number> }>;
+}
+
 // ========== 팩트체크 리포트 ==========
 export interface CorrectionDetail {
   original: string;
@@ -102,16 +232,44 @@ export interface CorrectionDetail {
   reason: string;
 }
 
+// 적용하지 못한 교정 (not_found: 원문에서 찾지 못함, overlap: 앞선 교정과 겹침)
+export interface UnresolvedCorrection extends CorrectionDetail {
+  cause: 'not_found' | 'overlap';
+}
+
+// 위치가 기록된 교정 (수락/거절 검토용)
+export interface ReviewableCorrection extends CorrectionDetail {
+  id: string;
+  start: number; // normalized_text 기준 시작 위치
+  end: number;
+  status: 'accepted' | 'rejected';
+}
+
+export interface AffectedChapter {
+  id: string;
+  title: string;
+  startTime: string;
+  endTime: string;
+}
+
+export interface CorrectionReviewResult {
+  corrections: ReviewableCorrection[];
+  changed: string[]; // 상태가 바뀐 교정 id
+  affectedChapters: AffectedChapter[]; // 대본 구간이 바뀐 분석 완료 챕터
+}
+
 export interface CorrectionStats {
   originalLength: number;
   normalizedLength: number;
   correctedLength: number;
+  dictionaryStats?: DictionaryStats | null; // 용어 사전 교체 건수 (이전 강의에는 없음)
   correctionStats: {
     totalSegments: number;
     successfulCorrections: number;
     failedCorrections: number;
     skippedCorrections: number;
     totalCorrectionsApplied: number;
+    unresolvedCorrections?: number; // 위치를 찾지 못했거나 겹쳐서 적용하지 않은 교정
     correctionsByType: {
       typo: number;
       mishearing: number;
@@ -122,9 +280,37 @@ export interface CorrectionStats {
   } | null;
   correctionDetails: Array<{
     corrections: CorrectionDetail[];
+    unresolved?: UnresolvedCorrection[];
   }> | null;
 }
 
+// ========== AI 사용량 ==========
+export interface UsageBucket {
+  calls: number;
+  promptTokens: number;
+  outputTokens: number;
+  costUsd: number;
+  unpricedCalls: number; // 가격 정보 없는 모델 호출 수 (비용에 미포함)
+  cacheHits: number; // 캐시된 응답으로 대신한 호출 수 (calls/토큰/비용에 미포함)
+  cacheMisses: number;
+  savedCostUsd: number; // 캐시 히트로 절약한 추정 비용
+}
+
+export interface StageUsage extends UsageBucket {
+  stage: string; // correction, segmentation, lecture_meta, deep_dive, regeneration, final_summary
+}
+
+export interface ModelUsage extends UsageBucket {
+  model: string;
+}
+
+export interface LectureUsage {
+  lectureId: string;
+  totals: UsageBucket;
+  stages: StageUsage[];
+  models: ModelUsage[];
+}
+
 // ========== 강의노트 전체 ==========
 export interface LectureNote {
   id?: string; // DB ID
@@ -133,6 +319,8 @@ export interface LectureNote {
   totalDuration?: number;
   chapters: Chapter[];
   correction_stats?: CorrectionStats;
+  corrections?: ReviewableCorrection[] | null; // null이면 위치가 기록되지 않은 이전 강의
+  speakers?: Speaker[];
   
   // Metadata
   author?: string;
@@ -1,42 +1,21 @@
 
 import { VTTLine } from "../types";
+import { parseCues } from "../server/utils/cueParser.js";
 
+// WebVTT / SRT / 타임스탬프 텍스트 파싱은 서버와 같은 cue 파서를 사용
 export const parseVTT = (content: string): VTTLine[] => {
-  const lines = content.split(/\r?\n/);
-  const result: VTTLine[] = [];
-  let current: Partial<VTTLine> = {};
+  const { cues } = parseCues(content);
 
-  const timeRegex = /(\d{2}:\d{2}:\d{2}\.\d{3}) --> (\d{2}:\d{2}:\d{2}\.\d{3})/;
-
-  // VTT 헤더 체크 (단순 텍스트와 구분하기 위함)
-  const isVTT = lines[0]?.includes("WEBVTT");
-
-  if (!isVTT && !content.includes("-->")) {
+  if (cues.length === 0) {
     return parseRawText(content);
   }
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line === "WEBVTT") continue;
-
-    const match = line.match(timeRegex);
-    if (match) {
-      current.start = match[1];
-      current.end = match[2];
-      current.text = "";
-    } else if (current.start) {
-      if (/^\d+$/.test(line) && !current.text) continue;
-      current.text = current.text ? `${current.text} ${line}` : line;
-      
-      const nextLine = lines[i + 1]?.trim();
-      if (!nextLine || timeRegex.test(nextLine)) {
-        result.push(current as VTTLine);
-        current = {};
-      }
-    }
-  }
-
-  return result.length > 0 ? result : parseRawText(content);
+  return cues.map(cue => ({
+    start: cue.start,
+    end: cue.end,
+    text: cue.text,
+    ...(cue.speaker ? { speaker: cue.speaker } : {})
+  }));
 };
 
 export const parseRawText = (content: string): VTTLine[] => {